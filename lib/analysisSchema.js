@@ -0,0 +1,186 @@
+// PhotoVision Analysis Schema
+// Extra structured fields (peopleCount, shotType, ...) requested from Claude alongside the description and keywords.
+// Fields are declared as a JSON schema: {type: 'object', properties: {peopleCount: {type: 'integer', description}}, required: []}
+
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'array'];
+const RESERVED_FIELDS = ['description', 'keywords'];
+
+class AnalysisSchema {
+    /**
+     * @param {Object|null} schema - JSON schema with a properties object; null means no extra fields
+     */
+    constructor(schema = null) {
+        this.schema = schema && schema.properties ? schema : { type: 'object', properties: {} };
+    }
+
+    /**
+     * Check a schema declaration before it is saved
+     * @param {Object} schema - JSON schema to check
+     * @returns {Array<string>} Validation errors; empty when the schema is usable
+     */
+    static validateDefinition(schema) {
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+            return ['outputSchema must be a JSON schema object'];
+        }
+        if (schema.type !== undefined && schema.type !== 'object') {
+            return ['outputSchema type must be "object"'];
+        }
+        if (!schema.properties || typeof schema.properties !== 'object' || Array.isArray(schema.properties)) {
+            return ['outputSchema needs a properties object'];
+        }
+
+        const errors = [];
+        for (const [field, definition] of Object.entries(schema.properties)) {
+            if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(field)) {
+                errors.push(`outputSchema field "${field}" must start with a letter and use only letters, digits and underscores`);
+                continue;
+            }
+            if (RESERVED_FIELDS.includes(field)) {
+                errors.push(`outputSchema field "${field}" is already part of every analysis`);
+                continue;
+            }
+            if (!definition || !FIELD_TYPES.includes(definition.type)) {
+                errors.push(`outputSchema field "${field}" needs a type of ${FIELD_TYPES.join(', ')}`);
+                continue;
+            }
+            if (definition.type === 'array' && definition.items && !FIELD_TYPES.includes(definition.items.type)) {
+                errors.push(`outputSchema field "${field}" has an invalid items type`);
+            }
+            if (definition.enum !== undefined && (!Array.isArray(definition.enum) || definition.enum.length === 0)) {
+                errors.push(`outputSchema field "${field}" enum must be a non-empty array`);
+            }
+        }
+
+        if (schema.required !== undefined) {
+            if (!Array.isArray(schema.required)) {
+                errors.push('outputSchema required must be an array of field names');
+            } else {
+                schema.required
+                    .filter(field => !schema.properties[field])
+                    .forEach(field => errors.push(`outputSchema requires "${field}" but does not define it`));
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Combine schemas; fields from later schemas replace earlier ones with the same name
+     * @param {...Object} schemas - JSON schemas (null entries are skipped)
+     * @returns {Object|null} Combined schema, or null when no schema declares any fields
+     */
+    static merge(...schemas) {
+        const present = schemas.filter(schema => schema && schema.properties && Object.keys(schema.properties).length > 0);
+        if (present.length === 0) return null;
+
+        return {
+            type: 'object',
+            properties: Object.assign({}, ...present.map(schema => schema.properties)),
+            required: [...new Set(present.flatMap(schema => schema.required || []))]
+        };
+    }
+
+    get fieldNames() {
+        return Object.keys(this.schema.properties);
+    }
+
+    isEmpty() {
+        return this.fieldNames.length === 0;
+    }
+
+    /**
+     * Prompt text asking Claude to add the schema's fields to its JSON response
+     * @returns {string} Instructions, or an empty string when there are no fields
+     */
+    buildPrompt() {
+        if (this.isEmpty()) return '';
+
+        const required = this.schema.required || [];
+        const lines = Object.entries(this.schema.properties).map(([field, definition]) => {
+            let type = definition.type === 'array'
+                ? `array of ${(definition.items && definition.items.type) || 'string'}s`
+                : definition.type;
+            if (definition.enum) {
+                type += `, one of ${definition.enum.map(value => JSON.stringify(value)).join(', ')}`;
+            }
+            const optional = required.includes(field) ? '' : ', use null if it cannot be determined';
+            return `- "${field}" (${type}${optional})${definition.description ? `: ${definition.description}` : ''}`;
+        });
+
+        return `Also include these fields in the same JSON object:\n${lines.join('\n')}`;
+    }
+
+    /**
+     * Check Claude's values against the schema, converting obvious near-misses ("3" for 3, "yes" for true)
+     * @param {Object} data - Parsed analysis JSON
+     * @returns {Object} {values, errors}; values holds only the fields that passed
+     */
+    validate(data) {
+        const values = {};
+        const errors = [];
+        const required = this.schema.required || [];
+
+        for (const [field, definition] of Object.entries(this.schema.properties)) {
+            const raw = data ? data[field] : undefined;
+            if (raw === undefined || raw === null || raw === '') {
+                if (required.includes(field)) {
+                    errors.push(`${field} is missing`);
+                }
+                continue;
+            }
+
+            const { value, error } = this.coerce(raw, definition);
+            if (error) {
+                errors.push(`${field} ${error}`);
+            } else {
+                values[field] = value;
+            }
+        }
+
+        return { values, errors };
+    }
+
+    coerce(raw, definition) {
+        switch (definition.type) {
+            case 'integer':
+            case 'number': {
+                const value = typeof raw === 'number' ? raw : parseFloat(String(raw).replace(/,/g, ''));
+                if (!Number.isFinite(value)) return { error: `should be a number but was ${JSON.stringify(raw)}` };
+                if (definition.type === 'integer' && !Number.isInteger(value)) return { error: `should be a whole number but was ${value}` };
+                if (definition.minimum !== undefined && value < definition.minimum) return { error: `should be at least ${definition.minimum}` };
+                if (definition.maximum !== undefined && value > definition.maximum) return { error: `should be at most ${definition.maximum}` };
+                return { value };
+            }
+            case 'boolean': {
+                if (typeof raw === 'boolean') return { value: raw };
+                const text = String(raw).toLowerCase().trim();
+                if (['true', 'yes'].includes(text)) return { value: true };
+                if (['false', 'no'].includes(text)) return { value: false };
+                return { error: `should be true or false but was ${JSON.stringify(raw)}` };
+            }
+            case 'string': {
+                if (typeof raw === 'object') return { error: 'should be text' };
+                const value = String(raw).trim();
+                if (!definition.enum) return { value };
+                // Accept any casing but store the declared spelling
+                const match = definition.enum.find(option => String(option).toLowerCase() === value.toLowerCase());
+                return match !== undefined ? { value: match } : { error: `should be one of ${definition.enum.join(', ')} but was ${JSON.stringify(raw)}` };
+            }
+            case 'array': {
+                const items = Array.isArray(raw) ? raw : [raw];
+                const itemDefinition = definition.items || { type: 'string' };
+                const value = [];
+                for (const item of items) {
+                    const result = this.coerce(item, itemDefinition);
+                    if (result.error) return { error: `has an item that ${result.error}` };
+                    value.push(result.value);
+                }
+                return { value };
+            }
+            default:
+                return { error: `has unsupported type ${definition.type}` };
+        }
+    }
+}
+
+module.exports = AnalysisSchema;
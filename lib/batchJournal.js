@@ -0,0 +1,176 @@
+// PhotoVision Batch Journal
+// Append-only record of each batch's queue on disk (one JSONL file per batch) so batches survive a
+// restart: the first line holds the batch and its jobs, later lines hold job and batch status changes.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+class BatchJournal {
+    constructor(journalDir) {
+        this.journalDir = journalDir;
+        // Writes go out one at a time so lines never interleave and a removal is not followed by a stray write
+        this.writeChain = Promise.resolve();
+        this.dirReady = false;
+    }
+
+    /**
+     * Path of a batch's journal file
+     * @param {string} batchId - Batch ID
+     * @returns {string} Journal file path
+     */
+    journalFile(batchId) {
+        return path.join(this.journalDir, `${batchId}.jsonl`);
+    }
+
+    /**
+     * Queue a write behind the ones already pending
+     * @param {Function} write - Async function performing the write
+     * @returns {Promise<void>} Resolves once the write is done (never rejects)
+     */
+    enqueue(write) {
+        this.writeChain = this.writeChain
+            .then(write)
+            .catch(error => {
+                console.error('[BatchJournal] Failed to write batch journal:', error.message);
+            });
+        return this.writeChain;
+    }
+
+    /**
+     * Append one record to a batch's journal
+     * @param {string} batchId - Batch ID
+     * @param {Object} record - Record with a type of batch, job or status
+     * @returns {Promise<void>}
+     */
+    append(batchId, record) {
+        return this.enqueue(async () => {
+            if (!this.dirReady) {
+                await fs.mkdir(this.journalDir, { recursive: true });
+                this.dirReady = true;
+            }
+            await fs.appendFile(this.journalFile(batchId), JSON.stringify(record) + '\n', 'utf8');
+        });
+    }
+
+    /**
+     * Record a new batch with its full job list
+     * @param {string} batchId - Batch ID
+     * @param {Object} batch - {name, createdAt, albumKey, albumHierarchy, duplicateStatistics, startTime, jobs}
+     * @returns {Promise<void>}
+     */
+    recordBatch(batchId, batch) {
+        return this.append(batchId, { type: 'batch', batchId, ...batch });
+    }
+
+    /**
+     * Record a job's current state
+     * @param {string} batchId - Batch ID
+     * @param {Object} job - Job from the queue
+     * @returns {Promise<void>}
+     */
+    recordJob(batchId, job) {
+        return this.append(batchId, {
+            type: 'job',
+            id: job.id,
+            status: job.status,
+            attempts: job.attempts,
+            error: job.error,
+            result: job.result,
+            startTime: job.startTime,
+            endTime: job.endTime,
+            duration: job.duration,
+            model: job.model,
+            usage: job.usage
+        });
+    }
+
+    /**
+     * Record a batch status change (processing, paused, completed, failed)
+     * @param {string} batchId - Batch ID
+     * @param {string} status - New status
+     * @returns {Promise<void>}
+     */
+    recordStatus(batchId, status) {
+        return this.append(batchId, { type: 'status', status, timestamp: new Date().toISOString() });
+    }
+
+    /**
+     * Delete a batch's journal
+     * @param {string} batchId - Batch ID
+     * @returns {Promise<void>}
+     */
+    remove(batchId) {
+        return this.enqueue(async () => {
+            await fs.rm(this.journalFile(batchId), { force: true });
+        });
+    }
+
+    /**
+     * Replay every journal into the latest state of each batch
+     * @returns {Promise<Array>} Batches as {batchId, name, ..., jobs, status}; journals without a batch record are dropped
+     */
+    async loadAll() {
+        await this.writeChain;
+
+        let files;
+        try {
+            files = (await fs.readdir(this.journalDir)).filter(file => file.endsWith('.jsonl'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[BatchJournal] Failed to read batch journals:', error.message);
+            }
+            return [];
+        }
+
+        const batches = [];
+        for (const file of files.sort()) {
+            const batchId = path.basename(file, '.jsonl');
+            const batch = await this.load(batchId);
+            if (batch) {
+                batches.push(batch);
+            } else {
+                console.warn(`[BatchJournal] Dropping journal ${file} without a batch record`);
+                await this.remove(batchId);
+            }
+        }
+        return batches;
+    }
+
+    /**
+     * Replay one batch's journal
+     * @param {string} batchId - Batch ID
+     * @returns {Promise<Object|null>} Latest batch state, or null when the journal has no batch record
+     */
+    async load(batchId) {
+        const content = await fs.readFile(this.journalFile(batchId), 'utf8');
+
+        let batch = null;
+        let jobsById = new Map();
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                // A crash mid-write can leave the last line cut off
+                console.warn(`[BatchJournal] Skipping unreadable line in journal for ${batchId}`);
+                continue;
+            }
+
+            if (record.type === 'batch') {
+                const { type, ...state } = record;
+                batch = { ...state, status: 'queued' };
+                jobsById = new Map(batch.jobs.map(job => [job.id, job]));
+            } else if (batch && record.type === 'job' && jobsById.has(record.id)) {
+                const { type, ...update } = record;
+                Object.assign(jobsById.get(record.id), update);
+            } else if (batch && record.type === 'status') {
+                batch.status = record.status;
+            }
+        }
+        return batch;
+    }
+}
+
+module.exports = BatchJournal;
@@ -3,6 +3,8 @@
 
 const JobQueue = require('./jobQueue');
 const RateLimiter = require('./rateLimiter');
+const UsageLedger = require('./usageLedger');
+const BatchJournal = require('./batchJournal');
 
 class BatchManager {
     constructor(config = {}) {
@@ -14,13 +16,13 @@ class BatchManager {
             ...config
         };
         
-        // Initialize rate limiter
+        // Initialize rate limiter, the single gate on API calls across all batches and their workers
         // Convert per-minute rate to per-second for the rate limiter
         const tokensPerSecond = this.config.globalApiRateLimit / 60;
         this.rateLimiter = new RateLimiter({
             maxTokens: Math.max(10, Math.floor(this.config.globalApiRateLimit / 6)), // 10 second buffer
             refillRate: tokensPerSecond,
-            maxConcurrent: this.config.maxConcurrentBatches
+            maxConcurrent: this.getMaxConcurrentCalls()
         });
         
         // Active batches map: batchId -> JobQueue instance
@@ -29,6 +31,12 @@ class BatchManager {
         // Batch metadata map: batchId -> metadata
         this.batchMetadata = new Map();
         
+        // Called with the onBatchFinished hook; unlike per-batch callbacks they also hear about restored batches
+        this.batchFinishedListeners = [];
+        
+        // Queues are journaled to disk only when a journal directory is configured
+        this.journal = this.config.journalDir ? new BatchJournal(this.config.journalDir) : null;
+        
         console.log('[BatchManager] Initialized with config:', this.config);
     }
     
@@ -46,7 +54,8 @@ class BatchManager {
         }
         
         // Create new JobQueue instance with rate limiter
-        const jobQueue = new JobQueue(this.rateLimiter);
+        const jobQueue = new JobQueue(this.rateLimiter, this.journal);
+        jobQueue.config.concurrency = this.config.perBatchConcurrency;
         
         // Add batch to queue
         const batchInfo = jobQueue.addBatch(jobs, batchName, options.duplicateStatistics);
@@ -55,14 +64,27 @@ class BatchManager {
         this.activeBatches.set(batchInfo.batchId, jobQueue);
         
         // Store metadata
-        this.batchMetadata.set(batchInfo.batchId, {
+        const metadata = {
             name: batchName,
             createdAt: new Date(),
             albumKey: options.albumKey,
             albumHierarchy: options.albumHierarchy,
             totalJobs: jobs.length,
             status: 'queued'
-        });
+        };
+        this.batchMetadata.set(batchInfo.batchId, metadata);
+        
+        if (this.journal) {
+            this.journal.recordBatch(batchInfo.batchId, {
+                name: metadata.name,
+                createdAt: metadata.createdAt,
+                albumKey: metadata.albumKey,
+                albumHierarchy: metadata.albumHierarchy,
+                duplicateStatistics: jobQueue.duplicateStatistics,
+                startTime: jobQueue.startTime,
+                jobs: jobQueue.jobs
+            });
+        }
         
         console.log(`[BatchManager] Created batch ${batchInfo.batchId} with ${jobs.length} jobs`);
         
@@ -88,8 +110,12 @@ class BatchManager {
         const metadata = this.batchMetadata.get(batchId);
         if (metadata) {
             metadata.status = 'processing';
-            metadata.startedAt = new Date();
+            metadata.startedAt = metadata.startedAt || new Date();
+            metadata.interrupted = false;
+            // Kept so a resumed batch reports to the same callbacks
+            metadata.callbacks = { onProgress, onComplete, onError };
         }
+        this.journalStatus(batchId, 'processing');
         
         // Wrap callbacks to clean up on completion
         const wrappedOnComplete = (result) => {
@@ -98,6 +124,8 @@ class BatchManager {
                 metadata.status = 'completed';
                 metadata.completedAt = new Date();
             }
+            this.journalStatus(batchId, 'completed');
+            this.notifyBatchFinished(batchId, 'completed');
             
             // Call original callback
             if (onComplete) {
@@ -116,6 +144,8 @@ class BatchManager {
                 metadata.status = 'failed';
                 metadata.error = error.message;
             }
+            this.journalStatus(batchId, 'failed');
+            this.notifyBatchFinished(batchId, 'failed');
             
             // Call original callback
             if (onError) {
@@ -127,6 +157,29 @@ class BatchManager {
         await jobQueue.startProcessing(processors, onProgress, wrappedOnComplete, wrappedOnError);
     }
     
+    /**
+     * Call a listener whenever a batch stops processing, including batches restored after a restart
+     * @param {Function} listener Called with (batchId, status)
+     */
+    addBatchFinishedListener(listener) {
+        this.batchFinishedListeners.push(listener);
+    }
+    
+    /**
+     * Tell the configured onBatchFinished hook and the listeners that a batch stopped processing
+     * @param {string} batchId Batch ID
+     * @param {string} status 'completed' or 'failed'
+     */
+    notifyBatchFinished(batchId, status) {
+        const listeners = [this.config.onBatchFinished, ...this.batchFinishedListeners].filter(Boolean);
+        
+        for (const listener of listeners) {
+            Promise.resolve()
+                .then(() => listener(batchId, status))
+                .catch(error => console.error(`[BatchManager] Batch finished hook failed for ${batchId}:`, error.message));
+        }
+    }
+    
     /**
      * Get status of all active batches
      * @returns {Array} Array of batch statuses
@@ -147,7 +200,8 @@ class BatchManager {
                 createdAt: metadata?.createdAt,
                 startedAt: metadata?.startedAt,
                 completedAt: metadata?.completedAt,
-                status: metadata?.status || 'unknown'
+                status: metadata?.status || 'unknown',
+                interrupted: metadata?.interrupted || false
             });
         }
         
@@ -185,7 +239,8 @@ class BatchManager {
             createdAt: metadata?.createdAt,
             startedAt: metadata?.startedAt,
             completedAt: metadata?.completedAt,
-            status: metadata?.status || 'unknown'
+            status: metadata?.status || 'unknown',
+            interrupted: metadata?.interrupted || false
         };
     }
     
@@ -208,15 +263,19 @@ class BatchManager {
         if (metadata && result) {
             metadata.status = 'paused';
         }
+        if (result) {
+            this.journalStatus(batchId, 'paused');
+        }
         
         return result;
     }
     
     /**
-     * Resume a specific batch
+     * Resume a specific batch from its first unfinished job
+     * Processing continues in the background; this returns once it has started.
      * @param {string} batchId Batch ID to resume
      * @param {Object} processors Processing functions
-     * @returns {boolean} Success status
+     * @returns {boolean} Whether processing was resumed (false when already running or nothing is left)
      */
     async resumeBatch(batchId, processors) {
         const jobQueue = this.activeBatches.get(batchId);
@@ -225,15 +284,61 @@ class BatchManager {
             throw new Error(`Batch ${batchId} not found`);
         }
         
-        const result = await jobQueue.resume(processors);
+        if (jobQueue.processing || !jobQueue.jobs.some(job => job.status === 'queued')) {
+            return false;
+        }
         
-        // Update metadata
         const metadata = this.batchMetadata.get(batchId);
-        if (metadata && result) {
-            metadata.status = 'processing';
+        const callbacks = metadata?.callbacks || {};
+        
+        console.log(`[BatchManager] Resuming batch ${batchId}`);
+        this.startBatch(batchId, processors, callbacks.onProgress, callbacks.onComplete, callbacks.onError)
+            .catch(error => {
+                console.error(`[BatchManager] Failed to resume batch ${batchId}:`, error.message);
+            });
+        
+        return true;
+    }
+    
+    /**
+     * Rebuild batches from their journals after a restart
+     * Unfinished batches come back paused and marked interrupted so they can be resumed;
+     * journals of finished batches are deleted.
+     * @returns {Array} IDs of the restored batches
+     */
+    async restoreBatches() {
+        if (!this.journal) {
+            return [];
         }
         
-        return result;
+        const restored = [];
+        for (const batch of await this.journal.loadAll()) {
+            const unfinished = batch.jobs.some(job => job.status === 'queued' || job.status === 'processing');
+            if (batch.status === 'completed' || !unfinished) {
+                await this.journal.remove(batch.batchId);
+                continue;
+            }
+            
+            const jobQueue = JobQueue.restore(batch, this.rateLimiter, this.journal);
+            jobQueue.config.concurrency = this.config.perBatchConcurrency;
+            this.activeBatches.set(batch.batchId, jobQueue);
+            this.batchMetadata.set(batch.batchId, {
+                name: batch.name,
+                createdAt: new Date(batch.createdAt),
+                albumKey: batch.albumKey,
+                albumHierarchy: batch.albumHierarchy,
+                totalJobs: batch.jobs.length,
+                status: 'paused',
+                interrupted: true
+            });
+            this.journalStatus(batch.batchId, 'paused');
+            restored.push(batch.batchId);
+            
+            const status = jobQueue.getStatus();
+            console.log(`[BatchManager] Restored batch ${batch.batchId}: ${status.completedJobs + status.failedJobs}/${status.totalJobs} jobs done`);
+        }
+        
+        return restored;
     }
     
     /**
@@ -264,6 +369,9 @@ class BatchManager {
         }
         
         // Clear all batches
+        for (const batchId of this.activeBatches.keys()) {
+            this.journal?.remove(batchId);
+        }
         this.activeBatches.clear();
         this.batchMetadata.clear();
         
@@ -274,31 +382,51 @@ class BatchManager {
     /**
      * Retry failed jobs in a batch
      * @param {string} batchId Batch ID
+     * @param {Object} options {includePermanent: also retry jobs that failed permanently}
      * @returns {Object} Retry result
      */
-    retryFailedJobs(batchId) {
+    retryFailedJobs(batchId, options = {}) {
         const jobQueue = this.activeBatches.get(batchId);
         
         if (!jobQueue) {
             throw new Error(`Batch ${batchId} not found`);
         }
         
-        return jobQueue.retryFailedJobs();
+        return jobQueue.retryFailedJobs(options);
     }
     
     /**
      * Get detailed information about a batch
      * @param {string} batchId Batch ID
-     * @returns {Object} Batch details
+     * @param {Object} pricing Model ID -> {input, output} USD per million tokens, for the cost estimate
+     * @returns {Object} Batch details with job list and token usage totals
      */
-    getBatchDetails(batchId) {
+    getBatchDetails(batchId, pricing = {}) {
         const jobQueue = this.activeBatches.get(batchId);
         
         if (!jobQueue) {
             return null;
         }
         
-        return jobQueue.getQueueDetails();
+        const details = jobQueue.getQueueDetails();
+        
+        // Roll job usage up per model so each model is priced at its own rate
+        const { totals, byModel, unpricedModels } = UsageLedger.summarize(
+            details.jobs
+                .filter(job => job.usage)
+                .map(job => ({
+                    timestamp: new Date(job.endTime || Date.now()).toISOString(),
+                    feature: 'batch_analysis',
+                    model: job.model || 'unknown',
+                    ...job.usage
+                })),
+            pricing
+        );
+        
+        return {
+            ...details,
+            usage: { ...totals, byModel, unpricedModels }
+        };
     }
     
     /**
@@ -308,9 +436,31 @@ class BatchManager {
     removeBatch(batchId) {
         this.activeBatches.delete(batchId);
         this.batchMetadata.delete(batchId);
+        if (this.journal) {
+            this.journal.remove(batchId);
+        }
         console.log(`[BatchManager] Removed batch ${batchId}`);
     }
     
+    /**
+     * Record a batch status change in its journal, while the batch is still active
+     * @param {string} batchId Batch ID
+     * @param {string} status New status
+     */
+    journalStatus(batchId, status) {
+        if (this.journal && this.activeBatches.has(batchId)) {
+            this.journal.recordStatus(batchId, status);
+        }
+    }
+    
+    /**
+     * Concurrent API calls the rate limiter allows: every worker of every batch can have one in flight
+     * @returns {number} Maximum concurrent calls
+     */
+    getMaxConcurrentCalls() {
+        return this.config.maxConcurrentBatches * this.config.perBatchConcurrency;
+    }
+    
     /**
      * Get rate limiter status
      * @returns {Object} Rate limiter status
@@ -335,12 +485,19 @@ class BatchManager {
             });
         }
         
-        if (newConfig.maxConcurrentBatches) {
+        if (newConfig.maxConcurrentBatches || newConfig.perBatchConcurrency) {
             this.rateLimiter.updateConfig({
-                maxConcurrent: newConfig.maxConcurrentBatches
+                maxConcurrent: this.getMaxConcurrentCalls()
             });
         }
         
+        // Running queues pick up the new worker count the next time they start or resume
+        if (newConfig.perBatchConcurrency) {
+            for (const jobQueue of this.activeBatches.values()) {
+                jobQueue.config.concurrency = newConfig.perBatchConcurrency;
+            }
+        }
+        
         console.log('[BatchManager] Configuration updated:', this.config);
     }
     
@@ -363,6 +520,7 @@ class BatchManager {
         return {
             activeBatches: this.activeBatches.size,
             maxBatches: this.config.maxConcurrentBatches,
+            perBatchConcurrency: this.config.perBatchConcurrency,
             totalJobs,
             totalProcessed,
             totalFailed,
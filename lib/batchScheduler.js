@@ -0,0 +1,721 @@
+// PhotoVision Batch Scheduler
+// Periodically scans selected SmugMug albums and folders for images that are not in the image registry yet
+// and queues a batch for them. Schedules are cron-like (minute hour day-of-month month day-of-week, in the
+// server's local time); runs are skipped during quiet hours and each run queues at most maxImagesPerRun images.
+// Images left over by the cap are found again by the next run. Images whose analysis failed permanently, or
+// maxImageFailures times, are held back so they do not crowd out new ones until they are retried by hand.
+
+const JobQueue = require('./jobQueue');
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES },
+    // 7 is accepted as Sunday, as in cron
+    { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES }
+];
+
+const SCHEDULE_ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+// How far ahead getNextRun looks before giving up on a schedule that never fires (e.g. "0 0 30 2 *")
+const MAX_LOOKAHEAD_DAYS = 366;
+const MAX_RECENT_RUNS = 20;
+const ALBUM_PAGE_SIZE = 100;
+
+class BatchScheduler {
+    /**
+     * @param {Object} options
+     * @param {DataManager} options.dataManager Source of the scheduler config, SmugMug tokens and the image registry
+     * @param {SmugMugClient} options.smugmugClient Client used to list albums and their images
+     * @param {BatchManager} options.batchManager Manager the scheduled batches are queued on
+     * @param {Object} options.processors Job processors by job type, as passed to BatchManager.startBatch
+     * @param {number} options.checkIntervalMs How often schedules are checked (under a minute so no minute is missed)
+     */
+    constructor({ dataManager, smugmugClient, batchManager, processors, checkIntervalMs = 30000 }) {
+        this.dataManager = dataManager;
+        this.smugmugClient = smugmugClient;
+        this.batchManager = batchManager;
+        this.processors = processors;
+        this.checkIntervalMs = checkIntervalMs;
+
+        this.timer = null;
+        this.activeRun = null;
+        this.recentRuns = [];
+        // scheduleId -> minute it last fired, so a schedule fires once per matching minute
+        this.lastTriggered = new Map();
+
+        // Through the batch manager rather than the batch's own callbacks, so batches resumed after a restart count too
+        this.batchManager.addBatchFinishedListener(batchId => this.recordBatchResults(batchId));
+    }
+
+    /**
+     * Start checking schedules in the background
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.tick().catch(error => {
+                console.error('[BatchScheduler] Schedule check failed:', error.message);
+            });
+        }, this.checkIntervalMs);
+        // Never keep the process alive just for the scheduler
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+        console.log(`[BatchScheduler] Started (checking every ${this.checkIntervalMs / 1000}s)`);
+    }
+
+    /**
+     * Stop checking schedules; a run in progress finishes
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Run every enabled schedule that is due at the given time
+     * @param {Date} now Time to check schedules against
+     * @returns {Promise<Array>} Runs started or skipped by this check
+     */
+    async tick(now = new Date()) {
+        const config = await this.dataManager.getBatchSchedulerConfig();
+        if (!config.enabled) {
+            return [];
+        }
+
+        const minuteKey = BatchScheduler.getMinuteKey(now);
+        const runs = [];
+        for (const schedule of config.schedules) {
+            if (schedule.enabled === false || this.lastTriggered.get(schedule.id) === minuteKey) {
+                continue;
+            }
+            if (!this.isDue(schedule, now)) {
+                continue;
+            }
+            this.lastTriggered.set(schedule.id, minuteKey);
+
+            if (BatchScheduler.isQuietTime(config.quietHours, now)) {
+                runs.push(this.recordSkippedRun(schedule, 'schedule', 'quiet_hours'));
+                continue;
+            }
+            runs.push(await this.executeRun(schedule, config, 'schedule'));
+        }
+        return runs;
+    }
+
+    /**
+     * Whether a schedule fires at a time; an invalid expression (e.g. from a hand-edited config.json)
+     * is logged and never fires, so it cannot stop the schedules after it
+     * @param {Object} schedule Schedule with a cron expression
+     * @param {Date} now Time to check
+     * @returns {boolean} True when the schedule is due
+     */
+    isDue(schedule, now) {
+        try {
+            return BatchScheduler.matches(schedule.cron, now);
+        } catch (error) {
+            console.error(`[BatchScheduler] Schedule "${schedule.name}" has an invalid schedule:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Run a schedule right away, regardless of its timing and quiet hours
+     * @param {string} scheduleId ID of the schedule to run
+     * @returns {Promise<Object>} The finished run
+     */
+    async runNow(scheduleId) {
+        const config = await this.dataManager.getBatchSchedulerConfig();
+        const schedule = config.schedules.find(item => item.id === scheduleId);
+        if (!schedule) {
+            throw new Error(`Schedule ${scheduleId} not found`);
+        }
+        return this.executeRun(schedule, config, 'manual');
+    }
+
+    /**
+     * Scan a schedule's albums and queue one batch with their new images
+     * @param {Object} schedule Schedule to run
+     * @param {Object} config Scheduler configuration (for the default image cap)
+     * @param {string} trigger 'schedule' or 'manual'
+     * @returns {Promise<Object>} The finished run
+     */
+    async executeRun(schedule, config, trigger) {
+        // One run at a time, so two runs never queue the same new images
+        if (this.activeRun) {
+            return this.recordSkippedRun(schedule, trigger, 'run_in_progress');
+        }
+
+        // A run is queued as one batch, so it can never hold more than a batch can (config.json may be edited by hand)
+        const maxImages = Math.min(schedule.maxImagesPerRun || config.maxImagesPerRun, JobQueue.MAX_BATCH_SIZE);
+        const run = {
+            id: `run_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`,
+            scheduleId: schedule.id,
+            scheduleName: schedule.name,
+            trigger,
+            status: 'running',
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            albumsMatched: 0,
+            albumsScanned: 0,
+            newImages: 0,
+            heldImages: 0,
+            queuedImages: 0,
+            maxImages,
+            capped: false,
+            batchId: null,
+            albumErrors: [],
+            error: null
+        };
+        this.activeRun = run;
+        console.log(`[BatchScheduler] Running schedule "${schedule.name}" (${trigger})`);
+
+        try {
+            const smugmugConfig = (await this.dataManager.getConfig()).smugmug || {};
+            if (!smugmugConfig.connected || !smugmugConfig.accessToken) {
+                throw new Error('SmugMug not connected');
+            }
+
+            const albums = await this.findTargetAlbums(schedule, smugmugConfig);
+            run.albumsMatched = albums.length;
+
+            const pendingKeys = this.getPendingImageKeys();
+            const heldKeys = BatchScheduler.getHeldImageKeys(await this.dataManager.getScheduledImageFailures(), config.maxImageFailures);
+            const jobs = [];
+            const queuedAlbums = [];
+            for (const album of albums) {
+                if (jobs.length >= maxImages) {
+                    run.capped = true;
+                    break;
+                }
+
+                const imagesResult = await this.smugmugClient.getAllAlbumImages(
+                    smugmugConfig.accessToken,
+                    smugmugConfig.accessTokenSecret,
+                    `/api/v2/album/${album.AlbumKey}`
+                );
+                if (!imagesResult.success) {
+                    // One unreadable album should not hold back the others
+                    run.albumErrors.push({ albumKey: album.AlbumKey, error: imagesResult.error });
+                    continue;
+                }
+                run.albumsScanned++;
+
+                const unprocessedImages = await this.findNewImages(album, imagesResult.images, pendingKeys);
+                const newImages = unprocessedImages.filter(image => !heldKeys.has(image.ImageKey));
+                run.newImages += newImages.length;
+                run.heldImages += unprocessedImages.length - newImages.length;
+
+                const selected = newImages.slice(0, maxImages - jobs.length);
+                if (selected.length < newImages.length) {
+                    run.capped = true;
+                }
+                if (selected.length > 0) {
+                    jobs.push(...this.buildJobs(album, selected));
+                    queuedAlbums.push({ album, count: selected.length });
+                }
+            }
+
+            if (jobs.length > 0) {
+                run.batchId = this.queueBatch(schedule, run, jobs, queuedAlbums);
+                run.queuedImages = jobs.length;
+            }
+            run.status = 'completed';
+            console.log(`[BatchScheduler] Schedule "${schedule.name}" queued ${run.queuedImages} of ${run.newImages} new images from ${run.albumsScanned} albums${run.capped ? ' (capped)' : ''}${run.heldImages > 0 ? `, ${run.heldImages} held back after failing` : ''}`);
+        } catch (error) {
+            run.status = 'failed';
+            run.error = error.message;
+            console.error(`[BatchScheduler] Schedule "${schedule.name}" failed:`, error.message);
+        } finally {
+            run.finishedAt = new Date().toISOString();
+            this.activeRun = null;
+            this.recordRun(run);
+        }
+        return run;
+    }
+
+    /**
+     * List the user's albums and keep those the schedule selects
+     * @param {Object} schedule Schedule with albums (album keys) and folders (folder paths)
+     * @param {Object} smugmugConfig Stored SmugMug connection with tokens and user
+     * @returns {Promise<Array>} Matching albums with their path hierarchy
+     */
+    async findTargetAlbums(schedule, smugmugConfig) {
+        if (!smugmugConfig.user || !smugmugConfig.user.Uri) {
+            throw new Error('SmugMug user information not available');
+        }
+
+        const albums = [];
+        let start = 1;
+        let hasMore = true;
+        while (hasMore) {
+            const result = await this.smugmugClient.getUserAlbums(
+                smugmugConfig.accessToken,
+                smugmugConfig.accessTokenSecret,
+                smugmugConfig.user.Uri,
+                { start, count: ALBUM_PAGE_SIZE }
+            );
+            if (!result.success) {
+                throw new Error(`Failed to get albums: ${result.error}`);
+            }
+            albums.push(...result.albums.filter(album => BatchScheduler.matchesTarget(album, schedule)));
+            hasMore = result.pagination.hasMore;
+            start += ALBUM_PAGE_SIZE;
+        }
+        return albums;
+    }
+
+    /**
+     * Images of an album that are neither in the image registry nor waiting in an active batch
+     * @param {Object} album SmugMug album
+     * @param {Array} images The album's SmugMug images
+     * @param {Set} pendingKeys Image keys already queued or in progress
+     * @returns {Promise<Array>} Images to analyze
+     */
+    async findNewImages(album, images, pendingKeys) {
+        const processingStatus = await this.dataManager.getAlbumProcessingStatus(album.AlbumKey, images);
+        const processedKeys = new Set(processingStatus.processedImageKeys);
+        return images.filter(image =>
+            !processedKeys.has(image.ImageKey) &&
+            !pendingKeys.has(image.ImageKey) &&
+            (image.ArchivedUri || (image.Uris && image.Uris.LargestImage))
+        );
+    }
+
+    /**
+     * Image keys of jobs still queued or processing in any active batch
+     * @returns {Set} Image keys
+     */
+    getPendingImageKeys() {
+        const keys = new Set();
+        for (const jobQueue of this.batchManager.activeBatches.values()) {
+            for (const job of jobQueue.jobs) {
+                if ((job.status === 'queued' || job.status === 'processing') && job.data && job.data.imageKey) {
+                    keys.add(job.data.imageKey);
+                }
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Album image analysis jobs, shaped like the ones a batch started from the UI creates
+     * @param {Object} album SmugMug album with path hierarchy
+     * @param {Array} images Images to analyze
+     * @returns {Array} Jobs
+     */
+    buildJobs(album, images) {
+        return images.map((image, index) => ({
+            id: `img_${album.AlbumKey}_${image.ImageKey}`,
+            type: 'image_analysis',
+            data: {
+                imageUrl: image.ArchivedUri,
+                imageKey: image.ImageKey,
+                filename: image.FileName || `image_${index + 1}`,
+                title: image.Title || '',
+                caption: image.Caption || ''
+            },
+            albumKey: album.AlbumKey,
+            albumName: album.Name,
+            albumPath: album.FullDisplayPath,
+            albumHierarchy: album.PathHierarchy,
+            imageName: image.FileName || `image_${index + 1}`,
+            // Only new images are queued, so an image saved meanwhile by another batch is left alone
+            duplicateHandling: 'skip',
+            forceReprocessing: false
+        }));
+    }
+
+    /**
+     * Create and start the batch for a run
+     * @param {Object} schedule Schedule being run
+     * @param {Object} run Run record
+     * @param {Array} jobs Jobs to queue
+     * @param {Array} queuedAlbums {album, count} for each album with queued images
+     * @returns {string} Batch ID
+     */
+    queueBatch(schedule, run, jobs, queuedAlbums) {
+        // A batch of a single album is shown like one started by hand
+        const singleAlbum = queuedAlbums.length === 1 ? queuedAlbums[0].album : null;
+        const batchInfo = this.batchManager.createBatch(jobs, `Scheduled: ${schedule.name}`, {
+            albumKey: singleAlbum ? singleAlbum.AlbumKey : null,
+            albumHierarchy: singleAlbum ? singleAlbum.PathHierarchy : null,
+            duplicateStatistics: {
+                newImages: jobs.length,
+                duplicateHandling: 'skip',
+                forceReprocessing: false,
+                albumName: singleAlbum ? singleAlbum.Name : `${queuedAlbums.length} albums`,
+                albumPath: singleAlbum ? singleAlbum.FullDisplayPath : null,
+                scheduled: {
+                    scheduleId: schedule.id,
+                    runId: run.id,
+                    albums: queuedAlbums.map(({ album, count }) => ({ albumKey: album.AlbumKey, albumPath: album.FullDisplayPath, images: count }))
+                }
+            }
+        });
+
+        this.batchManager.startBatch(batchInfo.batchId, this.processors, null,
+            (result) => console.log(`[BatchScheduler] Scheduled batch ${batchInfo.batchId} completed: ${result.processed} processed, ${result.failed} failed`),
+            (error) => console.error(`[BatchScheduler] Scheduled batch ${batchInfo.batchId} failed:`, error.message)
+        ).catch(error => {
+            console.error(`[BatchScheduler] Scheduled batch ${batchInfo.batchId} failed:`, error.message);
+        });
+        return batchInfo.batchId;
+    }
+
+    /**
+     * Count the failed images of a finished scheduled batch, so the next runs can hold back the ones that keep failing
+     * @param {string} batchId Batch ID (batches not queued by a schedule are ignored)
+     * @returns {Promise<void>}
+     */
+    async recordBatchResults(batchId) {
+        const jobQueue = this.batchManager.activeBatches.get(batchId);
+        // The schedule marker is journaled with the batch, so it survives a restart
+        if (!jobQueue || !(jobQueue.duplicateStatistics && jobQueue.duplicateStatistics.scheduled)) {
+            return;
+        }
+        try {
+            await this.dataManager.recordScheduledImageResults(jobQueue.jobs);
+        } catch (error) {
+            console.error(`[BatchScheduler] Failed to record results of batch ${batchId}:`, error.message);
+        }
+    }
+
+    /**
+     * Record a run that did not scan anything
+     * @param {Object} schedule Schedule that was due
+     * @param {string} trigger 'schedule' or 'manual'
+     * @param {string} reason 'quiet_hours' or 'run_in_progress'
+     * @returns {Object} The run
+     */
+    recordSkippedRun(schedule, trigger, reason) {
+        const now = new Date().toISOString();
+        const run = {
+            id: `run_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`,
+            scheduleId: schedule.id,
+            scheduleName: schedule.name,
+            trigger,
+            status: 'skipped',
+            reason,
+            startedAt: now,
+            finishedAt: now
+        };
+        console.log(`[BatchScheduler] Skipped schedule "${schedule.name}" (${reason})`);
+        this.recordRun(run);
+        return run;
+    }
+
+    recordRun(run) {
+        this.recentRuns.unshift(run);
+        this.recentRuns.length = Math.min(this.recentRuns.length, MAX_RECENT_RUNS);
+    }
+
+    /**
+     * Scheduler state for the API: configuration, next run of each schedule and recent runs
+     * @param {Date} now Time to compute next runs from
+     * @returns {Promise<Object>} Status
+     */
+    async getStatus(now = new Date()) {
+        const config = await this.dataManager.getBatchSchedulerConfig();
+        const failures = await this.dataManager.getScheduledImageFailures();
+        const heldKeys = BatchScheduler.getHeldImageKeys(failures, config.maxImageFailures);
+        return {
+            enabled: config.enabled,
+            running: !!this.timer,
+            inQuietHours: BatchScheduler.isQuietTime(config.quietHours, now),
+            quietHours: config.quietHours,
+            maxImagesPerRun: config.maxImagesPerRun,
+            maxImageFailures: config.maxImageFailures,
+            activeRun: this.activeRun,
+            schedules: config.schedules.map(schedule => {
+                let nextRun = null;
+                let error = null;
+                try {
+                    nextRun = config.enabled && schedule.enabled !== false ?
+                        BatchScheduler.getNextRun(schedule.cron, now, config.quietHours) : null;
+                } catch (scheduleError) {
+                    error = scheduleError.message;
+                }
+                const lastRun = this.recentRuns.find(run => run.scheduleId === schedule.id) || null;
+                return { ...schedule, nextRun: nextRun ? nextRun.toISOString() : null, lastRun, error };
+            }),
+            recentRuns: this.recentRuns,
+            // Images no run queues until they are retried (POST /api/batch/scheduler/retry)
+            heldImages: [...heldKeys].map(imageKey => failures[imageKey])
+        };
+    }
+
+    /**
+     * Image keys the scheduler stops queuing: those that failed permanently or maxFailures times
+     * @param {Object} failures Failure records by image key, from DataManager.getScheduledImageFailures
+     * @param {number} maxFailures Failures after which an image is held back
+     * @returns {Set} Image keys
+     */
+    static getHeldImageKeys(failures, maxFailures) {
+        return new Set(Object.keys(failures || {}).filter(imageKey =>
+            failures[imageKey].permanent || failures[imageKey].failures >= maxFailures
+        ));
+    }
+
+    /**
+     * Whether an album is one of a schedule's albums or sits in one of its folders
+     * @param {Object} album SmugMug album with AlbumKey and PathHierarchy
+     * @param {Object} schedule Schedule with albums and folders
+     * @returns {boolean} True when the schedule selects the album
+     */
+    static matchesTarget(album, schedule) {
+        if ((schedule.albums || []).includes(album.AlbumKey)) {
+            return true;
+        }
+        // The last hierarchy level is the album itself; everything above it is its folders
+        const albumFolders = (album.PathHierarchy || []).slice(0, -1).map(BatchScheduler.normalizeSegment);
+        return (schedule.folders || []).some(folder => {
+            const segments = BatchScheduler.getFolderSegments(folder);
+            return segments.length > 0 && segments.every((segment, index) => albumFolders[index] === segment);
+        });
+    }
+
+    /**
+     * Split a folder path like "/Travel/2024" or "Travel > 2024" into comparable segments
+     * @param {string} folder Folder path
+     * @returns {Array} Normalized segments
+     */
+    static getFolderSegments(folder) {
+        return String(folder || '').split(/[\/>]/).map(BatchScheduler.normalizeSegment).filter(Boolean);
+    }
+
+    static normalizeSegment(segment) {
+        return String(segment).replace(/[-_]/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    /**
+     * Parse a cron-like schedule: five fields (minute hour day-of-month month day-of-week) with *, lists,
+     * ranges, steps and month/day names, or one of @hourly, @daily, @weekly, @monthly
+     * @param {string} expression Schedule expression
+     * @returns {Object} Allowed values per field
+     * @throws {Error} When the expression is invalid
+     */
+    static parseSchedule(expression) {
+        const text = String(expression || '').trim().toLowerCase();
+        const fields = (SCHEDULE_ALIASES[text] || text).split(/\s+/);
+        if (fields.length !== CRON_FIELDS.length) {
+            throw new Error(`Schedule "${expression}" must have ${CRON_FIELDS.length} fields (minute hour day-of-month month day-of-week)`);
+        }
+
+        const parsed = {};
+        CRON_FIELDS.forEach((field, index) => {
+            parsed[field.name] = BatchScheduler.parseField(fields[index], field, expression);
+        });
+        // Sunday is both 0 and 7
+        if (parsed.dayOfWeek.has(7)) {
+            parsed.dayOfWeek.add(0);
+        }
+        // As in cron, when both day fields are restricted a day matching either one fires
+        parsed.dayOfMonthRestricted = fields[2] !== '*';
+        parsed.dayOfWeekRestricted = fields[4] !== '*';
+        return parsed;
+    }
+
+    static parseField(text, field, expression) {
+        const values = new Set();
+        const invalid = () => new Error(`Invalid ${field.name} "${text}" in schedule "${expression}"`);
+        const toNumber = (value) => {
+            const nameIndex = field.names ? field.names.indexOf(value) : -1;
+            const number = nameIndex >= 0 ? nameIndex + field.min : Number(value);
+            if (!Number.isInteger(number) || number < field.min || number > field.max || value === '') {
+                throw invalid();
+            }
+            return number;
+        };
+
+        for (const part of text.split(',')) {
+            const [range, stepText] = part.split('/');
+            const step = stepText === undefined ? 1 : Number(stepText);
+            if (!Number.isInteger(step) || step < 1) {
+                throw invalid();
+            }
+
+            let low;
+            let high;
+            if (range === '*') {
+                low = field.min;
+                high = field.max;
+            } else if (range.includes('-')) {
+                [low, high] = range.split('-').map(toNumber);
+                if (low > high) {
+                    throw invalid();
+                }
+            } else {
+                low = toNumber(range);
+                // "5/15" means every 15 starting at 5
+                high = stepText === undefined ? low : field.max;
+            }
+
+            for (let value = low; value <= high; value += step) {
+                values.add(value);
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Whether a schedule fires in the minute of the given time
+     * @param {string|Object} schedule Schedule expression or a parsed schedule
+     * @param {Date} date Time to check
+     * @returns {boolean} True when the schedule fires
+     */
+    static matches(schedule, date) {
+        const parsed = typeof schedule === 'string' ? BatchScheduler.parseSchedule(schedule) : schedule;
+        return BatchScheduler.matchesDay(parsed, date) &&
+            parsed.hour.has(date.getHours()) &&
+            parsed.minute.has(date.getMinutes());
+    }
+
+    static matchesDay(parsed, date) {
+        if (!parsed.month.has(date.getMonth() + 1)) {
+            return false;
+        }
+        const dayOfMonth = parsed.dayOfMonth.has(date.getDate());
+        const dayOfWeek = parsed.dayOfWeek.has(date.getDay());
+        if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+            return dayOfMonth || dayOfWeek;
+        }
+        return dayOfMonth && dayOfWeek;
+    }
+
+    /**
+     * Next time a schedule fires outside quiet hours
+     * @param {string} expression Schedule expression
+     * @param {Date} from Time to search from (exclusive)
+     * @param {Object|null} quietHours {start, end} as "HH:MM"
+     * @returns {Date|null} Next run, or null when none falls within a year
+     */
+    static getNextRun(expression, from = new Date(), quietHours = null) {
+        const parsed = BatchScheduler.parseSchedule(expression);
+        const date = new Date(from.getTime());
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+        const limit = from.getTime() + MAX_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+
+        while (date.getTime() <= limit) {
+            if (!BatchScheduler.matchesDay(parsed, date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!parsed.hour.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+            } else if (!parsed.minute.has(date.getMinutes()) || BatchScheduler.isQuietTime(quietHours, date)) {
+                date.setMinutes(date.getMinutes() + 1);
+            } else {
+                return date;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Whether a time falls in quiet hours; a window like 22:00-06:00 spans midnight
+     * @param {Object|null} quietHours {start, end} as "HH:MM"
+     * @param {Date} date Time to check
+     * @returns {boolean} True during quiet hours
+     */
+    static isQuietTime(quietHours, date) {
+        const start = quietHours ? BatchScheduler.parseTime(quietHours.start) : null;
+        const end = quietHours ? BatchScheduler.parseTime(quietHours.end) : null;
+        if (start === null || end === null || start === end) {
+            return false;
+        }
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+    }
+
+    /**
+     * Minutes after midnight for an "HH:MM" time
+     * @param {string} value Time of day
+     * @returns {number|null} Minutes, or null when the value is not a valid time
+     */
+    static parseTime(value) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+            return null;
+        }
+        return Number(match[1]) * 60 + Number(match[2]);
+    }
+
+    static getMinuteKey(date) {
+        return Math.floor(date.getTime() / 60000);
+    }
+
+    /**
+     * Check a scheduler configuration before it is saved
+     * @param {Object} config {enabled, maxImagesPerRun, quietHours, schedules}
+     * @returns {Array} Error messages, empty when the configuration is valid
+     */
+    static validateConfig(config) {
+        const errors = [];
+        const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+        const isImageCap = (value) => isPositiveInteger(value) && value <= JobQueue.MAX_BATCH_SIZE;
+
+        if (config.maxImagesPerRun !== undefined && !isImageCap(config.maxImagesPerRun)) {
+            errors.push(`maxImagesPerRun must be a positive integer up to ${JobQueue.MAX_BATCH_SIZE} (the most jobs a batch can hold)`);
+        }
+        if (config.maxImageFailures !== undefined && !isPositiveInteger(config.maxImageFailures)) {
+            errors.push('maxImageFailures must be a positive integer');
+        }
+        if (config.quietHours) {
+            if (BatchScheduler.parseTime(config.quietHours.start) === null || BatchScheduler.parseTime(config.quietHours.end) === null) {
+                errors.push('quietHours start and end must be times like "22:00"');
+            }
+        }
+        if (config.schedules !== undefined && !Array.isArray(config.schedules)) {
+            errors.push('schedules must be an array');
+            return errors;
+        }
+
+        const ids = new Set();
+        (config.schedules || []).forEach((schedule, index) => {
+            const label = `Schedule ${schedule && schedule.name ? `"${schedule.name}"` : index + 1}`;
+            if (!schedule || typeof schedule !== 'object') {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+            if (schedule.id) {
+                if (ids.has(schedule.id)) {
+                    errors.push(`${label} reuses the ID ${schedule.id}`);
+                }
+                ids.add(schedule.id);
+            }
+            try {
+                BatchScheduler.parseSchedule(schedule.cron);
+            } catch (error) {
+                errors.push(`${label}: ${error.message}`);
+            }
+            const albums = schedule.albums || [];
+            const folders = schedule.folders || [];
+            if (!Array.isArray(albums) || !Array.isArray(folders)) {
+                errors.push(`${label}: albums and folders must be arrays`);
+            } else if (albums.length === 0 && folders.length === 0) {
+                errors.push(`${label} must select at least one album or folder`);
+            }
+            if (schedule.maxImagesPerRun !== undefined && schedule.maxImagesPerRun !== null && !isImageCap(schedule.maxImagesPerRun)) {
+                errors.push(`${label}: maxImagesPerRun must be a positive integer up to ${JobQueue.MAX_BATCH_SIZE}`);
+            }
+        });
+        return errors;
+    }
+}
+
+module.exports = BatchScheduler;
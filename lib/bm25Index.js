@@ -0,0 +1,476 @@
+// PhotoVision BM25 Search Index
+// Persistent inverted index with field-weighted BM25 (BM25F) scoring over image records
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Indexes are shared per file so every DataManager instance in a process sees the same postings
+const sharedIndexes = new Map();
+
+// The change log is folded into the snapshot once it holds this many entries (or one per document)
+const MIN_COMPACT_ENTRIES = 1000;
+
+class BM25Index {
+    constructor(indexFile) {
+        this.indexFile = indexFile;
+        // Single-image updates are appended here instead of rewriting the whole snapshot
+        this.changeLogFile = indexFile ? indexFile.replace(/\.json$/, '') + '.changes.jsonl' : null;
+
+        // BM25F parameters and per-field weights (keywords are the most curated signal)
+        this.config = {
+            k1: 1.2,
+            b: 0.75,
+            fieldWeights: {
+                keywords: 3.0,
+                title: 2.5,
+                caption: 2.0,
+                album: 1.5,
+                place: 1.5,
+                description: 1.0
+            }
+        };
+
+        this.reset();
+        this.loaded = false;
+        this.fileTimestamp = null;
+        this.logEntries = 0;
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * Get the shared index instance for a file
+     * @param {string} indexFile - Path to the persisted index
+     * @returns {BM25Index} Shared index
+     */
+    static forFile(indexFile) {
+        if (!sharedIndexes.has(indexFile)) {
+            sharedIndexes.set(indexFile, new BM25Index(indexFile));
+        }
+        return sharedIndexes.get(indexFile);
+    }
+
+    /**
+     * Clear all postings and statistics
+     */
+    reset() {
+        this.docs = {};          // docId -> { albumKey, lengths: {field: n}, terms: {term: {field: tf}} }
+        this.postings = {};      // term -> { docId: {field: tf} }
+        this.fieldLengthTotals = {};
+        this.docCount = 0;
+        this.pendingChanges = new Map();  // docId -> doc, or null once removed, until the next flush
+
+        for (const field of Object.keys(this.config.fieldWeights)) {
+            this.fieldLengthTotals[field] = 0;
+        }
+    }
+
+    /**
+     * Load the index from disk, reloading if another process has rewritten it
+     * @returns {Promise<boolean>} True if an index file exists
+     */
+    async load() {
+        try {
+            const snapshotStamp = await this.getFileStamp(this.indexFile);
+            const logStamp = await this.getFileStamp(this.changeLogFile);
+
+            if (!snapshotStamp && !logStamp) {
+                this.loaded = true;
+                return false;
+            }
+
+            const timestamp = `${snapshotStamp}|${logStamp}`;
+            if (this.loaded && this.fileTimestamp === timestamp) {
+                return true;
+            }
+
+            const data = snapshotStamp ? JSON.parse(await fs.readFile(this.indexFile, 'utf8')) : {};
+            this.reset();
+            this.docs = data.docs || {};
+            this.logEntries = logStamp ? this.replayChangeLog(await fs.readFile(this.changeLogFile, 'utf8')) : 0;
+            this.docCount = Object.keys(this.docs).length;
+
+            // Postings and length totals are derived from the per-document entries
+            for (const [docId, doc] of Object.entries(this.docs)) {
+                this.addPostings(docId, doc);
+            }
+
+            this.loaded = true;
+            this.fileTimestamp = timestamp;
+
+            if (this.logEntries > 0) {
+                await this.save();
+            }
+            return true;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[BM25Index] Failed to load index:', error.message);
+            }
+            this.loaded = true;
+            return false;
+        }
+    }
+
+    /**
+     * Apply change log entries on top of the loaded snapshot
+     * @param {string} content - Change log contents (one JSON entry per line)
+     * @returns {number} Number of entries applied
+     */
+    replayChangeLog(content) {
+        let applied = 0;
+
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // A line cut short by a crash mid-append; anything it held is fixed by the next rebuild
+                console.error('[BM25Index] Skipping unreadable change log entry');
+                continue;
+            }
+
+            if (entry.doc) {
+                this.docs[entry.id] = entry.doc;
+            } else {
+                delete this.docs[entry.id];
+            }
+            applied++;
+        }
+
+        return applied;
+    }
+
+    /**
+     * Write a full snapshot of the index and clear the change log
+     */
+    async save() {
+        return this.enqueueWrite(() => this.writeSnapshot());
+    }
+
+    /**
+     * Append changes made since the last write to the change log, compacting it once it grows large
+     */
+    async flush() {
+        return this.enqueueWrite(async () => {
+            if (this.pendingChanges.size === 0) return;
+
+            if (this.logEntries + this.pendingChanges.size > Math.max(MIN_COMPACT_ENTRIES, this.docCount)) {
+                await this.writeSnapshot();
+                return;
+            }
+
+            const lines = [...this.pendingChanges].map(([id, doc]) => JSON.stringify({ id, doc }) + '\n').join('');
+            this.logEntries += this.pendingChanges.size;
+            this.pendingChanges.clear();
+
+            await fs.mkdir(path.dirname(this.changeLogFile), { recursive: true });
+            await fs.appendFile(this.changeLogFile, lines, 'utf8');
+            this.fileTimestamp = await this.getTimestamp();
+        });
+    }
+
+    /**
+     * Write a snapshot if anything has been logged or changed since the last one
+     */
+    async compact() {
+        return this.enqueueWrite(async () => {
+            if (this.logEntries > 0 || this.pendingChanges.size > 0) {
+                await this.writeSnapshot();
+            }
+        });
+    }
+
+    /**
+     * Run a write after any earlier ones so appends and snapshots never interleave
+     * @param {Function} write - Async write
+     * @returns {Promise} Result of the write
+     */
+    enqueueWrite(write) {
+        const run = this.writeChain.then(write);
+        this.writeChain = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Rewrite the snapshot with every document and truncate the change log
+     */
+    async writeSnapshot() {
+        const content = JSON.stringify({
+            version: 1,
+            updatedAt: new Date().toISOString(),
+            docs: this.docs
+        });
+        this.pendingChanges.clear();
+
+        await fs.mkdir(path.dirname(this.indexFile), { recursive: true });
+        await fs.writeFile(this.indexFile, content, 'utf8');
+        await fs.rm(this.changeLogFile, { force: true });
+
+        this.logEntries = 0;
+        this.fileTimestamp = await this.getTimestamp();
+    }
+
+    /**
+     * Combined modification stamp of the snapshot and change log
+     * @returns {Promise<string>} Stamp compared by load()
+     */
+    async getTimestamp() {
+        return `${await this.getFileStamp(this.indexFile)}|${await this.getFileStamp(this.changeLogFile)}`;
+    }
+
+    /**
+     * Modification stamp of one file
+     * @param {string} file - File path
+     * @returns {Promise<string|null>} mtime and size, or null if the file is missing
+     */
+    async getFileStamp(file) {
+        try {
+            const stats = await fs.stat(file);
+            return `${stats.mtime.getTime()}:${stats.size}`;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Split text into normalized index terms
+     * @param {string} text - Text to tokenize
+     * @returns {Array<string>} Terms
+     */
+    tokenize(text) {
+        if (!text) return [];
+
+        const stopWords = BM25Index.STOP_WORDS;
+        return String(text).toLowerCase()
+            .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+            .split(/\s+/)
+            .filter(word => word.length > 1 && !stopWords.has(word))
+            .map(word => this.stem(word));
+    }
+
+    /**
+     * Light plural stemming so "archers" matches "archer"
+     * @param {string} word - Lowercase word
+     * @returns {string} Stemmed word
+     */
+    stem(word) {
+        if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+        if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+        return word;
+    }
+
+    /**
+     * Extract the indexed fields from an image record
+     * @param {Object} image - Image record
+     * @returns {Object} field -> text
+     */
+    extractFields(image) {
+        return {
+            keywords: (image.keywords || []).join(' '),
+            title: image.title || '',
+            caption: image.caption || '',
+            album: [
+                image.albumName,
+                image.albumPath,
+                ...(image.albumHierarchy || [])
+            ].filter(Boolean).join(' '),
+            // Reverse-geocoded from GPS, so photos are findable by town even when nothing else names it
+            place: image.place ? [image.place.name, image.place.region, image.place.country].filter(Boolean).join(' ') : '',
+            description: image.description || ''
+        };
+    }
+
+    /**
+     * Add or replace an image in the index
+     * @param {Object} image - Image record with an id
+     */
+    addDocument(image) {
+        if (!image || !image.id) return;
+
+        this.removeDocument(image.id);
+
+        const doc = { albumKey: image.albumKey || null, lengths: {}, terms: {} };
+        const fields = this.extractFields(image);
+
+        for (const [field, text] of Object.entries(fields)) {
+            const tokens = this.tokenize(text);
+            doc.lengths[field] = tokens.length;
+
+            for (const token of tokens) {
+                if (!doc.terms[token]) doc.terms[token] = {};
+                doc.terms[token][field] = (doc.terms[token][field] || 0) + 1;
+            }
+        }
+
+        this.docs[image.id] = doc;
+        this.docCount++;
+        this.addPostings(image.id, doc);
+        this.pendingChanges.set(image.id, doc);
+    }
+
+    /**
+     * Remove an image from the index
+     * @param {string} docId - Image ID
+     * @returns {boolean} True if the image was indexed
+     */
+    removeDocument(docId) {
+        const doc = this.docs[docId];
+        if (!doc) return false;
+
+        for (const term of Object.keys(doc.terms)) {
+            if (this.postings[term]) {
+                delete this.postings[term][docId];
+                if (Object.keys(this.postings[term]).length === 0) {
+                    delete this.postings[term];
+                }
+            }
+        }
+
+        for (const [field, length] of Object.entries(doc.lengths)) {
+            this.fieldLengthTotals[field] = (this.fieldLengthTotals[field] || 0) - length;
+        }
+
+        delete this.docs[docId];
+        this.docCount--;
+        this.pendingChanges.set(docId, null);
+        return true;
+    }
+
+    /**
+     * Add a document's terms to the postings lists and length totals
+     */
+    addPostings(docId, doc) {
+        for (const [term, fieldCounts] of Object.entries(doc.terms)) {
+            if (!this.postings[term]) this.postings[term] = {};
+            this.postings[term][docId] = fieldCounts;
+        }
+
+        for (const [field, length] of Object.entries(doc.lengths)) {
+            this.fieldLengthTotals[field] = (this.fieldLengthTotals[field] || 0) + length;
+        }
+    }
+
+    /**
+     * Rebuild the whole index from a set of images
+     * @param {Array} images - All image records
+     */
+    rebuild(images) {
+        this.reset();
+        for (const image of images) {
+            this.addDocument(image);
+        }
+        this.loaded = true;
+    }
+
+    /**
+     * Find indexed terms containing a fragment (used for partial-match mode)
+     * @param {string} fragment - Term fragment
+     * @returns {Array<string>} Matching vocabulary terms
+     */
+    findTermsContaining(fragment) {
+        const normalized = fragment.toLowerCase();
+        return Object.keys(this.postings).filter(term => term !== normalized && term.includes(normalized));
+    }
+
+    /**
+     * Score documents against weighted query terms with BM25F
+     * @param {Array<Object>} queryTerms - [{text, weight?, fields?}] free text is tokenized
+     * @param {Object} options - {partialMatches}
+     * @returns {Map<string, number>} docId -> score for every document matching at least one term
+     */
+    search(queryTerms, options = {}) {
+        const { k1, b, fieldWeights } = this.config;
+        const scores = new Map();
+
+        if (this.docCount === 0) return scores;
+
+        // Expand free text into index terms, keeping the strongest weight per (term, fields) pair
+        const weightedTerms = new Map();
+        const addTerm = (term, weight, fields) => {
+            const key = `${term}|${fields ? fields.join(',') : '*'}`;
+            const existing = weightedTerms.get(key);
+            if (!existing || existing.weight < weight) {
+                weightedTerms.set(key, { term, weight, fields });
+            }
+        };
+
+        for (const queryTerm of queryTerms) {
+            const weight = queryTerm.weight || 1.0;
+            for (const term of this.tokenize(queryTerm.text)) {
+                addTerm(term, weight, queryTerm.fields);
+                if (options.partialMatches) {
+                    this.findTermsContaining(term).forEach(partial => addTerm(partial, weight * 0.5, queryTerm.fields));
+                }
+            }
+        }
+
+        const averageLengths = {};
+        for (const field of Object.keys(fieldWeights)) {
+            averageLengths[field] = (this.fieldLengthTotals[field] || 0) / this.docCount || 1;
+        }
+
+        for (const { term, weight, fields } of weightedTerms.values()) {
+            const posting = this.postings[term];
+            if (!posting) continue;
+
+            const docFrequency = Object.keys(posting).length;
+            const idf = Math.log(1 + (this.docCount - docFrequency + 0.5) / (docFrequency + 0.5));
+
+            for (const [docId, fieldCounts] of Object.entries(posting)) {
+                const doc = this.docs[docId];
+                let weightedTf = 0;
+
+                // BM25F: length-normalize each field's term frequency, then combine with field weights
+                for (const [field, tf] of Object.entries(fieldCounts)) {
+                    if (fields && !fields.includes(field)) continue;
+                    const lengthNorm = 1 - b + b * ((doc.lengths[field] || 0) / averageLengths[field]);
+                    weightedTf += (fieldWeights[field] || 1) * tf / lengthNorm;
+                }
+
+                if (weightedTf === 0) continue;
+
+                const termScore = weight * idf * (weightedTf * (k1 + 1)) / (weightedTf + k1);
+                scores.set(docId, (scores.get(docId) || 0) + termScore);
+            }
+        }
+
+        return scores;
+    }
+
+    /**
+     * Get the album key recorded for an indexed image
+     * @param {string} docId - Image ID
+     * @returns {string|null} Album key
+     */
+    getAlbumKey(docId) {
+        return this.docs[docId] ? this.docs[docId].albumKey : null;
+    }
+
+    /**
+     * Get index statistics
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        return {
+            documents: this.docCount,
+            terms: Object.keys(this.postings).length,
+            averageFieldLengths: Object.fromEntries(
+                Object.keys(this.config.fieldWeights).map(field => [
+                    field,
+                    this.docCount > 0 ? Math.round((this.fieldLengthTotals[field] || 0) / this.docCount * 10) / 10 : 0
+                ])
+            )
+        };
+    }
+}
+
+BM25Index.STOP_WORDS = new Set([
+    'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
+    'of', 'with', 'by', 'from', 'up', 'about', 'into', 'through', 'during',
+    'is', 'are', 'was', 'were', 'been', 'be', 'has', 'have', 'had', 'this',
+    'that', 'these', 'those', 'it', 'its', 'as', 'some', 'their', 'there'
+]);
+
+module.exports = BM25Index;
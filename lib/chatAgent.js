@@ -0,0 +1,260 @@
+// PhotoVision Chat Agent
+// Runs the multi-step tool-use loop between the vision provider (Claude by default) and the search functions
+
+class ChatAgent {
+    /**
+     * @param {VisionProvider} provider - Provider that answers the conversation (ClaudeClient or MockVisionProvider)
+     * @param {SearchFunctions} searchFunctions - Tools the provider can call
+     * @param {Object} options - {model, maxToolSteps, toolResultPreviewCount, history}
+     */
+    constructor(provider, searchFunctions, options = {}) {
+        this.provider = provider;
+        this.searchFunctions = searchFunctions;
+
+        this.options = {
+            model: options.model || 'claude-3-5-sonnet-20241022',
+            maxToolSteps: options.maxToolSteps || 5,
+            toolResultPreviewCount: options.toolResultPreviewCount || 10,
+            history: options.history || []
+        };
+    }
+
+    /**
+     * Run the tool-use loop for a user message
+     * Each step sends the conversation to Claude; any tool_use blocks are executed and
+     * returned as tool_result blocks until Claude answers in text or the step budget runs out.
+     * The last step is sent with tool_choice none and its tool calls are never run, so a turn always ends in an answer.
+     * @param {string} userMessage - User's message
+     * @param {Object} hooks - Optional progress callbacks {onStepStart, onTextDelta, onToolStart, onToolResult};
+     *                         when onTextDelta is given Claude's replies are streamed
+     * @param {Object} options - {signal: AbortSignal that stops the loop and the model call in flight}
+     * @returns {Promise<Object>} {finalResponse, searchResults, toolCalls, trace, stepsUsed, maxSteps, budgetExhausted, usage}
+     * @throws {Error} With cancelled set (and the trace so far) when the signal aborts
+     */
+    async run(userMessage, hooks = {}, options = {}) {
+        const { signal = null } = options;
+        const availableFunctions = this.searchFunctions.getFunctionDefinitions();
+        const messages = [
+            ...this.options.history,
+            { role: 'user', content: userMessage }
+        ];
+
+        const trace = [];
+        const toolCalls = [];
+        const usage = { input_tokens: 0, output_tokens: 0 };
+        let finalResponse = '';
+        let searchResults = [];
+        let stepsUsed = 0;
+        let budgetExhausted = false;
+
+        for (let step = 1; step <= this.options.maxToolSteps; step++) {
+            stepsUsed = step;
+            const stepStart = Date.now();
+            const finalStep = step === this.options.maxToolSteps;
+            const requestOptions = { ...(finalStep ? { toolChoice: 'none' } : {}), ...(signal ? { signal } : {}) };
+            // Reaching the last step after tool calls means the model was cut off and told to answer
+            budgetExhausted = finalStep && step > 1;
+
+            this.throwIfCancelled(signal, trace);
+
+            if (hooks.onStepStart) {
+                hooks.onStepStart({ step, maxSteps: this.options.maxToolSteps });
+            }
+
+            const claudeResponse = hooks.onTextDelta
+                ? await this.provider.streamConversationalMessages(messages, availableFunctions, this.options.model,
+                    text => hooks.onTextDelta({ step, text }), requestOptions)
+                : await this.provider.sendConversationalMessages(messages, availableFunctions, this.options.model, requestOptions);
+            if (!claudeResponse.success) {
+                this.throwIfCancelled(signal, trace);
+                throw new Error(claudeResponse.error);
+            }
+
+            const response = claudeResponse.response;
+            const content = response.content || [];
+            const text = content.filter(block => block.type === 'text').map(block => block.text).join('');
+            const toolUses = content.filter(block => block.type === 'tool_use');
+
+            if (response.usage) {
+                usage.input_tokens += response.usage.input_tokens || 0;
+                usage.output_tokens += response.usage.output_tokens || 0;
+            }
+
+            if (text) {
+                finalResponse = text;
+            }
+
+            trace.push({
+                step,
+                type: 'model',
+                stopReason: response.stop_reason || null,
+                text,
+                toolUses: toolUses.map(block => block.name),
+                usage: response.usage || null,
+                durationMs: Date.now() - stepStart
+            });
+
+            if (toolUses.length === 0) {
+                break;
+            }
+
+            // The step budget is spent: whatever the model still asks for is not run
+            if (finalStep) {
+                break;
+            }
+
+            messages.push({ role: 'assistant', content });
+
+            // Execute every tool call from this step and collect tool_result blocks
+            const toolResultBlocks = [];
+            let stepResults = [];
+
+            for (const toolUse of toolUses) {
+                this.throwIfCancelled(signal, trace);
+                const toolStart = Date.now();
+                console.log(`[ChatAgent] Step ${step}: executing ${toolUse.name} with params:`, toolUse.input);
+
+                if (hooks.onToolStart) {
+                    hooks.onToolStart({ step, name: toolUse.name, input: toolUse.input });
+                }
+
+                try {
+                    const functionResult = await this.searchFunctions.executeFunction(toolUse.name, toolUse.input);
+                    const resultArray = Array.isArray(functionResult) ? functionResult : [];
+                    stepResults = stepResults.concat(resultArray);
+
+                    toolCalls.push({ name: toolUse.name, input: toolUse.input, resultCount: resultArray.length });
+                    trace.push({
+                        step,
+                        type: 'tool',
+                        name: toolUse.name,
+                        input: toolUse.input,
+                        resultCount: resultArray.length,
+                        error: null,
+                        durationMs: Date.now() - toolStart
+                    });
+
+                    toolResultBlocks.push({
+                        type: 'tool_result',
+                        tool_use_id: toolUse.id,
+                        content: JSON.stringify(this.summarizeResults(resultArray))
+                    });
+
+                    if (hooks.onToolResult) {
+                        hooks.onToolResult({ step, name: toolUse.name, results: resultArray, error: null });
+                    }
+                } catch (error) {
+                    console.error(`[ChatAgent] Step ${step}: ${toolUse.name} error:`, error.message);
+
+                    toolCalls.push({ name: toolUse.name, input: toolUse.input, resultCount: 0 });
+                    trace.push({
+                        step,
+                        type: 'tool',
+                        name: toolUse.name,
+                        input: toolUse.input,
+                        resultCount: 0,
+                        error: error.message,
+                        durationMs: Date.now() - toolStart
+                    });
+
+                    toolResultBlocks.push({
+                        type: 'tool_result',
+                        tool_use_id: toolUse.id,
+                        content: `Error: ${error.message}`,
+                        is_error: true
+                    });
+
+                    if (hooks.onToolResult) {
+                        hooks.onToolResult({ step, name: toolUse.name, results: [], error: error.message });
+                    }
+                }
+            }
+
+            // The latest step that found photos is the answer; earlier empty or broader attempts are superseded
+            if (stepResults.length > 0) {
+                searchResults = this.dedupeResults(stepResults);
+            }
+
+            // Ask for a final answer on the last step instead of more searching
+            if (step === this.options.maxToolSteps - 1) {
+                toolResultBlocks.push({
+                    type: 'text',
+                    text: 'You have reached the search step limit. Do not call any more tools - answer now using the results you have.'
+                });
+            }
+
+            messages.push({ role: 'user', content: toolResultBlocks });
+        }
+
+        if (budgetExhausted) {
+            console.log(`[ChatAgent] Step budget of ${this.options.maxToolSteps} exhausted`);
+        }
+
+        return {
+            finalResponse,
+            searchResults,
+            toolCalls,
+            trace,
+            stepsUsed,
+            maxSteps: this.options.maxToolSteps,
+            budgetExhausted,
+            usage
+        };
+    }
+
+    /**
+     * Stop the loop once its signal has aborted (e.g. the chat client disconnected)
+     * @param {AbortSignal|null} signal - Cancellation signal
+     * @param {Array} trace - Steps so far, kept on the error so their usage can still be recorded
+     */
+    throwIfCancelled(signal, trace) {
+        if (signal && signal.aborted) {
+            const error = new Error('Chat turn cancelled');
+            error.cancelled = true;
+            error.trace = trace;
+            throw error;
+        }
+    }
+
+    /**
+     * Summarize tool results for a tool_result block
+     * @param {Array} results - Image results
+     * @returns {Object} Compact summary Claude can reason over
+     */
+    summarizeResults(results) {
+        const broadened = results.find(result => result.searchBroadened);
+
+        return {
+            totalResults: results.length,
+            broadeningApplied: broadened ? broadened.broadeningApplied : null,
+            topResults: this.searchFunctions
+                .formatResults(results.slice(0, this.options.toolResultPreviewCount))
+                .map(image => ({
+                    id: image.id,
+                    title: image.title,
+                    albumName: image.albumName,
+                    albumHierarchy: image.albumHierarchy,
+                    description: image.description,
+                    keywords: image.keywords,
+                    ...(image.attributes ? { attributes: image.attributes } : {})
+                }))
+        };
+    }
+
+    /**
+     * Remove duplicate images, keeping first occurrence order
+     * @param {Array} results - Image results
+     * @returns {Array} Unique results
+     */
+    dedupeResults(results) {
+        const seen = new Set();
+        return results.filter(image => {
+            const key = image.id || image.smugmugImageKey || image.filename;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+}
+
+module.exports = ChatAgent;
@@ -0,0 +1,256 @@
+// PhotoVision Chat Session Manager
+// Persists multi-turn conversational search sessions so follow-up queries keep their context
+
+const fs = require('fs/promises');
+const path = require('path');
+
+class ChatSessionManager {
+    constructor(config = {}) {
+        this.dataDir = config.dataDir || path.join(__dirname, '..', 'data');
+        this.sessionsFile = path.join(this.dataDir, 'chatSessions.json');
+
+        // Limits keep the history file and the prompt context bounded
+        this.config = {
+            maxSessions: config.maxSessions || 100,
+            maxTurnsPerSession: config.maxTurnsPerSession || 20,
+            historyTurns: config.historyTurns || 6,         // Turns replayed to Claude
+            previewResults: config.previewResults || 10,    // Results described per turn
+            sessionTtlMs: config.sessionTtlMs || 24 * 60 * 60 * 1000
+        };
+
+        this.sessions = null;
+    }
+
+    /**
+     * Load sessions from disk (once per process)
+     * @returns {Promise<Object>} Map of sessionId -> session
+     */
+    async loadSessions() {
+        if (this.sessions) {
+            return this.sessions;
+        }
+
+        try {
+            const data = await fs.readFile(this.sessionsFile, 'utf8');
+            this.sessions = JSON.parse(data).sessions || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[ChatSessions] Failed to load sessions:', error.message);
+            }
+            this.sessions = {};
+        }
+
+        return this.sessions;
+    }
+
+    /**
+     * Write sessions to disk after pruning expired and excess sessions
+     */
+    async saveSessions() {
+        this.pruneSessions();
+
+        try {
+            await fs.writeFile(this.sessionsFile, JSON.stringify({ sessions: this.sessions }, null, 2), 'utf8');
+        } catch (error) {
+            console.error('[ChatSessions] Failed to save sessions:', error.message);
+        }
+    }
+
+    /**
+     * Drop expired sessions and keep only the most recently updated ones
+     */
+    pruneSessions() {
+        const now = Date.now();
+
+        const active = Object.values(this.sessions)
+            .filter(session => now - new Date(session.updatedAt).getTime() < this.config.sessionTtlMs)
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+            .slice(0, this.config.maxSessions);
+
+        this.sessions = {};
+        for (const session of active) {
+            this.sessions[session.id] = session;
+        }
+    }
+
+    /**
+     * Get an existing session
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<Object|null>} Session or null if unknown/expired
+     */
+    async getSession(sessionId) {
+        if (!sessionId) return null;
+
+        const sessions = await this.loadSessions();
+        const session = sessions[sessionId];
+
+        if (!session) return null;
+
+        if (Date.now() - new Date(session.updatedAt).getTime() >= this.config.sessionTtlMs) {
+            delete sessions[sessionId];
+            return null;
+        }
+
+        return session;
+    }
+
+    /**
+     * Get a session by ID, or start a new one if it does not exist
+     * @param {string} sessionId - Optional session ID from the client
+     * @returns {Promise<Object>} Session
+     */
+    async getOrCreateSession(sessionId) {
+        const existing = await this.getSession(sessionId);
+        if (existing) {
+            return existing;
+        }
+
+        const sessions = await this.loadSessions();
+        const now = new Date().toISOString();
+        const session = {
+            id: this.generateSessionId(),
+            createdAt: now,
+            updatedAt: now,
+            turns: []
+        };
+
+        sessions[session.id] = session;
+        console.log(`[ChatSessions] Created session ${session.id}`);
+
+        return session;
+    }
+
+    /**
+     * Record a completed turn in a session
+     * @param {string} sessionId - Session ID
+     * @param {Object} turn - {userMessage, assistantResponse, toolCalls, results}
+     * @returns {Promise<Object>} Stored turn
+     */
+    async addTurn(sessionId, turn) {
+        const session = await this.getSession(sessionId);
+        if (!session) {
+            throw new Error(`Chat session ${sessionId} not found`);
+        }
+
+        const results = turn.results || [];
+        const storedTurn = {
+            userMessage: turn.userMessage,
+            assistantResponse: turn.assistantResponse || '',
+            toolCalls: (turn.toolCalls || []).map(call => ({
+                name: call.name,
+                input: call.input,
+                resultCount: call.resultCount || 0
+            })),
+            resultIds: results.map(image => image.id),
+            resultPreview: results.slice(0, this.config.previewResults).map(image => ({
+                id: image.id,
+                title: image.title || image.filename || '',
+                albumName: image.albumName || '',
+                keywords: (image.keywords || []).slice(0, 8)
+            })),
+            timestamp: new Date().toISOString()
+        };
+
+        session.turns.push(storedTurn);
+        if (session.turns.length > this.config.maxTurnsPerSession) {
+            session.turns = session.turns.slice(-this.config.maxTurnsPerSession);
+        }
+        session.updatedAt = storedTurn.timestamp;
+
+        await this.saveSessions();
+        return storedTurn;
+    }
+
+    /**
+     * Get the most recent turn that returned results
+     * @param {Object} session - Session object
+     * @param {string|null} userMessage - Only consider turns for this message
+     * @returns {Object|null} Turn or null
+     */
+    getLastResultTurn(session, userMessage = null) {
+        if (!session || !session.turns) return null;
+
+        for (let i = session.turns.length - 1; i >= 0; i--) {
+            if (userMessage !== null && session.turns[i].userMessage !== userMessage) continue;
+            if (session.turns[i].resultIds.length > 0) {
+                return session.turns[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Build Claude message history from previous turns
+     * Tool calls and their results are summarized as text on the assistant side so
+     * follow-ups like "the third one" or "only the ones from 2024" can be resolved.
+     * @param {Object} session - Session object
+     * @returns {Array} Alternating user/assistant messages
+     */
+    buildHistoryMessages(session) {
+        if (!session || !session.turns) return [];
+
+        const messages = [];
+        const recentTurns = session.turns.slice(-this.config.historyTurns);
+
+        for (const turn of recentTurns) {
+            messages.push({ role: 'user', content: turn.userMessage });
+            messages.push({ role: 'assistant', content: this.describeTurn(turn) });
+        }
+
+        return messages;
+    }
+
+    /**
+     * Describe a turn's response, tool calls and results as assistant text
+     * @param {Object} turn - Stored turn
+     * @returns {string} Description
+     */
+    describeTurn(turn) {
+        const lines = [turn.assistantResponse || '(searched the collection)'];
+
+        if (turn.toolCalls.length > 0) {
+            lines.push('');
+            lines.push('[Search context]');
+            for (const call of turn.toolCalls) {
+                lines.push(`Called ${call.name}(${JSON.stringify(call.input)}) -> ${call.resultCount} results`);
+            }
+        }
+
+        if (turn.resultIds.length > 0) {
+            lines.push(`Returned ${turn.resultIds.length} photos. Top results in order:`);
+            turn.resultPreview.forEach((image, index) => {
+                const details = [image.title, image.albumName].filter(Boolean).join(' | ');
+                lines.push(`${index + 1}. id=${image.id} ${details} [${image.keywords.join(', ')}]`);
+            });
+        } else if (turn.toolCalls.length > 0) {
+            lines.push('No photos were returned.');
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Delete a session
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<boolean>} True if a session was removed
+     */
+    async deleteSession(sessionId) {
+        const sessions = await this.loadSessions();
+        if (!sessions[sessionId]) {
+            return false;
+        }
+
+        delete sessions[sessionId];
+        await this.saveSessions();
+        return true;
+    }
+
+    /**
+     * Generate unique session ID
+     */
+    generateSessionId() {
+        return `chat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+}
+
+module.exports = ChatSessionManager;
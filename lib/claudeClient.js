@@ -1,11 +1,14 @@
 // Claude API Client for Image Analysis
-// Handles communication with Anthropic's Claude API for vision tasks
+// Handles communication with Anthropic's Claude API for vision tasks; the default vision provider
 
 const https = require('https');
 const sharp = require('sharp');
+const AnalysisSchema = require('./analysisSchema');
+const VisionProvider = require('./visionProvider');
 
-class ClaudeClient {
+class ClaudeClient extends VisionProvider {
     constructor(apiKey) {
+        super('claude', 'Claude');
         this.apiKey = apiKey;
         this.baseUrl = 'https://api.anthropic.com';
         this.version = '2023-06-01';
@@ -18,6 +21,10 @@ class ClaudeClient {
     updateApiKey(newApiKey) {
         this.apiKey = newApiKey;
     }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
     
     /**
      * Test the API connection with a minimal request
@@ -62,9 +69,12 @@ class ClaudeClient {
      * @param {string} prompt - Optional custom prompt for analysis
      * @param {string} preContext - Optional pre-context to add before the main prompt
      * @param {string} model - Optional model to use for analysis (defaults to claude-3-haiku-20240307)
-     * @returns {Promise<Object>} Analysis result with description and metadata
+     * @param {Object} outputSchema - Optional JSON schema of extra structured fields to request (see AnalysisSchema)
+     * @param {Object} imageInfo - Optional details such as {fileName}; Claude only looks at the image itself
+     * @returns {Promise<Object>} Analysis result with description, keywords, attributes, parseRecovery and metadata;
+     *   a reply that cannot be recovered as JSON fails with errorCategory 'malformed_response'
      */
-    async analyzeImage(imageBuffer, mimeType, prompt = null, preContext = null, model = 'claude-3-haiku-20240307') {
+    async analyzeImage(imageBuffer, mimeType, prompt = null, preContext = null, model = 'claude-3-haiku-20240307', outputSchema = null, imageInfo = {}) {
         try {
             let processedImageBuffer = imageBuffer;
             
@@ -135,38 +145,14 @@ class ClaudeClient {
             
             const base64Image = processedImageBuffer.toString('base64');
             
-            const defaultPrompt = `Please analyze this image in detail. Provide a comprehensive description and generate relevant keywords for indexing. Return your response as a JSON object with the following structure:
-
-{
-  "description": "A detailed description of the image...",
-  "keywords": ["keyword1", "keyword2", "keyword3", ...]
-}
-
-For the description, include:
-1. Main subjects (people, objects, animals)
-2. Setting and location type
-3. Activities or actions taking place
-4. Mood, lighting, and atmosphere
-5. Colors, composition, and visual elements
-6. Any text or signs visible
-7. Time of day or season if apparent
-
-For keywords, provide 5-10 relevant terms that would help with searching and indexing, such as:
-- Main subjects (person, animal, object types)
-- Activities (running, eating, playing)
-- Settings (outdoor, indoor, beach, forest)
-- Emotions/moods (happy, serious, peaceful)
-- Visual elements (colorful, black and white, sunset)
-- Equipment or objects visible
-
-Be specific and descriptive to enable natural language searches like "photos of people laughing outdoors" or "sunset landscapes with mountains".`;
-
-            // Build the complete prompt with optional pre-context
-            const completePrompt = this.buildCompletePrompt(preContext, prompt || defaultPrompt);
+            // Build the complete prompt with optional pre-context and any extra structured fields
+            const schema = new AnalysisSchema(outputSchema);
+            const completePrompt = this.buildAnalysisPrompt(prompt, preContext, schema);
 
             const requestBody = {
                 model: model,
-                max_tokens: 1000,
+                // Room for the extra structured fields
+                max_tokens: schema.isEmpty() ? 1000 : 1500,
                 messages: [
                     {
                         role: "user",
@@ -190,27 +176,11 @@ Be specific and descriptive to enable natural language searches like "photos of
 
             const response = await this.makeRequest('/v1/messages', 'POST', requestBody);
             
-            // Parse the JSON response from Claude
-            let analysisData;
-            try {
-                analysisData = JSON.parse(response.content[0].text);
-            } catch (parseError) {
-                // Fallback if Claude doesn't return valid JSON
-                console.warn('Claude response was not valid JSON, using fallback parsing');
-                analysisData = {
-                    description: response.content[0].text,
-                    keywords: []
-                };
-            }
-            
-            return {
-                success: true,
-                description: analysisData.description || response.content[0].text,
-                keywords: analysisData.keywords || [],
-                model: response.model,
-                usage: response.usage,
-                timestamp: new Date().toISOString()
-            };
+            // Parse the JSON response, recovering fenced, wrapped or truncated replies or asking once more
+            return await this.finishAnalysis(this.getResponseText(response), response.usage, response.model, schema, async () => {
+                const retryResponse = await this.makeRequest('/v1/messages', 'POST', this.buildStrictJsonRequest(requestBody));
+                return { text: this.getResponseText(retryResponse), usage: retryResponse.usage };
+            });
 
         } catch (error) {
             console.error('[Claude API Error]', error);
@@ -222,14 +192,43 @@ Be specific and descriptive to enable natural language searches like "photos of
         }
     }
 
+    /**
+     * @param {Object} response - Messages API response
+     * @returns {string} Text of the first content block, or an empty string
+     */
+    getResponseText(response) {
+        return (response && response.content && response.content[0] && response.content[0].text) || '';
+    }
+
+    /**
+     * Repeat an analysis request with an instruction to reply with nothing but the JSON object
+     * @param {Object} requestBody - The original request
+     * @returns {Object} Request body for the re-ask
+     */
+    buildStrictJsonRequest(requestBody) {
+        const [message] = requestBody.messages;
+        const strictInstruction = VisionProvider.STRICT_JSON_INSTRUCTION;
+
+        return {
+            ...requestBody,
+            messages: [{
+                ...message,
+                content: message.content.map(block => block.type === 'text'
+                    ? { ...block, text: `${block.text}\n\n${strictInstruction}` }
+                    : block)
+            }]
+        };
+    }
+
     /**
      * Make an authenticated request to the Claude API
      * @param {string} endpoint - API endpoint path
      * @param {string} method - HTTP method
      * @param {Object} body - Request body
+     * @param {AbortSignal} signal - Optional signal that aborts the request
      * @returns {Promise<Object>} API response
      */
-    async makeRequest(endpoint, method = 'GET', body = null) {
+    async makeRequest(endpoint, method = 'GET', body = null, signal = null) {
         return new Promise((resolve, reject) => {
             const options = {
                 hostname: 'api.anthropic.com',
@@ -239,10 +238,12 @@ Be specific and descriptive to enable natural language searches like "photos of
                     'Content-Type': 'application/json',
                     'x-api-key': this.apiKey,
                     'anthropic-version': this.version
-                }
+                },
+                ...(signal ? { signal } : {})
             };
 
             const req = https.request(options, (res) => {
+                this.reportRateLimits(res);
                 let data = '';
 
                 res.on('data', (chunk) => {
@@ -256,7 +257,9 @@ Be specific and descriptive to enable natural language searches like "photos of
                         if (res.statusCode >= 200 && res.statusCode < 300) {
                             resolve(response);
                         } else {
-                            reject(new Error(`API Error ${res.statusCode}: ${response.error?.message || 'Unknown error'}`));
+                            const apiError = new Error(`API Error ${res.statusCode}: ${response.error?.message || 'Unknown error'}`);
+                            apiError.status = res.statusCode;
+                            reject(apiError);
                         }
                     } catch (parseError) {
                         reject(new Error(`Failed to parse API response: ${parseError.message}`));
@@ -267,6 +270,10 @@ Be specific and descriptive to enable natural language searches like "photos of
             req.on('error', (error) => {
                 reject(new Error(`Request failed: ${error.message}`));
             });
+            // Settle even if the connection closes without an error once a response has started
+            if (signal) {
+                signal.addEventListener('abort', () => reject(new Error('Request aborted')), { once: true });
+            }
 
             if (body) {
                 req.write(JSON.stringify(body));
@@ -277,90 +284,166 @@ Be specific and descriptive to enable natural language searches like "photos of
     }
 
     /**
-     * Build complete prompt with optional pre-context
-     * @param {string} preContext - Optional pre-context to add before the main prompt
-     * @param {string} mainPrompt - Main analysis prompt
-     * @returns {string} Complete prompt with pre-context and main prompt
+     * Tell the shared rate limiter, if any, about a response's status and rate limit headers
+     * @param {http.IncomingMessage} res - API response
      */
-    buildCompletePrompt(preContext, mainPrompt) {
-        if (!preContext || preContext.trim() === '') {
-            return mainPrompt;
+    reportRateLimits(res) {
+        if (this.rateLimiter) {
+            this.rateLimiter.recordResponse(res.statusCode, res.headers);
         }
-
-        return `${preContext.trim()}
-
-${mainPrompt}`;
     }
 
     /**
-     * Process conversational query with function calling
-     * @param {string} userQuery - User's natural language query
-     * @param {Array} availableFunctions - Array of function definitions
-     * @param {string} model - Optional model to use for chat (defaults to claude-3-5-sonnet-20241022)
-     * @returns {Promise<Object>} Conversational response with results
+     * Make a streaming request to Claude API and dispatch server-sent events
+     * @param {string} endpoint - API endpoint
+     * @param {Object} body - Request body (should include stream: true)
+     * @param {Function} onEvent - Called with (eventType, data) for each event
+     * @param {AbortSignal} signal - Optional signal that aborts the stream
+     * @returns {Promise<void>} Resolves when the stream ends
      */
-    async processConversationalQuery(userQuery, availableFunctions, model = 'claude-3-5-sonnet-20241022') {
-        try {
-            const systemMessage = `Hey there! I'm PhotoVision, your friendly photo discovery companion! 📸 I absolutely love helping people rediscover amazing moments in their photo collections. Think of me as that enthusiastic photography friend who knows exactly where to find that perfect shot you're looking for.
+    async makeStreamingRequest(endpoint, body, onEvent, signal = null) {
+        return new Promise((resolve, reject) => {
+            const options = {
+                hostname: 'api.anthropic.com',
+                path: endpoint,
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': this.apiKey,
+                    'anthropic-version': this.version
+                },
+                ...(signal ? { signal } : {})
+            };
 
-I've got access to your SmugMug collection filled with incredible archery competitions, award ceremonies, and so many other special moments. Every photo has been carefully analyzed with detailed descriptions and keywords - it's like having a personal photo curator who never forgets a face or moment!
+            const req = https.request(options, (res) => {
+                this.reportRateLimits(res);
+                let buffer = '';
 
-Your photos are beautifully organized by events and dates, like:
-• 2025 > Arizona Cup > Friday AM - U21/U18  
-• 2025 > Arizona Cup > Friday PM - Sr 50+ practice
-• 2025 > Gator Cup > Friday PM - Snrs, 50+, Paras practice
+                // Error responses are plain JSON, not an event stream
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    res.on('data', (chunk) => {
+                        buffer += chunk;
+                    });
+                    res.on('end', () => {
+                        let message;
+                        try {
+                            message = JSON.parse(buffer).error?.message || 'Unknown error';
+                        } catch (parseError) {
+                            message = buffer;
+                        }
+                        const apiError = new Error(`API Error ${res.statusCode}: ${message}`);
+                        apiError.status = res.statusCode;
+                        reject(apiError);
+                    });
+                    return;
+                }
 
-Just tell me what you're looking for in your own words! Want to see "happy kids celebrating" or "focused athletes in competition"? I'll search through everything and find those perfect moments for you.
+                res.setEncoding('utf8');
 
-**IMPORTANT: I understand negative keywords and exclusions!**
-When you want to exclude certain elements from your search, you can use phrases like:
-- "no people" or "without people" → excludes photos with people
-- "no faces" or "without faces" → excludes photos with visible faces
-- "exclude crowds" or "no crowds" → excludes photos with crowds
-- "archery targets, no people" → finds archery targets but excludes any with people
-- "outdoor scenes without buildings" → finds outdoor scenes but excludes any with buildings
-- "animals but not dogs" → finds animals but excludes dogs
-- "-crowd" → excludes photos with crowds
+                res.on('data', (chunk) => {
+                    buffer += chunk;
+
+                    // Events are separated by a blank line
+                    let boundary;
+                    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                        const rawEvent = buffer.slice(0, boundary);
+                        buffer = buffer.slice(boundary + 2);
+
+                        let eventType = 'message';
+                        let data = '';
+                        for (const line of rawEvent.split('\n')) {
+                            if (line.startsWith('event:')) {
+                                eventType = line.slice(6).trim();
+                            } else if (line.startsWith('data:')) {
+                                data += line.slice(5).trim();
+                            }
+                        }
 
-I understand exactly what you mean and will find photos that match while excluding what you don't want!
+                        if (!data) continue;
 
-My conversational style:
-- I'm genuinely excited about every search - your photos capture amazing stories!
-- I'll ask follow-up questions if I need to understand what you're really looking for
-- If I can't find exactly what you want, I'll suggest similar alternatives with enthusiasm
-- I love sharing interesting details I notice about the photos I find
-- I always include direct links so you can easily view and share your favorites
-- I speak naturally, like we're having a real conversation about your photo memories
+                        try {
+                            onEvent(eventType, JSON.parse(data));
+                        } catch (error) {
+                            req.destroy();
+                            reject(error);
+                            return;
+                        }
+                    }
+                });
 
-**IMPORTANT: Handling broadened searches**
-When I need to broaden your search to find results, I'll let you know in a helpful way:
-- If I expanded to include related terms, I'll say something like "I broadened the search to include similar concepts"
-- If I removed filters, I'll explain "I removed some restrictions to find more matches"
-- If I'm showing recent photos instead, I'll say "Here are some recent photos from your collection"
-- I'll always be transparent about what adjustments I made while keeping the conversation natural
+                res.on('end', () => resolve());
+                res.on('error', (error) => reject(new Error(`Stream failed: ${error.message}`)));
+            });
 
-IMPORTANT: When searching for photos, always include a natural conversational response along with your search. Don't just search silently - let the user know what you're looking for in a friendly way, like "Let me find those sunset photos for you!" or "I'll look for those happy celebration moments!" Keep it natural and enthusiastic!
+            req.on('error', (error) => {
+                reject(new Error(`Request failed: ${error.message}`));
+            });
+            // Settle even if the connection closes without an error once a response has started
+            if (signal) {
+                signal.addEventListener('abort', () => reject(new Error('Request aborted')), { once: true });
+            }
 
-Let's dive in and explore your collection together!`;
+            req.write(JSON.stringify(body));
+            req.end();
+        });
+    }
 
-            const requestBody = {
-                model: model,
-                max_tokens: 1500,
-                system: systemMessage,
-                tools: availableFunctions.map(func => ({
-                    name: func.name,
-                    description: func.description,
-                    input_schema: func.parameters
-                })),
-                messages: [
-                    {
-                        role: "user",
-                        content: userQuery
-                    }
-                ]
-            };
+    /**
+     * Process conversational query with function calling
+     * @param {string} userQuery - User's natural language query
+     * @param {Array} availableFunctions - Array of function definitions
+     * @param {string} model - Optional model to use for chat (defaults to claude-3-5-sonnet-20241022)
+     * @param {Array} history - Optional prior user/assistant messages from the chat session
+     * @returns {Promise<Object>} Conversational response with results
+     */
+    async processConversationalQuery(userQuery, availableFunctions, model = 'claude-3-5-sonnet-20241022', history = []) {
+        return await this.sendConversationalMessages([
+            ...history,
+            {
+                role: "user",
+                content: userQuery
+            }
+        ], availableFunctions, model);
+    }
 
-            const response = await this.makeRequest('/v1/messages', 'POST', requestBody);
+    /**
+     * Build the request body for a conversational search request
+     * @param {Array} messages - Full message list ending with a user turn
+     * @param {Array} availableFunctions - Array of function definitions
+     * @param {string} model - Model to use for chat
+     * @param {Object} options - {toolChoice: 'none' to require a text answer}
+     * @returns {Object} Messages API request body
+     */
+    buildConversationalRequest(messages, availableFunctions, model, options = {}) {
+        const systemMessage = this.buildChatSystemPrompt();
+
+        return {
+            model: model,
+            max_tokens: 1500,
+            system: systemMessage,
+            tools: availableFunctions.map(func => ({
+                name: func.name,
+                description: func.description,
+                input_schema: func.parameters
+            })),
+            // Tools stay defined because earlier turns hold tool_use blocks; tool_choice none keeps the model from calling them
+            ...(options.toolChoice === 'none' ? { tool_choice: { type: 'none' } } : {}),
+            messages: messages
+        };
+    }
+
+    /**
+     * Send a conversation (including tool_use/tool_result turns) with function calling
+     * @param {Array} messages - Full message list ending with a user turn
+     * @param {Array} availableFunctions - Array of function definitions
+     * @param {string} model - Optional model to use for chat (defaults to claude-3-5-sonnet-20241022)
+     * @param {Object} options - {toolChoice, signal}
+     * @returns {Promise<Object>} Conversational response
+     */
+    async sendConversationalMessages(messages, availableFunctions, model = 'claude-3-5-sonnet-20241022', options = {}) {
+        try {
+            const requestBody = this.buildConversationalRequest(messages, availableFunctions, model, options);
+            const response = await this.makeRequest('/v1/messages', 'POST', requestBody, options.signal);
             
             return {
                 success: true,
@@ -380,6 +463,82 @@ Let's dive in and explore your collection together!`;
         }
     }
 
+    /**
+     * Stream a conversation with function calling, reporting text as it is generated
+     * @param {Array} messages - Full message list ending with a user turn
+     * @param {Array} availableFunctions - Array of function definitions
+     * @param {string} model - Optional model to use for chat (defaults to claude-3-5-sonnet-20241022)
+     * @param {Function} onTextDelta - Called with each text fragment as it arrives
+     * @param {Object} options - {toolChoice, signal}
+     * @returns {Promise<Object>} Conversational response, assembled into the same shape as sendConversationalMessages
+     */
+    async streamConversationalMessages(messages, availableFunctions, model = 'claude-3-5-sonnet-20241022', onTextDelta = null, options = {}) {
+        try {
+            const requestBody = {
+                ...this.buildConversationalRequest(messages, availableFunctions, model, options),
+                stream: true
+            };
+
+            let message = null;
+            const partialJson = {};
+
+            await this.makeStreamingRequest('/v1/messages', requestBody, (eventType, event) => {
+                switch (eventType) {
+                    case 'message_start':
+                        message = { ...event.message, content: [] };
+                        break;
+                    case 'content_block_start':
+                        message.content[event.index] = { ...event.content_block };
+                        if (event.content_block.type === 'tool_use') {
+                            partialJson[event.index] = '';
+                        }
+                        break;
+                    case 'content_block_delta':
+                        if (event.delta.type === 'text_delta') {
+                            message.content[event.index].text += event.delta.text;
+                            if (onTextDelta) {
+                                onTextDelta(event.delta.text);
+                            }
+                        } else if (event.delta.type === 'input_json_delta') {
+                            partialJson[event.index] += event.delta.partial_json;
+                        }
+                        break;
+                    case 'content_block_stop':
+                        if (partialJson[event.index] !== undefined) {
+                            message.content[event.index].input = partialJson[event.index] ? JSON.parse(partialJson[event.index]) : {};
+                        }
+                        break;
+                    case 'message_delta':
+                        message.stop_reason = event.delta.stop_reason;
+                        message.usage = { ...message.usage, ...event.usage };
+                        break;
+                    case 'error':
+                        throw new Error(`API Error: ${event.error?.message || 'Unknown streaming error'}`);
+                }
+            }, options.signal);
+
+            if (!message) {
+                throw new Error('Stream ended without a message');
+            }
+
+            return {
+                success: true,
+                response: message,
+                model: message.model,
+                usage: message.usage,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            console.error('[Claude Conversational Stream Error]', error);
+            return {
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
     /**
      * Test the API connection
      * @param {string} model - Optional model to use for testing (defaults to claude-3-haiku-20240307)
@@ -406,7 +565,8 @@ Let's dive in and explore your collection together!`;
             return { 
                 success: true, 
                 model: model,
-                responseTime: Date.now() - connectionTestStart
+                responseTime: Date.now() - connectionTestStart,
+                usage: response.usage
             };
         } catch (error) {
             console.error('[Claude API Test Failed]', error.message);
@@ -414,30 +574,6 @@ Let's dive in and explore your collection together!`;
         }
     }
 
-    /**
-     * Fetch image from URL and return as buffer
-     * @param {string} url - The image URL to fetch
-     * @returns {Promise<Buffer>} Image buffer
-     */
-    async fetchImageFromUrl(url) {
-        return new Promise((resolve, reject) => {
-            const urlObj = new URL(url);
-            const protocol = urlObj.protocol === 'https:' ? https : require('http');
-            
-            protocol.get(url, (response) => {
-                if (response.statusCode !== 200) {
-                    reject(new Error(`Failed to fetch image: ${response.statusCode}`));
-                    return;
-                }
-                
-                const chunks = [];
-                response.on('data', (chunk) => chunks.push(chunk));
-                response.on('end', () => resolve(Buffer.concat(chunks)));
-                response.on('error', reject);
-            }).on('error', reject);
-        });
-    }
-
     /**
      * Verify multiple images against a search query using Claude's vision capabilities
      * @param {Array} imageData - Array of objects with {url, identifier} for each image
@@ -485,24 +621,7 @@ Let's dive in and explore your collection together!`;
             // Add the verification prompt
             imageContents.push({
                 type: 'text',
-                text: `I am searching for: "${query}"
-
-Please analyze each of the ${imageContents.length - 1} images provided and determine if they match my search criteria.
-
-For each image, respond with ONLY "yes" if it matches the search criteria or "no" if it doesn't.
-
-Important instructions:
-- Consider the semantic meaning of the query
-- For negative queries (e.g., "photos without people"), mark as "yes" only images that DON'T contain the excluded element
-- Be strict in your evaluation - only mark as "yes" if the image clearly matches the criteria
-
-Respond in this exact format:
-Image 1: yes/no
-Image 2: yes/no
-Image 3: yes/no
-(continue for all images)
-
-Begin your analysis:`
+                text: this.buildVerificationPrompt(imageContents.length, query)
             });
             
             // Make API request
@@ -525,22 +644,7 @@ Begin your analysis:`
             
             // Parse the response
             const responseText = response.content[0].text;
-            const verifiedImages = [];
-            
-            // Extract yes/no responses
-            const lines = responseText.split('\n').filter(line => line.trim());
-            
-            lines.forEach((line, index) => {
-                const match = line.match(/Image (\d+):\s*(yes|no)/i);
-                if (match) {
-                    const imageIndex = parseInt(match[1]) - 1; // Convert to 0-based index
-                    const isMatch = match[2].toLowerCase() === 'yes';
-                    
-                    if (isMatch && imageIndex >= 0 && imageIndex < imageData.length) {
-                        verifiedImages.push(imageIndex);
-                    }
-                }
-            });
+            const verifiedImages = this.parseVerificationReply(responseText, imageData.length);
             
             console.log(`[Claude Vision] Verification complete: ${verifiedImages.length}/${imageData.length} images match`);
             
@@ -548,7 +652,8 @@ Begin your analysis:`
                 success: true,
                 verifiedImages: verifiedImages,
                 totalImages: imageData.length,
-                response: responseText
+                response: responseText,
+                usage: response.usage
             };
             
         } catch (error) {
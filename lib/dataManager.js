@@ -5,6 +5,37 @@ const fs = require('fs/promises');
 const path = require('path');
 const CryptoUtils = require('./cryptoUtils');
 const AlbumDataManager = require('./albumDataManager');
+const BM25Index = require('./bm25Index');
+const EmbeddingIndex = require('./embeddingIndex');
+const FaceIndex = require('./faceIndex');
+const AnalysisSchema = require('./analysisSchema');
+const ImageHistory = require('./imageHistory');
+const UsageLedger = require('./usageLedger');
+const BatchScheduler = require('./batchScheduler');
+
+// Embedding work is queued per index file so builds and single-image updates never overlap
+// and never run inside a request: embeddingIndexFile -> { chain, backgroundBuild }
+const embeddingQueues = new Map();
+
+// Writes are chained per file, so every DataManager writing the same data waits its turn: file -> chain
+const writeChains = new Map();
+
+// Backends a model can be served by, with the settings used until an admin changes them
+const MODEL_PROVIDERS = ['claude', 'openai', 'ollama'];
+const DEFAULT_PROVIDER_SETTINGS = {
+    openai: { baseUrl: 'https://api.openai.com/v1', requiresApiKey: true },
+    ollama: { baseUrl: 'http://localhost:11434' }
+};
+// Environment variables checked when no key has been stored for a provider
+const PROVIDER_KEY_ENV = { openai: 'OPENAI_API_KEY', ollama: 'OLLAMA_API_KEY' };
+// List prices in USD per million tokens, used for cost estimates until an admin sets their own
+const DEFAULT_MODEL_PRICING = {
+    'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+    'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+    'claude-3-opus-20240229': { input: 15, output: 75 },
+    'claude-3-sonnet-20240229': { input: 3, output: 15 },
+    'claude-3-haiku-20240307': { input: 0.25, output: 1.25 }
+};
 
 class DataManager {
     constructor() {
@@ -12,6 +43,12 @@ class DataManager {
         this.imagesFile = path.join(this.dataDir, 'images.json');
         this.configFile = path.join(this.dataDir, 'config.json');
         this.albumPreviewsFile = path.join(this.dataDir, 'albumPreviews.json');
+        this.bm25IndexFile = path.join(this.dataDir, 'bm25Index.json');
+        this.embeddingIndexFile = path.join(this.dataDir, 'embeddingIndex.json');
+        this.faceIndexFile = path.join(this.dataDir, 'faceIndex.json');
+        this.imageHistoryFile = path.join(this.dataDir, 'imageHistory.jsonl');
+        this.usageLedgerFile = path.join(this.dataDir, 'usageLedger.jsonl');
+        this.scheduledImageFailuresFile = path.join(this.dataDir, 'scheduledImageFailures.json');
         
         // In-memory cache for performance optimization
         this.cache = {
@@ -305,48 +342,411 @@ class DataManager {
         }
     }
 
-    // Get available image analysis templates
-    getImageAnalysisTemplates() {
+    // Built-in image analysis templates (read-only; duplicate one to customise it)
+    getBuiltInImageAnalysisTemplates() {
         return {
             'default': {
                 id: 'default',
                 name: 'Default Analysis',
                 description: 'General purpose image analysis',
-                preContext: ''
+                preContext: '',
+                builtIn: true
             },
             'sports-photography': {
                 id: 'sports-photography',
                 name: 'Sports Photography',
                 description: 'Focused on athletic performance and competition',
-                preContext: 'You are analyzing photos from a sports competition. Focus on athletic performance, technique, equipment, and competitive atmosphere. Emphasize participant achievements, skill demonstration, and event organization. Pay attention to sports-specific terminology and competitive elements.'
+                preContext: 'You are analyzing photos from a sports competition. Focus on athletic performance, technique, equipment, and competitive atmosphere. Emphasize participant achievements, skill demonstration, and event organization. Pay attention to sports-specific terminology and competitive elements.',
+                builtIn: true
             },
             'event-photography': {
                 id: 'event-photography',
                 name: 'Event Photography',
                 description: 'Focused on formal events and ceremonies',
-                preContext: 'You are analyzing photos from a formal event or ceremony. Focus on ceremony details, participant interactions, organizational elements, and memorable moments. Emphasize the formal nature and significance of the occasion. Pay attention to event structure and participant roles.'
+                preContext: 'You are analyzing photos from a formal event or ceremony. Focus on ceremony details, participant interactions, organizational elements, and memorable moments. Emphasize the formal nature and significance of the occasion. Pay attention to event structure and participant roles.',
+                builtIn: true
             },
             'portrait-photography': {
                 id: 'portrait-photography',
                 name: 'Portrait Photography',
                 description: 'Focused on individuals and personal characteristics',
-                preContext: 'You are analyzing portrait photographs. Focus on facial expressions, emotions, poses, and individual characteristics. Emphasize personal qualities, professional appearance, and portrait composition. Pay attention to lighting, mood, and individual presentation.'
+                preContext: 'You are analyzing portrait photographs. Focus on facial expressions, emotions, poses, and individual characteristics. Emphasize personal qualities, professional appearance, and portrait composition. Pay attention to lighting, mood, and individual presentation.',
+                builtIn: true
             },
             'archery-competition': {
                 id: 'archery-competition',
                 name: 'Archery Competition',
                 description: 'Specialized for archery competitions and training',
-                preContext: 'You are analyzing photos from an archery competition or training event. Focus on archery technique, equipment (bows, arrows, targets), competitive atmosphere, and participant skill levels. Emphasize athletic performance, precision, concentration, and archery-specific terminology. Pay attention to scoring, target details, and competitive elements.'
+                preContext: 'You are analyzing photos from an archery competition or training event. Focus on archery technique, equipment (bows, arrows, targets), competitive atmosphere, and participant skill levels. Emphasize athletic performance, precision, concentration, and archery-specific terminology. Pay attention to scoring, target details, and competitive elements.',
+                builtIn: true
             }
         };
     }
 
+    // Get available image analysis templates (built-in plus user-defined ones from config)
+    async getImageAnalysisTemplates() {
+        let custom = {};
+        try {
+            const config = await this.getConfig();
+            custom = config.imageAnalysisTemplates || {};
+        } catch (error) {
+            console.error('Error getting image analysis templates:', error.message);
+        }
+
+        return {
+            ...this.getBuiltInImageAnalysisTemplates(),
+            ...custom
+        };
+    }
+
     // Get specific template by ID
-    getImageAnalysisTemplate(templateId) {
-        const templates = this.getImageAnalysisTemplates();
+    async getImageAnalysisTemplate(templateId) {
+        const templates = await this.getImageAnalysisTemplates();
         return templates[templateId] || templates['default'];
     }
 
+    /**
+     * Check a template definition before it is saved
+     * @param {Object} template - Template fields (name, description, preContext, outputSchema, model)
+     * @param {boolean} partial - Only check the fields that are present (for updates)
+     * @returns {Promise<Array<string>>} Validation errors; empty when the template is valid
+     */
+    async validateImageAnalysisTemplate(template, partial = false) {
+        const errors = [];
+        if (!template || typeof template !== 'object') {
+            return ['Template must be an object'];
+        }
+
+        if (!partial || template.name !== undefined) {
+            if (typeof template.name !== 'string' || !template.name.trim()) {
+                errors.push('name is required');
+            } else if (template.name.trim().length > 100) {
+                errors.push('name must be 100 characters or fewer');
+            }
+        }
+
+        if (template.description !== undefined && typeof template.description !== 'string') {
+            errors.push('description must be a string');
+        }
+
+        if (template.preContext !== undefined) {
+            if (typeof template.preContext !== 'string') {
+                errors.push('preContext must be a string');
+            } else if (template.preContext.length > 2000) {
+                errors.push('preContext must be 2000 characters or fewer');
+            }
+        }
+
+        if (template.outputSchema !== undefined && template.outputSchema !== null) {
+            errors.push(...AnalysisSchema.validateDefinition(template.outputSchema));
+        }
+
+        if (template.model !== undefined && template.model !== null && template.model !== '') {
+            const modelInfo = typeof template.model === 'string' ? await this.getModelInfo(template.model) : null;
+            if (!modelInfo) {
+                errors.push(`model ${template.model} is not one of the configured models`);
+            } else if (!modelInfo.capabilities.vision) {
+                errors.push(`model ${template.model} cannot analyze images`);
+            }
+        }
+
+        return errors;
+    }
+
+    // Keep only the fields a template is allowed to store
+    normalizeImageAnalysisTemplate(template) {
+        const normalized = {};
+        if (template.name !== undefined) normalized.name = template.name.trim();
+        if (template.description !== undefined) normalized.description = template.description.trim();
+        if (template.preContext !== undefined) normalized.preContext = template.preContext;
+        if (template.outputSchema !== undefined) {
+            normalized.outputSchema = AnalysisSchema.merge(template.outputSchema);
+        }
+        if (template.model !== undefined) normalized.model = template.model || null;
+        return normalized;
+    }
+
+    // Turn a template name into a unique id ("My Template" -> "my-template", "my-template-2", ...)
+    createTemplateId(name, existingIds) {
+        const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'template';
+        let id = base;
+        let suffix = 2;
+        while (existingIds.includes(id)) {
+            id = `${base}-${suffix++}`;
+        }
+        return id;
+    }
+
+    /**
+     * Create a user-defined image analysis template
+     * @param {Object} template - {name, description?, preContext?, outputSchema?, model?}; call validateImageAnalysisTemplate first
+     * @returns {Promise<Object>} The stored template
+     */
+    async createImageAnalysisTemplate(template) {
+        const config = await this.getConfig();
+        const existingIds = Object.keys(await this.getImageAnalysisTemplates());
+        const now = new Date().toISOString();
+        const normalized = this.normalizeImageAnalysisTemplate(template);
+
+        const created = {
+            id: this.createTemplateId(normalized.name, existingIds),
+            name: normalized.name,
+            description: normalized.description || '',
+            preContext: normalized.preContext || '',
+            outputSchema: normalized.outputSchema || null,
+            model: normalized.model || null,
+            builtIn: false,
+            createdAt: now,
+            lastModified: now
+        };
+
+        config.imageAnalysisTemplates = {
+            ...(config.imageAnalysisTemplates || {}),
+            [created.id]: created
+        };
+        await this.saveConfig(config);
+        return created;
+    }
+
+    /**
+     * Update a user-defined image analysis template
+     * @param {string} templateId - Template to change
+     * @param {Object} updates - Fields to change; call validateImageAnalysisTemplate(updates, true) first
+     * @returns {Promise<Object>} The updated template
+     * @throws {Error} When the template is built in or does not exist
+     */
+    async updateImageAnalysisTemplate(templateId, updates) {
+        const config = await this.getConfig();
+        const existing = this.getEditableTemplate(config, templateId);
+
+        const updated = {
+            ...existing,
+            ...this.normalizeImageAnalysisTemplate(updates),
+            id: templateId,
+            builtIn: false,
+            lastModified: new Date().toISOString()
+        };
+
+        config.imageAnalysisTemplates[templateId] = updated;
+        await this.saveConfig(config);
+        return updated;
+    }
+
+    /**
+     * Delete a user-defined image analysis template
+     * @param {string} templateId - Template to delete
+     * @returns {Promise<Object>} The deleted template
+     * @throws {Error} When the template is built in or does not exist
+     */
+    async deleteImageAnalysisTemplate(templateId) {
+        const config = await this.getConfig();
+        const existing = this.getEditableTemplate(config, templateId);
+
+        delete config.imageAnalysisTemplates[templateId];
+
+        // Albums and folders that used it go back to inheriting
+        const assignments = config.templateAssignments || {};
+        for (const group of ['albums', 'folders']) {
+            for (const [key, assignedId] of Object.entries(assignments[group] || {})) {
+                if (assignedId === templateId) {
+                    delete assignments[group][key];
+                }
+            }
+        }
+
+        // Fall back to custom input rather than pointing at a template that no longer exists
+        if (config.imageAnalysisConfig && config.imageAnalysisConfig.template === templateId) {
+            config.imageAnalysisConfig.template = '';
+        }
+
+        await this.saveConfig(config);
+        return existing;
+    }
+
+    /**
+     * Copy any template (built-in or user-defined) into a new user-defined template
+     * @param {string} templateId - Template to copy
+     * @param {string} name - Name for the copy (defaults to "<name> (copy)")
+     * @returns {Promise<Object>} The new template
+     * @throws {Error} When the template does not exist
+     */
+    async duplicateImageAnalysisTemplate(templateId, name = null) {
+        const templates = await this.getImageAnalysisTemplates();
+        const source = templates[templateId];
+        if (!source) {
+            throw new Error(`Template ${templateId} not found`);
+        }
+
+        return this.createImageAnalysisTemplate({
+            name: name && name.trim() ? name : `${source.name} (copy)`,
+            description: source.description || '',
+            preContext: source.preContext || '',
+            outputSchema: source.outputSchema || null,
+            model: source.model || null
+        });
+    }
+
+    getEditableTemplate(config, templateId) {
+        if (this.getBuiltInImageAnalysisTemplates()[templateId]) {
+            throw new Error(`Template ${templateId} is built in and cannot be changed; duplicate it instead`);
+        }
+
+        const existing = (config.imageAnalysisTemplates || {})[templateId];
+        if (!existing) {
+            throw new Error(`Template ${templateId} not found`);
+        }
+        return existing;
+    }
+
+    // Folder paths are stored the way albums display them: "2025 > Arizona Cup"
+    normalizeFolderPath(folderPath) {
+        const segments = Array.isArray(folderPath) ? folderPath : String(folderPath || '').split('>');
+        return segments.map(segment => String(segment).trim()).filter(Boolean).join(' > ');
+    }
+
+    // Get per-album and per-folder template assignments
+    async getTemplateAssignments() {
+        try {
+            const config = await this.getConfig();
+            return {
+                albums: {},
+                folders: {},
+                ...(config.templateAssignments || {})
+            };
+        } catch (error) {
+            console.error('Error getting template assignments:', error.message);
+            return { albums: {}, folders: {} };
+        }
+    }
+
+    /**
+     * Assign a template to an album or folder, or clear the assignment
+     * @param {Object} target - {albumKey} or {folderPath}
+     * @param {string|null} templateId - Template to use; null clears the assignment so the album or folder inherits again
+     * @returns {Promise<Object>} Updated assignments
+     */
+    async saveTemplateAssignment(target, templateId) {
+        const config = await this.getConfig();
+        const assignments = {
+            albums: {},
+            folders: {},
+            ...(config.templateAssignments || {})
+        };
+
+        const [group, key] = target.albumKey
+            ? ['albums', target.albumKey]
+            : ['folders', this.normalizeFolderPath(target.folderPath)];
+
+        // Folder keys match case-insensitively, so replace any differently-cased entry
+        for (const existingKey of Object.keys(assignments[group])) {
+            if (existingKey.toLowerCase() === key.toLowerCase()) {
+                delete assignments[group][existingKey];
+            }
+        }
+        if (templateId) {
+            assignments[group][key] = templateId;
+        }
+
+        config.templateAssignments = assignments;
+        await this.saveConfig(config);
+        return assignments;
+    }
+
+    /**
+     * Work out which template applies to an album: its own assignment, then the nearest
+     * assigned folder above it, then the global image analysis configuration
+     * @param {string} albumKey - SmugMug album key
+     * @param {Array<string>} albumHierarchy - Folder names followed by the album name
+     * @returns {Promise<Object>} {templateId, name, preContext, model, outputSchema, source, sourcePath}
+     */
+    async resolveAnalysisTemplate(albumKey, albumHierarchy = []) {
+        const templates = await this.getImageAnalysisTemplates();
+        const assignments = await this.getTemplateAssignments();
+        const globalSchema = await this.getAnalysisOutputSchema();
+
+        const fromTemplate = (templateId, source, sourcePath) => {
+            const template = templates[templateId];
+            return {
+                templateId,
+                name: template.name,
+                preContext: template.preContext || null,
+                model: template.model || null,
+                outputSchema: AnalysisSchema.merge(globalSchema, template.outputSchema),
+                source,
+                sourcePath
+            };
+        };
+
+        // Assignments pointing at deleted templates are ignored so the album keeps inheriting
+        const albumTemplateId = albumKey && assignments.albums[albumKey];
+        if (albumTemplateId && templates[albumTemplateId]) {
+            return fromTemplate(albumTemplateId, 'album', null);
+        }
+
+        const folders = Array.isArray(albumHierarchy) ? albumHierarchy.slice(0, -1) : [];
+        const folderAssignments = new Map(Object.entries(assignments.folders)
+            .map(([folderPath, templateId]) => [folderPath.toLowerCase(), { folderPath, templateId }]));
+        for (let depth = folders.length; depth > 0; depth--) {
+            const assigned = folderAssignments.get(this.normalizeFolderPath(folders.slice(0, depth)).toLowerCase());
+            if (assigned && templates[assigned.templateId]) {
+                return fromTemplate(assigned.templateId, 'folder', assigned.folderPath);
+            }
+        }
+
+        const analysisConfig = await this.getImageAnalysisConfig();
+        if (!analysisConfig.enabled) {
+            return {
+                templateId: null,
+                name: 'Default analysis',
+                preContext: null,
+                model: null,
+                outputSchema: globalSchema,
+                source: 'none',
+                sourcePath: null
+            };
+        }
+
+        // The global pre-context may have been edited after picking a template, so it wins over the template text
+        const globalTemplate = analysisConfig.template ? templates[analysisConfig.template] : null;
+        return {
+            templateId: globalTemplate ? globalTemplate.id : null,
+            name: globalTemplate ? globalTemplate.name : 'Custom pre-context',
+            preContext: analysisConfig.preContext || null,
+            model: globalTemplate ? globalTemplate.model || null : null,
+            outputSchema: AnalysisSchema.merge(globalSchema, globalTemplate ? globalTemplate.outputSchema : null),
+            source: 'global',
+            sourcePath: null
+        };
+    }
+
+    // Get the structured output fields requested in every analysis (templates can add more)
+    async getAnalysisOutputSchema() {
+        try {
+            const config = await this.getConfig();
+            return config.analysisOutputSchema || null;
+        } catch (error) {
+            console.error('Error getting analysis output schema:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Save the global structured output schema
+     * @param {Object|null} schema - JSON schema (check it with AnalysisSchema.validateDefinition first); null removes it
+     * @returns {Promise<Object>} {success, schema} or {success: false, error}
+     */
+    async saveAnalysisOutputSchema(schema) {
+        try {
+            const config = await this.getConfig();
+            config.analysisOutputSchema = AnalysisSchema.merge(schema);
+            await this.saveConfig(config);
+            return { success: true, schema: config.analysisOutputSchema };
+        } catch (error) {
+            console.error('Error saving analysis output schema:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
     // Get vision verification configuration
     async getVisionVerificationConfig() {
         try {
@@ -398,6 +798,276 @@ class DataManager {
         }
     }
     
+    // Get chat agent configuration (tool-use loop limits)
+    async getChatConfig() {
+        const defaults = {
+            maxToolSteps: 5,
+            toolResultPreviewCount: 10
+        };
+
+        try {
+            const config = await this.getConfig();
+            return { ...defaults, ...(config.chatConfig || {}) };
+        } catch (error) {
+            console.error('Error getting chat config:', error.message);
+            return defaults;
+        }
+    }
+
+    // Get embedding search configuration (semantic and hybrid search modes)
+    async getEmbeddingConfig() {
+        const defaults = {
+            model: EmbeddingIndex.DEFAULT_MODEL,
+            minSimilarity: 0.25,
+            hybridWeight: 0.5
+        };
+
+        try {
+            const config = await this.getConfig();
+            return { ...defaults, ...(config.embeddingConfig || {}) };
+        } catch (error) {
+            console.error('Error getting embedding config:', error.message);
+            return defaults;
+        }
+    }
+
+    // Get face detection configuration (people clustering during batch processing)
+    async getFaceConfig() {
+        const defaults = {
+            enabled: false,
+            minConfidence: 0.5,
+            matchThreshold: 0.5,
+            maxImageSize: 1024
+        };
+
+        try {
+            const config = await this.getConfig();
+            return { ...defaults, ...(config.faceConfig || {}) };
+        } catch (error) {
+            console.error('Error getting face config:', error.message);
+            return defaults;
+        }
+    }
+
+    // Save face detection configuration
+    async saveFaceConfig(faceConfig) {
+        try {
+            const config = await this.getConfig();
+            config.faceConfig = {
+                ...(config.faceConfig || {}),
+                ...faceConfig,
+                lastModified: new Date().toISOString()
+            };
+
+            await this.saveConfig(config);
+            return { success: true, config: await this.getFaceConfig() };
+        } catch (error) {
+            console.error('Error saving face config:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Get the scheduler that queues batches for new SmugMug uploads (batchProcessing.scheduler)
+    async getBatchSchedulerConfig() {
+        const defaults = {
+            enabled: false,
+            maxImagesPerRun: 100,
+            maxImageFailures: 3,
+            quietHours: null,
+            schedules: []
+        };
+
+        try {
+            const config = await this.getConfig();
+            const schedulerConfig = (config.batchProcessing || {}).scheduler || {};
+            return { ...defaults, ...schedulerConfig, schedules: schedulerConfig.schedules || [] };
+        } catch (error) {
+            console.error('Error getting batch scheduler config:', error.message);
+            return defaults;
+        }
+    }
+
+    // Save the batch scheduler configuration; schedules are replaced as a whole
+    async saveBatchSchedulerConfig(schedulerConfig) {
+        const errors = BatchScheduler.validateConfig(schedulerConfig);
+        if (errors.length > 0) {
+            return { success: false, error: errors.join('; ') };
+        }
+
+        try {
+            const config = await this.getConfig();
+            const batchProcessing = config.batchProcessing || {};
+            const update = { ...schedulerConfig };
+            if (schedulerConfig.schedules) {
+                update.schedules = schedulerConfig.schedules.map((schedule, index) => ({
+                    id: schedule.id || `schedule_${Date.now().toString(36)}_${index + 1}`,
+                    name: schedule.name || `Schedule ${index + 1}`,
+                    cron: String(schedule.cron).trim(),
+                    albums: schedule.albums || [],
+                    folders: schedule.folders || [],
+                    maxImagesPerRun: schedule.maxImagesPerRun || null,
+                    enabled: schedule.enabled !== false
+                }));
+            }
+
+            config.batchProcessing = {
+                ...batchProcessing,
+                scheduler: {
+                    ...(batchProcessing.scheduler || {}),
+                    ...update,
+                    lastModified: new Date().toISOString()
+                }
+            };
+
+            await this.saveConfig(config);
+            return { success: true, config: await this.getBatchSchedulerConfig() };
+        } catch (error) {
+            console.error('Error saving batch scheduler config:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Failed scheduled analyses by SmugMug image key; the scheduler holds back images that failed
+    // permanently or maxImageFailures times until they are retried by hand
+    async getScheduledImageFailures() {
+        try {
+            // Read directly: loadData would log the missing file on every run until something fails
+            return JSON.parse(await fs.readFile(this.scheduledImageFailuresFile, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw error;
+        }
+    }
+
+    // Count the failed jobs of a finished scheduled batch; images that were analyzed are forgotten
+    // (the file has its own write chain, so this bookkeeping never waits on image saves)
+    async recordScheduledImageResults(jobs) {
+        return await this.serializeFileWrite(this.scheduledImageFailuresFile, async () => {
+            const failures = await this.getScheduledImageFailures();
+
+            for (const job of jobs) {
+                const imageKey = job.data && job.data.imageKey;
+                if (!imageKey) continue;
+
+                const previous = failures[imageKey];
+                const failedAt = new Date(job.endTime || Date.now()).toISOString();
+                if (job.status === 'completed') {
+                    delete failures[imageKey];
+                } else if (job.status === 'failed' && !(previous && previous.lastFailedAt === failedAt)) {
+                    // A batch completes again after its failed jobs are retried; jobs left failed are only counted once
+                    failures[imageKey] = {
+                        imageKey,
+                        albumKey: job.albumKey,
+                        imageName: job.imageName,
+                        failures: ((previous && previous.failures) || 0) + 1,
+                        permanent: Boolean(job.error && job.error.retryable === false),
+                        lastError: job.error ? job.error.message : null,
+                        lastFailedAt: failedAt
+                    };
+                }
+            }
+
+            await fs.writeFile(this.scheduledImageFailuresFile, JSON.stringify(failures, null, 2), 'utf8');
+            return failures;
+        });
+    }
+
+    // Let the scheduler queue failed images again (all of them when no keys are given)
+    async clearScheduledImageFailures(imageKeys = null) {
+        return await this.serializeFileWrite(this.scheduledImageFailuresFile, async () => {
+            const failures = await this.getScheduledImageFailures();
+            const cleared = (imageKeys || Object.keys(failures)).filter(imageKey => failures[imageKey]);
+            cleared.forEach(imageKey => delete failures[imageKey]);
+
+            await fs.writeFile(this.scheduledImageFailuresFile, JSON.stringify(failures, null, 2), 'utf8');
+            return cleared;
+        });
+    }
+
+    // Get vision provider configuration (which service analyzes images, verifies results and runs chat)
+    // PHOTOVISION_PROVIDER overrides the stored type, e.g. PHOTOVISION_PROVIDER=mock for offline runs and CI
+    async getVisionProviderConfig() {
+        const defaults = {
+            type: 'claude',
+            fixtures: {},
+            latencyMs: 0
+        };
+
+        let stored = {};
+        try {
+            const config = await this.getConfig();
+            stored = config.visionProvider || {};
+        } catch (error) {
+            console.error('Error getting vision provider config:', error.message);
+        }
+
+        return {
+            ...defaults,
+            ...stored,
+            ...(process.env.PHOTOVISION_PROVIDER ? { type: process.env.PHOTOVISION_PROVIDER } : {})
+        };
+    }
+
+    // Save vision provider configuration
+    async saveVisionProviderConfig(providerConfig) {
+        try {
+            const config = await this.getConfig();
+            config.visionProvider = {
+                ...(config.visionProvider || {}),
+                ...providerConfig,
+                lastModified: new Date().toISOString()
+            };
+
+            await this.saveConfig(config);
+            return { success: true, config: await this.getVisionProviderConfig() };
+        } catch (error) {
+            console.error('Error saving vision provider config:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Get the per-model price table (USD per million input and output tokens) used for cost estimates
+    async getModelPricing() {
+        try {
+            const config = await this.getConfig();
+            return { ...DEFAULT_MODEL_PRICING, ...(config.modelPricing || {}) };
+        } catch (error) {
+            console.error('Error getting model pricing:', error.message);
+            return { ...DEFAULT_MODEL_PRICING };
+        }
+    }
+
+    // Save prices for some models; other models keep their current price
+    async saveModelPricing(pricing) {
+        const errors = [];
+        for (const [modelId, price] of Object.entries(pricing || {})) {
+            for (const field of ['input', 'output']) {
+                if (!price || typeof price[field] !== 'number' || !isFinite(price[field]) || price[field] < 0) {
+                    errors.push(`${modelId}: ${field} price must be a non-negative number`);
+                }
+            }
+        }
+        if (errors.length > 0) {
+            return { success: false, error: errors.join('; ') };
+        }
+
+        try {
+            const config = await this.getConfig();
+            config.modelPricing = {
+                ...(config.modelPricing || {}),
+                ...Object.fromEntries(Object.entries(pricing).map(([modelId, price]) => [modelId, { input: price.input, output: price.output }]))
+            };
+
+            await this.saveConfig(config);
+            return { success: true, pricing: await this.getModelPricing() };
+        } catch (error) {
+            console.error('Error saving model pricing:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
     // Get search broadening configuration
     async getSearchBroadeningConfig() {
         try {
@@ -459,7 +1129,7 @@ class DataManager {
     async getClaudeModelConfig() {
         try {
             const config = await this.getConfig();
-            return config.claudeModelConfig || {
+            return this.normalizeModelConfig(config.claudeModelConfig || {
                 chatModel: 'claude-3-5-sonnet-20241022',
                 batchProcessingModel: 'claude-3-haiku-20240307',
                 availableModels: [
@@ -501,11 +1171,11 @@ class DataManager {
                 ],
                 lastModified: null,
                 modifiedBy: null
-            };
+            });
         } catch (error) {
             console.error('Error getting Claude model config:', error.message);
             // Return default config if file doesn't exist
-            return {
+            return this.normalizeModelConfig({
                 chatModel: 'claude-3-5-sonnet-20241022',
                 batchProcessingModel: 'claude-3-haiku-20240307',
                 availableModels: [
@@ -547,10 +1217,102 @@ class DataManager {
                 ],
                 lastModified: null,
                 modifiedBy: null
-            };
+            });
         }
     }
 
+    // Fill in the provider and capabilities of every model, and the settings of every provider.
+    // Models saved before providers existed are Claude models, which can see images and call tools.
+    normalizeModelConfig(modelConfig) {
+        const providers = {};
+        for (const [type, defaults] of Object.entries(DEFAULT_PROVIDER_SETTINGS)) {
+            providers[type] = { ...defaults, ...((modelConfig.providers || {})[type] || {}) };
+        }
+
+        return {
+            ...modelConfig,
+            providers,
+            availableModels: (modelConfig.availableModels || []).map(model => {
+                const provider = model.provider || 'claude';
+                const defaultCapability = provider === 'claude';
+                return {
+                    ...model,
+                    provider,
+                    capabilities: {
+                        vision: defaultCapability,
+                        toolUse: defaultCapability,
+                        ...(model.capabilities || {})
+                    }
+                };
+            })
+        };
+    }
+
+    /**
+     * Check a model configuration before it is saved
+     * @param {Object} modelConfig - {chatModel, batchProcessingModel, availableModels, providers}
+     * @returns {Array<string>} Validation errors; empty when the configuration is usable
+     */
+    validateModelConfig(modelConfig) {
+        const errors = [];
+        const models = modelConfig.availableModels;
+
+        if (!Array.isArray(models) || models.length === 0) {
+            return ['availableModels must be a non-empty array'];
+        }
+
+        const seen = new Set();
+        for (const model of models) {
+            if (!model || typeof model.id !== 'string' || !model.id.trim()) {
+                errors.push('every model needs an id');
+                continue;
+            }
+            if (seen.has(model.id)) {
+                errors.push(`model ${model.id} is listed more than once`);
+            }
+            seen.add(model.id);
+
+            if (model.provider !== undefined && !MODEL_PROVIDERS.includes(model.provider)) {
+                errors.push(`model ${model.id} has an unknown provider ${model.provider}; expected one of ${MODEL_PROVIDERS.join(', ')}`);
+            }
+            if (model.capabilities !== undefined) {
+                const capabilities = model.capabilities;
+                if (!capabilities || typeof capabilities !== 'object' ||
+                    ['vision', 'toolUse'].some(capability => capabilities[capability] !== undefined && typeof capabilities[capability] !== 'boolean')) {
+                    errors.push(`model ${model.id} capabilities must be {vision: boolean, toolUse: boolean}`);
+                }
+            }
+        }
+
+        for (const [type, settings] of Object.entries(modelConfig.providers || {})) {
+            if (!DEFAULT_PROVIDER_SETTINGS[type]) {
+                errors.push(`unknown provider settings for ${type}`);
+            } else if (settings.baseUrl !== undefined && !/^https?:\/\/\S+$/.test(settings.baseUrl)) {
+                errors.push(`${type} baseUrl must be an http or https URL`);
+            }
+        }
+        if (errors.length > 0) {
+            return errors;
+        }
+
+        // Chat search works through tool calls; batch processing needs to see the images
+        const normalized = this.normalizeModelConfig(modelConfig);
+        const chatModel = normalized.availableModels.find(model => model.id === modelConfig.chatModel);
+        const batchModel = normalized.availableModels.find(model => model.id === modelConfig.batchProcessingModel);
+        if (!chatModel) {
+            errors.push(`Invalid chatModel: ${modelConfig.chatModel}`);
+        } else if (!chatModel.capabilities.toolUse) {
+            errors.push(`chatModel ${chatModel.id} does not support tool use, which chat search needs`);
+        }
+        if (!batchModel) {
+            errors.push(`Invalid batchProcessingModel: ${modelConfig.batchProcessingModel}`);
+        } else if (!batchModel.capabilities.vision) {
+            errors.push(`batchProcessingModel ${batchModel.id} cannot analyze images`);
+        }
+
+        return errors;
+    }
+
     // Save Claude model configuration
     async saveClaudeModelConfig(modelConfig) {
         try {
@@ -568,7 +1330,7 @@ class DataManager {
             };
             
             await this.saveConfig(config);
-            return config.claudeModelConfig;
+            return this.normalizeModelConfig(config.claudeModelConfig);
         } catch (error) {
             console.error('Error saving Claude model config:', error.message);
             throw error;
@@ -581,7 +1343,7 @@ class DataManager {
         return modelConfig.availableModels.some(model => model.id === modelId);
     }
 
-    // Get model information by ID
+    // Get model information by ID (including provider and capabilities)
     async getModelInfo(modelId) {
         try {
             const modelConfig = await this.getClaudeModelConfig();
@@ -592,6 +1354,12 @@ class DataManager {
         }
     }
 
+    // Whether a model can do something ('vision' or 'toolUse'); unknown models can do nothing
+    async modelSupports(modelId, capability) {
+        const model = await this.getModelInfo(modelId);
+        return !!(model && model.capabilities[capability]);
+    }
+
     // Find existing image by SmugMug key
     async findImageBySmugmugKey(smugmugImageKey) {
         if (!this.initialized) {
@@ -643,7 +1411,14 @@ class DataManager {
     }
 
     // Update existing image by key (SmugMug key, image key, or ID)
-    async updateImage(imageKey, newData) {
+    // historyEvent ({type, actor, summary, details}) describes the change in the image's history;
+    // without one, only changes to the analysis fields are recorded
+    async updateImage(imageKey, newData, historyEvent = null) {
+        return await this.serializeImageWrite(() => this.writeImageUpdate(imageKey, newData, historyEvent));
+    }
+
+    // updateImage for callers that already hold the image write lock
+    async writeImageUpdate(imageKey, newData, historyEvent) {
         try {
             if (this.storageMode === 'album') {
                 // In album mode, we need to find which album contains this image
@@ -657,11 +1432,14 @@ class DataManager {
                 }
                 
                 // Delegate to album data manager
-                return await this.albumDataManager.updateImageInAlbum(
+                const updatedImage = await this.albumDataManager.updateImageInAlbum(
                     existingImage.albumKey,
                     imageKey,
                     newData
                 );
+                await this.indexImage(updatedImage);
+                await this.recordImageUpdate(existingImage, updatedImage, historyEvent);
+                return updatedImage;
             } else {
                 // Single file mode
                 const images = await this.getImages();
@@ -684,6 +1462,8 @@ class DataManager {
                 
                 images[existingIndex] = updatedImage;
                 await this.saveImages(images);
+                await this.indexImage(updatedImage);
+                await this.recordImageUpdate(existingImage, updatedImage, historyEvent);
                 
                 console.log(`Updated existing image: ${existingImage.id} (${imageKey})`);
                 return updatedImage;
@@ -694,8 +1474,28 @@ class DataManager {
         }
     }
 
+    // Run an image write after the ones already pending for the same images file, from any DataManager.
+    // Batch workers save in parallel, and each save rewrites a whole album (or images.json) and the
+    // indexes, so overlapping writes would lose data. Not reentrant: code holding the lock must call
+    // the unlocked workers (storeImage, writeImageUpdate, buildSearchIndex), not the public methods.
+    serializeImageWrite(write) {
+        return this.serializeFileWrite(this.imagesFile, write);
+    }
+
+    // Run a read-modify-write of a file after the ones already pending for it
+    serializeFileWrite(file, write) {
+        const chain = writeChains.get(file) || Promise.resolve();
+        const result = chain.then(write);
+        writeChains.set(file, result.catch(() => {}));
+        return result;
+    }
+
     // Add a new image analysis with duplicate detection
     async addImage(imageData, options = { duplicateHandling: 'skip' }) {
+        return await this.serializeImageWrite(() => this.storeImage(imageData, options));
+    }
+
+    async storeImage(imageData, options) {
         if (!this.initialized) {
             await this.initialize();
         }
@@ -725,15 +1525,28 @@ class DataManager {
                             return { ...existingImage, wasSkipped: true };
                             
                         case 'update':
+                            // Images that were re-analyzed keep their earlier versions; the new analysis becomes active
+                            if (Array.isArray(existingImage.analyses) && existingImage.analyses.length > 0) {
+                                const entry = this.createAnalysisVersion(imageData, Math.max(...existingImage.analyses.map(v => v.version)) + 1);
+                                imageData = { ...imageData, analyses: [...existingImage.analyses, entry], activeAnalysisVersion: entry.version };
+                            }
+                            const duplicateUpdateEvent = {
+                                type: 'duplicate-update',
+                                actor: this.getRecordActor(imageData),
+                                summary: `Re-processed and merged into the existing record${imageData.metadata && imageData.metadata.model ? ` (${imageData.metadata.model})` : ''}`
+                            };
+
                             if (this.storageMode === 'album') {
                                 // In album mode, update in the specific album
                                 const updatedImage = await this.albumDataManager.addImageToAlbum(
                                     existingImage.albumKey,
                                     { ...existingImage, ...imageData }
                                 );
+                                await this.indexImage(updatedImage);
+                                await this.recordImageHistory(updatedImage.id, duplicateUpdateEvent, existingImage, updatedImage);
                                 return { ...updatedImage, wasUpdated: true };
                             } else {
-                                const updatedImage = await this.updateImage(imageData.smugmugImageKey, imageData);
+                                const updatedImage = await this.writeImageUpdate(imageData.smugmugImageKey, imageData, duplicateUpdateEvent);
                                 return { ...updatedImage, wasUpdated: true };
                             }
                             
@@ -746,6 +1559,8 @@ class DataManager {
                                     ...imageData
                                 };
                                 await this.albumDataManager.addImageToAlbum(existingImage.albumKey, replacedImage);
+                                await this.indexImage(replacedImage, existingImage.id);
+                                await this.recordDuplicateReplace(existingImage, replacedImage);
                                 console.log(`Replaced existing image in album: ${existingImage.id} -> ${replacedImage.id} (${imageData.smugmugImageKey})`);
                                 return { ...replacedImage, wasReplaced: true };
                             } else {
@@ -760,6 +1575,8 @@ class DataManager {
                                 
                                 images[existingIndex] = replacedImage;
                                 await this.saveImages(images);
+                                await this.indexImage(replacedImage, existingImage.id);
+                                await this.recordDuplicateReplace(existingImage, replacedImage);
                                 
                                 console.log(`Replaced existing image: ${existingImage.id} -> ${replacedImage.id} (${imageData.smugmugImageKey})`);
                                 return { ...replacedImage, wasReplaced: true };
@@ -784,12 +1601,16 @@ class DataManager {
                     throw new Error('albumKey is required for album storage mode');
                 }
                 const savedImage = await this.albumDataManager.addImageToAlbum(imageData.albumKey, newImage);
+                await this.indexImage(savedImage);
+                await this.recordNewImage(savedImage);
                 console.log(`Added new image to album ${imageData.albumKey}: ${savedImage.id} (${imageData.smugmugImageKey || 'no SmugMug key'})`);
                 return { ...savedImage, wasAdded: true };
             } else {
                 const images = await this.getImages();
                 images.push(newImage);
                 await this.saveImages(images);
+                await this.indexImage(newImage);
+                await this.recordNewImage(newImage);
                 console.log(`Added new image: ${newImage.id} (${imageData.smugmugImageKey || 'no SmugMug key'})`);
                 return { ...newImage, wasAdded: true };
             }
@@ -799,6 +1620,404 @@ class DataManager {
         }
     }
 
+    // Analyses kept for an image, oldest first; records from before versioning get their current analysis as version 1
+    getAnalysisVersions(image) {
+        if (Array.isArray(image.analyses) && image.analyses.length > 0) {
+            return image.analyses;
+        }
+        return [this.createAnalysisVersion(image, 1)];
+    }
+
+    // Snapshot the analysis fields of an image record or analysis result as a numbered version
+    createAnalysisVersion(analysis, version) {
+        const metadata = analysis.metadata || {};
+        return {
+            version,
+            model: analysis.model || metadata.model || null,
+            description: analysis.description || '',
+            keywords: analysis.keywords || [],
+            attributes: analysis.attributes || null,
+            analysisTemplate: analysis.analysisTemplate || metadata.analysisTemplate || null,
+            timestamp: analysis.timestamp || metadata.timestamp || new Date().toISOString()
+        };
+    }
+
+    // Top-level fields search reads, taken from the version chosen as active
+    getActiveAnalysisFields(image, entry) {
+        return {
+            description: entry.description,
+            keywords: entry.keywords,
+            attributes: entry.attributes,
+            activeAnalysisVersion: entry.version,
+            metadata: {
+                ...image.metadata,
+                model: entry.model,
+                timestamp: entry.timestamp,
+                analysisTemplate: entry.analysisTemplate
+            }
+        };
+    }
+
+    // Store a new analysis alongside the existing ones, optionally making it the one search uses
+    async addAnalysisVersion(imageId, analysis, activate = false, actor = 'system') {
+        return await this.serializeImageWrite(async () => {
+            const [image] = await this.getImagesByIds([imageId]);
+            if (!image) {
+                throw new Error(`Image ${imageId} not found`);
+            }
+
+            const versions = this.getAnalysisVersions(image);
+            const entry = this.createAnalysisVersion(analysis, Math.max(...versions.map(v => v.version)) + 1);
+            const updates = activate
+                ? this.getActiveAnalysisFields(image, entry)
+                : { activeAnalysisVersion: image.activeAnalysisVersion || versions[versions.length - 1].version };
+
+            const updatedImage = await this.writeImageUpdate(image.id, { ...updates, analyses: [...versions, entry] }, {
+                type: 'reanalysis',
+                actor,
+                summary: `Re-analyzed with ${entry.model}${activate ? ' and made active' : ''}`,
+                details: { analysisVersion: entry.version }
+            });
+            console.log(`Added analysis version ${entry.version} for image ${image.id} (${entry.model})${activate ? ', now active' : ''}`);
+            return { image: updatedImage, version: entry };
+        });
+    }
+
+    // Choose which stored analysis version search uses for an image
+    async setActiveAnalysisVersion(imageId, version, actor = 'system') {
+        return await this.serializeImageWrite(async () => {
+            const [image] = await this.getImagesByIds([imageId]);
+            if (!image) {
+                throw new Error(`Image ${imageId} not found`);
+            }
+
+            const versions = this.getAnalysisVersions(image);
+            const entry = versions.find(v => v.version === Number(version));
+            if (!entry) {
+                throw new Error(`Analysis version ${version} not found for image ${imageId}`);
+            }
+
+            // Persist the synthesized version 1 of older records so it survives switching away from it
+            return await this.writeImageUpdate(image.id, { ...this.getActiveAnalysisFields(image, entry), analyses: versions }, {
+                type: 'activate-analysis',
+                actor,
+                summary: `Analysis version ${entry.version} (${entry.model}) made active`,
+                details: { analysisVersion: entry.version }
+            });
+        });
+    }
+
+    // Append an entry to an image's history; a failure here never undoes the change it describes
+    async recordImageHistory(imageId, event, before = null, after = null) {
+        try {
+            return await ImageHistory.forFile(this.imageHistoryFile).record(imageId, event, before, after);
+        } catch (error) {
+            console.error('Error recording image history:', error.message);
+            return null;
+        }
+    }
+
+    // Who produced a record: the batch that analyzed it, or the system
+    getRecordActor(record) {
+        return record.metadata && record.metadata.batchId ? `batch ${record.metadata.batchId}` : 'system';
+    }
+
+    async recordNewImage(image) {
+        const model = image.metadata && image.metadata.model;
+        await this.recordImageHistory(image.id, {
+            type: 'analysis',
+            actor: this.getRecordActor(image),
+            summary: model ? `Analyzed with ${model}` : 'Record created'
+        }, null, image);
+    }
+
+    async recordDuplicateReplace(existingImage, replacedImage) {
+        await this.recordImageHistory(replacedImage.id, {
+            type: 'duplicate-replace',
+            actor: this.getRecordActor(replacedImage),
+            summary: `Replaced duplicate record ${existingImage.id}`,
+            details: { replacedId: existingImage.id }
+        }, existingImage, replacedImage);
+    }
+
+    async recordImageUpdate(existingImage, updatedImage, historyEvent) {
+        // Plain updates (capture metadata backfills and the like) are only worth recording when the analysis changed
+        if (!historyEvent && ImageHistory.describeChanges(existingImage, updatedImage).fields.length === 0) {
+            return;
+        }
+        await this.recordImageHistory(updatedImage.id, historyEvent || { type: 'update', summary: 'Record updated' }, existingImage, updatedImage);
+    }
+
+    // History of an image, oldest first (includes records it replaced as a duplicate)
+    async getImageHistory(imageId) {
+        const [image] = await this.getImagesByIds([imageId]);
+        if (!image) {
+            throw new Error(`Image ${imageId} not found`);
+        }
+        return await ImageHistory.forFile(this.imageHistoryFile).getHistory(image.id);
+    }
+
+    // Restore the analysis fields an image had after a history entry; the revert is itself recorded
+    async revertImageToHistory(imageId, version, actor = 'system') {
+        return await this.serializeImageWrite(async () => {
+            const [image] = await this.getImagesByIds([imageId]);
+            if (!image) {
+                throw new Error(`Image ${imageId} not found`);
+            }
+
+            const entry = await ImageHistory.forFile(this.imageHistoryFile).getEntry(image.id, version);
+            if (!entry) {
+                throw new Error(`History version ${version} not found for image ${imageId}`);
+            }
+            if (!entry.snapshot) {
+                throw new Error(`History version ${version} (${entry.type}) did not change the record, so there is nothing to restore`);
+            }
+
+            // Analysis versions are kept as they are, so a revert never loses a re-analysis
+            return await this.writeImageUpdate(image.id, { attributes: null, ...entry.snapshot }, {
+                type: 'revert',
+                actor,
+                summary: `Reverted to version ${entry.version}`,
+                details: { revertedTo: entry.version }
+            });
+        });
+    }
+
+    // Get the BM25 search index, building it from stored images the first time
+    async getSearchIndex() {
+        const index = BM25Index.forFile(this.bm25IndexFile);
+        const exists = await index.load();
+        
+        if (!exists) {
+            // Built in place rather than through the write lock, since writers holding it also load the index
+            await this.buildSearchIndex();
+        }
+        
+        return index;
+    }
+
+    // Rebuild the BM25 search index from all stored images
+    async rebuildSearchIndex() {
+        return await this.serializeImageWrite(() => this.buildSearchIndex());
+    }
+
+    async buildSearchIndex() {
+        const index = BM25Index.forFile(this.bm25IndexFile);
+        const images = await this.getImages();
+        
+        index.rebuild(Array.isArray(images) ? images : Object.values(images || {}));
+        await index.save();
+        
+        console.log(`Search index rebuilt with ${index.docCount} images`);
+        await this.pruneEmbeddingIndex(index);
+        await this.pruneFaceIndex(index);
+        return index.getStats();
+    }
+
+    // Fold the search index change log back into its snapshot (run once a batch has finished)
+    async compactSearchIndex() {
+        try {
+            await this.serializeImageWrite(async () => {
+                const index = await this.getSearchIndex();
+                await index.compact();
+            });
+        } catch (error) {
+            console.error('Error compacting search index:', error.message);
+        }
+    }
+
+    // Get the embedding index once it has been built; until then this starts a background build
+    // and returns null so searches can rank by keywords instead
+    async getEmbeddingIndex() {
+        const { model } = await this.getEmbeddingConfig();
+        const index = EmbeddingIndex.forFile(this.embeddingIndexFile, model);
+        const exists = await index.load();
+        
+        if (!exists) {
+            this.buildEmbeddingIndexInBackground();
+            return null;
+        }
+        
+        return index;
+    }
+
+    // Start a background build (or join the one already running); resolves with its stats, or null if it failed
+    buildEmbeddingIndexInBackground() {
+        const queue = this.getEmbeddingQueue();
+        
+        if (!queue.backgroundBuild) {
+            queue.backgroundBuild = this.rebuildEmbeddingIndex()
+                .catch(error => {
+                    console.error('Error building embedding index:', error.message);
+                    return null;
+                })
+                .finally(() => {
+                    queue.backgroundBuild = null;
+                });
+        }
+        
+        return queue.backgroundBuild;
+    }
+
+    // Check whether a background embedding build is running
+    isEmbeddingIndexBuilding() {
+        return Boolean(this.getEmbeddingQueue().backgroundBuild);
+    }
+
+    // Embed new or changed images and drop vectors for deleted ones
+    async rebuildEmbeddingIndex() {
+        return await this.queueEmbeddingWork(async () => {
+            const { model } = await this.getEmbeddingConfig();
+            const index = EmbeddingIndex.forFile(this.embeddingIndexFile, model);
+            const images = await this.getImages();
+            
+            console.log(`Building embedding index with ${model}...`);
+            const result = await index.rebuild(Array.isArray(images) ? images : Object.values(images || {}));
+            await index.save();
+            
+            console.log(`Embedding index ready: ${result.embedded} embedded, ${result.unchanged} unchanged, ${result.removed} removed`);
+            return { ...index.getStats(), ...result };
+        });
+    }
+
+    // Run embedding index work after anything already queued for the same index file
+    queueEmbeddingWork(work) {
+        const queue = this.getEmbeddingQueue();
+        const run = queue.chain.then(work);
+        queue.chain = run.catch(() => {});
+        return run;
+    }
+
+    // Queue state shared by every DataManager using this embedding index file
+    getEmbeddingQueue() {
+        if (!embeddingQueues.has(this.embeddingIndexFile)) {
+            embeddingQueues.set(this.embeddingIndexFile, { chain: Promise.resolve(), backgroundBuild: null });
+        }
+        return embeddingQueues.get(this.embeddingIndexFile);
+    }
+
+    // Drop vectors for images missing from a freshly rebuilt BM25 index (no model needed)
+    async pruneEmbeddingIndex(searchIndex) {
+        try {
+            const { model } = await this.getEmbeddingConfig();
+            const index = EmbeddingIndex.forFile(this.embeddingIndexFile, model);
+            if (!(await index.load())) return;
+            
+            if (index.retainOnly(new Set(Object.keys(searchIndex.docs))) > 0) {
+                await index.save();
+            }
+        } catch (error) {
+            console.error('Error pruning embedding index:', error.message);
+        }
+    }
+
+    // Queue a refresh of one image's vector, but only once the embedding index has been built
+    embedImage(image, replacedId = null) {
+        return this.queueEmbeddingWork(async () => {
+            try {
+                const { model } = await this.getEmbeddingConfig();
+                const index = EmbeddingIndex.forFile(this.embeddingIndexFile, model);
+                if (!(await index.load())) return;
+                
+                const replaced = replacedId && replacedId !== image.id && index.removeDocument(replacedId);
+                const embedded = await index.addDocument(image);
+                if (replaced || embedded) {
+                    await index.save();
+                }
+            } catch (error) {
+                // Missing vectors are filled in by the next embedding index rebuild
+                console.error('Error updating embedding index:', error.message);
+            }
+        });
+    }
+
+    // Get the face index with the configured detection settings (empty until photos are scanned)
+    async getFaceIndex() {
+        const { minConfidence, matchThreshold, maxImageSize } = await this.getFaceConfig();
+        const index = FaceIndex.forFile(this.faceIndexFile, { minConfidence, matchThreshold, maxImageSize });
+        await index.load();
+        return index;
+    }
+
+    // Detect and cluster the faces in a saved photo when face detection is enabled
+    async detectFaces(image, imageBuffer, replacedId = null) {
+        try {
+            const faceConfig = await this.getFaceConfig();
+            if (!faceConfig.enabled) return null;
+
+            return await this.serializeImageWrite(async () => {
+                const index = await this.getFaceIndex();
+                if (replacedId && replacedId !== image.id) {
+                    index.removeImage(replacedId);
+                }
+                const faceCount = await index.addImage(image.id, imageBuffer);
+                await index.save();
+                return faceCount;
+            });
+        } catch (error) {
+            // The photo is saved either way; an admin scan can pick it up later
+            console.error('Error detecting faces:', error.message);
+            return null;
+        }
+    }
+
+    // Drop faces for images missing from a freshly rebuilt BM25 index
+    async pruneFaceIndex(searchIndex) {
+        try {
+            const index = FaceIndex.forFile(this.faceIndexFile);
+            if (!(await index.load())) return;
+
+            if (index.retainOnly(new Set(Object.keys(searchIndex.docs))) > 0) {
+                await index.save();
+            }
+        } catch (error) {
+            console.error('Error pruning face index:', error.message);
+        }
+    }
+
+    // Add or refresh one image in the search index (replacedId drops a record it superseded)
+    async indexImage(image, replacedId = null) {
+        try {
+            const index = await this.getSearchIndex();
+            if (replacedId && replacedId !== image.id) {
+                index.removeDocument(replacedId);
+            }
+            index.addDocument(image);
+            // Appended to the change log; the snapshot is only rewritten on compaction
+            await index.flush();
+        } catch (error) {
+            // The record is already saved; a stale index entry is fixed by the next rebuild
+            console.error('Error updating search index:', error.message);
+        }
+        
+        // Embedding runs behind the save, so storing or editing an image never waits on the model
+        this.embedImage(image, replacedId);
+    }
+
+    // Load specific images by ID, reading only the albums that contain them
+    async getImagesByIds(ids) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+        
+        if (this.storageMode !== 'album') {
+            const images = await this.getImages();
+            const imagesById = new Map(images.map(image => [image.id, image]));
+            return ids.map(id => imagesById.get(id)).filter(Boolean);
+        }
+        
+        const index = await this.getSearchIndex();
+        const albumKeys = new Set(ids.map(id => index.getAlbumKey(id)).filter(Boolean));
+        const imagesById = new Map();
+        
+        for (const albumKey of albumKeys) {
+            const albumImages = await this.albumDataManager.loadAlbum(albumKey);
+            albumImages.forEach(image => imagesById.set(image.id, image));
+        }
+        
+        return ids.map(id => imagesById.get(id)).filter(Boolean);
+    }
+
     // Search images by description and keywords
     async searchImages(query) {
         if (!this.initialized) {
@@ -1333,6 +2552,143 @@ class DataManager {
         }
     }
 
+    /**
+     * Get the decrypted API key for a model provider
+     * @param {string} provider - claude, openai or ollama
+     * @returns {string|null} The API key, or null if none is stored or set in the environment
+     */
+    async getProviderApiKey(provider) {
+        if (provider === 'claude') {
+            return await this.getClaudeApiKey();
+        }
+
+        try {
+            const config = await this.getConfig();
+            if (config.apiKeys && config.apiKeys[provider]) {
+                try {
+                    return await this.cryptoUtils.decrypt(config.apiKeys[provider]);
+                } catch (error) {
+                    console.error(`Error decrypting ${provider} API key:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.error(`Error getting ${provider} API key:`, error.message);
+        }
+
+        return (PROVIDER_KEY_ENV[provider] && process.env[PROVIDER_KEY_ENV[provider]]) || null;
+    }
+
+    /**
+     * Get API key configuration status for a model provider
+     * @param {string} provider - claude, openai or ollama
+     * @returns {Object} Status object with configured flag, source and masked key
+     */
+    async getProviderApiKeyStatus(provider) {
+        if (provider === 'claude') {
+            return await this.getClaudeApiKeyStatus();
+        }
+
+        try {
+            const config = await this.getConfig();
+            if (config.apiKeys && config.apiKeys[provider]) {
+                const decryptedKey = await this.cryptoUtils.decrypt(config.apiKeys[provider]);
+                return { configured: true, source: 'database', maskedKey: this.cryptoUtils.maskApiKey(decryptedKey) };
+            }
+        } catch (error) {
+            console.error(`Error getting ${provider} API key status:`, error.message);
+        }
+
+        const envKey = PROVIDER_KEY_ENV[provider] && process.env[PROVIDER_KEY_ENV[provider]];
+        if (envKey) {
+            return { configured: true, source: 'environment', maskedKey: this.cryptoUtils.maskApiKey(envKey) };
+        }
+        return { configured: false, source: null, maskedKey: null };
+    }
+
+    /**
+     * Save an API key (encrypted) for an OpenAI-compatible or Ollama provider
+     * @param {string} provider - openai or ollama
+     * @param {string} apiKey - The API key to save
+     * @returns {Object} Result object
+     */
+    async saveProviderApiKey(provider, apiKey) {
+        if (!PROVIDER_KEY_ENV[provider]) {
+            throw new Error(`Unknown provider: ${provider}`);
+        }
+        if (typeof apiKey !== 'string' || apiKey.trim().length < 8) {
+            throw new Error('Invalid API key format. Keys should be at least 8 characters');
+        }
+
+        const config = await this.getConfig();
+        config.apiKeys = config.apiKeys || {};
+        config.apiKeys[provider] = await this.cryptoUtils.encrypt(apiKey.trim());
+        config.apiKeys.lastUpdated = new Date().toISOString();
+        await this.saveConfig(config);
+
+        this.cryptoUtils.clearSensitiveData(apiKey);
+        return { success: true, message: `${provider} API key saved successfully` };
+    }
+
+    /**
+     * Remove the stored API key of an OpenAI-compatible or Ollama provider
+     * @param {string} provider - openai or ollama
+     * @returns {Object} Result object
+     */
+    async removeProviderApiKey(provider) {
+        const config = await this.getConfig();
+        if (!PROVIDER_KEY_ENV[provider] || !config.apiKeys || !config.apiKeys[provider]) {
+            return { success: false, message: 'No API key found to remove' };
+        }
+
+        delete config.apiKeys[provider];
+        await this.saveConfig(config);
+        return { success: true, message: `${provider} API key removed successfully` };
+    }
+
+    // Usage Accounting Methods
+
+    /**
+     * Record the tokens a model call used; a failure here never fails the call itself
+     * @param {string} feature - batch_analysis, reanalysis, chat, vision_verification, analyze, test_analyze or connection_test
+     * @param {Object} usage - Usage as returned by the provider, {input_tokens, output_tokens}
+     * @param {Object} details - {model, batchId, jobId, sessionId}
+     * @returns {Object|null} The stored entry, or null when there was nothing to record
+     */
+    async recordUsage(feature, usage, details = {}) {
+        if (!usage) return null;
+
+        try {
+            return await new UsageLedger(this.usageLedgerFile).record({
+                ...details,
+                feature,
+                inputTokens: usage.input_tokens,
+                outputTokens: usage.output_tokens
+            });
+        } catch (error) {
+            console.error('Error recording usage:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Token and estimated cost totals per day, feature, model and batch
+     * @param {Object} options - {days: look-back window in days (whole ledger when omitted), batchId}
+     * @returns {Object} Summary from UsageLedger.summarize plus the pricing used
+     */
+    async getUsageSummary(options = {}) {
+        const since = options.days
+            ? new Date(Date.now() - options.days * 24 * 60 * 60 * 1000)
+            : null;
+        const entries = await new UsageLedger(this.usageLedgerFile).getEntries({ since, batchId: options.batchId });
+        const pricing = await this.getModelPricing();
+
+        return {
+            ...UsageLedger.summarize(entries, pricing),
+            since: since ? since.toISOString() : null,
+            pricing
+        };
+    }
+
     // Starred Images Methods
 
     /**
@@ -1367,34 +2723,39 @@ class DataManager {
     /**
      * Star an image
      * @param {string} imageId - The image ID to star
+     * @param {string} actor - Who made the change, for the image history
      * @returns {Object} Result object
      */
-    async starImage(imageId) {
+    async starImage(imageId, actor = 'system') {
         try {
-            const config = await this.getConfig();
-            
-            // Initialize starredImages array if it doesn't exist
-            if (!config.starredImages) {
-                config.starredImages = [];
-            }
-            
-            // Check if already starred
-            if (config.starredImages.includes(imageId)) {
+            // Stars live in config.json, which every writer rewrites whole
+            return await this.serializeImageWrite(async () => {
+                const config = await this.getConfig();
+                
+                // Initialize starredImages array if it doesn't exist
+                if (!config.starredImages) {
+                    config.starredImages = [];
+                }
+                
+                // Check if already starred
+                if (config.starredImages.includes(imageId)) {
+                    return {
+                        success: false,
+                        message: 'Image is already starred'
+                    };
+                }
+                
+                // Add to starred images
+                config.starredImages.push(imageId);
+                await this.saveConfig(config);
+                await this.recordImageHistory(imageId, { type: 'star', actor, summary: 'Starred' });
+                
                 return {
-                    success: false,
-                    message: 'Image is already starred'
+                    success: true,
+                    message: 'Image starred successfully',
+                    starredCount: config.starredImages.length
                 };
-            }
-            
-            // Add to starred images
-            config.starredImages.push(imageId);
-            await this.saveConfig(config);
-            
-            return {
-                success: true,
-                message: 'Image starred successfully',
-                starredCount: config.starredImages.length
-            };
+            });
         } catch (error) {
             console.error('Error starring image:', error.message);
             throw error;
@@ -1404,39 +2765,44 @@ class DataManager {
     /**
      * Unstar an image
      * @param {string} imageId - The image ID to unstar
+     * @param {string} actor - Who made the change, for the image history
      * @returns {Object} Result object
      */
-    async unstarImage(imageId) {
+    async unstarImage(imageId, actor = 'system') {
         try {
-            const config = await this.getConfig();
-            
-            // Initialize starredImages array if it doesn't exist
-            if (!config.starredImages) {
-                config.starredImages = [];
+            // Stars live in config.json, which every writer rewrites whole
+            return await this.serializeImageWrite(async () => {
+                const config = await this.getConfig();
+                
+                // Initialize starredImages array if it doesn't exist
+                if (!config.starredImages) {
+                    config.starredImages = [];
+                    await this.saveConfig(config);
+                    return {
+                        success: false,
+                        message: 'Image is not starred'
+                    };
+                }
+                
+                // Remove from starred images
+                const index = config.starredImages.indexOf(imageId);
+                if (index === -1) {
+                    return {
+                        success: false,
+                        message: 'Image is not starred'
+                    };
+                }
+                
+                config.starredImages.splice(index, 1);
                 await this.saveConfig(config);
+                await this.recordImageHistory(imageId, { type: 'unstar', actor, summary: 'Unstarred' });
+                
                 return {
-                    success: false,
-                    message: 'Image is not starred'
-                };
-            }
-            
-            // Remove from starred images
-            const index = config.starredImages.indexOf(imageId);
-            if (index === -1) {
-                return {
-                    success: false,
-                    message: 'Image is not starred'
+                    success: true,
+                    message: 'Image unstarred successfully',
+                    starredCount: config.starredImages.length
                 };
-            }
-            
-            config.starredImages.splice(index, 1);
-            await this.saveConfig(config);
-            
-            return {
-                success: true,
-                message: 'Image unstarred successfully',
-                starredCount: config.starredImages.length
-            };
+            });
         } catch (error) {
             console.error('Error unstarring image:', error.message);
             throw error;
@@ -1483,17 +2849,18 @@ class DataManager {
     /**
      * Toggle star status of an image
      * @param {string} imageId - The image ID to toggle
+     * @param {string} actor - Who made the change, for the image history
      * @returns {Object} Result object with new starred status
      */
-    async toggleStarImage(imageId) {
+    async toggleStarImage(imageId, actor = 'system') {
         try {
             const isStarred = await this.isImageStarred(imageId);
             
             if (isStarred) {
-                const result = await this.unstarImage(imageId);
+                const result = await this.unstarImage(imageId, actor);
                 return { ...result, isStarred: false };
             } else {
-                const result = await this.starImage(imageId);
+                const result = await this.starImage(imageId, actor);
                 return { ...result, isStarred: true };
             }
         } catch (error) {
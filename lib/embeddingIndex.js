@@ -0,0 +1,305 @@
+// PhotoVision Embedding Index
+// Persistent per-image text embeddings from a local CPU model, ranked by cosine similarity
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Indexes are shared per file, and loaded models per model name, across DataManager instances
+const sharedIndexes = new Map();
+const sharedEmbedders = new Map();
+
+const DEFAULT_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+class EmbeddingIndex {
+    constructor(indexFile, options = {}) {
+        this.indexFile = indexFile;
+        this.model = options.model || DEFAULT_MODEL;
+
+        // Optional async (text) => number[] function; defaults to the local transformers.js pipeline
+        this.embedder = options.embedder || null;
+
+        this.reset();
+        this.loaded = false;
+        this.fileTimestamp = null;
+    }
+
+    /**
+     * Get the shared index instance for a file, switching it to the configured model
+     * @param {string} indexFile - Path to the persisted index
+     * @param {string} model - Embedding model name
+     * @returns {EmbeddingIndex} Shared index
+     */
+    static forFile(indexFile, model = DEFAULT_MODEL) {
+        if (!sharedIndexes.has(indexFile)) {
+            sharedIndexes.set(indexFile, new EmbeddingIndex(indexFile, { model }));
+        }
+
+        const index = sharedIndexes.get(indexFile);
+        if (index.model !== model) {
+            // Vectors from different models are not comparable, so start over
+            index.model = model;
+            index.reset();
+            index.loaded = false;
+            index.fileTimestamp = null;
+        }
+        return index;
+    }
+
+    /**
+     * Clear all vectors
+     */
+    reset() {
+        this.docs = {};          // docId -> { hash, vector: Float32Array }
+        this.dimensions = 0;
+    }
+
+    get docCount() {
+        return Object.keys(this.docs).length;
+    }
+
+    /**
+     * Load the index from disk, reloading if another process has rewritten it
+     * @returns {Promise<boolean>} True if an index file for the current model exists
+     */
+    async load() {
+        try {
+            const stats = await fs.stat(this.indexFile);
+            const timestamp = stats.mtime.getTime();
+
+            if (this.loaded && this.fileTimestamp === timestamp) {
+                return true;
+            }
+
+            const data = JSON.parse(await fs.readFile(this.indexFile, 'utf8'));
+            this.reset();
+            this.loaded = true;
+
+            if (data.model !== this.model) {
+                console.log(`[EmbeddingIndex] Stored vectors use ${data.model}, configured model is ${this.model}`);
+                return false;
+            }
+
+            for (const [docId, doc] of Object.entries(data.docs || {})) {
+                this.docs[docId] = { hash: doc.hash, vector: this.decodeVector(doc.vector) };
+            }
+            this.dimensions = data.dimensions || 0;
+            this.fileTimestamp = timestamp;
+            return true;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[EmbeddingIndex] Failed to load index:', error.message);
+            }
+            this.loaded = true;
+            return false;
+        }
+    }
+
+    /**
+     * Persist the index to disk (vectors are stored as base64 float32)
+     */
+    async save() {
+        const docs = {};
+        for (const [docId, doc] of Object.entries(this.docs)) {
+            docs[docId] = { hash: doc.hash, vector: this.encodeVector(doc.vector) };
+        }
+
+        await fs.mkdir(path.dirname(this.indexFile), { recursive: true });
+        await fs.writeFile(this.indexFile, JSON.stringify({
+            version: 1,
+            model: this.model,
+            dimensions: this.dimensions,
+            updatedAt: new Date().toISOString(),
+            docs
+        }), 'utf8');
+
+        const stats = await fs.stat(this.indexFile);
+        this.fileTimestamp = stats.mtime.getTime();
+    }
+
+    encodeVector(vector) {
+        return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64');
+    }
+
+    decodeVector(encoded) {
+        const buffer = Buffer.from(encoded, 'base64');
+        return new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+    }
+
+    /**
+     * Build the text that represents an image in vector space
+     * @param {Object} image - Image record
+     * @returns {string} Description and keywords
+     */
+    getEmbeddingText(image) {
+        const parts = [];
+        if (image.description) parts.push(image.description);
+        if (image.keywords && image.keywords.length > 0) parts.push(`Keywords: ${image.keywords.join(', ')}`);
+        return parts.join('\n');
+    }
+
+    /**
+     * Load the embedding function, downloading the model to the local cache on first use
+     * @returns {Promise<Function>} async (text) => number[]
+     */
+    async getEmbedder() {
+        if (this.embedder) {
+            return this.embedder;
+        }
+
+        if (!sharedEmbedders.has(this.model)) {
+            const model = this.model;
+            const loading = (async () => {
+                const { pipeline } = await import('@xenova/transformers');
+                console.log(`[EmbeddingIndex] Loading embedding model ${model}`);
+                const extractor = await pipeline('feature-extraction', model);
+                return async (text) => {
+                    const output = await extractor(text, { pooling: 'mean', normalize: true });
+                    return Array.from(output.data);
+                };
+            })();
+
+            // Let a later call retry if the package or model is unavailable
+            loading.catch(() => sharedEmbedders.delete(model));
+            sharedEmbedders.set(model, loading);
+        }
+
+        return sharedEmbedders.get(this.model);
+    }
+
+    /**
+     * Embed text as a unit-length vector
+     * @param {string} text - Text to embed
+     * @returns {Promise<Float32Array>} Normalized vector
+     */
+    async embed(text) {
+        const embedder = await this.getEmbedder();
+        const vector = Float32Array.from(await embedder(text));
+
+        let norm = 0;
+        for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+        norm = Math.sqrt(norm);
+        if (norm > 0) {
+            for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+        }
+
+        return vector;
+    }
+
+    /**
+     * Add or refresh an image's vector; unchanged text is not re-embedded
+     * @param {Object} image - Image record with an id
+     * @returns {Promise<boolean>} True if a new vector was computed
+     */
+    async addDocument(image) {
+        if (!image || !image.id) return false;
+
+        const text = this.getEmbeddingText(image);
+        if (!text) {
+            this.removeDocument(image.id);
+            return false;
+        }
+
+        const hash = crypto.createHash('md5').update(text).digest('hex');
+        if (this.docs[image.id] && this.docs[image.id].hash === hash) {
+            return false;
+        }
+
+        const vector = await this.embed(text);
+        this.docs[image.id] = { hash, vector };
+        this.dimensions = vector.length;
+        return true;
+    }
+
+    /**
+     * Remove an image from the index
+     * @param {string} docId - Image ID
+     * @returns {boolean} True if the image was indexed
+     */
+    removeDocument(docId) {
+        if (!this.docs[docId]) return false;
+        delete this.docs[docId];
+        return true;
+    }
+
+    /**
+     * Drop vectors for images that no longer exist
+     * @param {Set<string>} imageIds - IDs of all stored images
+     * @returns {number} Number of vectors removed
+     */
+    retainOnly(imageIds) {
+        let removed = 0;
+        for (const docId of Object.keys(this.docs)) {
+            if (!imageIds.has(docId)) {
+                delete this.docs[docId];
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Bring the index in line with a set of images, embedding only new or changed ones
+     * @param {Array} images - All image records
+     * @returns {Promise<Object>} {embedded, unchanged, removed}
+     */
+    async rebuild(images) {
+        const removed = this.retainOnly(new Set(images.map(image => image.id)));
+        let embedded = 0;
+
+        for (const image of images) {
+            if (await this.addDocument(image)) {
+                embedded++;
+                if (embedded % 100 === 0) {
+                    console.log(`[EmbeddingIndex] Embedded ${embedded} images...`);
+                }
+            }
+        }
+
+        this.loaded = true;
+        return { embedded, unchanged: images.length - embedded, removed };
+    }
+
+    /**
+     * Rank indexed images by cosine similarity to a query vector
+     * @param {Float32Array} queryVector - Normalized query vector
+     * @param {Object} options - {minSimilarity}
+     * @returns {Map<string, number>} docId -> similarity for every image at or above minSimilarity
+     */
+    search(queryVector, options = {}) {
+        const minSimilarity = options.minSimilarity || 0;
+        const similarities = new Map();
+
+        for (const [docId, doc] of Object.entries(this.docs)) {
+            if (doc.vector.length !== queryVector.length) continue;
+
+            // Both vectors are unit length, so the dot product is the cosine similarity
+            let similarity = 0;
+            for (let i = 0; i < queryVector.length; i++) {
+                similarity += queryVector[i] * doc.vector[i];
+            }
+
+            if (similarity >= minSimilarity) {
+                similarities.set(docId, similarity);
+            }
+        }
+
+        return similarities;
+    }
+
+    /**
+     * Get index statistics
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        return {
+            documents: this.docCount,
+            model: this.model,
+            dimensions: this.dimensions
+        };
+    }
+}
+
+EmbeddingIndex.DEFAULT_MODEL = DEFAULT_MODEL;
+
+module.exports = EmbeddingIndex;
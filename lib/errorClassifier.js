@@ -0,0 +1,106 @@
+// PhotoVision Error Classifier
+// Sorts batch job failures into retryable ones (network, 5xx, rate limits, download timeouts, unreadable
+// replies) and permanent ones (invalid images, auth, content policy, bad jobs) so the job queue can back off
+// on the first kind and fail fast on the second.
+
+const RETRYABLE_TYPES = ['network', 'timeout', 'download_timeout', 'rate_limited', 'overloaded', 'server_error', 'malformed_response', 'unknown'];
+const PERMANENT_TYPES = ['invalid_image', 'image_unavailable', 'auth', 'content_policy', 'invalid_request', 'configuration', 'invalid_job'];
+
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH',
+    'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'];
+
+// Checked in order against the error message; the first match wins. Decisive patterns take precedence
+// over the HTTP status (a 400 for a content policy block is not a generic bad request).
+const MESSAGE_PATTERNS = [
+    { type: 'content_policy', decisive: true, pattern: /content (filtering )?polic|blocked by content/i },
+    { type: 'invalid_image', decisive: true, pattern: /could not process image|unsupported image format|image exceeds|does not match the provided media type|invalid (base64|image)|input buffer/i },
+    { type: 'configuration', decisive: true, pattern: /not configured|no api key/i },
+    { type: 'invalid_job', decisive: true, pattern: /missing required|invalid album hierarchy|no processor found|image \S+ not found/i },
+    { type: 'download_timeout', decisive: true, pattern: /download timed out/i },
+    { type: 'timeout', pattern: /timed out|timeout/i },
+    { type: 'network', pattern: /request failed|fetch failed|socket hang up|network/i }
+];
+
+class ErrorClassifier {
+    static get RETRYABLE_TYPES() {
+        return RETRYABLE_TYPES;
+    }
+
+    static get PERMANENT_TYPES() {
+        return PERMANENT_TYPES;
+    }
+
+    /**
+     * Classify a failed job's error
+     * Processors can decide for themselves by setting error.errorType or error.retryable.
+     * @param {Error} error - Error thrown by a job processor
+     * @returns {Object} {type, retryable, status}
+     */
+    static classify(error) {
+        const message = (error && error.message) || '';
+        const status = ErrorClassifier.getStatus(error);
+        const type = ErrorClassifier.getType(error, message, status);
+        const retryable = typeof error?.retryable === 'boolean' ? error.retryable : !PERMANENT_TYPES.includes(type);
+        return { type, retryable, status };
+    }
+
+    /**
+     * HTTP status behind an error, from error.status or an "API Error 429: ..." style message
+     * @param {Error} error - Error to inspect
+     * @returns {number|null} Status code
+     */
+    static getStatus(error) {
+        if (error && Number.isInteger(error.status)) {
+            return error.status;
+        }
+        const match = ((error && error.message) || '').match(/(?:API Error|Failed to fetch image:?)\s*(\d{3})/i);
+        return match ? Number(match[1]) : null;
+    }
+
+    /**
+     * Error type: the processor's own, then decisive message patterns, the HTTP status, network codes
+     * and finally looser message patterns
+     * @param {Error} error - Error to inspect
+     * @param {string} message - Error message
+     * @param {number|null} status - HTTP status, if any
+     * @returns {string} One of RETRYABLE_TYPES or PERMANENT_TYPES
+     */
+    static getType(error, message, status) {
+        if (error?.errorType) {
+            return error.errorType;
+        }
+        if (error?.category === 'malformed_response') {
+            return 'malformed_response';
+        }
+
+        const matched = MESSAGE_PATTERNS.find(({ pattern }) => pattern.test(message));
+        if (matched && matched.decisive) {
+            return matched.type;
+        }
+
+        if (status) {
+            // A status from downloading the image rather than from the model API
+            const isDownload = /failed to fetch image/i.test(message);
+            if (status === 429) return 'rate_limited';
+            if (status === 529) return 'overloaded';
+            if (status === 408) return isDownload ? 'download_timeout' : 'timeout';
+            if (status >= 500) return 'server_error';
+            if (isDownload) return 'image_unavailable';
+            if (status === 401 || status === 403) return 'auth';
+            if (status === 413) return 'invalid_image';
+            if (status >= 400) return 'invalid_request';
+        }
+
+        const code = error?.code || error?.cause?.code;
+        if (code && NETWORK_CODES.includes(code)) {
+            return 'network';
+        }
+        if (error?.name === 'TimeoutError' || error?.name === 'AbortError') {
+            return 'timeout';
+        }
+
+        return matched ? matched.type : 'unknown';
+    }
+}
+
+module.exports = ErrorClassifier;
@@ -0,0 +1,555 @@
+// PhotoVision Face Index
+// Face descriptors from a local CPU detector, clustered across the library into people an admin can name
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Indexes are shared per file, and the detector per process, across DataManager instances
+const sharedIndexes = new Map();
+let sharedDetector = null;
+// Why the detector last failed to load, reported by getDetectionStatus()
+let detectorError = null;
+
+const DETECTOR = 'face-api/ssd_mobilenetv1+face_recognition';
+const DETECTOR_PACKAGES = ['@tensorflow/tfjs-node', '@vladmandic/face-api'];
+const MISSING_PACKAGES_MESSAGE = `Face detection unavailable: the optional packages ${DETECTOR_PACKAGES.join(' and ')} are not installed`;
+
+class FaceIndex {
+    constructor(indexFile, options = {}) {
+        this.indexFile = indexFile;
+
+        // Optional async (imageBuffer, settings) => [{box, score, descriptor}] with box relative (0-1)
+        // to the image size; defaults to face-api on the TensorFlow CPU backend
+        this.detector = options.detector || null;
+
+        this.settings = {
+            minConfidence: 0.5,    // Detection score below which faces are ignored
+            matchThreshold: 0.5,   // Descriptor distance below which a face joins a cluster
+            maxImageSize: 1024,    // Photos are downscaled to this before detection
+            ...(options.settings || {})
+        };
+
+        this.reset();
+        this.loaded = false;
+        this.fileTimestamp = null;
+    }
+
+    /**
+     * Get the shared index instance for a file
+     * @param {string} indexFile - Path to the persisted index
+     * @param {Object} settings - {minConfidence, matchThreshold, maxImageSize}
+     * @returns {FaceIndex} Shared index
+     */
+    static forFile(indexFile, settings = {}) {
+        if (!sharedIndexes.has(indexFile)) {
+            sharedIndexes.set(indexFile, new FaceIndex(indexFile));
+        }
+
+        const index = sharedIndexes.get(indexFile);
+        Object.assign(index.settings, settings);
+        return index;
+    }
+
+    /**
+     * Clear all faces and clusters
+     */
+    reset() {
+        this.faces = {};         // faceId -> { imageId, box, score, descriptor: Float32Array, clusterId }
+        this.clusters = {};      // clusterId -> { name, faceIds: Set, centroid: Float32Array }
+        this.images = {};        // imageId -> [faceIds], including scanned images without faces
+        this.nextClusterNumber = 1;
+    }
+
+    /**
+     * Load the index from disk, reloading if another process has rewritten it
+     * @returns {Promise<boolean>} True if an index file exists
+     */
+    async load() {
+        try {
+            const stats = await fs.stat(this.indexFile);
+            const timestamp = stats.mtime.getTime();
+
+            if (this.loaded && this.fileTimestamp === timestamp) {
+                return true;
+            }
+
+            const data = JSON.parse(await fs.readFile(this.indexFile, 'utf8'));
+            this.reset();
+
+            this.images = data.images || {};
+            this.nextClusterNumber = data.nextClusterNumber || 1;
+            for (const [clusterId, cluster] of Object.entries(data.clusters || {})) {
+                this.clusters[clusterId] = { name: cluster.name || null, faceIds: new Set(), centroid: null };
+            }
+            for (const [faceId, face] of Object.entries(data.faces || {})) {
+                this.faces[faceId] = { ...face, descriptor: this.decodeVector(face.descriptor) };
+                if (this.clusters[face.clusterId]) {
+                    this.clusters[face.clusterId].faceIds.add(faceId);
+                }
+            }
+
+            // Centroids are derived from the member faces rather than stored
+            Object.keys(this.clusters).forEach(clusterId => this.updateCentroid(clusterId));
+
+            this.loaded = true;
+            this.fileTimestamp = timestamp;
+            return true;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[FaceIndex] Failed to load index:', error.message);
+            }
+            this.loaded = true;
+            return false;
+        }
+    }
+
+    /**
+     * Persist the index to disk (descriptors are stored as base64 float32)
+     */
+    async save() {
+        const faces = {};
+        for (const [faceId, face] of Object.entries(this.faces)) {
+            faces[faceId] = { ...face, descriptor: this.encodeVector(face.descriptor) };
+        }
+
+        const clusters = {};
+        for (const [clusterId, cluster] of Object.entries(this.clusters)) {
+            clusters[clusterId] = { name: cluster.name };
+        }
+
+        await fs.mkdir(path.dirname(this.indexFile), { recursive: true });
+        await fs.writeFile(this.indexFile, JSON.stringify({
+            version: 1,
+            detector: DETECTOR,
+            updatedAt: new Date().toISOString(),
+            nextClusterNumber: this.nextClusterNumber,
+            images: this.images,
+            clusters,
+            faces
+        }), 'utf8');
+
+        const stats = await fs.stat(this.indexFile);
+        this.fileTimestamp = stats.mtime.getTime();
+    }
+
+    encodeVector(vector) {
+        return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64');
+    }
+
+    decodeVector(encoded) {
+        const buffer = Buffer.from(encoded, 'base64');
+        return new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+    }
+
+    /**
+     * Load the face detector, reading the bundled face-api models on first use
+     * @returns {Promise<Function>} async (imageBuffer, settings) => [{box, score, descriptor}]
+     */
+    async getDetector() {
+        if (this.detector) {
+            return this.detector;
+        }
+
+        if (!sharedDetector) {
+            sharedDetector = (async () => {
+                let tf, faceapi;
+                try {
+                    tf = require('@tensorflow/tfjs-node');
+                    faceapi = require('@vladmandic/face-api');
+                } catch (error) {
+                    // Optional dependencies, so installs where the native TensorFlow build fails still work
+                    throw new Error(`${MISSING_PACKAGES_MESSAGE} (${error.message})`);
+                }
+                const sharp = require('sharp');
+
+                const modelPath = path.join(path.dirname(require.resolve('@vladmandic/face-api')), '..', 'model');
+                console.log(`[FaceIndex] Loading face detection models from ${modelPath}`);
+                await faceapi.nets.ssdMobilenetv1.loadFromDisk(modelPath);
+                await faceapi.nets.faceLandmark68Net.loadFromDisk(modelPath);
+                await faceapi.nets.faceRecognitionNet.loadFromDisk(modelPath);
+                detectorError = null;
+
+                return async (imageBuffer, settings) => {
+                    // Detect on an upright, downscaled copy; boxes are relative so they apply to any size
+                    const { data, info } = await sharp(imageBuffer)
+                        .rotate()
+                        .resize(settings.maxImageSize, settings.maxImageSize, { fit: 'inside', withoutEnlargement: true })
+                        .jpeg()
+                        .toBuffer({ resolveWithObject: true });
+
+                    const tensor = tf.node.decodeImage(data, 3);
+                    try {
+                        const results = await faceapi
+                            .detectAllFaces(tensor, new faceapi.SsdMobilenetv1Options({ minConfidence: settings.minConfidence }))
+                            .withFaceLandmarks()
+                            .withFaceDescriptors();
+
+                        return results.map(result => {
+                            const box = result.detection.box;
+                            return {
+                                box: {
+                                    x: box.x / info.width,
+                                    y: box.y / info.height,
+                                    width: box.width / info.width,
+                                    height: box.height / info.height
+                                },
+                                score: result.detection.score,
+                                descriptor: Array.from(result.descriptor)
+                            };
+                        });
+                    } finally {
+                        tensor.dispose();
+                    }
+                };
+            })();
+
+            // Let a later call retry if the packages or models are unavailable
+            sharedDetector.catch(error => {
+                sharedDetector = null;
+                detectorError = error.message;
+            });
+        }
+
+        return sharedDetector;
+    }
+
+    /**
+     * Report whether faces can be detected, without loading the detector
+     * @returns {Object} {available, error}
+     */
+    getDetectionStatus() {
+        if (this.detector) {
+            return { available: true, error: null };
+        }
+
+        try {
+            DETECTOR_PACKAGES.forEach(name => require.resolve(name));
+        } catch (error) {
+            return { available: false, error: MISSING_PACKAGES_MESSAGE };
+        }
+
+        return detectorError ? { available: false, error: detectorError } : { available: true, error: null };
+    }
+
+    /**
+     * Detect faces in a photo and add them to the nearest clusters
+     * @param {string} imageId - Image ID
+     * @param {Buffer} imageBuffer - Image data
+     * @returns {Promise<number>} Number of faces found
+     */
+    async addImage(imageId, imageBuffer) {
+        const detector = await this.getDetector();
+        const detections = (await detector(imageBuffer, this.settings))
+            .filter(face => face.score >= this.settings.minConfidence);
+
+        this.removeImage(imageId);
+        this.images[imageId] = [];
+
+        detections.forEach((detection, position) => {
+            const faceId = `${imageId}:${position}`;
+            const descriptor = Float32Array.from(detection.descriptor);
+            const box = Object.fromEntries(Object.entries(detection.box).map(([key, value]) => [key, Math.round(value * 10000) / 10000]));
+
+            this.faces[faceId] = { imageId, box, score: Math.round(detection.score * 1000) / 1000, descriptor, clusterId: null };
+            this.images[imageId].push(faceId);
+            this.assignToCluster(faceId);
+        });
+
+        return detections.length;
+    }
+
+    /**
+     * Remove a photo's faces, dropping clusters left empty
+     * @param {string} imageId - Image ID
+     * @returns {boolean} True if the image had been scanned
+     */
+    removeImage(imageId) {
+        const faceIds = this.images[imageId];
+        if (!faceIds) return false;
+
+        const touched = new Set();
+        for (const faceId of faceIds) {
+            const face = this.faces[faceId];
+            if (face && this.clusters[face.clusterId]) {
+                this.clusters[face.clusterId].faceIds.delete(faceId);
+                touched.add(face.clusterId);
+            }
+            delete this.faces[faceId];
+        }
+        delete this.images[imageId];
+
+        touched.forEach(clusterId => this.updateCentroid(clusterId));
+        return true;
+    }
+
+    /**
+     * Drop faces for images that no longer exist
+     * @param {Set<string>} imageIds - IDs of all stored images
+     * @returns {number} Number of images removed
+     */
+    retainOnly(imageIds) {
+        let removed = 0;
+        for (const imageId of Object.keys(this.images)) {
+            if (!imageIds.has(imageId)) {
+                this.removeImage(imageId);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Check whether a photo has already been scanned for faces
+     * @param {string} imageId - Image ID
+     * @returns {boolean} True if scanned (even if no faces were found)
+     */
+    hasImage(imageId) {
+        return Boolean(this.images[imageId]);
+    }
+
+    /**
+     * Put a face in the cluster with the nearest centroid, or start a new cluster
+     * @param {string} faceId - Face ID
+     * @returns {string} Cluster ID
+     */
+    assignToCluster(faceId) {
+        const face = this.faces[faceId];
+        let best = null;
+
+        for (const [clusterId, cluster] of Object.entries(this.clusters)) {
+            if (!cluster.centroid) continue;
+            const distance = this.distance(face.descriptor, cluster.centroid);
+            if (distance < this.settings.matchThreshold && (!best || distance < best.distance)) {
+                best = { clusterId, distance };
+            }
+        }
+
+        const clusterId = best ? best.clusterId : this.createCluster();
+        face.clusterId = clusterId;
+        this.clusters[clusterId].faceIds.add(faceId);
+        this.updateCentroid(clusterId);
+        return clusterId;
+    }
+
+    createCluster(name = null) {
+        const clusterId = `person-${this.nextClusterNumber++}`;
+        this.clusters[clusterId] = { name, faceIds: new Set(), centroid: null };
+        return clusterId;
+    }
+
+    /**
+     * Recompute a cluster's mean descriptor, deleting the cluster if it has no faces
+     * @param {string} clusterId - Cluster ID
+     */
+    updateCentroid(clusterId) {
+        const cluster = this.clusters[clusterId];
+        if (!cluster) return;
+
+        if (cluster.faceIds.size === 0) {
+            delete this.clusters[clusterId];
+            return;
+        }
+
+        let centroid = null;
+        for (const faceId of cluster.faceIds) {
+            const descriptor = this.faces[faceId].descriptor;
+            if (!centroid) centroid = new Float32Array(descriptor.length);
+            for (let i = 0; i < descriptor.length; i++) centroid[i] += descriptor[i] / cluster.faceIds.size;
+        }
+        cluster.centroid = centroid;
+    }
+
+    distance(a, b) {
+        if (a.length !== b.length) return Infinity;
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) {
+            const difference = a[i] - b[i];
+            sum += difference * difference;
+        }
+        return Math.sqrt(sum);
+    }
+
+    /**
+     * Cluster every face from scratch (e.g. after changing matchThreshold)
+     * Names carry over to the new cluster holding most of a named cluster's faces.
+     * @returns {Object} {clusters, named}
+     */
+    recluster() {
+        const previousNames = new Map();
+        for (const cluster of Object.values(this.clusters)) {
+            if (cluster.name) {
+                cluster.faceIds.forEach(faceId => previousNames.set(faceId, cluster.name));
+            }
+        }
+
+        this.clusters = {};
+        this.nextClusterNumber = 1;
+
+        // Confident detections seed clusters first so blurry faces join them rather than lead
+        const faceIds = Object.keys(this.faces).sort((a, b) => this.faces[b].score - this.faces[a].score);
+        faceIds.forEach(faceId => this.assignToCluster(faceId));
+
+        const claimed = new Set();
+        for (const cluster of Object.values(this.clusters)) {
+            const votes = new Map();
+            cluster.faceIds.forEach(faceId => {
+                const name = previousNames.get(faceId);
+                if (name) votes.set(name, (votes.get(name) || 0) + 1);
+            });
+
+            const [winner] = [...votes.entries()].sort((a, b) => b[1] - a[1]);
+            if (winner && !claimed.has(winner[0].toLowerCase())) {
+                cluster.name = winner[0];
+                claimed.add(winner[0].toLowerCase());
+            }
+        }
+
+        return { clusters: Object.keys(this.clusters).length, named: claimed.size };
+    }
+
+    /**
+     * Name a cluster; naming it after an existing person merges it into that person's cluster
+     * @param {string} clusterId - Cluster ID
+     * @param {string|null} name - Person's name, or empty to clear it
+     * @returns {Object} Summary of the (possibly merged) cluster
+     * @throws {Error} When the cluster does not exist
+     */
+    nameCluster(clusterId, name) {
+        if (!this.clusters[clusterId]) {
+            throw new Error(`Face cluster ${clusterId} not found`);
+        }
+
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        const existing = trimmed && Object.entries(this.clusters)
+            .find(([id, cluster]) => id !== clusterId && cluster.name && cluster.name.toLowerCase() === trimmed.toLowerCase());
+
+        if (existing) {
+            // Keep the spelling the person was first named with
+            return this.mergeClusters(clusterId, existing[0]);
+        }
+
+        this.clusters[clusterId].name = trimmed || null;
+        return this.describeCluster(clusterId);
+    }
+
+    /**
+     * Move every face of one cluster into another
+     * @param {string} sourceId - Cluster to merge away
+     * @param {string} targetId - Cluster that keeps the faces
+     * @returns {Object} Summary of the target cluster
+     * @throws {Error} When either cluster does not exist
+     */
+    mergeClusters(sourceId, targetId) {
+        const source = this.clusters[sourceId];
+        const target = this.clusters[targetId];
+        if (!source || !target) {
+            throw new Error(`Face cluster ${!source ? sourceId : targetId} not found`);
+        }
+        if (sourceId === targetId) {
+            return this.describeCluster(targetId);
+        }
+
+        source.faceIds.forEach(faceId => {
+            this.faces[faceId].clusterId = targetId;
+            target.faceIds.add(faceId);
+        });
+        target.name = target.name || source.name;
+        delete this.clusters[sourceId];
+
+        this.updateCentroid(targetId);
+        return this.describeCluster(targetId);
+    }
+
+    /**
+     * Summarize a cluster for the admin UI
+     * @param {string} clusterId - Cluster ID
+     * @returns {Object} {id, name, faceCount, imageCount, sample: {imageId, box}}
+     */
+    describeCluster(clusterId) {
+        const cluster = this.clusters[clusterId];
+        const faces = [...cluster.faceIds].map(faceId => this.faces[faceId]);
+        const sample = faces.reduce((best, face) => (!best || face.score > best.score ? face : best), null);
+
+        return {
+            id: clusterId,
+            name: cluster.name,
+            faceCount: faces.length,
+            imageCount: new Set(faces.map(face => face.imageId)).size,
+            sample: sample ? { imageId: sample.imageId, box: sample.box } : null
+        };
+    }
+
+    /**
+     * List clusters, named people first and then by size
+     * @param {Object} options - {minFaces, named}
+     * @returns {Array<Object>} Cluster summaries
+     */
+    getClusters(options = {}) {
+        const { minFaces = 1, named = null } = options;
+
+        return Object.keys(this.clusters)
+            .map(clusterId => this.describeCluster(clusterId))
+            .filter(cluster => cluster.faceCount >= minFaces)
+            .filter(cluster => named === null || Boolean(cluster.name) === named)
+            .sort((a, b) => Number(Boolean(b.name)) - Number(Boolean(a.name)) || b.faceCount - a.faceCount || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Find the photos of a named person
+     * An exact name match wins; otherwise every word must appear in the name ("sarah" finds "Sarah Lee").
+     * @param {string} name - Person's name
+     * @returns {Object} {names, imageIds} with the most confident detections first
+     */
+    findPerson(name) {
+        const query = String(name || '').trim().toLowerCase();
+        if (!query) return { names: [], imageIds: [] };
+
+        const named = Object.values(this.clusters).filter(cluster => cluster.name);
+        let matches = named.filter(cluster => cluster.name.toLowerCase() === query);
+        if (matches.length === 0) {
+            const words = query.split(/\s+/);
+            matches = named.filter(cluster => words.every(word => cluster.name.toLowerCase().includes(word)));
+        }
+
+        const bestScores = new Map();
+        for (const cluster of matches) {
+            for (const faceId of cluster.faceIds) {
+                const face = this.faces[faceId];
+                bestScores.set(face.imageId, Math.max(bestScores.get(face.imageId) || 0, face.score));
+            }
+        }
+
+        return {
+            names: [...new Set(matches.map(cluster => cluster.name))],
+            imageIds: [...bestScores.entries()].sort((a, b) => b[1] - a[1]).map(([imageId]) => imageId)
+        };
+    }
+
+    /**
+     * List named people with their photo counts
+     * @returns {Array<Object>} [{name, imageCount}]
+     */
+    getPeople() {
+        return this.getClusters({ named: true }).map(cluster => ({ name: cluster.name, imageCount: cluster.imageCount }));
+    }
+
+    /**
+     * Get index statistics
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        const clusters = Object.values(this.clusters);
+        return {
+            detector: DETECTOR,
+            imagesScanned: Object.keys(this.images).length,
+            faces: Object.keys(this.faces).length,
+            clusters: clusters.length,
+            namedClusters: clusters.filter(cluster => cluster.name).length,
+            settings: this.settings
+        };
+    }
+}
+
+FaceIndex.DETECTOR = DETECTOR;
+
+module.exports = FaceIndex;
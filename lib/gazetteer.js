@@ -0,0 +1,155 @@
+// PhotoVision Gazetteer
+// Offline place lookup (name -> coordinates and coordinates -> nearest place) backed by lib/gazetteer.json
+
+const EARTH_RADIUS_KM = 6371;
+
+class Gazetteer {
+    /**
+     * @param {Array<Object>} places - Places to use instead of the bundled gazetteer (for tests)
+     */
+    constructor(places = null) {
+        this.places = (places || require('./gazetteer.json').places).map(place => ({
+            ...place,
+            normalizedName: this.normalize(place.name)
+        }));
+    }
+
+    /**
+     * Great-circle distance between two points
+     * @param {number} lat1 - Latitude of the first point
+     * @param {number} lon1 - Longitude of the first point
+     * @param {number} lat2 - Latitude of the second point
+     * @param {number} lon2 - Longitude of the second point
+     * @returns {number} Distance in kilometres
+     */
+    static distanceKm(lat1, lon1, lat2, lon2) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(lat2 - lat1);
+        const dLon = toRadians(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+    }
+
+    normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9']+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Find a place by name, optionally qualified by region or country ("Tucson", "Charleston, WV", "Paris France")
+     * @param {string} text - Place name
+     * @returns {Object|null} Place record
+     */
+    findPlace(text) {
+        const query = this.normalize(text);
+        if (!query) return null;
+
+        let best = null;
+        for (const place of this.places) {
+            if (query !== place.normalizedName && !query.startsWith(place.normalizedName + ' ')) continue;
+
+            // Whatever follows the name has to identify the region or country
+            const qualifier = query.slice(place.normalizedName.length).trim();
+            if (qualifier && !this.matchesQualifier(place, qualifier)) continue;
+
+            // Prefer the longest name, then an explicit qualifier; otherwise the first listed place wins
+            const rank = place.normalizedName.length * 2 + (qualifier ? 1 : 0);
+            if (!best || rank > best.rank) {
+                best = { place, rank };
+            }
+        }
+
+        return best ? this.toResult(best.place) : null;
+    }
+
+    matchesQualifier(place, qualifier) {
+        const names = [place.region, place.regionCode, place.country, place.countryCode].filter(Boolean).map(name => this.normalize(name));
+
+        // "az", "arizona", "az us" or "arizona united states"
+        let remaining = qualifier;
+        while (remaining) {
+            const match = names.find(name => remaining === name || remaining.startsWith(name + ' '));
+            if (!match) return false;
+            remaining = remaining.slice(match.length).trim();
+        }
+        return true;
+    }
+
+    /**
+     * Find the nearest place to a point
+     * @param {number} latitude - Latitude in decimal degrees
+     * @param {number} longitude - Longitude in decimal degrees
+     * @param {number} maxDistanceKm - Ignore places further away than this
+     * @returns {Object|null} {name, region, country, label, distanceKm}, or null if nothing is close enough
+     */
+    reverseGeocode(latitude, longitude, maxDistanceKm = 75) {
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+
+        let nearest = null;
+        for (const place of this.places) {
+            const distance = Gazetteer.distanceKm(latitude, longitude, place.latitude, place.longitude);
+            if (distance <= maxDistanceKm && (!nearest || distance < nearest.distance)) {
+                nearest = { place, distance };
+            }
+        }
+
+        if (!nearest) return null;
+
+        const { name, region, country, label } = this.toResult(nearest.place);
+        return { name, region, country, label, distanceKm: Math.round(nearest.distance * 10) / 10 };
+    }
+
+    /**
+     * Resolve a place name, "latitude,longitude" text or {latitude, longitude} object to a point
+     * @param {string|Object} near - Location to resolve
+     * @returns {Object|null} {latitude, longitude, label}
+     */
+    resolvePoint(near) {
+        if (near && typeof near === 'object') {
+            const latitude = parseFloat(near.latitude);
+            const longitude = parseFloat(near.longitude);
+            return this.isValidPoint(latitude, longitude)
+                ? { latitude, longitude, label: `${latitude}, ${longitude}` }
+                : null;
+        }
+
+        const coordinates = String(near || '').match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+        if (coordinates) {
+            const latitude = parseFloat(coordinates[1]);
+            const longitude = parseFloat(coordinates[2]);
+            return this.isValidPoint(latitude, longitude)
+                ? { latitude, longitude, label: `${latitude}, ${longitude}` }
+                : null;
+        }
+
+        const place = this.findPlace(near);
+        return place ? { latitude: place.latitude, longitude: place.longitude, label: place.label } : null;
+    }
+
+    isValidPoint(latitude, longitude) {
+        return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+            Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+    }
+
+    toResult(place) {
+        const label = [place.name, place.region !== place.name ? place.region : null, place.countryCode !== 'US' ? place.country : null]
+            .filter(Boolean)
+            .join(', ');
+
+        return {
+            name: place.name,
+            region: place.region,
+            country: place.country,
+            latitude: place.latitude,
+            longitude: place.longitude,
+            label
+        };
+    }
+}
+
+module.exports = Gazetteer;
@@ -0,0 +1,172 @@
+// PhotoVision Image History
+// Append-only audit trail per image: analysis runs, keyword edits, starring, duplicate merges and reverts.
+// Entries are stored one JSON object per line, so recording a change never rewrites earlier entries.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Record fields captured with each change; any entry that has them can be restored
+const SNAPSHOT_FIELDS = ['description', 'keywords', 'attributes', 'activeAnalysisVersion', 'metadata'];
+
+// Histories are shared per file so every DataManager instance in a process numbers entries the same way
+const sharedHistories = new Map();
+
+class ImageHistory {
+    constructor(historyFile) {
+        this.historyFile = historyFile;
+        this.entriesByImage = new Map();
+        this.loaded = false;
+        this.fileSize = null;
+    }
+
+    /**
+     * Get the shared history for a file
+     * @param {string} historyFile - Path to the JSON lines history file
+     * @returns {ImageHistory} Shared history
+     */
+    static forFile(historyFile) {
+        if (!sharedHistories.has(historyFile)) {
+            sharedHistories.set(historyFile, new ImageHistory(historyFile));
+        }
+        return sharedHistories.get(historyFile);
+    }
+
+    /**
+     * Load entries from disk, reloading if another process has appended to the file
+     */
+    async load() {
+        let stats;
+        try {
+            stats = await fs.stat(this.historyFile);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[ImageHistory] Failed to read history:', error.message);
+            }
+            this.entriesByImage = new Map();
+            this.loaded = true;
+            this.fileSize = 0;
+            return;
+        }
+
+        if (this.loaded && this.fileSize === stats.size) {
+            return;
+        }
+
+        const content = await fs.readFile(this.historyFile, 'utf8');
+        this.entriesByImage = new Map();
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                this.addToMemory(JSON.parse(line));
+            } catch (error) {
+                // A line cut short by a crash mid-append; the entries around it are still valid
+                console.error('[ImageHistory] Skipping unreadable history line');
+            }
+        }
+        this.loaded = true;
+        this.fileSize = stats.size;
+    }
+
+    addToMemory(entry) {
+        if (!this.entriesByImage.has(entry.imageId)) {
+            this.entriesByImage.set(entry.imageId, []);
+        }
+        this.entriesByImage.get(entry.imageId).push(entry);
+    }
+
+    /**
+     * Append an entry for a change to an image
+     * @param {string} imageId - Image the change applies to
+     * @param {Object} event - {type, actor, summary, details}
+     * @param {Object|null} before - Record before the change (null for new records and changes outside the record)
+     * @param {Object|null} after - Record after the change (null when the record itself did not change)
+     * @returns {Promise<Object>} The stored entry
+     */
+    async record(imageId, event, before = null, after = null) {
+        await this.load();
+
+        const existing = this.entriesByImage.get(imageId) || [];
+        const entry = {
+            imageId,
+            version: existing.length + 1,
+            type: event.type,
+            actor: event.actor || 'system',
+            summary: event.summary || null,
+            ...(event.details ? { details: event.details } : {}),
+            ...(after ? { changes: ImageHistory.describeChanges(before, after), snapshot: ImageHistory.snapshot(after) } : {}),
+            timestamp: new Date().toISOString()
+        };
+
+        await fs.mkdir(path.dirname(this.historyFile), { recursive: true });
+        await fs.appendFile(this.historyFile, JSON.stringify(entry) + '\n', 'utf8');
+        this.addToMemory(entry);
+        this.fileSize = (await fs.stat(this.historyFile)).size;
+
+        return entry;
+    }
+
+    /**
+     * History of an image, oldest first, including the records it replaced as a duplicate
+     * @param {string} imageId - Image ID
+     * @returns {Promise<Array>} Entries
+     */
+    async getHistory(imageId) {
+        await this.load();
+
+        const entries = [];
+        const seen = new Set();
+        let ids = [imageId];
+        while (ids.length > 0) {
+            const id = ids.pop();
+            if (seen.has(id)) continue;
+            seen.add(id);
+
+            const own = this.entriesByImage.get(id) || [];
+            entries.push(...own);
+            ids = ids.concat(own.map(entry => entry.details && entry.details.replacedId).filter(Boolean));
+        }
+
+        return entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * @param {string} imageId - Image ID
+     * @param {number} version - Entry number within the image's own history
+     * @returns {Promise<Object|null>} The entry, or null
+     */
+    async getEntry(imageId, version) {
+        await this.load();
+        return (this.entriesByImage.get(imageId) || []).find(entry => entry.version === Number(version)) || null;
+    }
+
+    static snapshot(record) {
+        const snapshot = {};
+        for (const field of SNAPSHOT_FIELDS) {
+            if (record[field] !== undefined) {
+                snapshot[field] = record[field];
+            }
+        }
+        return snapshot;
+    }
+
+    /**
+     * Summarize what a change touched: the fields that differ plus keywords added and removed
+     * @param {Object|null} before - Record before the change
+     * @param {Object} after - Record after the change
+     * @returns {Object} {fields, keywordsAdded, keywordsRemoved}
+     */
+    static describeChanges(before, after) {
+        const previous = before || {};
+        const fields = SNAPSHOT_FIELDS.filter(field => JSON.stringify(previous[field]) !== JSON.stringify(after[field]));
+        const oldKeywords = previous.keywords || [];
+        const newKeywords = after.keywords || [];
+
+        return {
+            fields,
+            keywordsAdded: newKeywords.filter(keyword => !oldKeywords.includes(keyword)),
+            keywordsRemoved: oldKeywords.filter(keyword => !newKeywords.includes(keyword))
+        };
+    }
+}
+
+module.exports = ImageHistory;
@@ -1,10 +1,18 @@
 // PhotoVision Job Queue System
 // Handles batch processing of SmugMug images with Claude AI analysis
 
+const ErrorClassifier = require('./errorClassifier');
+
+// Most jobs one batch can hold
+const MAX_BATCH_SIZE = 1000;
+
 class JobQueue {
-    constructor(rateLimiter = null) {
+    constructor(rateLimiter = null, journal = null) {
         this.jobs = [];
-        this.processing = false;
+        // The running worker pool and its run number; a pool still draining after a pause is waited for before the next one starts
+        // The running worker pool and its run number; a pool left draining by a pause never outlives its run
+        this.workerPool = null;
+        this.runCount = 0;
         this.currentJob = null;
         this.processedCount = 0;
         this.failedCount = 0;
@@ -18,19 +26,57 @@ class JobQueue {
         // Rate limiter for API calls
         this.rateLimiter = rateLimiter;
         
+        // Optional BatchJournal that keeps job state on disk across restarts
+        this.journal = journal;
+        
         // Duplicate detection statistics
         this.duplicateStatistics = null;
         
+        // Tokens used by every attempt in the batch, including failed ones
+        this.usage = { inputTokens: 0, outputTokens: 0 };
+        
         // Processing configuration
         this.config = {
-            concurrency: 1, // Process one at a time to respect API limits
+            concurrency: 1, // Jobs processed at once; the rate limiter still gates every call
             retryAttempts: 3,
-            retryDelay: 2000, // 2 seconds
-            processingDelay: rateLimiter ? 500 : 1000, // Shorter delay when using rate limiter
-            maxBatchSize: 1000 // Maximum jobs in a single batch
+            retryDelay: 2000, // First retry waits about 2 seconds, doubling with each attempt
+            maxRetryDelay: 60000, // Cap on the backoff between attempts
+            retryJitter: 0.5, // Share of each backoff that is randomized so failed jobs do not retry in lockstep
+            processingDelay: rateLimiter ? 0 : 1000, // The rate limiter paces calls itself, so no fixed delay is needed
+            maxBatchSize: MAX_BATCH_SIZE // Maximum jobs in a single batch
         };
     }
 
+    /**
+     * Rebuild a queue from its journaled state after a restart
+     * @param {Object} state Replayed batch {batchId, startTime, duplicateStatistics, jobs}
+     * @param {RateLimiter} rateLimiter Shared rate limiter
+     * @param {BatchJournal} journal Journal to keep recording into
+     * @returns {JobQueue} Queue that resumes from the first unfinished job
+     */
+    static restore(state, rateLimiter = null, journal = null) {
+        const jobQueue = new JobQueue(rateLimiter, journal);
+        jobQueue.batchId = state.batchId;
+        jobQueue.startTime = state.startTime ? new Date(state.startTime) : new Date();
+        jobQueue.duplicateStatistics = state.duplicateStatistics || null;
+        jobQueue.jobs = state.jobs.map(job => ({
+            ...job,
+            // A job cut off mid-analysis starts over
+            status: job.status === 'processing' ? 'queued' : job.status,
+            startTime: job.startTime ? new Date(job.startTime) : null,
+            endTime: job.endTime ? new Date(job.endTime) : null
+        }));
+
+        jobQueue.recountJobs();
+        for (const job of jobQueue.jobs) {
+            if (job.usage) {
+                jobQueue.usage.inputTokens += job.usage.inputTokens;
+                jobQueue.usage.outputTokens += job.usage.outputTokens;
+            }
+        }
+        return jobQueue;
+    }
+
     /**
      * Add jobs to the queue
      * @param {Array} jobs Array of job objects with {id, type, data, albumKey?, imageName?}
@@ -62,13 +108,17 @@ class JobQueue {
             albumPath: job.albumPath || null,        // PRESERVE album path
             albumHierarchy: job.albumHierarchy || null, // PRESERVE album hierarchy
             imageName: job.imageName || `image_${index}`,
+            duplicateHandling: job.duplicateHandling || null,
+            forceReprocessing: job.forceReprocessing || false,
             status: 'queued',
             attempts: 0,
             error: null,
             result: null,
             startTime: null,
             endTime: null,
-            duration: null
+            duration: null,
+            model: null,
+            usage: null
         }));
 
         // Add jobs to queue
@@ -94,7 +144,7 @@ class JobQueue {
 
     /**
      * Start processing the queue
-     * @param {Object} processors Object containing processing functions
+     * @param {Object} processors Processing functions by job type, called as (data, job, {rateLimit})
      * @param {Function} onProgress Progress callback
      * @param {Function} onComplete Completion callback
      * @param {Function} onError Error callback
@@ -104,76 +154,123 @@ class JobQueue {
             throw new Error('Queue is already processing');
         }
 
+        // After a pause the old workers may still be finishing their jobs; wait so two pools never share the queue
+        if (this.workerPool) {
+            await this.workerPool.catch(() => {});
+            if (this.processing) {
+                throw new Error('Queue is already processing');
+            }
+        }
+
         if (this.jobs.length === 0) {
             throw new Error('No jobs in queue to process');
         }
 
-        if (!processors || typeof processors.image_analysis !== 'function') {
-            throw new Error('Image analysis processor function is required');
+        // Every job type in the queue needs a processor (image_analysis, reanalysis)
+        const missingType = this.jobs.map(job => job.type).find(type => !processors || typeof processors[type] !== 'function');
+        if (missingType) {
+            throw new Error(`Processor function is required for job type: ${missingType}`);
         }
 
         this.processing = true;
-        this.processedCount = 0;
-        this.failedCount = 0;
-        this.failedJobs = [];
+        const run = ++this.runCount;
+        // Count from job statuses so a resumed queue keeps the jobs it already finished
+        this.recountJobs();
         this.progressCallback = onProgress;
         this.completionCallback = onComplete;
         this.errorCallback = onError;
 
         console.log(`[JobQueue] Starting processing of ${this.jobs.length} jobs`);
 
+        const pool = this.processJobs(processors, run);
+        this.workerPool = pool;
         try {
-            await this.processJobs(processors);
+            await pool;
         } catch (error) {
             console.error('[JobQueue] Processing error:', error);
-            this.processing = false;
-            if (this.errorCallback) {
-                this.errorCallback(error);
+            if (this.runCount === run) {
+                this.processing = false;
+                if (this.errorCallback) {
+                    this.errorCallback(error);
+                }
+            }
+        } finally {
+            if (this.workerPool === pool) {
+                this.workerPool = null;
             }
         }
     }
 
     /**
-     * Process jobs sequentially
+     * Process jobs with a pool of config.concurrency workers
+     * Each worker takes the next queued job until none are left or processing stops.
+     * @param {Object} processors Processing functions by job type
+     * @param {number} run Run number; only the pool of the latest run stops processing and reports completion
      */
-    async processJobs(processors) {
-        for (let i = 0; i < this.jobs.length; i++) {
-            const job = this.jobs[i];
-            
-            if (job.status === 'completed' || job.status === 'failed') {
-                continue; // Skip already processed jobs
+    async processJobs(processors, run) {
+        const isCurrentRun = () => this.processing && this.runCount === run;
+        let nextIndex = 0;
+        const takeNextJob = () => {
+            while (nextIndex < this.jobs.length) {
+                const job = this.jobs[nextIndex++];
+                if (job.status === 'queued') {
+                    // Claim the job before yielding so no other worker picks it up
+                    job.status = 'processing';
+                    return job;
+                }
             }
+            return null;
+        };
 
-            if (!this.processing) {
-                console.log('[JobQueue] Processing stopped by user');
-                break;
-            }
+        const worker = async () => {
+            while (isCurrentRun()) {
+                const job = takeNextJob();
+                if (!job) break;
+
+                this.currentJob = job;
+                await this.processJob(job, processors);
+
+                // Progress callback
+                if (this.progressCallback) {
+                    this.progressCallback({
+                        current: this.processedCount + this.failedCount,
+                        total: this.jobs.length,
+                        processed: this.processedCount,
+                        failed: this.failedCount,
+                        currentJob: job,
+                        batchId: this.batchId,
+                        progress: Math.round(((this.processedCount + this.failedCount) / this.jobs.length) * 100)
+                    });
+                }
 
-            this.currentJob = job;
-            await this.processJob(job, processors);
-            
-            // Progress callback
-            if (this.progressCallback) {
-                this.progressCallback({
-                    current: this.processedCount + this.failedCount,
-                    total: this.jobs.length,
-                    processed: this.processedCount,
-                    failed: this.failedCount,
-                    currentJob: job,
-                    batchId: this.batchId,
-                    progress: Math.round(((this.processedCount + this.failedCount) / this.jobs.length) * 100)
-                });
+                // Without a rate limiter, pace jobs with a fixed delay
+                if (this.config.processingDelay > 0 && isCurrentRun() && nextIndex < this.jobs.length) {
+                    await this.delay(this.config.processingDelay);
+                }
             }
+        };
 
-            // Delay between jobs to respect rate limits
-            if (i < this.jobs.length - 1 && this.processing) {
-                await this.delay(this.config.processingDelay);
-            }
+        const workerCount = Math.max(1, Math.min(this.config.concurrency, this.jobs.length));
+        await Promise.all(Array.from({ length: workerCount }, () => worker()));
+
+        if (this.runCount !== run) {
+            return;
+        }
+
+        if (!this.processing) {
+            console.log('[JobQueue] Processing stopped by user');
         }
 
         this.processing = false;
         this.currentJob = null;
 
+        // A pause leaves queued jobs behind; the batch only completes once they have run
+        const remainingJobs = this.jobs.filter(job => job.status === 'queued' || job.status === 'processing').length;
+        if (remainingJobs > 0) {
+            console.log(`[JobQueue] Batch ${this.batchId} stopped with ${remainingJobs} jobs left`);
+            return;
+        }
+
         // Completion callback
         if (this.completionCallback) {
             this.completionCallback({
@@ -189,6 +286,18 @@ class JobQueue {
         console.log(`[JobQueue] Batch ${this.batchId} completed: ${this.processedCount} processed, ${this.failedCount} failed`);
     }
 
+    /**
+     * Run an API call through the rate limiter, or straight away when there is none
+     * @param {Function} call Async function making the call
+     * @returns {Promise} Result of the call
+     */
+    async rateLimit(call) {
+        if (this.rateLimiter) {
+            return await this.rateLimiter.execute(call);
+        }
+        return await call();
+    }
+
     /**
      * Process a single job with retry logic
      */
@@ -200,6 +309,7 @@ class JobQueue {
                 job.attempts = attempt;
                 job.status = 'processing';
                 job.startTime = new Date();
+                this.journalJob(job);
 
                 console.log(`[JobQueue] Processing job ${job.id} (attempt ${attempt}/${maxAttempts}): ${job.imageName}`);
 
@@ -209,15 +319,9 @@ class JobQueue {
                     throw new Error(`No processor found for job type: ${job.type}`);
                 }
 
-                // Process the job with rate limiting if available
-                let result;
-                if (this.rateLimiter) {
-                    result = await this.rateLimiter.execute(async () => {
-                        return await processor(job.data, job);
-                    });
-                } else {
-                    result = await processor(job.data, job);
-                }
+                // Processors wrap only their API call in rateLimit, so downloads and saves never hold a rate limit slot
+                const result = await processor(job.data, job, { rateLimit: (call) => this.rateLimit(call) });
+                this.addJobUsage(job, result && result.usage, result && result.model);
                 
                 // Job succeeded
                 job.status = 'completed';
@@ -225,6 +329,7 @@ class JobQueue {
                 job.endTime = new Date();
                 job.duration = job.endTime.getTime() - job.startTime.getTime();
                 job.error = null;
+                this.journalJob(job);
                 
                 this.processedCount++;
                 console.log(`[JobQueue] Job ${job.id} completed successfully`);
@@ -232,19 +337,29 @@ class JobQueue {
 
             } catch (error) {
                 console.error(`[JobQueue] Job ${job.id} attempt ${attempt} failed:`, error.message);
+                // Failed analyses can still have used tokens
+                this.addJobUsage(job, error.usage, error.model);
                 
+                const classification = ErrorClassifier.classify(error);
                 job.error = {
                     message: error.message,
+                    category: error.category || 'processing_error',
+                    type: classification.type,
+                    retryable: classification.retryable,
+                    status: classification.status,
                     attempt: attempt,
                     timestamp: new Date().toISOString()
                 };
 
-                if (attempt >= maxAttempts) {
+                // Permanent failures (invalid image, auth, content policy, ...) would fail again, so stop here
+                if (attempt >= maxAttempts || !classification.retryable) {
                     // All attempts failed
                     job.status = 'failed';
                     job.endTime = new Date();
                     job.duration = job.endTime.getTime() - job.startTime.getTime();
                     
+                    this.journalJob(job);
+                    
                     this.failedCount++;
                     this.failedJobs.push({
                         id: job.id,
@@ -253,15 +368,76 @@ class JobQueue {
                         attempts: job.attempts
                     });
                     
-                    console.log(`[JobQueue] Job ${job.id} failed after ${maxAttempts} attempts`);
+                    console.log(classification.retryable
+                        ? `[JobQueue] Job ${job.id} failed after ${maxAttempts} attempts`
+                        : `[JobQueue] Job ${job.id} failed permanently (${classification.type})`);
+                    break;
                 } else {
-                    // Retry after delay
-                    await this.delay(this.config.retryDelay);
+                    // Retry after an exponential backoff
+                    const retryDelay = this.getRetryDelay(attempt);
+                    console.log(`[JobQueue] Retrying job ${job.id} in ${retryDelay}ms (${classification.type})`);
+                    await this.delay(retryDelay);
                 }
             }
         }
     }
 
+    /**
+     * Backoff before the next attempt: retryDelay doubled per failed attempt, capped at maxRetryDelay,
+     * with the retryJitter share of it randomized
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempt) {
+        const backoff = Math.min(this.config.maxRetryDelay, this.config.retryDelay * Math.pow(2, attempt - 1));
+        const jitter = backoff * this.config.retryJitter;
+        return Math.round(backoff - jitter + Math.random() * jitter);
+    }
+
+    /**
+     * Record a job's state in the journal, when the queue has one
+     * @param {Object} job - Job that changed
+     */
+    journalJob(job) {
+        if (this.journal) {
+            this.journal.recordJob(this.batchId, job);
+        }
+    }
+
+    /**
+     * Recompute the processed and failed counters from job statuses
+     */
+    recountJobs() {
+        const failedJobs = this.jobs.filter(job => job.status === 'failed');
+        this.processedCount = this.jobs.filter(job => job.status === 'completed').length;
+        this.failedCount = failedJobs.length;
+        this.failedJobs = failedJobs.map(job => ({
+            id: job.id,
+            imageName: job.imageName,
+            error: job.error,
+            attempts: job.attempts
+        }));
+    }
+
+    /**
+     * Add a processor call's token usage to the job and batch totals
+     * @param {Object} job - Job the call was made for
+     * @param {Object} usage - Provider usage, {input_tokens, output_tokens}
+     * @param {string} model - Model the call used
+     */
+    addJobUsage(job, usage, model) {
+        if (!usage) return;
+
+        const inputTokens = usage.input_tokens || 0;
+        const outputTokens = usage.output_tokens || 0;
+        job.usage = job.usage || { inputTokens: 0, outputTokens: 0 };
+        job.usage.inputTokens += inputTokens;
+        job.usage.outputTokens += outputTokens;
+        job.model = model || job.model;
+        this.usage.inputTokens += inputTokens;
+        this.usage.outputTokens += outputTokens;
+    }
+
     /**
      * Pause processing
      */
@@ -292,22 +468,36 @@ class JobQueue {
     cancel() {
         this.processing = false;
         this.currentJob = null;
+        // Stop journaling: the batch's journal is deleted and a job still finishing must not recreate it
+        this.journal = null;
         console.log(`[JobQueue] Cancelled processing. Clearing ${this.jobs.length} jobs`);
         this.jobs = [];
         this.processedCount = 0;
         this.failedCount = 0;
         this.failedJobs = [];
         this.duplicateStatistics = null;
+        this.usage = { inputTokens: 0, outputTokens: 0 };
     }
 
     /**
      * Retry failed jobs
+     * @param {Object} options {includePermanent: also retry jobs whose error was classified as permanent}
+     * @returns {Object} {message, count, skipped} where skipped counts permanent failures left failed
      */
-    retryFailedJobs() {
-        const failedJobs = this.jobs.filter(job => job.status === 'failed');
+    retryFailedJobs(options = {}) {
+        const allFailedJobs = this.jobs.filter(job => job.status === 'failed');
+        // Jobs failed before errors were classified have no retryable flag and are retried
+        const failedJobs = options.includePermanent
+            ? allFailedJobs
+            : allFailedJobs.filter(job => !job.error || job.error.retryable !== false);
+        const skipped = allFailedJobs.length - failedJobs.length;
         
         if (failedJobs.length === 0) {
-            return { message: 'No failed jobs to retry', count: 0 };
+            return {
+                message: skipped > 0 ? `No retryable failed jobs (${skipped} failed permanently)` : 'No failed jobs to retry',
+                count: 0,
+                skipped
+            };
         }
 
         // Reset failed jobs to queued status
@@ -319,17 +509,18 @@ class JobQueue {
             job.startTime = null;
             job.endTime = null;
             job.duration = null;
+            this.journalJob(job);
         });
 
-        // Reset counters
-        this.failedCount = 0;
-        this.failedJobs = [];
+        // Reset counters, keeping any permanent failures
+        this.recountJobs();
 
         console.log(`[JobQueue] Reset ${failedJobs.length} failed jobs for retry`);
         
         return { 
-            message: `${failedJobs.length} failed jobs reset for retry`,
-            count: failedJobs.length 
+            message: `${failedJobs.length} failed jobs reset for retry${skipped > 0 ? ` (${skipped} permanent failures skipped)` : ''}`,
+            count: failedJobs.length,
+            skipped
         };
     }
 
@@ -339,7 +530,8 @@ class JobQueue {
     getStatus() {
         const totalJobs = this.jobs.length;
         const queuedJobs = this.jobs.filter(job => job.status === 'queued').length;
-        const processingJobs = this.jobs.filter(job => job.status === 'processing').length;
+        const activeJobs = this.jobs.filter(job => job.status === 'processing');
+        const processingJobs = activeJobs.length;
         const completedJobs = this.jobs.filter(job => job.status === 'completed').length;
         const failedJobs = this.jobs.filter(job => job.status === 'failed').length;
 
@@ -347,6 +539,8 @@ class JobQueue {
             batchId: this.batchId,
             processing: this.processing,
             currentJob: this.currentJob,
+            activeJobs: activeJobs.map(job => ({ id: job.id, imageName: job.imageName, attempts: job.attempts })),
+            concurrency: this.config.concurrency,
             totalJobs,
             queuedJobs,
             processingJobs,
@@ -358,10 +552,25 @@ class JobQueue {
             startTime: this.startTime,
             estimatedCompletion: this.getEstimatedCompletion(),
             failedJobDetails: this.failedJobs,
-            duplicateStatistics: this.duplicateStatistics
+            failureCategories: this.getFailureCategories(),
+            retryableFailures: this.failedJobs.filter(job => !job.error || job.error.retryable !== false).length,
+            duplicateStatistics: this.duplicateStatistics,
+            usage: { ...this.usage }
         };
     }
 
+    /**
+     * Count failed jobs by error category (e.g. malformed_response, processing_error)
+     * @returns {Object} Map of category to number of failed jobs
+     */
+    getFailureCategories() {
+        return this.failedJobs.reduce((counts, job) => {
+            const category = (job.error && job.error.category) || 'processing_error';
+            counts[category] = (counts[category] || 0) + 1;
+            return counts;
+        }, {});
+    }
+
     /**
      * Get queue details for debugging
      */
@@ -374,7 +583,12 @@ class JobQueue {
                 status: job.status,
                 attempts: job.attempts,
                 duration: job.duration,
-                error: job.error ? job.error.message : null
+                error: job.error ? job.error.message : null,
+                errorType: job.error ? job.error.type : null,
+                retryable: job.error ? job.error.retryable : null,
+                model: job.model,
+                usage: job.usage,
+                endTime: job.endTime
             }))
         };
     }
@@ -418,4 +632,6 @@ class JobQueue {
     }
 }
 
+JobQueue.MAX_BATCH_SIZE = MAX_BATCH_SIZE;
+
 module.exports = JobQueue;
@@ -0,0 +1,140 @@
+// PhotoVision JSON Repair
+// Recovers the analysis object from Claude replies that are fenced, wrapped in prose or cut off part way through
+
+class JsonRepair {
+    /**
+     * Parse a reply, trying progressively more invasive recovery steps
+     * @param {string} text - Raw reply text
+     * @returns {Object|null} {data, recovery} where recovery is 'direct', 'extracted' or 'repaired'; null when nothing could be recovered
+     */
+    static parse(text) {
+        if (typeof text !== 'string' || !text.trim()) return null;
+
+        const direct = JsonRepair.tryParse(text.trim());
+        if (direct) return { data: direct, recovery: 'direct' };
+
+        const candidate = JsonRepair.extract(text);
+        if (!candidate) return null;
+
+        const extracted = JsonRepair.tryParse(candidate);
+        if (extracted) return { data: extracted, recovery: 'extracted' };
+
+        const repaired = JsonRepair.tryParse(JsonRepair.repair(candidate));
+        if (repaired) return { data: repaired, recovery: 'repaired' };
+
+        return null;
+    }
+
+    /**
+     * @param {string} text - JSON text
+     * @returns {Object|null} The parsed object, or null if the text is not a JSON object
+     */
+    static tryParse(text) {
+        try {
+            const value = JSON.parse(text);
+            // A bare string or array is not a usable analysis
+            return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Pull the JSON object out of a reply: the contents of a code fence if there is one, then the first {...} block
+     * @param {string} text - Raw reply text
+     * @returns {string|null} The object text (everything from the opening brace when it is never closed), or null
+     */
+    static extract(text) {
+        const fence = text.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+        const body = fence ? fence[1] : text;
+
+        const start = body.indexOf('{');
+        if (start === -1) return null;
+
+        const end = JsonRepair.findClosingBrace(body, start);
+        return end === -1 ? body.slice(start) : body.slice(start, end + 1);
+    }
+
+    /**
+     * @param {string} text - Text containing an object
+     * @param {number} start - Index of the object's opening brace
+     * @returns {number} Index of the matching closing brace, or -1 if the object is never closed
+     */
+    static findClosingBrace(text, start) {
+        let depth = 0;
+        let inString = false;
+        let escaped = false;
+
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (char === '\\') escaped = true;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+                if (depth === 0) return i;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Fix the defects Claude's replies actually have: trailing commas, raw line breaks inside strings
+     * and replies truncated at max_tokens
+     * @param {string} text - Object text from extract()
+     * @returns {string} Repaired text (still may not parse)
+     */
+    static repair(text) {
+        let output = '';
+        const closers = [];
+        let inString = false;
+        let escaped = false;
+
+        for (const char of text) {
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                } else if (char === '\\') {
+                    escaped = true;
+                } else if (char === '"') {
+                    inString = false;
+                } else if (char === '\n' || char === '\r' || char === '\t') {
+                    output += { '\n': '\\n', '\r': '\\r', '\t': '\\t' }[char];
+                    continue;
+                }
+                output += char;
+                continue;
+            }
+
+            if (char === '"') {
+                inString = true;
+            } else if (char === '{' || char === '[') {
+                closers.push(char === '{' ? '}' : ']');
+            } else if (char === '}' || char === ']') {
+                output = output.replace(/,\s*$/, '');
+                closers.pop();
+            }
+            output += char;
+        }
+
+        // Cut off mid-reply: finish the open string, drop a half-written entry and close whatever is still open
+        if (inString) {
+            output = (escaped ? output.slice(0, -1) : output) + '"';
+        }
+        if (closers[closers.length - 1] === '}') {
+            // A key with no value yet
+            output = output.replace(/([{,])\s*"(?:[^"\\]|\\.)*"\s*:?\s*$/, '$1');
+        }
+        output = output.replace(/,\s*$/, '');
+
+        return output + closers.reverse().join('');
+    }
+}
+
+module.exports = JsonRepair;
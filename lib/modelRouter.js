@@ -0,0 +1,81 @@
+// PhotoVision Model Router
+// Sends each request to the backend that serves the requested model, as declared by the provider field
+// on the model's claudeModelConfig entry (Claude when the entry has none or the model is not listed).
+
+const VisionProvider = require('./visionProvider');
+
+class ModelRouter extends VisionProvider {
+    /**
+     * @param {Object} backends - Provider instances keyed by type, always including claude
+     * @param {Array} availableModels - Model definitions {id, provider, capabilities, ...}
+     */
+    constructor(backends, availableModels = []) {
+        super('claude', 'Claude');
+        this.backends = backends;
+        this.availableModels = availableModels;
+    }
+
+    /**
+     * Backend that serves a model
+     * @param {string} modelId - Model ID
+     * @returns {VisionProvider} Backend instance
+     */
+    forModel(modelId) {
+        const model = this.availableModels.find(entry => entry.id === modelId);
+        const type = (model && model.provider) || 'claude';
+        const backend = this.backends[type];
+        if (!backend) {
+            throw new Error(`Model ${modelId} uses the ${type} provider, which is not configured`);
+        }
+        return backend;
+    }
+
+    // The admin API key endpoints only change the Claude key at runtime
+    updateApiKey(apiKey) {
+        this.backends.claude.updateApiKey(apiKey);
+    }
+
+    setRateLimiter(rateLimiter) {
+        super.setRateLimiter(rateLimiter);
+        Object.values(this.backends).forEach(backend => backend.setRateLimiter(rateLimiter));
+    }
+
+    isConfigured(model = null) {
+        if (model) {
+            try {
+                return this.forModel(model).isConfigured(model);
+            } catch (error) {
+                return false;
+            }
+        }
+        return Object.values(this.backends).some(backend => backend.isConfigured());
+    }
+
+    async testConnection(model) {
+        return await this.forModel(model).testConnection(model);
+    }
+
+    async analyzeImage(imageBuffer, mimeType, prompt = null, preContext = null, model = null, outputSchema = null, imageInfo = {}) {
+        let backend;
+        try {
+            backend = this.forModel(model);
+        } catch (error) {
+            return { success: false, error: error.message, timestamp: new Date().toISOString() };
+        }
+        return await backend.analyzeImage(imageBuffer, mimeType, prompt, preContext, model, outputSchema, imageInfo);
+    }
+
+    async verifyImagesWithQuery(imageData, query, model) {
+        return await this.forModel(model).verifyImagesWithQuery(imageData, query, model);
+    }
+
+    async sendConversationalMessages(messages, availableFunctions, model, options = {}) {
+        return await this.forModel(model).sendConversationalMessages(messages, availableFunctions, model, options);
+    }
+
+    async streamConversationalMessages(messages, availableFunctions, model, onTextDelta = null, options = {}) {
+        return await this.forModel(model).streamConversationalMessages(messages, availableFunctions, model, onTextDelta, options);
+    }
+}
+
+module.exports = ModelRouter;
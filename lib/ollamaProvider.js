@@ -0,0 +1,46 @@
+// PhotoVision Ollama Provider
+// Local vision models (llava, llama3.2-vision, qwen2.5vl, ...) served by Ollama through its OpenAI-compatible API.
+// No API key is needed; the connection test also checks that the model has been pulled.
+
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+
+class OllamaProvider extends OpenAICompatibleProvider {
+    /**
+     * @param {Object} options - {baseUrl (the Ollama server, e.g. http://localhost:11434), apiKey, timeoutMs}
+     */
+    constructor(options = {}) {
+        const serverUrl = (options.baseUrl || 'http://localhost:11434').replace(/\/+$/, '').replace(/\/v1$/, '');
+        super({
+            requiresApiKey: false,
+            // Local models are slower than hosted ones, especially on the first request after loading
+            timeoutMs: 300000,
+            ...options,
+            baseUrl: `${serverUrl}/v1`
+        }, 'ollama', 'Ollama');
+        this.serverUrl = serverUrl;
+    }
+
+    async testConnection(model) {
+        const connectionTestStart = Date.now();
+        let tags;
+        try {
+            const response = await fetch(`${this.serverUrl}/api/tags`, { signal: AbortSignal.timeout(10000) });
+            if (!response.ok) {
+                throw new Error(`API Error ${response.status}`);
+            }
+            tags = await response.json();
+        } catch (error) {
+            console.error('[Ollama Test Failed]', error.message);
+            throw new Error(`Ollama connection failed: ${error.message}`);
+        }
+
+        const pulled = (tags.models || []).map(entry => entry.name);
+        if (model && !pulled.includes(model) && !pulled.includes(`${model}:latest`)) {
+            throw new Error(`Ollama is running but ${model} has not been pulled (run "ollama pull ${model}")`);
+        }
+
+        return { success: true, model, responseTime: Date.now() - connectionTestStart };
+    }
+}
+
+module.exports = OllamaProvider;
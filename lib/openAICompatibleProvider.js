@@ -0,0 +1,320 @@
+// PhotoVision OpenAI-Compatible Provider
+// Vision backend for servers speaking the OpenAI chat completions API (OpenAI itself, vLLM, LM Studio, LiteLLM, ...).
+// Requests and replies are translated to and from the Messages API shapes the rest of PhotoVision uses,
+// so the chat agent, batch processor and search verification work unchanged.
+
+const VisionProvider = require('./visionProvider');
+const AnalysisSchema = require('./analysisSchema');
+
+const STOP_REASONS = {
+    tool_calls: 'tool_use',
+    function_call: 'tool_use',
+    length: 'max_tokens',
+    stop: 'end_turn'
+};
+
+class OpenAICompatibleProvider extends VisionProvider {
+    /**
+     * @param {Object} options - {baseUrl, apiKey, requiresApiKey, timeoutMs}
+     * @param {string} name - Provider type
+     * @param {string} displayName - Name used in log and error messages
+     */
+    constructor(options = {}, name = 'openai', displayName = 'OpenAI-compatible endpoint') {
+        super(name, displayName);
+        this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.apiKey = options.apiKey || null;
+        // Self-hosted servers often accept requests without a key
+        this.requiresApiKey = options.requiresApiKey !== undefined ? options.requiresApiKey : true;
+        this.timeoutMs = options.timeoutMs || 120000;
+    }
+
+    isConfigured() {
+        return !!this.baseUrl && (!this.requiresApiKey || !!this.apiKey);
+    }
+
+    async testConnection(model) {
+        const connectionTestStart = Date.now();
+        try {
+            const response = await this.makeRequest('/chat/completions', 'POST', {
+                model,
+                max_tokens: 10,
+                messages: [{ role: 'user', content: 'Test connection' }]
+            });
+            return { success: true, model, responseTime: Date.now() - connectionTestStart, usage: this.convertUsage(response.usage) };
+        } catch (error) {
+            console.error(`[${this.displayName} Test Failed]`, error.message);
+            throw new Error(`${this.displayName} connection failed: ${error.message}`);
+        }
+    }
+
+    async analyzeImage(imageBuffer, mimeType, prompt = null, preContext = null, model = null, outputSchema = null, imageInfo = {}) {
+        try {
+            const schema = new AnalysisSchema(outputSchema);
+            const requestBody = {
+                model,
+                max_tokens: schema.isEmpty() ? 1000 : 1500,
+                messages: [{
+                    role: 'user',
+                    content: [
+                        { type: 'image_url', image_url: { url: `data:${mimeType};base64,${imageBuffer.toString('base64')}` } },
+                        { type: 'text', text: this.buildAnalysisPrompt(prompt, preContext, schema) }
+                    ]
+                }]
+            };
+
+            const response = await this.makeRequest('/chat/completions', 'POST', requestBody);
+
+            return await this.finishAnalysis(this.getResponseText(response), this.convertUsage(response.usage), response.model || model, schema, async () => {
+                const [message] = requestBody.messages;
+                const retryResponse = await this.makeRequest('/chat/completions', 'POST', {
+                    ...requestBody,
+                    messages: [{
+                        ...message,
+                        content: message.content.map(part => part.type === 'text'
+                            ? { ...part, text: `${part.text}\n\n${VisionProvider.STRICT_JSON_INSTRUCTION}` }
+                            : part)
+                    }]
+                });
+                return { text: this.getResponseText(retryResponse), usage: this.convertUsage(retryResponse.usage) };
+            });
+        } catch (error) {
+            console.error(`[${this.displayName} API Error]`, error.message);
+            return {
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    async verifyImagesWithQuery(imageData, query, model = null) {
+        try {
+            const content = [];
+            for (const image of imageData) {
+                try {
+                    const imageBuffer = await this.fetchImageFromUrl(image.url);
+                    const mimeType = image.url.toLowerCase().includes('.png') ? 'image/png' : 'image/jpeg';
+                    content.push({ type: 'image_url', image_url: { url: `data:${mimeType};base64,${imageBuffer.toString('base64')}` } });
+                } catch (error) {
+                    console.error(`[${this.displayName} Vision] Failed to fetch image ${image.identifier}:`, error.message);
+                }
+            }
+
+            if (content.length === 0) {
+                return { success: false, error: 'No images could be fetched for verification' };
+            }
+
+            content.push({ type: 'text', text: this.buildVerificationPrompt(content.length, query) });
+            const response = await this.makeRequest('/chat/completions', 'POST', {
+                model,
+                max_tokens: 500,
+                messages: [{ role: 'user', content }]
+            });
+
+            const responseText = this.getResponseText(response);
+            return {
+                success: true,
+                verifiedImages: this.parseVerificationReply(responseText, imageData.length),
+                totalImages: imageData.length,
+                response: responseText,
+                usage: this.convertUsage(response.usage)
+            };
+        } catch (error) {
+            console.error(`[${this.displayName} Vision] Verification error:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async sendConversationalMessages(messages, availableFunctions, model = null, options = {}) {
+        try {
+            const response = await this.makeRequest('/chat/completions', 'POST', {
+                model,
+                max_tokens: 1500,
+                messages: [
+                    { role: 'system', content: this.buildChatSystemPrompt() },
+                    ...this.convertMessages(messages)
+                ],
+                tools: availableFunctions.map(func => ({
+                    type: 'function',
+                    function: { name: func.name, description: func.description, parameters: func.parameters }
+                })),
+                ...(options.toolChoice === 'none' ? { tool_choice: 'none' } : {})
+            }, options.signal);
+
+            const message = this.convertResponse(response, model);
+            return {
+                success: true,
+                response: message,
+                model: message.model,
+                usage: message.usage,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            console.error(`[${this.displayName} Conversational Query Error]`, error.message);
+            return {
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    // Servers differ in how they stream tool calls, so the reply is requested whole and its text reported in one piece
+    async streamConversationalMessages(messages, availableFunctions, model = null, onTextDelta = null, options = {}) {
+        const result = await this.sendConversationalMessages(messages, availableFunctions, model, options);
+        if (result.success && onTextDelta) {
+            result.response.content
+                .filter(block => block.type === 'text')
+                .forEach(block => onTextDelta(block.text));
+        }
+        return result;
+    }
+
+    /**
+     * Translate Messages API turns (text, image, tool_use and tool_result blocks) to chat completion messages
+     * @param {Array} messages - Messages API message list
+     * @returns {Array} Chat completion messages
+     */
+    convertMessages(messages) {
+        const converted = [];
+
+        for (const message of messages) {
+            if (typeof message.content === 'string') {
+                converted.push({ role: message.role, content: message.content });
+                continue;
+            }
+
+            const blocks = message.content || [];
+            if (message.role === 'assistant') {
+                const toolUses = blocks.filter(block => block.type === 'tool_use');
+                converted.push({
+                    role: 'assistant',
+                    content: blocks.filter(block => block.type === 'text').map(block => block.text).join('') || null,
+                    ...(toolUses.length > 0 ? {
+                        tool_calls: toolUses.map(block => ({
+                            id: block.id,
+                            type: 'function',
+                            function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+                        }))
+                    } : {})
+                });
+                continue;
+            }
+
+            // Tool results become tool messages; anything else in the turn stays with the user
+            blocks.filter(block => block.type === 'tool_result').forEach(block => {
+                converted.push({
+                    role: 'tool',
+                    tool_call_id: block.tool_use_id,
+                    content: typeof block.content === 'string' ? block.content : JSON.stringify(block.content)
+                });
+            });
+
+            const parts = blocks
+                .filter(block => block.type === 'text' || block.type === 'image')
+                .map(block => block.type === 'text'
+                    ? { type: 'text', text: block.text }
+                    : { type: 'image_url', image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` } });
+            if (parts.length > 0) {
+                converted.push({ role: 'user', content: parts });
+            }
+        }
+
+        return converted;
+    }
+
+    /**
+     * Translate a chat completion into a Messages API message
+     * @param {Object} response - Chat completion response
+     * @param {string} model - Requested model, used when the server does not echo one
+     * @returns {Object} {id, role, model, content, stop_reason, usage}
+     */
+    convertResponse(response, model) {
+        const choice = (response.choices && response.choices[0]) || {};
+        const message = choice.message || {};
+        const content = [];
+
+        if (message.content) {
+            content.push({ type: 'text', text: message.content });
+        }
+        (message.tool_calls || []).forEach((call, index) => {
+            let input = {};
+            try {
+                input = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+            } catch (error) {
+                console.warn(`[${this.displayName}] Could not parse arguments for ${call.function.name}, calling it without any`);
+            }
+            content.push({ type: 'tool_use', id: call.id || `call_${index}`, name: call.function.name, input });
+        });
+
+        return {
+            id: response.id,
+            type: 'message',
+            role: 'assistant',
+            model: response.model || model,
+            content,
+            stop_reason: (message.tool_calls && message.tool_calls.length > 0)
+                ? 'tool_use'
+                : STOP_REASONS[choice.finish_reason] || 'end_turn',
+            usage: this.convertUsage(response.usage)
+        };
+    }
+
+    getResponseText(response) {
+        const choice = response && response.choices && response.choices[0];
+        return (choice && choice.message && choice.message.content) || '';
+    }
+
+    convertUsage(usage) {
+        if (!usage) return null;
+        return {
+            input_tokens: usage.prompt_tokens || 0,
+            output_tokens: usage.completion_tokens || 0
+        };
+    }
+
+    /**
+     * Make a request to the server
+     * @param {string} endpoint - Path below the base URL, e.g. /chat/completions
+     * @param {string} method - HTTP method
+     * @param {Object} body - Request body
+     * @param {AbortSignal} signal - Optional signal that aborts the request before its timeout
+     * @returns {Promise<Object>} Parsed JSON response
+     */
+    async makeRequest(endpoint, method = 'GET', body = null, signal = null) {
+        const timeout = AbortSignal.timeout(this.timeoutMs);
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${endpoint}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+                },
+                body: body ? JSON.stringify(body) : undefined,
+                signal: signal ? AbortSignal.any([timeout, signal]) : timeout
+            });
+        } catch (error) {
+            throw new Error(`Request failed: ${error.message}`);
+        }
+
+        const text = await response.text();
+        let data;
+        try {
+            data = text ? JSON.parse(text) : {};
+        } catch (parseError) {
+            if (response.ok) {
+                throw new Error(`Failed to parse API response: ${parseError.message}`);
+            }
+            data = {};
+        }
+
+        if (!response.ok) {
+            const message = (data.error && (data.error.message || data.error)) || text || 'Unknown error';
+            throw new Error(`API Error ${response.status}: ${message}`);
+        }
+        return data;
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
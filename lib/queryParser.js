@@ -0,0 +1,384 @@
+// PhotoVision Query Parser
+// Parses the structured search syntax into an AST, e.g.
+//   keywords:"target face" AND album:"2025 > Nationals" -people date:2024-06..2024-08
+//
+// Grammar (adjacent terms are joined with an implicit AND):
+//   query   := or
+//   or      := and (OR and)*
+//   and     := unary (AND? unary)*
+//   unary   := (NOT | '-') unary | primary
+//   primary := '(' or ')' | field ':' value | value
+//   value   := word | "quoted phrase"
+//
+// AST nodes:
+//   { type: 'and' | 'or', children: [...] }
+//   { type: 'not', child }
+//   { type: 'term', field, value, phrase, position }   field is null for all text fields
+//   { type: 'album', path: [...segments], value, position }
+//   { type: 'date', from, to, value, position }         from inclusive, to exclusive (ISO strings or null)
+//   { type: 'camera', value, position }                  matched against camera make, model and lens
+
+class QuerySyntaxError extends Error {
+    constructor(message, query, position, token = null, expected = null) {
+        super(message);
+        this.name = 'QuerySyntaxError';
+        this.query = query;
+        this.position = position;
+        this.token = token;
+        this.expected = expected;
+    }
+
+    /**
+     * Details for API responses, including a caret pointing at the bad token
+     * @returns {Object} {position, token, expected, pointer}
+     */
+    toJSON() {
+        const width = Math.max((this.token || '').length, 1);
+        return {
+            position: this.position,
+            token: this.token,
+            expected: this.expected,
+            pointer: `${this.query}\n${' '.repeat(this.position)}${'^'.repeat(width)}`
+        };
+    }
+}
+
+const FIELDS = {
+    keywords: 'keywords',
+    keyword: 'keywords',
+    tag: 'keywords',
+    description: 'description',
+    desc: 'description',
+    title: 'title',
+    caption: 'caption',
+    album: 'album',
+    place: 'place',
+    date: 'date',
+    camera: 'camera',
+    lens: 'camera',
+    text: null
+};
+
+class QueryParser {
+    /**
+     * Check whether a query uses any of the structured syntax (fields, operators, exclusions, groups or quotes)
+     * Plain free text is better served by the keyword search than by the strict parser.
+     * @param {string} query - Query text
+     * @returns {boolean} True if the query should go through the parser
+     */
+    static usesSyntax(query) {
+        const text = String(query || '');
+        return QueryParser.usesFields(text) ||
+            /(^|\s)(AND|OR|NOT)(?=\s|$)/.test(text) ||
+            /(^|[\s(])-[^\s-]/.test(text) ||
+            /["()]/.test(text);
+    }
+
+    /**
+     * Check whether a query uses a known field prefix such as album: or date:
+     * Only these queries clearly attempt the structured syntax, so only they report syntax errors.
+     * @param {string} query - Query text
+     * @returns {boolean} True if a known field is used
+     */
+    static usesFields(query) {
+        const fieldPattern = /(?:^|[\s(-])([A-Za-z]+):/g;
+        let match;
+        while ((match = fieldPattern.exec(String(query || ''))) !== null) {
+            if (Object.prototype.hasOwnProperty.call(FIELDS, match[1].toLowerCase())) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Parse a query string into an AST
+     * @param {string} query - Query text
+     * @returns {Object} AST root node
+     * @throws {QuerySyntaxError} With the position of the offending token
+     */
+    parse(query) {
+        this.query = String(query || '');
+        this.tokens = this.tokenize(this.query);
+        this.index = 0;
+
+        if (this.tokens.length === 0) {
+            throw new QuerySyntaxError('Query is empty', this.query, 0, null, 'a search term');
+        }
+
+        const ast = this.parseOr();
+
+        if (this.index < this.tokens.length) {
+            const token = this.peek();
+            throw this.error(`Unexpected "${token.text}"`, token, token.type === 'rparen' ? 'a term before ")" or a matching "("' : 'AND, OR or a term');
+        }
+
+        return ast;
+    }
+
+    /**
+     * Split a query into tokens with their positions
+     * @param {string} query - Query text
+     * @returns {Array<Object>} [{type, text, value, position}]
+     */
+    tokenize(query) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < query.length) {
+            const char = query[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            if (char === '(' || char === ')') {
+                tokens.push({ type: char === '(' ? 'lparen' : 'rparen', text: char, position: i });
+                i++;
+                continue;
+            }
+
+            if (char === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+                tokens.push({ type: 'not', text: '-', position: i });
+                i++;
+                continue;
+            }
+
+            if (char === '"') {
+                const { value, end } = this.readQuoted(query, i);
+                tokens.push({ type: 'value', text: query.slice(i, end), value, phrase: true, position: i });
+                i = end;
+                continue;
+            }
+
+            // Bare word, possibly a field prefix ("album:") followed by a word or quoted value
+            const start = i;
+            while (i < query.length && !/[\s()"]/.test(query[i])) {
+                i++;
+            }
+            const text = query.slice(start, i);
+            const fieldMatch = text.match(/^([A-Za-z]+):(.*)$/);
+
+            if (fieldMatch) {
+                tokens.push({ type: 'field', text: `${fieldMatch[1]}:`, value: fieldMatch[1].toLowerCase(), position: start });
+                if (fieldMatch[2]) {
+                    const valueStart = start + fieldMatch[1].length + 1;
+                    tokens.push({ type: 'value', text: fieldMatch[2], value: fieldMatch[2], phrase: false, position: valueStart });
+                } else if (query[i] === '"') {
+                    const { value, end } = this.readQuoted(query, i);
+                    tokens.push({ type: 'value', text: query.slice(i, end), value, phrase: true, position: i });
+                    i = end;
+                }
+                continue;
+            }
+
+            if (text === 'AND' || text === 'OR' || text === 'NOT') {
+                tokens.push({ type: text.toLowerCase(), text, position: start });
+            } else {
+                tokens.push({ type: 'value', text, value: text, phrase: false, position: start });
+            }
+        }
+
+        return tokens;
+    }
+
+    readQuoted(query, start) {
+        let value = '';
+        let i = start + 1;
+
+        while (i < query.length && query[i] !== '"') {
+            if (query[i] === '\\' && i + 1 < query.length) {
+                i++;
+            }
+            value += query[i];
+            i++;
+        }
+
+        if (i >= query.length) {
+            throw new QuerySyntaxError(`Unterminated quote starting at position ${start}`, query, start, query.slice(start), 'a closing "');
+        }
+
+        return { value, end: i + 1 };
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    error(message, token, expected) {
+        const position = token ? token.position : this.query.length;
+        const text = token ? token.text : null;
+        return new QuerySyntaxError(`${message} at position ${position}`, this.query, position, text, expected);
+    }
+
+    parseOr() {
+        const children = [this.parseAnd()];
+
+        while (this.peek() && this.peek().type === 'or') {
+            const operator = this.next();
+            if (!this.startsUnary(this.peek())) {
+                throw this.error('Expected a term after OR', this.peek() || operator, 'a term');
+            }
+            children.push(this.parseAnd());
+        }
+
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    parseAnd() {
+        const children = [this.parseUnary()];
+
+        while (this.peek() && (this.peek().type === 'and' || this.startsUnary(this.peek()))) {
+            if (this.peek().type === 'and') {
+                const operator = this.next();
+                if (!this.startsUnary(this.peek())) {
+                    throw this.error('Expected a term after AND', this.peek() || operator, 'a term');
+                }
+            }
+            children.push(this.parseUnary());
+        }
+
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    startsUnary(token) {
+        return Boolean(token) && ['not', 'lparen', 'field', 'value'].includes(token.type);
+    }
+
+    parseUnary() {
+        const token = this.peek();
+
+        if (token && token.type === 'not') {
+            this.next();
+            if (!this.startsUnary(this.peek())) {
+                throw this.error(`Expected a term after ${token.text === '-' ? '"-"' : 'NOT'}`, this.peek() || token, 'a term');
+            }
+            return { type: 'not', child: this.parseUnary() };
+        }
+
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.next();
+
+        if (!token) {
+            throw this.error('Unexpected end of query', null, 'a term');
+        }
+
+        if (token.type === 'lparen') {
+            if (this.peek() && this.peek().type === 'rparen') {
+                throw this.error('Empty group', this.peek(), 'a term inside the parentheses');
+            }
+            const inner = this.parseOr();
+            const closing = this.next();
+            if (!closing || closing.type !== 'rparen') {
+                throw this.error(`Missing ")" for "(" opened at position ${token.position}`, closing || null, '")"');
+            }
+            return inner;
+        }
+
+        if (token.type === 'field') {
+            if (!Object.prototype.hasOwnProperty.call(FIELDS, token.value)) {
+                throw this.error(`Unknown field "${token.value}"`, token, `one of ${Object.keys(FIELDS).join(', ')}`);
+            }
+
+            const valueToken = this.peek();
+            if (!valueToken || valueToken.type !== 'value') {
+                throw this.error(`Missing value for "${token.text}"`, valueToken || token, 'a word or "quoted phrase"');
+            }
+            this.next();
+
+            return this.buildFieldNode(FIELDS[token.value], valueToken);
+        }
+
+        if (token.type === 'value') {
+            return { type: 'term', field: null, value: token.value, phrase: token.phrase, position: token.position };
+        }
+
+        throw this.error(`Unexpected "${token.text}"`, token, 'a term');
+    }
+
+    buildFieldNode(field, token) {
+        if (field === 'date') {
+            return { type: 'date', ...this.parseDateRange(token), value: token.value, position: token.position };
+        }
+
+        if (field === 'camera') {
+            return { type: 'camera', value: token.value, position: token.position };
+        }
+
+        if (field === 'album') {
+            const path = token.value.split('>').map(segment => segment.trim()).filter(Boolean);
+            if (path.length === 0) {
+                throw this.error('Empty album path', token, 'an album name or "Year > Event" path');
+            }
+            return { type: 'album', path, value: token.value, position: token.position };
+        }
+
+        return { type: 'term', field, value: token.value, phrase: token.phrase, position: token.position };
+    }
+
+    /**
+     * Parse date:YYYY[-MM[-DD]] or a FROM..TO range with optional open ends
+     * @returns {Object} {from, to} ISO strings, to is exclusive
+     */
+    parseDateRange(token) {
+        const value = token.value.trim();
+        const parts = value.includes('..') ? value.split('..') : [value, value];
+
+        if (parts.length !== 2 || (!parts[0] && !parts[1])) {
+            throw this.error(`Invalid date range "${token.text}"`, token, 'YYYY-MM-DD, YYYY-MM, YYYY or FROM..TO');
+        }
+
+        const from = parts[0] ? this.parseDate(parts[0], token) : null;
+        const to = parts[1] ? this.parseDate(parts[1], token) : null;
+
+        if (from && to && from.start >= to.end) {
+            throw this.error(`Date range "${token.text}" ends before it starts`, token, 'FROM..TO with FROM before TO');
+        }
+
+        return {
+            from: from ? from.start.toISOString() : null,
+            to: to ? to.end.toISOString() : null
+        };
+    }
+
+    parseDate(text, token) {
+        const match = text.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+        if (!match) {
+            throw this.error(`Invalid date "${text}"`, token, 'YYYY-MM-DD, YYYY-MM or YYYY');
+        }
+
+        const year = parseInt(match[1]);
+        const month = match[2] ? parseInt(match[2]) : null;
+        const day = match[3] ? parseInt(match[3]) : null;
+
+        if (month !== null && (month < 1 || month > 12)) {
+            throw this.error(`Invalid month in "${text}"`, token, 'a month from 01 to 12');
+        }
+
+        const start = new Date(Date.UTC(year, month ? month - 1 : 0, day || 1));
+        if (day !== null && start.getUTCDate() !== day) {
+            throw this.error(`Invalid day in "${text}"`, token, 'a day that exists in that month');
+        }
+
+        // The range covers the whole year, month or day that was written
+        const end = new Date(start);
+        if (day !== null) end.setUTCDate(end.getUTCDate() + 1);
+        else if (month !== null) end.setUTCMonth(end.getUTCMonth() + 1);
+        else end.setUTCFullYear(end.getUTCFullYear() + 1);
+
+        return { start, end };
+    }
+}
+
+QueryParser.QuerySyntaxError = QuerySyntaxError;
+QueryParser.FIELDS = FIELDS;
+
+module.exports = QueryParser;
@@ -1,5 +1,10 @@
 // PhotoVision Global Rate Limiter
-// Manages API rate limiting across multiple batch processes
+// Manages API rate limiting across multiple batch processes. The configured rate is a ceiling: when the
+// API pushes back (429/529, retry-after, anthropic-ratelimit-* headers) every caller waits and the rate
+// is cut, then ramps back up while requests go through.
+
+// Anthropic reports limits per resource in anthropic-ratelimit-<resource>-{limit,remaining,reset}
+const API_LIMIT_RESOURCES = ['requests', 'tokens', 'input-tokens', 'output-tokens'];
 
 class RateLimiter {
     constructor(config = {}) {
@@ -8,6 +13,11 @@ class RateLimiter {
             maxTokens: config.maxTokens || 10,          // Maximum tokens in bucket
             refillRate: config.refillRate || 2,         // Tokens per second
             maxConcurrent: config.maxConcurrent || 3,   // Max concurrent API calls
+            throttleBackoffMs: 5000,                    // Wait after a 429 without retry-after
+            overloadedBackoffMs: 15000,                 // Wait after a 529 (API overloaded) without retry-after
+            minRateFactor: 0.1,                         // Lowest share of refillRate a throttle can cut to
+            recoveryPerSecond: 0.01,                    // Share of refillRate regained per second after a throttle
+            maxThrottleEvents: 20,                      // Throttle events kept for status
             ...config
         };
         
@@ -21,6 +31,12 @@ class RateLimiter {
         // Queue for waiting requests
         this.waitingQueue = [];
         
+        // Adaptive state driven by API responses
+        this.rateFactor = 1;          // Share of refillRate currently allowed
+        this.pausedUntil = 0;         // No requests start before this time (ms)
+        this.throttleEvents = [];     // Recent 429/529 responses and exhausted limits
+        this.apiLimits = null;        // Latest limits reported in response headers
+        
         // Start token refill timer
         this.startRefillTimer();
         
@@ -33,6 +49,7 @@ class RateLimiter {
     startRefillTimer() {
         setInterval(() => {
             this.refillTokens();
+            this.processWaitingQueue();
         }, 1000); // Refill every second
     }
     
@@ -42,13 +59,21 @@ class RateLimiter {
     refillTokens() {
         const now = Date.now();
         const elapsed = (now - this.lastRefill) / 1000; // Convert to seconds
-        const tokensToAdd = elapsed * this.config.refillRate;
+        
+        // Nothing refills while paused; afterwards the rate climbs back towards the configured one
+        if (now < this.pausedUntil) {
+            this.lastRefill = now;
+            return;
+        }
+        if (this.rateFactor < 1) {
+            this.rateFactor = Math.min(1, this.rateFactor + elapsed * this.config.recoveryPerSecond);
+        }
+        
+        const tokensToAdd = elapsed * this.getEffectiveRefillRate();
         
         this.tokens = Math.min(this.config.maxTokens, this.tokens + tokensToAdd);
         this.lastRefill = now;
-        
-        // Process waiting queue if we have tokens
-        this.processWaitingQueue();
+        // Waiting requests are served by processWaitingQueue(), which refills through canProceed()
     }
     
     /**
@@ -77,8 +102,121 @@ class RateLimiter {
         // Refill tokens first
         this.refillTokens();
         
-        // Check both token availability and concurrent limit
-        return this.tokens >= 1 && this.activeRequests < this.config.maxConcurrent;
+        // Check the API pause, token availability and concurrent limit
+        return Date.now() >= this.pausedUntil && this.tokens >= 1 && this.activeRequests < this.config.maxConcurrent;
+    }
+    
+    /**
+     * Tokens per second currently added, after any throttling
+     * @returns {number}
+     */
+    getEffectiveRefillRate() {
+        return this.config.refillRate * this.rateFactor;
+    }
+    
+    /**
+     * Learn from an API response: back off on 429/529 and pause when a reported limit is used up
+     * @param {number} statusCode HTTP status
+     * @param {Object} headers Response headers (lower-case names, as Node provides them)
+     */
+    recordResponse(statusCode, headers = {}) {
+        const limits = this.parseLimitHeaders(headers);
+        if (limits) {
+            this.apiLimits = { ...limits, updatedAt: new Date().toISOString() };
+        }
+        
+        if (statusCode === 429 || statusCode === 529) {
+            const retryAfterMs = this.parseRetryAfter(headers['retry-after']);
+            const backoffMs = statusCode === 529 ? this.config.overloadedBackoffMs : this.config.throttleBackoffMs;
+            this.throttle({
+                reason: statusCode === 529 ? 'overloaded' : 'rate_limited',
+                status: statusCode,
+                waitMs: retryAfterMs !== null ? retryAfterMs : backoffMs
+            });
+            return;
+        }
+        
+        // A used-up limit means the next request would be a 429, so wait for its window to reset
+        const exhausted = Object.entries(limits || {})
+            .filter(([, limit]) => limit.remaining === 0 && limit.reset);
+        if (exhausted.length > 0) {
+            const resetAt = Math.max(...exhausted.map(([, limit]) => new Date(limit.reset).getTime()));
+            if (resetAt > Date.now()) {
+                this.pause(resetAt - Date.now(), {
+                    reason: 'limit_exhausted',
+                    status: statusCode,
+                    limits: exhausted.map(([resource]) => resource)
+                });
+            }
+        }
+    }
+    
+    /**
+     * Cut the rate and pause every caller after the API pushed back
+     * Responses that arrive while already paused (other calls in flight) only extend the pause.
+     * @param {Object} event {reason, status, waitMs}
+     */
+    throttle(event) {
+        if (Date.now() >= this.pausedUntil) {
+            this.rateFactor = Math.max(this.config.minRateFactor, this.rateFactor / 2);
+        }
+        this.tokens = Math.min(this.tokens, 0);
+        this.pause(event.waitMs, event);
+    }
+    
+    /**
+     * Hold all requests for a while and record why
+     * @param {number} waitMs How long to wait
+     * @param {Object} event Details kept in the throttle history
+     */
+    pause(waitMs, event) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + waitMs);
+        this.throttleEvents.push({
+            timestamp: new Date().toISOString(),
+            ...event,
+            waitMs,
+            rateFactor: Math.round(this.rateFactor * 100) / 100
+        });
+        this.throttleEvents = this.throttleEvents.slice(-this.config.maxThrottleEvents);
+        
+        console.warn(`[RateLimiter] API ${event.reason} (${event.status}); pausing ${Math.round(waitMs / 1000)}s at ${Math.round(this.rateFactor * 100)}% of the configured rate`);
+    }
+    
+    /**
+     * Read anthropic-ratelimit-* headers
+     * @param {Object} headers Response headers
+     * @returns {Object|null} {requests: {limit, remaining, reset}, tokens: {...}, ...} or null when absent
+     */
+    parseLimitHeaders(headers) {
+        const limits = {};
+        for (const resource of API_LIMIT_RESOURCES) {
+            const prefix = `anthropic-ratelimit-${resource}`;
+            if (headers[`${prefix}-remaining`] === undefined) continue;
+            
+            limits[resource] = {
+                limit: Number(headers[`${prefix}-limit`]) || null,
+                remaining: Number(headers[`${prefix}-remaining`]),
+                reset: headers[`${prefix}-reset`] || null
+            };
+        }
+        return Object.keys(limits).length > 0 ? limits : null;
+    }
+    
+    /**
+     * Parse a retry-after header, given in seconds or as an HTTP date
+     * @param {string} value Header value
+     * @returns {number|null} Milliseconds to wait, or null when missing or unreadable
+     */
+    parseRetryAfter(value) {
+        if (value === undefined || value === null || value === '') return null;
+        
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+        
+        const date = new Date(value).getTime();
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
     }
     
     /**
@@ -124,7 +262,13 @@ class RateLimiter {
             activeRequests: this.activeRequests,
             maxConcurrent: this.config.maxConcurrent,
             queueLength: this.waitingQueue.length,
-            refillRate: this.config.refillRate
+            refillRate: this.config.refillRate,
+            effectiveRefillRate: this.getEffectiveRefillRate(),
+            rateFactor: Math.round(this.rateFactor * 100) / 100,
+            throttled: Date.now() < this.pausedUntil,
+            pausedUntil: Date.now() < this.pausedUntil ? new Date(this.pausedUntil).toISOString() : null,
+            recentThrottles: this.throttleEvents.slice(-10),
+            apiLimits: this.apiLimits
         };
     }
     
@@ -0,0 +1,106 @@
+// PhotoVision Search Facets
+// Aggregates result sets into facet counts and narrows them by selected facet values
+
+class SearchFacets {
+    constructor(options = {}) {
+        this.options = {
+            topKeywords: 20,
+            maxAlbumLevels: 3,
+            ...options
+        };
+
+        // Facet names in display order
+        this.facetNames = ['albumHierarchy', 'keywords', 'model', 'starred', 'processedDate'];
+    }
+
+    /**
+     * Get the facet values an image falls under
+     * @param {Object} image - Image record
+     * @param {Set<string>} starredIds - Starred image IDs
+     * @returns {Object} facet -> array of values
+     */
+    getFacetValues(image, starredIds = new Set()) {
+        // Every prefix of the album path is a value, so "2025" also counts photos in "2025 > Nationals"
+        const hierarchy = (image.albumHierarchy || []).slice(0, this.options.maxAlbumLevels);
+        const albumPrefixes = hierarchy.map((level, index) => hierarchy.slice(0, index + 1).join(' > '));
+
+        const processedAt = (image.metadata && image.metadata.timestamp) || image.timestamp;
+        const processedDate = processedAt && !isNaN(new Date(processedAt))
+            ? new Date(processedAt).toISOString().slice(0, 7)
+            : 'unknown';
+
+        return {
+            albumHierarchy: albumPrefixes,
+            keywords: [...new Set((image.keywords || []).map(keyword => keyword.toLowerCase().trim()).filter(Boolean))],
+            model: [(image.metadata && image.metadata.model) || 'unknown'],
+            starred: [starredIds.has(image.id)],
+            processedDate: [processedDate]
+        };
+    }
+
+    /**
+     * Count facet values across a result set
+     * @param {Array} images - Image records
+     * @param {Set<string>} starredIds - Starred image IDs
+     * @returns {Object} facet -> [{value, count}] (album values also carry level and label)
+     */
+    build(images, starredIds = new Set()) {
+        const counts = Object.fromEntries(this.facetNames.map(name => [name, new Map()]));
+
+        for (const image of images) {
+            const values = this.getFacetValues(image, starredIds);
+            for (const name of this.facetNames) {
+                values[name].forEach(value => counts[name].set(value, (counts[name].get(value) || 0) + 1));
+            }
+        }
+
+        const toList = (name) => [...counts[name].entries()].map(([value, count]) => ({ value, count }));
+        const byCount = (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value));
+
+        return {
+            albumHierarchy: toList('albumHierarchy')
+                .map(item => {
+                    const levels = item.value.split(' > ');
+                    return { ...item, level: levels.length - 1, label: levels[levels.length - 1] };
+                })
+                .sort((a, b) => a.value.localeCompare(b.value)),
+            keywords: toList('keywords').sort(byCount).slice(0, this.options.topKeywords),
+            model: toList('model').sort(byCount),
+            starred: toList('starred').sort((a, b) => Number(b.value) - Number(a.value)),
+            processedDate: toList('processedDate').sort((a, b) => b.value.localeCompare(a.value))
+        };
+    }
+
+    /**
+     * Narrow a result set by selected facet values
+     * Values within one facet are alternatives (OR); different facets must all match (AND).
+     * @param {Array} images - Image records
+     * @param {Object} filters - facet -> array of selected values
+     * @param {Set<string>} starredIds - Starred image IDs
+     * @returns {Array} Matching images, in their original order
+     */
+    apply(images, filters = {}, starredIds = new Set()) {
+        const active = Object.entries(filters || {})
+            .filter(([name, values]) => this.facetNames.includes(name) && Array.isArray(values) && values.length > 0);
+
+        if (active.length === 0) {
+            return images;
+        }
+
+        return images.filter(image => {
+            const values = this.getFacetValues(image, starredIds);
+            return active.every(([name, selected]) => selected.some(value => values[name].includes(value)));
+        });
+    }
+
+    /**
+     * Check whether any facet filter is selected
+     * @param {Object} filters - facet -> array of selected values
+     * @returns {boolean} True if at least one value is selected
+     */
+    hasFilters(filters) {
+        return Object.values(filters || {}).some(values => Array.isArray(values) && values.length > 0);
+    }
+}
+
+module.exports = SearchFacets;
@@ -2,6 +2,8 @@
 // Provides structured search capabilities that Claude can call via function calling
 
 const DataManager = require('./dataManager');
+const QueryParser = require('./queryParser');
+const Gazetteer = require('./gazetteer');
 
 class SearchFunctions {
     constructor(searchOptions = {}) {
@@ -16,6 +18,15 @@ class SearchFunctions {
             ...searchOptions
         };
         
+        // Results from the previous chat turn, used by refinePreviousResults
+        this.previousResults = [];
+        
+        // Set when semantic or hybrid ranking fell back to keywords because the embedding index is still being built
+        this.embeddingIndexIncomplete = false;
+        
+        // Offline place lookup for near/radius searches
+        this.gazetteer = new Gazetteer();
+        
         // Initialize semantic concept mappings
         this.initializeSemanticMappings();
         
@@ -54,11 +65,38 @@ class SearchFunctions {
                         ageRange: {
                             type: 'string',
                             description: 'Age range if specified (e.g., "5-8", "young", "adult")'
+                        },
+                        minPeople: {
+                            type: 'number',
+                            description: 'Only photos with at least this many people (uses the peopleCount analysis field)'
+                        },
+                        maxPeople: {
+                            type: 'number',
+                            description: 'Only photos with at most this many people (uses the peopleCount analysis field)'
                         }
                     },
                     required: ['peopleType']
                 }
             },
+            searchByPerson: {
+                name: 'searchByPerson',
+                description: 'Find every photo of a specific, named person (e.g., an athlete or coach) using face recognition. Use this when the user mentions someone by name rather than a type of person.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        name: {
+                            type: 'string',
+                            description: 'The person\'s name, full or partial (e.g., "Sarah", "Sarah Lee")'
+                        },
+                        maxResults: {
+                            type: 'number',
+                            description: 'Maximum number of results to return',
+                            default: 50
+                        }
+                    },
+                    required: ['name']
+                }
+            },
             searchByActivity: {
                 name: 'searchByActivity',
                 description: 'Search for images showing specific activities',
@@ -89,27 +127,58 @@ class SearchFunctions {
             },
             searchByLocation: {
                 name: 'searchByLocation',
-                description: 'Search for images taken in specific locations or settings',
+                description: 'Search for images taken in specific locations or settings. Use near/radiusKm or boundingBox to find photos by where they were actually taken (GPS); these can be combined with a location type.',
                 parameters: {
                     type: 'object',
                     properties: {
                         location: {
                             type: 'string',
-                            description: 'Location type to search for (e.g., "outdoor", "field", "indoor", "archery range")'
+                            description: 'Location type or place name to search for (e.g., "outdoor", "field", "indoor", "archery range", "Tucson")'
+                        },
+                        near: {
+                            type: 'string',
+                            description: 'Only photos taken near this place: a city name, optionally with state or country (e.g., "Tucson", "Newberry, FL"), or "latitude,longitude"'
+                        },
+                        radiusKm: {
+                            type: 'number',
+                            description: 'Search radius around "near" in kilometres',
+                            default: 25
+                        },
+                        boundingBox: {
+                            type: 'object',
+                            description: 'Only photos taken inside this area, in decimal degrees',
+                            properties: {
+                                north: { type: 'number', description: 'Northern latitude' },
+                                south: { type: 'number', description: 'Southern latitude' },
+                                east: { type: 'number', description: 'Eastern longitude' },
+                                west: { type: 'number', description: 'Western longitude' }
+                            },
+                            required: ['north', 'south', 'east', 'west']
                         }
-                    },
-                    required: ['location']
+                    }
                 }
             },
             searchByAlbum: {
                 name: 'searchByAlbum',
-                description: 'Search for images from specific albums or album hierarchies',
+                description: 'Search for images from specific albums or album hierarchies, optionally limited to when and with what camera they were taken',
                 parameters: {
                     type: 'object',
                     properties: {
                         albumTerm: {
                             type: 'string',
                             description: 'Album name, year, event, or hierarchy level to search for (e.g., "2025", "Arizona Cup", "Gator Cup")'
+                        },
+                        dateFrom: {
+                            type: 'string',
+                            description: 'Only photos taken on or after this date (YYYY, YYYY-MM or YYYY-MM-DD)'
+                        },
+                        dateTo: {
+                            type: 'string',
+                            description: 'Only photos taken on or before this date (YYYY, YYYY-MM or YYYY-MM-DD, the whole year, month or day is included)'
+                        },
+                        camera: {
+                            type: 'string',
+                            description: 'Only photos taken with this camera or lens (e.g., "Canon", "EOS R5", "70-200")'
                         }
                     },
                     required: ['albumTerm']
@@ -117,7 +186,7 @@ class SearchFunctions {
             },
             filterByCount: {
                 name: 'filterByCount',
-                description: 'Limit search results to a specific number',
+                description: 'Limit search results to a specific number, and/or keep only results whose counted analysis field (peopleCount by default) is within min and max',
                 parameters: {
                     type: 'object',
                     properties: {
@@ -128,9 +197,22 @@ class SearchFunctions {
                         results: {
                             type: 'array',
                             description: 'Array of image results to filter'
+                        },
+                        field: {
+                            type: 'string',
+                            description: 'Numeric analysis field to filter on',
+                            default: 'peopleCount'
+                        },
+                        min: {
+                            type: 'number',
+                            description: 'Keep results where the field is at least this value'
+                        },
+                        max: {
+                            type: 'number',
+                            description: 'Keep results where the field is at most this value'
                         }
                     },
-                    required: ['count', 'results']
+                    required: ['results']
                 }
             },
             getAllImages: {
@@ -177,6 +259,22 @@ class SearchFunctions {
                             items: { type: 'string' },
                             description: 'Array of keywords to exclude from results (e.g., ["people", "faces"] to exclude photos with people)'
                         },
+                        dateFrom: {
+                            type: 'string',
+                            description: 'Only photos taken on or after this date (YYYY, YYYY-MM or YYYY-MM-DD)'
+                        },
+                        dateTo: {
+                            type: 'string',
+                            description: 'Only photos taken on or before this date (YYYY, YYYY-MM or YYYY-MM-DD, the whole year, month or day is included)'
+                        },
+                        camera: {
+                            type: 'string',
+                            description: 'Only photos taken with this camera or lens (e.g., "Canon", "EOS R5", "70-200")'
+                        },
+                        attributes: {
+                            type: 'object',
+                            description: 'Structured analysis fields to match, when an output schema is configured. Numbers take {min, max} or an exact value, booleans take true/false, text and lists match any of the given words (e.g., {"peopleCount": {"min": 3}, "isGroupPhoto": true, "dominantColors": "red"}). Images without the field are excluded.'
+                        },
                         requireAllKeywords: {
                             type: 'boolean',
                             description: 'If true, all keywords must match (AND logic). If false, any keyword can match (OR logic)',
@@ -213,10 +311,71 @@ class SearchFunctions {
                     },
                     required: ['query']
                 }
+            },
+            refinePreviousResults: {
+                name: 'refinePreviousResults',
+                description: 'Narrow down the photos returned in the previous turn of this conversation instead of searching the whole collection. Use this for follow-ups like "now only the ones from 2024", "just the outdoor ones", "without the crowds", or "the third one".',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        keywords: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Keep only previous results matching any of these keywords'
+                        },
+                        negativeKeywords: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Remove previous results matching any of these keywords'
+                        },
+                        albumTerm: {
+                            type: 'string',
+                            description: 'Keep only previous results whose album name, path, or hierarchy contains this term (e.g., "2024", "Gator Cup")'
+                        },
+                        positions: {
+                            type: 'array',
+                            items: { type: 'number' },
+                            description: '1-based positions in the previous result list to keep (e.g., [3] for "the third one")'
+                        }
+                    }
+                }
+            },
+            findSimilarPhotos: {
+                name: 'findSimilarPhotos',
+                description: 'Find photos similar to one specific photo ("more like this one", "other shots like the second one"). Ranks by shared keywords, description terms, album proximity and content similarity.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        imageId: {
+                            type: 'string',
+                            description: 'ID of the photo to start from (from earlier results or the [Search context] note)'
+                        },
+                        position: {
+                            type: 'number',
+                            description: '1-based position of the photo in the previous result list, used when imageId is not given'
+                        },
+                        excludeSameAlbum: {
+                            type: 'boolean',
+                            description: 'Only return photos from other albums (e.g., "similar shots from other events")'
+                        },
+                        maxResults: {
+                            type: 'number',
+                            description: 'Maximum number of similar photos to return (default 20)'
+                        }
+                    }
+                }
             }
         };
     }
 
+    /**
+     * Provide the previous turn's results for refinement
+     * @param {Array} images - Image objects in the order they were shown
+     */
+    setPreviousResults(images) {
+        this.previousResults = Array.isArray(images) ? images : [];
+    }
+
     /**
      * Initialize comprehensive semantic concept mappings
      */
@@ -341,7 +500,10 @@ class SearchFunctions {
      * @returns {Array} Array of function definitions
      */
     getFunctionDefinitions() {
-        return Object.values(this.functions);
+        // Refinement only makes sense when there is a previous result set
+        return Object.values(this.functions).filter(func =>
+            func.name !== 'refinePreviousResults' || this.previousResults.length > 0
+        );
     }
 
     /**
@@ -357,6 +519,8 @@ class SearchFunctions {
                 return await this.searchByKeywords(parameters);
             case 'searchByPeople':
                 return await this.searchByPeople(parameters);
+            case 'searchByPerson':
+                return await this.searchByPerson(parameters);
             case 'searchByActivity':
                 return await this.searchByActivity(parameters);
             case 'searchByMood':
@@ -373,6 +537,10 @@ class SearchFunctions {
                 return await this.searchImages(parameters);
             case 'intelligentSearch':
                 return await this.intelligentSearch(parameters);
+            case 'refinePreviousResults':
+                return this.refinePreviousResults(parameters);
+            case 'findSimilarPhotos':
+                return await this.findSimilarImages(parameters);
             default:
                 throw new Error(`Unknown function: ${functionName}`);
         }
@@ -518,38 +686,154 @@ class SearchFunctions {
     }
 
     /**
-     * Unified search function that combines multiple criteria with relevance scoring
+     * Build weighted BM25 query terms from search criteria
+     * Original keywords get full weight, semantic expansions 0.7, and the
+     * people/activity/mood/location/album criteria act as secondary signals.
+     * @param {Object} criteria - Search criteria object
+     * @returns {Array<Object>} Query terms for BM25Index.search
+     */
+    buildIndexQuery(criteria) {
+        const { keywords = [], peopleType, activity, mood, location, albumTerm } = criteria;
+        const fieldMap = { keywords: 'keywords', description: 'description', title: 'title', caption: 'caption', album: 'album' };
+        const keywordFields = this.searchOptions.searchFields.map(field => fieldMap[field]).filter(Boolean);
+        const queryTerms = [];
+
+        keywords.forEach(keyword => {
+            this.expandSearchTerm(keyword).forEach((term, index) => {
+                queryTerms.push({ text: term, weight: index === 0 ? 1.0 : 0.7, fields: keywordFields });
+            });
+        });
+
+        [peopleType, activity, mood, location].filter(Boolean).forEach(criterion => {
+            // Location words also match place names reverse-geocoded from GPS
+            const fields = criterion === location ? ['keywords', 'description', 'place'] : ['keywords', 'description'];
+            this.expandSearchTerm(criterion).forEach(term => {
+                queryTerms.push({ text: term, weight: 0.5, fields });
+            });
+        });
+
+        if (albumTerm) {
+            queryTerms.push({ text: albumTerm, weight: 0.5, fields: ['album'] });
+        }
+
+        return queryTerms;
+    }
+
+    /**
+     * Build the text embedded for semantic search from the positive criteria
+     * @param {Object} criteria - Search criteria object
+     * @returns {string} Query text
+     */
+    buildEmbeddingQuery(criteria) {
+        const { keywords = [], peopleType, activity, mood, location, albumTerm } = criteria;
+        return [...keywords, peopleType, activity, mood, location, albumTerm].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Score images by embedding similarity (semantic mode) or similarity blended with BM25 (hybrid mode)
+     * Scores are percentages (0-100) so the minScore option still applies.
+     * @param {DataManager} dataManager - Data manager for the indexes and image records
+     * @param {Object} criteria - Search criteria object
+     * @param {Array<Object>} queryTerms - BM25 query terms for the keyword side of hybrid mode
+     * @returns {Promise<Array|null>} [{image, score}] or null if the embedding index is not built yet or the model is unavailable
+     */
+    async scoreByEmbedding(dataManager, criteria, queryTerms) {
+        try {
+            const config = await dataManager.getEmbeddingConfig();
+            const embeddingIndex = await dataManager.getEmbeddingIndex();
+            if (!embeddingIndex) {
+                this.embeddingIndexIncomplete = true;
+                return null;
+            }
+            const queryVector = await embeddingIndex.embed(this.buildEmbeddingQuery(criteria));
+            let scores;
+            
+            if (this.searchOptions.mode === 'hybrid') {
+                const searchIndex = await dataManager.getSearchIndex();
+                const keywordScores = searchIndex.search(queryTerms, { partialMatches: this.searchOptions.partialMatches });
+                scores = this.blendScores(embeddingIndex.search(queryVector), keywordScores, config);
+            } else {
+                scores = new Map();
+                embeddingIndex.search(queryVector, { minSimilarity: config.minSimilarity })
+                    .forEach((similarity, id) => scores.set(id, similarity * 100));
+            }
+            
+            const candidates = await dataManager.getImagesByIds([...scores.keys()]);
+            return candidates.map(image => ({ image, score: scores.get(image.id) }));
+        } catch (error) {
+            console.error('[SearchFunctions] Embedding search unavailable, falling back to keyword ranking:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Blend vector similarity with max-normalized BM25 scores
+     * Candidates are keyword matches plus images above the similarity threshold.
+     * @param {Map<string, number>} similarities - docId -> cosine similarity for all embedded images
+     * @param {Map<string, number>} keywordScores - docId -> BM25 score
+     * @param {Object} config - Embedding config {hybridWeight, minSimilarity}
+     * @returns {Map<string, number>} docId -> blended score (0-100)
+     */
+    blendScores(similarities, keywordScores, config) {
+        const maxKeywordScore = Math.max(0, ...keywordScores.values());
+        const blended = new Map();
+        
+        similarities.forEach((similarity, id) => {
+            if (similarity < config.minSimilarity && !keywordScores.has(id)) return;
+            
+            const keywordScore = maxKeywordScore > 0 ? (keywordScores.get(id) || 0) / maxKeywordScore : 0;
+            const score = config.hybridWeight * Math.max(similarity, 0) + (1 - config.hybridWeight) * keywordScore;
+            blended.set(id, score * 100);
+        });
+        
+        // Keyword matches without a vector (e.g. no description yet) still count on the keyword side
+        keywordScores.forEach((keywordScore, id) => {
+            if (!blended.has(id)) {
+                blended.set(id, (1 - config.hybridWeight) * keywordScore / maxKeywordScore * 100);
+            }
+        });
+        
+        return blended;
+    }
+
+    /**
+     * Unified search function that combines multiple criteria with BM25 relevance scoring
+     * Candidates come from the persistent inverted index, so only matching images are loaded.
+     * searchOptions.mode 'semantic' ranks by embedding similarity and 'hybrid' blends both.
      * @param {Object} criteria - Search criteria object
      * @returns {Promise<Array>} Ranked matching images
      */
     async searchImages(criteria) {
         const { 
             keywords = [], 
-            peopleType, 
-            activity, 
-            mood, 
-            location, 
-            albumTerm,
             requireAllKeywords = false,
             maxResults = 50,
             negativeKeywords = [],
             expandedNegatives = [],
+            dateFrom,
+            dateTo,
+            camera,
+            near,
+            radiusKm,
+            boundingBox,
+            attributes,
             showRecent = false,
             randomSelection = false
         } = criteria;
 
         const dataManager = new DataManager();
-        let images = await dataManager.getImages();
         
         // Handle special broadened search cases
         if (randomSelection) {
             // Return random selection of images
+            const images = await dataManager.getImages();
             const shuffled = [...images].sort(() => Math.random() - 0.5);
             return shuffled.slice(0, maxResults);
         }
         
         if (showRecent) {
             // Return most recent images based on analysis timestamp
+            const images = await dataManager.getImages();
             const sorted = [...images].sort((a, b) => {
                 const dateA = new Date(a.analysisTimestamp || a.timestamp || 0);
                 const dateB = new Date(b.analysisTimestamp || b.timestamp || 0);
@@ -558,26 +842,57 @@ class SearchFunctions {
             return sorted.slice(0, maxResults);
         }
         
-        // Apply negative keyword filtering first (most important)
+        // Score candidates from the index; with no positive criteria every image is a candidate
+        let scoredImages = null;
+        const queryTerms = this.buildIndexQuery(criteria);
+        
+        if (queryTerms.length > 0 && ['semantic', 'hybrid'].includes(this.searchOptions.mode)) {
+            scoredImages = await this.scoreByEmbedding(dataManager, criteria, queryTerms);
+        }
+        
+        if (!scoredImages && queryTerms.length > 0) {
+            const index = await dataManager.getSearchIndex();
+            const scores = index.search(queryTerms, { partialMatches: this.searchOptions.partialMatches });
+            const candidates = await dataManager.getImagesByIds([...scores.keys()]);
+            scoredImages = candidates.map(image => ({ image, score: scores.get(image.id) }));
+        } else if (!scoredImages) {
+            const images = await dataManager.getImages();
+            scoredImages = images.map(image => ({ image, score: 0 }));
+        }
+        
+        // Apply negative keyword filtering
         const negativesToFilter = expandedNegatives.length > 0 ? expandedNegatives : negativeKeywords;
         if (negativesToFilter.length > 0) {
-            images = this.filterByNegativeKeywords(images, negativesToFilter);
+            const kept = new Set(this.filterByNegativeKeywords(scoredImages.map(item => item.image), negativesToFilter));
+            scoredImages = scoredImages.filter(item => kept.has(item.image));
         }
         
-        // Filter and score images
-        const scoredImages = images.map(image => {
-            const score = this.calculateRelevanceScore(image, criteria);
-            return { image, score };
-        })
+        // Capture date and camera narrow the candidates without changing their scores
+        const captureFilter = this.buildCaptureFilter({ dateFrom, dateTo, camera });
+        if (captureFilter) {
+            scoredImages = scoredImages.filter(item => this.matchesCaptureFilter(item.image, captureFilter));
+        }
+        
+        // Structured analysis fields (peopleCount, shotType, ...) from the output schema
+        if (attributes && Object.keys(attributes).length > 0) {
+            scoredImages = scoredImages.filter(item => this.matchesAttributes(item.image, attributes));
+        }
+        
+        // GPS radius and bounding box; with nothing else to rank by, nearer photos come first
+        const geoFilter = this.buildGeoFilter({ near, radiusKm, boundingBox });
+        if (geoFilter) {
+            scoredImages = scoredImages
+                .filter(item => this.matchesGeoFilter(item.image, geoFilter))
+                .map(item => queryTerms.length === 0 && geoFilter.center
+                    ? { ...item, score: 1 - this.distanceFromCenter(item.image, geoFilter) / geoFilter.radiusKm }
+                    : item);
+        }
+        
+        return scoredImages
         .filter(item => {
             // Apply minimum score threshold from search options
             if (item.score < this.searchOptions.minScore) return false;
             
-            // If score is 0 and we have search criteria, exclude
-            if (item.score === 0 && (keywords.length > 0 || peopleType || activity || mood || location || albumTerm)) {
-                return false;
-            }
-            
             // Handle requireAllKeywords from both criteria and search options
             const requireAll = requireAllKeywords || this.searchOptions.requireAllTerms;
             if (requireAll && keywords.length > 0) {
@@ -616,8 +931,6 @@ class SearchFunctions {
         })
         .slice(0, maxResults) // Limit results
         .map(item => item.image);
-
-        return scoredImages;
     }
 
     /**
@@ -640,8 +953,33 @@ class SearchFunctions {
      * @returns {Promise<Array>} Matching images
      */
     async searchByPeople(params) {
-        const { peopleType, ageRange } = params;
-        return await this.searchImages({ peopleType, maxResults: 50 });
+        const { peopleType, ageRange, minPeople, maxPeople } = params;
+        const attributes = minPeople !== undefined || maxPeople !== undefined
+            ? { peopleCount: { min: minPeople, max: maxPeople } }
+            : undefined;
+        return await this.searchImages({ peopleType, attributes, maxResults: 50 });
+    }
+
+    /**
+     * Search for photos of a named person via the face clusters an admin has labelled
+     * @param {Object} params - {name, maxResults}
+     * @returns {Promise<Array>} Photos of that person, most confident detections first
+     * @throws {Error} Listing the known names when nobody by that name has been identified
+     */
+    async searchByPerson(params) {
+        const { name, maxResults = 50 } = params;
+        const dataManager = new DataManager();
+        const faceIndex = await dataManager.getFaceIndex();
+        const { names, imageIds } = faceIndex.findPerson(name);
+        
+        if (names.length === 0) {
+            const known = faceIndex.getPeople().map(person => person.name);
+            throw new Error(`No one named "${name}" has been identified in the photos` +
+                (known.length > 0 ? `; known people: ${known.slice(0, 30).join(', ')}` : ' - no faces have been named yet'));
+        }
+        
+        console.log(`[SearchFunctions] searchByPerson "${name}" matched ${names.join(', ')} in ${imageIds.length} photos`);
+        return await dataManager.getImagesByIds(imageIds.slice(0, maxResults));
     }
 
     /**
@@ -670,8 +1008,73 @@ class SearchFunctions {
      * @returns {Promise<Array>} Matching images
      */
     async searchByLocation(params) {
-        const { location } = params;
-        return await this.searchImages({ location, maxResults: 50 });
+        const { location, near, radiusKm, boundingBox } = params;
+        if (!location && !near && !boundingBox) {
+            throw new Error('searchByLocation needs a location, near or boundingBox');
+        }
+        return await this.searchImages({ location, near, radiusKm, boundingBox, maxResults: 50 });
+    }
+
+    /**
+     * Build the GPS filter used by searchImages
+     * @param {Object} params - {near, radiusKm, boundingBox: {north, south, east, west}}
+     * @returns {Object|null} {center, radiusKm, box}, or null when no geographic criteria are set
+     * @throws {Error} When the place is unknown or the bounding box is invalid
+     */
+    buildGeoFilter(params) {
+        const { near, radiusKm, boundingBox } = params;
+        if (!near && !boundingBox) return null;
+
+        const filter = { center: null, radiusKm: null, box: null };
+
+        if (near) {
+            filter.center = this.gazetteer.resolvePoint(near);
+            if (!filter.center) {
+                throw new Error(`Unknown place "${typeof near === 'object' ? JSON.stringify(near) : near}" - try a nearby city, "City, State" or "latitude,longitude"`);
+            }
+            filter.radiusKm = parseFloat(radiusKm) > 0 ? parseFloat(radiusKm) : 25;
+        }
+
+        if (boundingBox) {
+            const box = Object.fromEntries(['north', 'south', 'east', 'west'].map(edge => [edge, parseFloat(boundingBox[edge])]));
+            if (Object.values(box).some(value => !Number.isFinite(value)) || box.south > box.north) {
+                throw new Error('boundingBox needs numeric north, south, east and west with south below north');
+            }
+            filter.box = box;
+        }
+
+        return filter;
+    }
+
+    /**
+     * Check an image's GPS position against a geographic filter
+     * @param {Object} image - Image record
+     * @param {Object} filter - {center, radiusKm, box} from buildGeoFilter
+     * @returns {boolean} True if the photo was taken inside the radius and box
+     */
+    matchesGeoFilter(image, filter) {
+        if (!image.gps) return false;
+        const { latitude, longitude } = image.gps;
+
+        if (filter.center && this.distanceFromCenter(image, filter) > filter.radiusKm) {
+            return false;
+        }
+
+        if (filter.box) {
+            const { north, south, east, west } = filter.box;
+            if (latitude < south || latitude > north) return false;
+            // A box whose west edge is east of its east edge crosses the antimeridian
+            const insideLongitude = west <= east
+                ? longitude >= west && longitude <= east
+                : longitude >= west || longitude <= east;
+            if (!insideLongitude) return false;
+        }
+
+        return true;
+    }
+
+    distanceFromCenter(image, filter) {
+        return Gazetteer.distanceKm(filter.center.latitude, filter.center.longitude, image.gps.latitude, image.gps.longitude);
     }
 
     /**
@@ -680,8 +1083,58 @@ class SearchFunctions {
      * @returns {Promise<Array>} Matching images
      */
     async searchByAlbum(params) {
-        const { albumTerm } = params;
-        return await this.searchImages({ albumTerm, maxResults: 50 });
+        const { albumTerm, dateFrom, dateTo, camera } = params;
+        return await this.searchImages({ albumTerm, dateFrom, dateTo, camera, maxResults: 50 });
+    }
+
+    /**
+     * Build the capture date range and camera filter used by searchImages
+     * @param {Object} params - {dateFrom, dateTo, camera}; dates are YYYY, YYYY-MM or YYYY-MM-DD
+     * @returns {Object|null} {from, to, camera} (from inclusive, to exclusive), or null when nothing is set
+     * @throws {QuerySyntaxError} When a date cannot be parsed
+     */
+    buildCaptureFilter(params) {
+        const { dateFrom, dateTo, camera } = params;
+        const filter = { from: null, to: null, camera: camera ? String(camera).trim() : null };
+
+        if (dateFrom || dateTo) {
+            // Same date rules as the query language, so "2024-06" covers the whole month
+            const range = new QueryParser().parse(`date:${dateFrom || ''}..${dateTo || ''}`);
+            filter.from = range.from;
+            filter.to = range.to;
+        }
+
+        return filter.from || filter.to || filter.camera ? filter : null;
+    }
+
+    /**
+     * Check an image against a capture date range and camera filter
+     * @param {Object} image - Image record
+     * @param {Object} filter - {from, to, camera} from buildCaptureFilter
+     * @returns {boolean} True if the image matches
+     */
+    matchesCaptureFilter(image, filter) {
+        if (filter.from || filter.to) {
+            const date = this.getImageDate(image);
+            if (!date) return false;
+            if (filter.from && date < new Date(filter.from)) return false;
+            if (filter.to && date >= new Date(filter.to)) return false;
+        }
+
+        return !filter.camera || this.matchesCamera(image, filter.camera);
+    }
+
+    /**
+     * Match camera text like "canon r5" against the image's camera make, model and lens
+     * @param {Object} image - Image record
+     * @param {string} camera - Camera or lens text; every word must appear
+     * @returns {boolean} True if the camera matches
+     */
+    matchesCamera(image, camera) {
+        const exif = image.exif || {};
+        const cameraText = [exif.make, exif.model, exif.camera, exif.lens].filter(Boolean).join(' ').toLowerCase();
+        const words = String(camera).toLowerCase().split(/\s+/).filter(Boolean);
+        return cameraText.length > 0 && words.every(word => cameraText.includes(word));
     }
 
     /**
@@ -690,8 +1143,420 @@ class SearchFunctions {
      * @returns {Array} Filtered results
      */
     filterByCount(params) {
-        const { count, results } = params;
-        return results.slice(0, count);
+        const { count, results, field = 'peopleCount', min, max } = params;
+        const filtered = min !== undefined || max !== undefined
+            ? results.filter(image => this.matchesAttributes(image, { [field]: { min, max } }))
+            : results;
+        return count !== undefined ? filtered.slice(0, count) : filtered;
+    }
+
+    /**
+     * Match an image's structured analysis fields (image.attributes) against conditions
+     * @param {Object} image - Image record
+     * @param {Object} conditions - Field name to condition: {min, max}, an exact number or boolean,
+     *   or text / an array of text where any value matching (case-insensitive substring) is enough
+     * @returns {boolean} True if every condition matches
+     */
+    matchesAttributes(image, conditions) {
+        const attributes = image.attributes || {};
+
+        return Object.entries(conditions).every(([field, condition]) => {
+            const value = attributes[field];
+            if (value === undefined || value === null) return false;
+
+            if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+                if (typeof value !== 'number') return false;
+                if (condition.min !== undefined && condition.min !== null && value < condition.min) return false;
+                if (condition.max !== undefined && condition.max !== null && value > condition.max) return false;
+                return true;
+            }
+
+            if (typeof condition === 'boolean' || typeof condition === 'number') {
+                return value === condition;
+            }
+
+            const wanted = (Array.isArray(condition) ? condition : [condition]).map(text => String(text).toLowerCase());
+            const actual = (Array.isArray(value) ? value : [value]).map(text => String(text).toLowerCase());
+            return wanted.some(text => actual.some(item => item.includes(text)));
+        });
+    }
+
+    /**
+     * Refine the previous turn's results without searching the whole collection
+     * @param {Object} params - Refinement parameters
+     * @returns {Array} Filtered previous results, in their original order unless keywords rank them
+     */
+    refinePreviousResults(params = {}) {
+        const { keywords = [], negativeKeywords = [], albumTerm, positions = [] } = params;
+        let images = [...this.previousResults];
+
+        if (positions.length > 0) {
+            images = positions
+                .map(position => this.previousResults[position - 1])
+                .filter(Boolean);
+        }
+
+        if (albumTerm) {
+            images = images.filter(image => {
+                const albumText = [
+                    image.albumName,
+                    image.albumPath,
+                    ...(image.albumHierarchy || [])
+                ].filter(Boolean).join(' ');
+                return albumText.toLowerCase().includes(albumTerm.toLowerCase());
+            });
+        }
+
+        if (negativeKeywords.length > 0) {
+            images = this.filterByNegativeKeywords(images, this.expandNegativeKeywords(negativeKeywords));
+        }
+
+        if (keywords.length > 0) {
+            images = images
+                .map(image => ({ image, score: this.calculateRelevanceScore(image, { keywords }) }))
+                .filter(item => item.score > 0)
+                .sort((a, b) => b.score - a.score)
+                .map(item => item.image);
+        }
+
+        console.log(`[SearchFunctions] Refined ${this.previousResults.length} previous results to ${images.length}`);
+        return images;
+    }
+
+    /**
+     * Rank other images by similarity to one image
+     * Combines keyword overlap, description term overlap, album hierarchy proximity and,
+     * once the embedding index has been built, vector similarity of the vision descriptions.
+     * @param {Object} params - {imageId, position, excludeSameAlbum, maxResults}
+     * @returns {Promise<Array>} Similar images, each with a similarity breakdown
+     */
+    async findSimilarImages(params = {}) {
+        const { position, excludeSameAlbum = false, maxResults = 20 } = params;
+        let imageId = params.imageId;
+        
+        if (!imageId && position) {
+            const previous = this.previousResults[position - 1];
+            imageId = previous ? previous.id : null;
+        }
+        if (!imageId) {
+            throw new Error('findSimilarPhotos needs an imageId or a valid position in the previous results');
+        }
+        
+        const dataManager = new DataManager();
+        const [source] = await dataManager.getImagesByIds([imageId]);
+        if (!source) {
+            throw new Error(`Image ${imageId} not found`);
+        }
+        
+        // Candidates: index matches on the source's keywords, description and album
+        const index = await dataManager.getSearchIndex();
+        const queryTerms = [];
+        (source.keywords || []).forEach(keyword => queryTerms.push({ text: keyword, weight: 1.0, fields: ['keywords', 'description', 'title'] }));
+        if (source.description) queryTerms.push({ text: source.description, weight: 0.3, fields: ['keywords', 'description'] });
+        if (source.albumName) queryTerms.push({ text: source.albumName, weight: 0.3, fields: ['album'] });
+        const candidateIds = new Set(index.search(queryTerms).keys());
+        
+        // Vector similarity is only used when semantic search has already built the embedding index
+        let similarities = null;
+        try {
+            const EmbeddingIndex = require('./embeddingIndex');
+            const config = await dataManager.getEmbeddingConfig();
+            const embeddingIndex = EmbeddingIndex.forFile(dataManager.embeddingIndexFile, config.model);
+            if (await embeddingIndex.load() && embeddingIndex.docs[source.id]) {
+                similarities = embeddingIndex.search(embeddingIndex.docs[source.id].vector);
+                similarities.forEach((similarity, id) => {
+                    if (similarity >= config.minSimilarity) candidateIds.add(id);
+                });
+            }
+        } catch (error) {
+            console.error('[SearchFunctions] Embedding similarity unavailable:', error.message);
+        }
+        
+        candidateIds.delete(source.id);
+        const candidates = await dataManager.getImagesByIds([...candidateIds]);
+        
+        return candidates
+            .filter(image => !excludeSameAlbum || image.albumKey !== source.albumKey)
+            .map(image => ({ ...image, similarity: this.scoreSimilarity(source, image, index, similarities) }))
+            .filter(image => image.similarity.score > 0)
+            .sort((a, b) => b.similarity.score - a.similarity.score)
+            .slice(0, maxResults);
+    }
+
+    /**
+     * Score how similar a candidate is to a source image
+     * @param {Object} source - Source image
+     * @param {Object} image - Candidate image
+     * @param {BM25Index} index - Search index (for its tokenizer)
+     * @param {Map<string, number>|null} similarities - Embedding similarities to the source, if available
+     * @returns {Object} {score (0-100), keywords, description, album, visual} component scores (0-1)
+     */
+    scoreSimilarity(source, image, index, similarities) {
+        const jaccard = (a, b) => {
+            if (a.size === 0 || b.size === 0) return 0;
+            let shared = 0;
+            a.forEach(term => { if (b.has(term)) shared++; });
+            return shared / (a.size + b.size - shared);
+        };
+        const termSet = text => new Set(index.tokenize(text));
+        
+        const components = {
+            keywords: jaccard(termSet((source.keywords || []).join(' ')), termSet((image.keywords || []).join(' '))),
+            description: jaccard(termSet(source.description), termSet(image.description)),
+            album: this.albumProximity(source, image),
+            visual: similarities && similarities.has(image.id) ? Math.max(similarities.get(image.id), 0) : null
+        };
+        
+        // Without vectors the remaining components share the full weight
+        const weights = { keywords: 0.4, description: 0.25, album: 0.15, visual: 0.2 };
+        if (components.visual === null) {
+            delete weights.visual;
+        }
+        
+        const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+        const score = Object.entries(weights).reduce((sum, [component, weight]) => sum + weight * components[component], 0) / totalWeight;
+        
+        return { score: Math.round(score * 1000) / 10, ...components };
+    }
+
+    /**
+     * How close two images are in the album hierarchy
+     * @param {Object} source - Source image
+     * @param {Object} image - Candidate image
+     * @returns {number} 1 for the same album, otherwise the fraction of the hierarchy path they share
+     */
+    albumProximity(source, image) {
+        if (source.albumKey && source.albumKey === image.albumKey) return 1;
+        
+        const sourcePath = source.albumHierarchy || [];
+        const imagePath = image.albumHierarchy || [];
+        const depth = Math.max(sourcePath.length, imagePath.length);
+        if (depth === 0) return 0;
+        
+        let shared = 0;
+        while (shared < depth && sourcePath[shared] && sourcePath[shared] === imagePath[shared]) {
+            shared++;
+        }
+        return shared / depth;
+    }
+
+    /**
+     * Run a structured query such as keywords:"target face" AND album:"2025 > Nationals" -people
+     * Candidates come from the search index, every candidate is checked exactly against the AST,
+     * and matches are ranked by BM25 over the query's positive terms.
+     * @param {string|Object} query - Query text (see QueryParser for the syntax) or a parsed AST
+     * @param {Object} options - {maxResults}
+     * @returns {Promise<Object>} {ast, results, total}
+     * @throws {QuerySyntaxError} When the query text cannot be parsed
+     */
+    async searchByQuery(query, options = {}) {
+        const { maxResults = 50 } = options;
+        const ast = typeof query === 'string' ? new QueryParser().parse(query) : query;
+        
+        const dataManager = new DataManager();
+        const index = await dataManager.getSearchIndex();
+        
+        // Only purely negative or date-only queries need every image
+        const candidateIds = this.collectQueryCandidates(ast, index);
+        const images = candidateIds
+            ? await dataManager.getImagesByIds([...candidateIds])
+            : await dataManager.getImages();
+        
+        const positiveTerms = this.collectPositiveTerms(ast);
+        const scores = positiveTerms.length > 0 ? index.search(positiveTerms) : new Map();
+        const matches = images
+            .filter(image => this.matchesQuery(ast, image, index))
+            .map(image => ({ image, score: scores.get(image.id) || 0 }))
+            .sort((a, b) => b.score - a.score);
+        
+        return {
+            ast,
+            results: matches.slice(0, maxResults).map(item => item.image),
+            total: matches.length
+        };
+    }
+
+    /**
+     * Search with the structured syntax when the query uses it, and with the plain keyword
+     * search for free text (URLs, stray quotes, a dangling OR) the parser would reject
+     * @param {string} query - Query text
+     * @param {Object} options - {maxResults}
+     * @returns {Promise<Object>} {ast, results, total}; ast is null for keyword searches
+     * @throws {QuerySyntaxError} Only for invalid queries that use field prefixes
+     */
+    async searchByText(query, options = {}) {
+        const { maxResults = 50 } = options;
+        
+        if (QueryParser.usesSyntax(query)) {
+            try {
+                return await this.searchByQuery(query, options);
+            } catch (error) {
+                if (!(error instanceof QueryParser.QuerySyntaxError) || QueryParser.usesFields(query)) {
+                    throw error;
+                }
+                console.log(`[SearchFunctions] Query "${query}" is not valid syntax, using keyword search: ${error.message}`);
+            }
+        }
+        
+        const dataManager = new DataManager();
+        const matches = await dataManager.searchImages(query);
+        return {
+            ast: null,
+            results: matches.slice(0, maxResults),
+            total: matches.length
+        };
+    }
+
+    /**
+     * Collect a superset of matching image IDs from the search index
+     * @param {Object} node - AST node
+     * @param {BM25Index} index - Search index
+     * @returns {Set<string>|null} Candidate IDs, or null when any image could match
+     */
+    collectQueryCandidates(node, index) {
+        switch (node.type) {
+            case 'term':
+                if (index.tokenize(node.value).length === 0) return null;
+                return new Set(index.search([{ text: node.value, fields: node.field ? [node.field] : undefined }]).keys());
+            case 'album':
+                return new Set(index.search([{ text: node.path.join(' '), fields: ['album'] }], { partialMatches: true }).keys());
+            case 'and': {
+                const sets = node.children.map(child => this.collectQueryCandidates(child, index)).filter(Boolean);
+                if (sets.length === 0) return null;
+                return sets.reduce((result, set) => new Set([...result].filter(id => set.has(id))));
+            }
+            case 'or': {
+                const sets = node.children.map(child => this.collectQueryCandidates(child, index));
+                if (sets.includes(null)) return null;
+                return new Set(sets.flatMap(set => [...set]));
+            }
+            default:
+                // NOT, date and camera filters cannot narrow candidates on their own
+                return null;
+        }
+    }
+
+    /**
+     * Collect the non-negated terms of a query for ranking
+     * @param {Object} node - AST node
+     * @returns {Array<Object>} BM25 query terms
+     */
+    collectPositiveTerms(node) {
+        switch (node.type) {
+            case 'term':
+                return [{ text: node.value, fields: node.field ? [node.field] : undefined }];
+            case 'album':
+                return [{ text: node.path.join(' '), weight: 0.5, fields: ['album'] }];
+            case 'and':
+            case 'or':
+                return node.children.flatMap(child => this.collectPositiveTerms(child));
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Check an image against a query AST
+     * @param {Object} node - AST node
+     * @param {Object} image - Image record
+     * @param {BM25Index} index - Search index (for its tokenizer, so matching agrees with ranking)
+     * @returns {boolean} True if the image matches
+     */
+    matchesQuery(node, image, index) {
+        switch (node.type) {
+            case 'and':
+                return node.children.every(child => this.matchesQuery(child, image, index));
+            case 'or':
+                return node.children.some(child => this.matchesQuery(child, image, index));
+            case 'not':
+                return !this.matchesQuery(node.child, image, index);
+            case 'album':
+                return this.matchesAlbumPath(image, node.path);
+            case 'camera':
+                return this.matchesCamera(image, node.value);
+            case 'date': {
+                const date = this.getImageDate(image);
+                if (!date) return false;
+                if (node.from && date < new Date(node.from)) return false;
+                if (node.to && date >= new Date(node.to)) return false;
+                return true;
+            }
+            case 'term': {
+                const queryTokens = index.tokenize(node.value);
+                // Terms made only of stop words ("the", "of") do not restrict the results
+                if (queryTokens.length === 0) return true;
+                
+                return this.getQueryFieldTexts(image, node.field).some(text => {
+                    const tokens = index.tokenize(text);
+                    if (!node.phrase) {
+                        return queryTokens.every(token => tokens.includes(token));
+                    }
+                    for (let i = 0; i + queryTokens.length <= tokens.length; i++) {
+                        if (queryTokens.every((token, offset) => tokens[i + offset] === token)) return true;
+                    }
+                    return false;
+                });
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Get the texts a query field searches; keywords are matched one keyword at a time
+     * @param {Object} image - Image record
+     * @param {string|null} field - Field name, or null for all text fields
+     * @returns {Array<string>} Texts
+     */
+    getQueryFieldTexts(image, field) {
+        const texts = {
+            keywords: image.keywords || [],
+            description: [image.description || ''],
+            title: [image.title || ''],
+            caption: [image.caption || ''],
+            album: [image.albumName, image.albumPath, ...(image.albumHierarchy || [])].filter(Boolean),
+            place: image.place ? [image.place.label || image.place.name] : []
+        };
+        return field ? texts[field] || [] : Object.values(texts).flat();
+    }
+
+    /**
+     * Match an album path like ["2025", "Nationals"] against the image's album hierarchy
+     * Each segment must be contained in a hierarchy level, in order (levels may be skipped).
+     * @param {Object} image - Image record
+     * @param {Array<string>} path - Path segments
+     * @returns {boolean} True if the album matches
+     */
+    matchesAlbumPath(image, path) {
+        const levels = (image.albumHierarchy && image.albumHierarchy.length > 0)
+            ? [...image.albumHierarchy]
+            : (image.albumPath ? image.albumPath.split('>').map(level => level.trim()) : []);
+        if (image.albumName && !levels.includes(image.albumName)) {
+            levels.push(image.albumName);
+        }
+        
+        let level = 0;
+        for (const segment of path) {
+            const needle = segment.toLowerCase();
+            while (level < levels.length && !levels[level].toLowerCase().includes(needle)) {
+                level++;
+            }
+            if (level >= levels.length) return false;
+            level++;
+        }
+        return true;
+    }
+
+    /**
+     * Get the date used by date filters
+     * Records processed before capture dates were ingested fall back to the analysis timestamp.
+     * @param {Object} image - Image record
+     * @returns {Date|null} Capture date, or the record timestamp
+     */
+    getImageDate(image) {
+        const value = image.captureDate || image.timestamp;
+        const date = value ? new Date(value) : null;
+        return date && !isNaN(date) ? date : null;
     }
 
     /**
@@ -1160,7 +2025,8 @@ class SearchFunctions {
             albumKey: image.albumKey,
             albumName: image.albumName,
             albumPath: image.albumPath,
-            albumHierarchy: image.albumHierarchy
+            albumHierarchy: image.albumHierarchy,
+            attributes: image.attributes
         }));
     }
 
@@ -1191,28 +2057,30 @@ class SearchFunctions {
     }
 
     /**
-     * Verify search results using Claude's vision capabilities
+     * Verify search results using the vision provider (Claude unless another backend serves the verification model)
      * @param {Array} images - Array of image objects to verify
      * @param {string} query - The original search query
      * @returns {Promise<Array>} Verified images that match the query
      */
     async verifyResultsWithVision(images, query) {
-        const ClaudeClient = require('./claudeClient');
+        const VisionProvider = require('./visionProvider');
         const DataManager = require('./dataManager');
         const dataManager = new DataManager();
         
-        // Get Claude API key
-        const apiKey = await dataManager.getClaudeApiKey();
-        if (!apiKey) {
-            console.log('[Vision] No Claude API key available, skipping verification');
-            return images;
-        }
-        
-        const claudeClient = new ClaudeClient(apiKey);
+        // Verify with the configured provider (the verification model's backend, or the mock provider)
+        const provider = await VisionProvider.fromConfig(dataManager);
         const verifiedImages = [];
         
         // Get vision verification configuration
         const visionConfig = await dataManager.getVisionVerificationConfig();
+        if (provider.name !== 'mock' && !(await dataManager.modelSupports(visionConfig.model, 'vision'))) {
+            console.log(`[Vision] ${visionConfig.model} cannot see images, skipping verification`);
+            return images;
+        }
+        if (!provider.isConfigured(visionConfig.model)) {
+            console.log(`[Vision] No API key available for ${visionConfig.model}, skipping verification`);
+            return images;
+        }
         
         // Configuration with defaults
         const batchSize = visionConfig.batchSize || 5; // Process 5 images at a time
@@ -1240,7 +2108,8 @@ class SearchFunctions {
                 }));
                 
                 // Call Claude to verify this batch
-                const verificationResult = await claudeClient.verifyImagesWithQuery(imageData, query, visionConfig.model);
+                const verificationResult = await provider.verifyImagesWithQuery(imageData, query, visionConfig.model);
+                await dataManager.recordUsage('vision_verification', verificationResult.usage, { model: visionConfig.model });
                 
                 if (verificationResult.success) {
                     // Process verification results
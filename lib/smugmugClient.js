@@ -665,6 +665,128 @@ class SmugMugClient {
         }
     }
 
+    // Get capture date, camera settings and GPS for a single image
+    async getImageMetadata(accessToken, accessTokenSecret, imageKey) {
+        try {
+            console.log(`SmugMug: Getting metadata for image ${imageKey}...`);
+
+            const response = await this.makeRequest(
+                'GET',
+                `${this.baseUrl}/api/v2/image/${imageKey}!metadata`,
+                {},
+                accessToken,
+                accessTokenSecret
+            );
+
+            if (!response.success) {
+                throw new Error('Failed to get image metadata');
+            }
+
+            const rawMetadata = response.data.Response.ImageMetadata;
+
+            if (!rawMetadata) {
+                throw new Error('Image metadata not found in response');
+            }
+
+            return {
+                success: true,
+                metadata: this.normalizeImageMetadata(rawMetadata)
+            };
+
+        } catch (error) {
+            console.error(`SmugMug image metadata error for ${imageKey}:`, error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Map SmugMug ImageMetadata (EXIF/IPTC fields) to the shape stored on image records
+    normalizeImageMetadata(raw = {}) {
+        const pick = (...names) => {
+            const name = names.find(key => raw[key] !== undefined && raw[key] !== null && raw[key] !== '');
+            return name ? raw[name] : null;
+        };
+        const toNumber = (value) => {
+            if (value === null) return null;
+            const match = String(value).match(/-?\d+(\.\d+)?/);
+            return match ? parseFloat(match[0]) : null;
+        };
+
+        const make = pick('Make', 'CameraMake');
+        const model = pick('Model', 'CameraModel');
+        // Many camera models already start with the make ("Canon EOS R5")
+        const camera = make && model && !String(model).toLowerCase().startsWith(String(make).toLowerCase())
+            ? `${make} ${model}`
+            : model || make;
+
+        const exposure = pick('ExposureTime', 'Exposure', 'ShutterSpeed');
+
+        const exif = {
+            make,
+            model,
+            camera,
+            lens: pick('Lens', 'LensModel', 'LensInfo'),
+            focalLength: toNumber(pick('FocalLength')),
+            focalLength35mm: toNumber(pick('FocalLengthIn35mmFormat', 'FocalLength35mm', 'FocalLength35efl')),
+            exposure: exposure !== null ? String(exposure) : null,
+            aperture: toNumber(pick('FNumber', 'Aperture', 'ApertureValue')),
+            iso: toNumber(pick('ISO', 'ISOSpeedRatings', 'ISOSpeed'))
+        };
+
+        const latitude = this.parseGpsCoordinate(pick('Latitude', 'GPSLatitude'), pick('GPSLatitudeRef'));
+        const longitude = this.parseGpsCoordinate(pick('Longitude', 'GPSLongitude'), pick('GPSLongitudeRef'));
+        // 0,0 is what cameras without a GPS fix tend to write
+        const gps = latitude !== null && longitude !== null && !(latitude === 0 && longitude === 0)
+            ? { latitude, longitude, altitude: toNumber(pick('Altitude', 'GPSAltitude')) }
+            : null;
+
+        return {
+            captureDate: this.parseExifDate(pick('DateTimeOriginal', 'DateTimeCreated', 'DateCreated', 'DateTimeDigitized', 'DateTime')),
+            exif: Object.values(exif).some(value => value !== null) ? exif : null,
+            gps
+        };
+    }
+
+    // EXIF dates look like "2024:06:15 10:23:45" and carry no timezone; the camera's
+    // local time is kept as-is (stored as UTC) so the calendar date never shifts
+    parseExifDate(value) {
+        if (!value) return null;
+
+        const match = String(value).match(/^(\d{4})[:-](\d{2})[:-](\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/);
+        if (!match) {
+            const date = new Date(value);
+            return isNaN(date) ? null : date.toISOString();
+        }
+
+        const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+        // Cameras without a clock set write 0000:00:00
+        if (parseInt(year) === 0 || parseInt(month) === 0) return null;
+
+        const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+        return isNaN(date) ? null : date.toISOString();
+    }
+
+    // Accepts decimal degrees or degrees/minutes/seconds strings like `40 deg 42' 46.08" N`
+    parseGpsCoordinate(value, ref = null) {
+        if (value === null || value === undefined || value === '') return null;
+
+        const text = String(value);
+        const numbers = (text.match(/-?\d+(\.\d+)?/g) || []).map(parseFloat);
+        if (numbers.length === 0) return null;
+
+        const [degrees, minutes = 0, seconds = 0] = numbers;
+        let coordinate = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+
+        const hemisphere = `${ref || ''} ${text}`.match(/\b[NSEW]\b/i);
+        if (degrees < 0 || (hemisphere && /[SW]/i.test(hemisphere[0]))) {
+            coordinate = -coordinate;
+        }
+
+        return Math.round(coordinate * 1e6) / 1e6;
+    }
+
     // Test connection with stored credentials
     async testConnection(accessToken, accessTokenSecret) {
         try {
@@ -0,0 +1,125 @@
+// PhotoVision Usage Ledger
+// Append-only record of the tokens each model call used, tagged by feature (batch analysis, chat,
+// vision verification, ...) and batch. Totals are rolled up per day, feature, model and batch on read.
+
+const fs = require('fs/promises');
+
+class UsageLedger {
+    constructor(ledgerFile) {
+        this.ledgerFile = ledgerFile;
+    }
+
+    /**
+     * Append one call's token usage
+     * @param {Object} entry - {feature, model, inputTokens, outputTokens, batchId?, jobId?, sessionId?}
+     * @returns {Promise<Object>} The stored entry
+     */
+    async record(entry) {
+        const stored = {
+            timestamp: new Date().toISOString(),
+            feature: entry.feature,
+            model: entry.model || 'unknown',
+            inputTokens: entry.inputTokens || 0,
+            outputTokens: entry.outputTokens || 0,
+            ...(entry.batchId ? { batchId: entry.batchId } : {}),
+            ...(entry.jobId ? { jobId: entry.jobId } : {}),
+            ...(entry.sessionId ? { sessionId: entry.sessionId } : {})
+        };
+        await fs.appendFile(this.ledgerFile, JSON.stringify(stored) + '\n', 'utf8');
+        return stored;
+    }
+
+    /**
+     * Read entries, optionally limited to a time window or a batch
+     * @param {Object} filter - {since: Date|string, batchId}
+     * @returns {Promise<Array>} Matching entries, oldest first
+     */
+    async getEntries(filter = {}) {
+        let content;
+        try {
+            content = await fs.readFile(this.ledgerFile, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[UsageLedger] Failed to read usage ledger:', error.message);
+            }
+            return [];
+        }
+
+        const since = filter.since ? new Date(filter.since).toISOString() : null;
+        const entries = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                if (since && entry.timestamp < since) continue;
+                if (filter.batchId && entry.batchId !== filter.batchId) continue;
+                entries.push(entry);
+            } catch (error) {
+                console.warn('[UsageLedger] Skipping unreadable ledger line');
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Estimated cost of one entry
+     * @param {Object} entry - Ledger entry
+     * @param {Object} pricing - Map of model ID to {input, output} in USD per million tokens
+     * @returns {number|null} Cost in USD, or null when the model has no price
+     */
+    static estimateCost(entry, pricing) {
+        const price = pricing[entry.model];
+        if (!price) return null;
+        return (entry.inputTokens * (price.input || 0) + entry.outputTokens * (price.output || 0)) / 1000000;
+    }
+
+    /**
+     * Roll entries up into totals per day (UTC), feature, model and batch
+     * @param {Array} entries - Ledger entries
+     * @param {Object} pricing - Map of model ID to {input, output} in USD per million tokens
+     * @returns {Object} {totals, byDay, byFeature, byModel, byBatch, unpricedModels}
+     */
+    static summarize(entries, pricing = {}) {
+        const emptyTotals = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, estimatedCost: 0 });
+        const totals = emptyTotals();
+        const byDay = {};
+        const byFeature = {};
+        const byModel = {};
+        const byBatch = {};
+        const unpricedModels = new Set();
+
+        const add = (bucket, entry, cost) => {
+            bucket.calls++;
+            bucket.inputTokens += entry.inputTokens;
+            bucket.outputTokens += entry.outputTokens;
+            bucket.estimatedCost += cost || 0;
+        };
+
+        for (const entry of entries) {
+            const cost = UsageLedger.estimateCost(entry, pricing);
+            if (cost === null) {
+                unpricedModels.add(entry.model);
+            }
+
+            const day = entry.timestamp.slice(0, 10);
+            add(totals, entry, cost);
+            add(byDay[day] = byDay[day] || emptyTotals(), entry, cost);
+            add(byFeature[entry.feature] = byFeature[entry.feature] || emptyTotals(), entry, cost);
+            add(byModel[entry.model] = byModel[entry.model] || emptyTotals(), entry, cost);
+            if (entry.batchId) {
+                add(byBatch[entry.batchId] = byBatch[entry.batchId] || emptyTotals(), entry, cost);
+            }
+        }
+
+        return {
+            totals,
+            byDay: Object.keys(byDay).sort().map(date => ({ date, ...byDay[date] })),
+            byFeature,
+            byModel,
+            byBatch,
+            unpricedModels: [...unpricedModels]
+        };
+    }
+}
+
+module.exports = UsageLedger;
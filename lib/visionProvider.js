@@ -0,0 +1,459 @@
+// PhotoVision Vision Provider
+// Interface for the services that analyze images, verify search results and run the chat agent.
+// ClaudeClient is the default backend; OpenAICompatibleProvider and OllamaProvider serve self-hosted models,
+// ModelRouter sends each model to its backend, and MockVisionProvider answers offline for tests and demos.
+// Prompts and reply parsing shared by every backend live here so analyses stay comparable across them.
+
+const https = require('https');
+const http = require('http');
+const JsonRepair = require('./jsonRepair');
+
+const PROVIDER_TYPES = ['claude', 'openai', 'ollama', 'mock'];
+
+const DEFAULT_ANALYSIS_PROMPT = `Please analyze this image in detail. Provide a comprehensive description and generate relevant keywords for indexing. Return your response as a JSON object with the following structure:
+
+{
+  "description": "A detailed description of the image...",
+  "keywords": ["keyword1", "keyword2", "keyword3", ...]
+}
+
+For the description, include:
+1. Main subjects (people, objects, animals)
+2. Setting and location type
+3. Activities or actions taking place
+4. Mood, lighting, and atmosphere
+5. Colors, composition, and visual elements
+6. Any text or signs visible
+7. Time of day or season if apparent
+
+For keywords, provide 5-10 relevant terms that would help with searching and indexing, such as:
+- Main subjects (person, animal, object types)
+- Activities (running, eating, playing)
+- Settings (outdoor, indoor, beach, forest)
+- Emotions/moods (happy, serious, peaceful)
+- Visual elements (colorful, black and white, sunset)
+- Equipment or objects visible
+
+Be specific and descriptive to enable natural language searches like "photos of people laughing outdoors" or "sunset landscapes with mountains".`;
+
+const STRICT_JSON_INSTRUCTION = 'IMPORTANT: Your reply must be a single valid JSON object and nothing else. ' +
+    'Do not use code fences or add any text before or after the object, use double quotes for every key and string, ' +
+    'do not leave trailing commas, and keep the description short enough that the whole object fits in your reply.';
+
+class VisionProvider {
+    /**
+     * @param {string} name - Provider type, as used in the visionProvider config and on model definitions
+     * @param {string} displayName - Name used in log and error messages
+     */
+    constructor(name, displayName = name) {
+        this.name = name;
+        this.displayName = displayName;
+    }
+
+    static get TYPES() {
+        return PROVIDER_TYPES;
+    }
+
+    static get DEFAULT_ANALYSIS_PROMPT() {
+        return DEFAULT_ANALYSIS_PROMPT;
+    }
+
+    static get STRICT_JSON_INSTRUCTION() {
+        return STRICT_JSON_INSTRUCTION;
+    }
+
+    /**
+     * Create one backend
+     * @param {string} type - One of TYPES
+     * @param {Object} options - Backend settings: {apiKey} for Claude, {baseUrl, apiKey, requiresApiKey} for
+     *                           OpenAI-compatible and Ollama servers, {fixtures, latencyMs} for the mock
+     * @returns {VisionProvider} Provider instance
+     */
+    static create(type = 'claude', options = {}) {
+        // Required here because the implementations extend this class
+        switch (type) {
+            case 'claude': {
+                const ClaudeClient = require('./claudeClient');
+                return new ClaudeClient(options.apiKey || null);
+            }
+            case 'openai': {
+                const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+                return new OpenAICompatibleProvider(options);
+            }
+            case 'ollama': {
+                const OllamaProvider = require('./ollamaProvider');
+                return new OllamaProvider(options);
+            }
+            case 'mock': {
+                const MockVisionProvider = require('./mockVisionProvider');
+                return new MockVisionProvider(options);
+            }
+            default:
+                throw new Error(`Unknown vision provider: ${type}. Expected one of ${PROVIDER_TYPES.join(', ')}`);
+        }
+    }
+
+    /**
+     * Build the provider the app uses from stored configuration: the mock provider when it is selected,
+     * otherwise a router sending each model to the backend named on its claudeModelConfig entry
+     * @param {DataManager} dataManager - Source of the provider config, model list and API keys
+     * @returns {Promise<VisionProvider>} Provider instance
+     */
+    static async fromConfig(dataManager) {
+        const providerConfig = await dataManager.getVisionProviderConfig();
+        if (providerConfig.type === 'mock') {
+            return VisionProvider.create('mock', providerConfig);
+        }
+
+        const ModelRouter = require('./modelRouter');
+        const modelConfig = await dataManager.getClaudeModelConfig();
+        const backends = { claude: VisionProvider.create('claude', { apiKey: await dataManager.getClaudeApiKey() }) };
+
+        for (const [type, settings] of Object.entries(modelConfig.providers || {})) {
+            if (type === 'claude' || type === 'mock' || !PROVIDER_TYPES.includes(type)) continue;
+            backends[type] = VisionProvider.create(type, { ...settings, apiKey: await dataManager.getProviderApiKey(type) });
+        }
+
+        return new ModelRouter(backends, modelConfig.availableModels);
+    }
+
+    /**
+     * Whether the provider can take requests (the Claude provider needs an API key)
+     * @param {string} model - Optional model the request is for; only the router looks at it
+     * @returns {boolean}
+     */
+    isConfigured(model = null) {
+        return true;
+    }
+
+    /**
+     * Replace the credentials used for requests; providers without credentials ignore this
+     * @param {string|null} apiKey - New API key
+     */
+    updateApiKey(apiKey) {
+        this.apiKey = apiKey;
+    }
+
+    /**
+     * Share a RateLimiter that learns from this provider's responses (429/529 and rate limit headers);
+     * only the Claude provider reports to it
+     * @param {RateLimiter|null} rateLimiter - The batch manager's global rate limiter
+     */
+    setRateLimiter(rateLimiter) {
+        this.rateLimiter = rateLimiter;
+    }
+
+    /**
+     * Check that the provider answers
+     * @param {string} model - Model to test with
+     * @returns {Promise<Object>} {success, model, responseTime}
+     */
+    async testConnection(model) {
+        throw new Error(`${this.constructor.name} does not implement testConnection`);
+    }
+
+    /**
+     * Describe an image and return keywords (plus any fields the output schema asks for)
+     * @param {Buffer} imageBuffer - Image data
+     * @param {string} mimeType - Image MIME type
+     * @param {string|null} prompt - Custom prompt replacing the default analysis prompt
+     * @param {string|null} preContext - Context added before the prompt
+     * @param {string} model - Model to analyze with
+     * @param {Object|null} outputSchema - JSON schema of extra structured fields
+     * @param {Object} imageInfo - Optional details about the image, such as {fileName}
+     * @returns {Promise<Object>} {success, description, keywords, attributes, schemaErrors, parseRecovery, model, usage, timestamp}
+     *                            or {success: false, error, errorCategory}
+     */
+    async analyzeImage(imageBuffer, mimeType, prompt, preContext, model, outputSchema, imageInfo) {
+        throw new Error(`${this.constructor.name} does not implement analyzeImage`);
+    }
+
+    /**
+     * Check which images match a search query
+     * @param {Array} imageData - Array of {url, identifier}
+     * @param {string} query - Search query
+     * @param {string} model - Model to verify with
+     * @returns {Promise<Object>} {success, verifiedImages: [0-based indices], usage}
+     */
+    async verifyImagesWithQuery(imageData, query, model) {
+        throw new Error(`${this.constructor.name} does not implement verifyImagesWithQuery`);
+    }
+
+    /**
+     * Send a conversation with function calling, in Messages API format
+     * @param {Array} messages - Full message list ending with a user turn
+     * @param {Array} availableFunctions - Function definitions {name, description, parameters}
+     * @param {string} model - Chat model
+     * @param {Object} options - {toolChoice: 'none' to require a text answer with no tool calls, signal: AbortSignal}
+     * @returns {Promise<Object>} {success, response: {content, stop_reason, usage}, model, usage, timestamp}
+     */
+    async sendConversationalMessages(messages, availableFunctions, model, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement sendConversationalMessages`);
+    }
+
+    /**
+     * Stream a conversation, reporting text as it is generated
+     * @param {Array} messages - Full message list ending with a user turn
+     * @param {Array} availableFunctions - Function definitions
+     * @param {string} model - Chat model
+     * @param {Function} onTextDelta - Called with each text fragment
+     * @param {Object} options - Same as sendConversationalMessages
+     * @returns {Promise<Object>} Same shape as sendConversationalMessages
+     */
+    async streamConversationalMessages(messages, availableFunctions, model, onTextDelta = null, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement streamConversationalMessages`);
+    }
+
+    /**
+     * Prompt for an image analysis
+     * @param {string|null} prompt - Custom prompt replacing the default one
+     * @param {string|null} preContext - Context added before the prompt
+     * @param {AnalysisSchema} schema - Extra structured fields to ask for
+     * @returns {string} Complete prompt
+     */
+    buildAnalysisPrompt(prompt, preContext, schema) {
+        const mainPrompt = [prompt || DEFAULT_ANALYSIS_PROMPT, schema.buildPrompt()].filter(Boolean).join('\n\n');
+        return this.buildCompletePrompt(preContext, mainPrompt);
+    }
+
+    /**
+     * Turn an analysis reply into a result, recovering malformed JSON and asking once more when that fails
+     * @param {string} replyText - Text of the model's reply
+     * @param {Object} usage - Token usage of the request, as {input_tokens, output_tokens}
+     * @param {string} model - Model that answered
+     * @param {AnalysisSchema} schema - Extra structured fields that were asked for
+     * @param {Function} reask - Repeats the request with STRICT_JSON_INSTRUCTION; resolves to {text, usage}
+     * @returns {Promise<Object>} Analysis result; errorCategory 'malformed_response' when no JSON could be recovered
+     */
+    async finishAnalysis(replyText, usage, model, schema, reask) {
+        let parsed = JsonRepair.parse(replyText);
+
+        if (!parsed) {
+            console.warn(`[${this.displayName}] Analysis response was not valid JSON, asking again with a stricter instruction`);
+            let retry;
+            try {
+                retry = await reask();
+            } catch (error) {
+                // The first reply was still paid for, so the failure keeps its usage and category
+                console.error(`[${this.displayName}] Stricter re-ask failed: ${error.message}`);
+                return {
+                    success: false,
+                    error: `${this.displayName} did not return a valid JSON analysis, and the stricter re-ask failed: ${error.message}`,
+                    errorCategory: 'malformed_response',
+                    rawResponse: replyText.slice(0, 500),
+                    usage,
+                    timestamp: new Date().toISOString()
+                };
+            }
+            usage = this.combineUsage(usage, retry.usage);
+
+            const retryParsed = JsonRepair.parse(retry.text);
+            if (retryParsed) {
+                parsed = { data: retryParsed.data, recovery: 'reasked' };
+            }
+        }
+
+        if (!parsed) {
+            console.error(`[${this.displayName}] Analysis response was still not valid JSON after a stricter re-ask`);
+            return {
+                success: false,
+                error: `${this.displayName} did not return a valid JSON analysis, even after a stricter re-ask`,
+                errorCategory: 'malformed_response',
+                rawResponse: replyText.slice(0, 500),
+                usage,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        if (parsed.recovery !== 'direct') {
+            console.warn(`[${this.displayName}] Recovered analysis JSON (${parsed.recovery})`);
+        }
+        const analysisData = parsed.data;
+
+        // Invalid structured values are dropped and reported rather than failing the analysis
+        const { values: attributes, errors: schemaErrors } = schema.validate(analysisData);
+        if (schemaErrors.length > 0) {
+            console.warn(`[${this.displayName}] Analysis did not match the output schema: ${schemaErrors.join('; ')}`);
+        }
+
+        return {
+            success: true,
+            description: analysisData.description || replyText,
+            keywords: analysisData.keywords || [],
+            attributes: schema.isEmpty() ? null : attributes,
+            schemaErrors,
+            parseRecovery: parsed.recovery,
+            model,
+            usage,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Add up token usage across the requests made for one analysis
+     * @param {Object} first - Usage from the first response
+     * @param {Object} second - Usage from the re-ask
+     * @returns {Object} Combined usage
+     */
+    combineUsage(first, second) {
+        if (!first || !second) return first || second;
+        return {
+            ...first,
+            input_tokens: (first.input_tokens || 0) + (second.input_tokens || 0),
+            output_tokens: (first.output_tokens || 0) + (second.output_tokens || 0)
+        };
+    }
+
+    /**
+     * Prompt asking which of the attached images match a search query
+     * @param {number} imageCount - Number of images attached before the prompt
+     * @param {string} query - Search query
+     * @returns {string} Prompt text
+     */
+    buildVerificationPrompt(imageCount, query) {
+        return `I am searching for: "${query}"
+
+Please analyze each of the ${imageCount} images provided and determine if they match my search criteria.
+
+For each image, respond with ONLY "yes" if it matches the search criteria or "no" if it doesn't.
+
+Important instructions:
+- Consider the semantic meaning of the query
+- For negative queries (e.g., "photos without people"), mark as "yes" only images that DON'T contain the excluded element
+- Be strict in your evaluation - only mark as "yes" if the image clearly matches the criteria
+
+Respond in this exact format:
+Image 1: yes/no
+Image 2: yes/no
+Image 3: yes/no
+(continue for all images)
+
+Begin your analysis:`;
+    }
+
+    /**
+     * @param {string} responseText - Reply in the "Image N: yes/no" format
+     * @param {number} imageCount - Number of images asked about
+     * @returns {Array<number>} 0-based indices of the images that match
+     */
+    parseVerificationReply(responseText, imageCount) {
+        const verifiedImages = [];
+
+        responseText.split('\n').filter(line => line.trim()).forEach(line => {
+            const match = line.match(/Image (\d+):\s*(yes|no)/i);
+            if (match) {
+                const imageIndex = parseInt(match[1]) - 1; // Convert to 0-based index
+                if (match[2].toLowerCase() === 'yes' && imageIndex >= 0 && imageIndex < imageCount) {
+                    verifiedImages.push(imageIndex);
+                }
+            }
+        });
+
+        return verifiedImages;
+    }
+
+    /**
+     * Fetch image from URL and return as buffer
+     * @param {string} url - The image URL to fetch
+     * @returns {Promise<Buffer>} Image buffer
+     */
+    async fetchImageFromUrl(url) {
+        return new Promise((resolve, reject) => {
+            const urlObj = new URL(url);
+            const protocol = urlObj.protocol === 'https:' ? https : http;
+            
+            protocol.get(url, (response) => {
+                if (response.statusCode !== 200) {
+                    reject(new Error(`Failed to fetch image: ${response.statusCode}`));
+                    return;
+                }
+                
+                const chunks = [];
+                response.on('data', (chunk) => chunks.push(chunk));
+                response.on('end', () => resolve(Buffer.concat(chunks)));
+                response.on('error', reject);
+            }).on('error', reject);
+        });
+    }
+
+    /**
+     * System prompt for the conversational search agent
+     * @returns {string} Prompt text
+     */
+    buildChatSystemPrompt() {
+        return `Hey there! I'm PhotoVision, your friendly photo discovery companion! 📸 I absolutely love helping people rediscover amazing moments in their photo collections. Think of me as that enthusiastic photography friend who knows exactly where to find that perfect shot you're looking for.
+
+I've got access to your SmugMug collection filled with incredible archery competitions, award ceremonies, and so many other special moments. Every photo has been carefully analyzed with detailed descriptions and keywords - it's like having a personal photo curator who never forgets a face or moment!
+
+Your photos are beautifully organized by events and dates, like:
+• 2025 > Arizona Cup > Friday AM - U21/U18  
+• 2025 > Arizona Cup > Friday PM - Sr 50+ practice
+• 2025 > Gator Cup > Friday PM - Snrs, 50+, Paras practice
+
+Just tell me what you're looking for in your own words! Want to see "happy kids celebrating" or "focused athletes in competition"? I'll search through everything and find those perfect moments for you.
+
+**IMPORTANT: I understand negative keywords and exclusions!**
+When you want to exclude certain elements from your search, you can use phrases like:
+- "no people" or "without people" → excludes photos with people
+- "no faces" or "without faces" → excludes photos with visible faces
+- "exclude crowds" or "no crowds" → excludes photos with crowds
+- "archery targets, no people" → finds archery targets but excludes any with people
+- "outdoor scenes without buildings" → finds outdoor scenes but excludes any with buildings
+- "animals but not dogs" → finds animals but excludes dogs
+- "-crowd" → excludes photos with crowds
+
+I understand exactly what you mean and will find photos that match while excluding what you don't want!
+
+My conversational style:
+- I'm genuinely excited about every search - your photos capture amazing stories!
+- I'll ask follow-up questions if I need to understand what you're really looking for
+- If I can't find exactly what you want, I'll suggest similar alternatives with enthusiasm
+- I love sharing interesting details I notice about the photos I find
+- I always include direct links so you can easily view and share your favorites
+- I speak naturally, like we're having a real conversation about your photo memories
+
+**IMPORTANT: Handling broadened searches**
+When I need to broaden your search to find results, I'll let you know in a helpful way:
+- If I expanded to include related terms, I'll say something like "I broadened the search to include similar concepts"
+- If I removed filters, I'll explain "I removed some restrictions to find more matches"
+- If I'm showing recent photos instead, I'll say "Here are some recent photos from your collection"
+- I'll always be transparent about what adjustments I made while keeping the conversation natural
+
+**IMPORTANT: Follow-up questions**
+Earlier turns of our conversation include a [Search context] note listing the searches I ran and the photos I returned, numbered in the order they were shown. When you ask a follow-up like "now only the ones from 2024", "just the outdoor ones" or "the third one", I'll use refinePreviousResults to narrow those photos down. If you want "more like" one of them, I'll use findSimilarPhotos with that photo's id or position.
+
+**IMPORTANT: Finding specific people**
+When you ask for someone by name ("photos of Sarah Lee"), I'll use searchByPerson, which finds them by face. searchByPeople is only for kinds of people like "kids" or "women". If nobody by that name has been identified yet, I'll say so and mention who I can find.
+
+**IMPORTANT: When and how photos were taken**
+Today is ${new Date().toISOString().slice(0, 10)}. Photos know the date they were taken and the camera and lens used, so for requests like "last June's nationals" or "the shots from the Canon" I'll pass dateFrom/dateTo and camera to searchImages or searchByAlbum. Photos with GPS also know where they were taken, so for "photos near Tucson" or "within 50 km of the venue" I'll use searchByLocation with near and radiusKm.
+
+**IMPORTANT: Counts and other structured details**
+Photos analyzed with an output schema carry structured fields in their attributes (such as peopleCount, shotType or isGroupPhoto) - I can see them in search results. For "photos with at least five people" I'll use searchByPeople with minPeople, and for other fields I'll pass attributes to searchImages, e.g. {"shotType": "close-up"}.
+
+**IMPORTANT: Chaining searches**
+After each search I get back a summary of what it found. If a search comes back empty or off-target, I'll try again - broader keywords, a different function like searchByAlbum, or intelligentSearch - before answering. Once I have good results, I'll stop searching and tell you about them.
+
+IMPORTANT: When searching for photos, always include a natural conversational response along with your search. Don't just search silently - let the user know what you're looking for in a friendly way, like "Let me find those sunset photos for you!" or "I'll look for those happy celebration moments!" Keep it natural and enthusiastic!
+
+Let's dive in and explore your collection together!`;
+    }
+
+    /**
+     * Build complete prompt with optional pre-context
+     * @param {string} preContext - Optional pre-context to add before the main prompt
+     * @param {string} mainPrompt - Main analysis prompt
+     * @returns {string} Complete prompt with pre-context and main prompt
+     */
+    buildCompletePrompt(preContext, mainPrompt) {
+        if (!preContext || preContext.trim() === '') {
+            return mainPrompt;
+        }
+
+        return `${preContext.trim()}
+
+${mainPrompt}`;
+    }
+}
+
+module.exports = VisionProvider;
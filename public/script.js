@@ -24,6 +24,9 @@ class PhotoVision {
         this.starredImages = new Set();
         this.starredImagesLoaded = false;
         
+        // Chat session for multi-turn conversational search
+        this.chatSessionId = null;
+        
         // Search mode state
         this.searchMode = 'smart'; // Default mode
         this.searchOptions = {
@@ -276,8 +279,14 @@ class PhotoVision {
             this.updateSendButtonState();
         });
         
-        // Event delegation for load more buttons
+        // Event delegation for load more buttons and facet chips
         this.messagesContainer.addEventListener('click', (e) => {
+            const facetChip = e.target.closest('.facet-chip');
+            if (facetChip) {
+                this.handleFacetChipClick(facetChip);
+                return;
+            }
+            
             if (e.target.matches('.load-more-btn') || e.target.closest('.load-more-btn')) {
                 const button = e.target.matches('.load-more-btn') ? e.target : e.target.closest('.load-more-btn');
                 const query = button.dataset.query;
@@ -345,6 +354,15 @@ class PhotoVision {
         this.messageInput.value = '';
         this.updateSendButtonState();
         
+        // Stream the response when the browser can read response bodies incrementally
+        if (window.ReadableStream && window.TextDecoder) {
+            await this.streamChatMessage(message);
+        } else {
+            await this.sendChatMessage(message);
+        }
+    }
+
+    async sendChatMessage(message) {
         // Show typing indicator
         this.showTypingIndicator();
         
@@ -356,7 +374,8 @@ class PhotoVision {
                 },
                 body: JSON.stringify({ 
                     message,
-                    searchOptions: this.getSearchOptions()
+                    searchOptions: this.getSearchOptions(),
+                    sessionId: this.chatSessionId
                 })
             });
             
@@ -366,6 +385,11 @@ class PhotoVision {
             this.hideTypingIndicator();
             
             if (data.success && data.data) {
+                // Keep the session so follow-up questions have context
+                if (data.data.sessionId) {
+                    this.chatSessionId = data.data.sessionId;
+                }
+                
                 // Handle conversational search response
                 this.addConversationalSearchMessage(data.data);
             } else {
@@ -384,6 +408,151 @@ class PhotoVision {
         }
     }
 
+    async streamChatMessage(message) {
+        const stream = this.createStreamingMessage();
+        
+        try {
+            const response = await fetch('/api/chat/stream', {
+                method: 'POST',
+                headers: { 
+                    'Content-Type': 'application/json' 
+                },
+                body: JSON.stringify({ 
+                    message,
+                    searchOptions: this.getSearchOptions(),
+                    sessionId: this.chatSessionId
+                })
+            });
+            
+            // Validation errors come back as plain JSON
+            if (!response.ok || !response.body) {
+                const data = await response.json().catch(() => ({}));
+                stream.element.remove();
+                this.addMessage(data.error || 'Sorry, I encountered an error processing your request.', 'assistant');
+                return;
+            }
+            
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                
+                buffer += decoder.decode(value, { stream: true });
+                
+                // Events are separated by a blank line
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    const rawEvent = buffer.slice(0, boundary);
+                    buffer = buffer.slice(boundary + 2);
+                    
+                    let eventType = 'message';
+                    let eventData = '';
+                    rawEvent.split('\n').forEach(line => {
+                        if (line.startsWith('event:')) {
+                            eventType = line.slice(6).trim();
+                        } else if (line.startsWith('data:')) {
+                            eventData += line.slice(5).trim();
+                        }
+                    });
+                    
+                    if (eventData) {
+                        this.handleChatStreamEvent(stream, eventType, JSON.parse(eventData));
+                    }
+                }
+            }
+            
+            if (!stream.finished) {
+                stream.element.remove();
+                this.addMessage('Error: The response ended unexpectedly. Please try again.', 'assistant');
+            }
+        } catch (error) {
+            console.error('Error streaming message:', error);
+            
+            stream.element.remove();
+            this.addMessage('Error: Unable to send message. Please check your connection and try again.', 'assistant');
+        }
+    }
+
+    createStreamingMessage() {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'message assistant streaming-message';
+        
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'message-content';
+        contentDiv.innerHTML = `
+            <div class="stream-status"><span class="loading"></span> <span class="stream-status-text">Thinking...</span></div>
+            <div class="conversational-response" style="padding: 8px;"></div>
+            <div class="minimal-results-grid"></div>
+        `;
+        
+        messageDiv.appendChild(contentDiv);
+        this.messagesContainer.appendChild(messageDiv);
+        this.scrollToBottom();
+        
+        return {
+            element: messageDiv,
+            statusText: contentDiv.querySelector('.stream-status-text'),
+            textElement: contentDiv.querySelector('.conversational-response'),
+            resultsElement: contentDiv.querySelector('.minimal-results-grid'),
+            textStep: null,
+            finished: false
+        };
+    }
+
+    handleChatStreamEvent(stream, eventType, data) {
+        switch (eventType) {
+            case 'session':
+                // Keep the session so follow-up questions have context
+                this.chatSessionId = data.sessionId;
+                break;
+                
+            case 'tool_start':
+                stream.statusText.textContent = `Searching your photos (${data.name})...`;
+                break;
+                
+            case 'tool_result':
+                stream.statusText.textContent = data.error
+                    ? `Search ${data.name} failed, trying another approach...`
+                    : `Found ${data.resultCount} photo${data.resultCount === 1 ? '' : 's'}...`;
+                
+                // Show a preview of the latest results while Claude writes its answer
+                if (data.results && data.results.length > 0) {
+                    stream.resultsElement.innerHTML = data.results.map((photo, index) => {
+                        const photoId = `photo-${Date.now()}-stream-${index}`;
+                        this.storePhotoData(photoId, photo);
+                        return `<div class="minimal-result-card">${createImageContainer(photo, photoId)}</div>`;
+                    }).join('');
+                }
+                break;
+                
+            case 'text_delta':
+                // A later step's answer replaces earlier "let me look" text
+                if (stream.textStep !== data.step) {
+                    stream.textStep = data.step;
+                    stream.textElement.textContent = '';
+                }
+                stream.textElement.textContent += data.text;
+                break;
+                
+            case 'done':
+                stream.finished = true;
+                stream.element.remove();
+                this.addConversationalSearchMessage(data);
+                return;
+                
+            case 'error':
+                stream.finished = true;
+                stream.element.remove();
+                this.addMessage(data.error || 'Sorry, I encountered an error processing your request.', 'assistant');
+                return;
+        }
+        
+        this.scrollToBottom();
+    }
+
     async handleFileUpload(file) {
         // Validate file type
         const validTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
@@ -580,6 +749,14 @@ class PhotoVision {
             </div>
         `;
 
+        if (data.embeddingIndexIncomplete) {
+            messageHTML += `
+                <div class="search-notice" style="padding: 4px 8px; color: #6c757d; font-size: 0.85em;">
+                    The semantic search index is still being built, so these results are ranked by keywords for now.
+                </div>
+            `;
+        }
+
         // Add search results if available
         if (data.results && data.results.length > 0) {
             const pagination = data.pagination || {};
@@ -588,10 +765,11 @@ class PhotoVision {
                 `${data.results.length} photos found`;
             
             messageHTML += `
-                <div class="search-results-section" data-search-query="${data.originalQuery || ''}" data-current-page="${pagination.page || 0}">
+                <div class="search-results-section" data-search-query="${data.originalQuery || ''}" data-current-page="${pagination.page || 0}" data-filters="${encodeURIComponent(JSON.stringify(data.filters || {}))}">
                     <div class="results-header">
                         <strong>🔍 Search Results (${showingText}):</strong>
                     </div>
+                    ${data.facets ? this.renderFacetChips(data.facets, data.filters) : ''}
                     <div class="minimal-results-grid">
             `;
 
@@ -674,6 +852,15 @@ class PhotoVision {
                 </div>
             `;
             
+            // Keep the chips so active facet filters can be removed again
+            if (data.facets && data.filters && Object.keys(data.filters).length > 0) {
+                messageHTML += `
+                    <div class="search-results-section" data-search-query="${data.originalQuery || ''}" data-filters="${encodeURIComponent(JSON.stringify(data.filters))}">
+                        ${this.renderFacetChips(data.facets, data.filters)}
+                    </div>
+                `;
+            }
+            
             // Add search action buttons for no results
             const searchContext = {
                 query: data.originalQuery || '',
@@ -701,6 +888,135 @@ class PhotoVision {
         this.scrollToBottom();
     }
 
+    renderFacetChips(facets, filters = {}) {
+        const selected = (facet, value) => (filters[facet] || []).includes(value);
+        const formatMonth = (value) => {
+            if (value === 'unknown') return 'Unknown date';
+            const [year, month] = value.split('-');
+            return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+        };
+        
+        const groups = [
+            { facet: 'albumHierarchy', label: 'Album', limit: 8, items: facets.albumHierarchy || [], text: item => item.label, title: item => item.value },
+            { facet: 'keywords', label: 'Keywords', limit: 10, items: facets.keywords || [], text: item => item.value },
+            { facet: 'model', label: 'Model', limit: 5, items: facets.model || [], text: item => item.value },
+            { facet: 'starred', label: 'Starred', limit: 2, items: facets.starred || [], text: item => item.value ? '⭐ Starred' : 'Not starred' },
+            { facet: 'processedDate', label: 'Processed', limit: 6, items: facets.processedDate || [], text: item => formatMonth(item.value) }
+        ];
+        
+        const groupsHTML = groups.map(group => {
+            // Selected values always show; otherwise the most common ones, and only if they would narrow the results
+            const active = group.items.filter(item => selected(group.facet, item.value));
+            const others = [...group.items]
+                .filter(item => !selected(group.facet, item.value))
+                .sort((a, b) => b.count - a.count)
+                .slice(0, group.limit);
+            if (active.length === 0 && others.length < 2) return '';
+            
+            const chips = [...active, ...others].map(item => `
+                <button class="facet-chip ${selected(group.facet, item.value) ? 'active' : ''}"
+                        data-facet="${group.facet}"
+                        data-value="${encodeURIComponent(JSON.stringify(item.value))}"
+                        title="${this.escapeHtml(group.title ? group.title(item) : String(item.value))}">
+                    ${this.escapeHtml(group.text(item))}
+                    <span class="facet-count">${item.count}</span>
+                </button>
+            `).join('');
+            
+            return `
+                <div class="facet-group">
+                    <span class="facet-group-label">${group.label}:</span>
+                    ${chips}
+                </div>
+            `;
+        }).join('');
+        
+        if (!groupsHTML.trim()) return '';
+        
+        const hasFilters = Object.values(filters).some(values => values.length > 0);
+        return `
+            <div class="facet-chips">
+                ${groupsHTML}
+                ${hasFilters ? `<button class="facet-chip facet-clear" data-facet="clear">✕ Clear filters</button>` : ''}
+            </div>
+        `;
+    }
+    
+    getSectionFilters(section) {
+        try {
+            return JSON.parse(decodeURIComponent(section.dataset.filters || '')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    handleFacetChipClick(chip) {
+        const section = chip.closest('.search-results-section');
+        if (!section) return;
+        
+        const query = section.dataset.searchQuery;
+        const filters = this.getSectionFilters(section);
+        
+        if (chip.dataset.facet === 'clear') {
+            this.loadFacetedResults(query, {});
+            return;
+        }
+        
+        // Toggle the value: values within a facet are alternatives, facets combine
+        const facet = chip.dataset.facet;
+        const value = JSON.parse(decodeURIComponent(chip.dataset.value));
+        const values = filters[facet] || [];
+        filters[facet] = values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+        if (filters[facet].length === 0) {
+            delete filters[facet];
+        }
+        
+        this.loadFacetedResults(query, filters);
+    }
+    
+    async loadFacetedResults(query, filters) {
+        this.showTypingIndicator();
+        
+        try {
+            // Narrows the stored result set on the server - no new Claude call
+            const response = await fetch('/api/chat/load-more', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    originalQuery: query,
+                    page: 0,
+                    sessionId: this.chatSessionId,
+                    filters
+                })
+            });
+            
+            const data = await response.json();
+            this.hideTypingIndicator();
+            
+            if (data.success && data.data) {
+                const total = data.data.resultCount;
+                const description = Object.keys(filters).length > 0
+                    ? `Narrowed "${this.escapeHtml(query)}" to ${total} photo${total === 1 ? '' : 's'}:`
+                    : `All results for "${this.escapeHtml(query)}":`;
+                
+                this.addConversationalSearchMessage({
+                    response: description,
+                    results: data.data.results,
+                    pagination: data.data.pagination,
+                    facets: data.data.facets,
+                    filters: data.data.filters,
+                    originalQuery: query
+                });
+            } else {
+                this.addMessage(data.error || 'Unable to filter these results.', 'assistant');
+            }
+        } catch (error) {
+            console.error('Error filtering results:', error);
+            this.hideTypingIndicator();
+            this.addMessage('Error filtering results. Please try again.', 'assistant');
+        }
+    }
+
     storePhotoData(photoId, photo) {
         if (!this.photoDataStore) {
             this.photoDataStore = new Map();
@@ -709,6 +1025,10 @@ class PhotoVision {
     }
 
     handleLoadMoreClick(button, query, page) {
+        // Keep any facet filters the results were narrowed by
+        const section = button.closest('.search-results-section');
+        const filters = section ? this.getSectionFilters(section) : {};
+        
         // Set loading state
         this.setLoadMoreLoadingState(button, true);
         
@@ -719,7 +1039,7 @@ class PhotoVision {
         this.showTypingIndicator();
         
         // Call the actual load more function
-        this.loadMoreResults(query, page);
+        this.loadMoreResults(query, page, filters);
     }
     
     setLoadMoreLoadingState(button, isLoading) {
@@ -757,16 +1077,18 @@ class PhotoVision {
         }
     }
 
-    async loadMoreResults(query, page) {
+    async loadMoreResults(query, page, filters = {}) {
         try {
-            const response = await fetch('/api/chat', {
+            const response = await fetch('/api/chat/load-more', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({ 
-                    message: query,
-                    page: page
+                    originalQuery: query,
+                    page: page,
+                    sessionId: this.chatSessionId,
+                    filters
                 }),
             });
 
@@ -781,7 +1103,8 @@ class PhotoVision {
                     response: `Here are more results for "${query}":`,
                     results: data.data.results,
                     pagination: data.data.pagination,
-                    originalQuery: query
+                    originalQuery: query,
+                    filters: data.data.filters
                 };
                 
                 this.addConversationalSearchMessage(moreResultsData);
@@ -888,6 +1211,29 @@ class PhotoVision {
     }
     */
 
+    // "peopleCount" -> "People count"
+    formatAttributeName(field) {
+        const words = field.replace(/_/g, ' ').replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
+    formatAttributeValue(value) {
+        if (Array.isArray(value)) return value.join(', ');
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+        return String(value);
+    }
+
+    // Summarize focal length, shutter speed, aperture and ISO, e.g. "200mm · 1/1000s · f/2.8 · ISO 400"
+    formatExposure(exif) {
+        if (!exif) return '';
+        return [
+            exif.focalLength ? `${exif.focalLength}mm` : null,
+            exif.exposure ? `${exif.exposure}s` : null,
+            exif.aperture ? `f/${exif.aperture}` : null,
+            exif.iso ? `ISO ${exif.iso}` : null
+        ].filter(Boolean).join(' · ');
+    }
+
     showMetadataModal(photoId) {
         const photo = this.photoDataStore?.get(photoId);
         if (!photo) {
@@ -932,6 +1278,44 @@ class PhotoVision {
                             </div>
                         </div>
 
+                        ${photo.captureDate || photo.exif || photo.gps ? `
+                            <div class="metadata-section">
+                                <h4>📷 Capture Details</h4>
+                                <div class="metadata-content">
+                                    ${photo.captureDate ? `
+                                        <div class="metadata-row">
+                                            <span class="metadata-label">Taken:</span>
+                                            <span class="metadata-value">${new Date(photo.captureDate).toLocaleString(undefined, { timeZone: 'UTC' })}</span>
+                                        </div>
+                                    ` : ''}
+                                    ${photo.exif?.camera ? `
+                                        <div class="metadata-row">
+                                            <span class="metadata-label">Camera:</span>
+                                            <span class="metadata-value">${photo.exif.camera}</span>
+                                        </div>
+                                    ` : ''}
+                                    ${photo.exif?.lens ? `
+                                        <div class="metadata-row">
+                                            <span class="metadata-label">Lens:</span>
+                                            <span class="metadata-value">${photo.exif.lens}</span>
+                                        </div>
+                                    ` : ''}
+                                    ${this.formatExposure(photo.exif) ? `
+                                        <div class="metadata-row">
+                                            <span class="metadata-label">Exposure:</span>
+                                            <span class="metadata-value">${this.formatExposure(photo.exif)}</span>
+                                        </div>
+                                    ` : ''}
+                                    ${photo.gps ? `
+                                        <div class="metadata-row">
+                                            <span class="metadata-label">Location:</span>
+                                            <span class="metadata-value">${photo.place ? `${photo.place.label} · ` : ''}${photo.gps.latitude.toFixed(5)}, ${photo.gps.longitude.toFixed(5)}</span>
+                                        </div>
+                                    ` : ''}
+                                </div>
+                            </div>
+                        ` : ''}
+
                         ${photo.description ? `
                             <div class="metadata-section">
                                 <h4>🤖 AI Analysis</h4>
@@ -958,6 +1342,35 @@ class PhotoVision {
                             </div>
                         ` : ''}
 
+                        ${photo.attributes && Object.keys(photo.attributes).length > 0 ? `
+                            <div class="metadata-section">
+                                <h4>📊 Analysis Fields</h4>
+                                <div class="metadata-content">
+                                    ${Object.entries(photo.attributes).map(([field, value]) => `
+                                        <div class="metadata-row">
+                                            <span class="metadata-label">${this.escapeHtml(this.formatAttributeName(field))}:</span>
+                                            <span class="metadata-value">${this.escapeHtml(this.formatAttributeValue(value))}</span>
+                                        </div>
+                                    `).join('')}
+                                </div>
+                            </div>
+                        ` : ''}
+
+                        ${photo.id ? `
+                            <div class="metadata-section analysis-versions" data-photo-id="${photo.id}">
+                                <h4>🔁 Analysis Versions</h4>
+                                <div class="metadata-content">
+                                    <div class="analysis-versions-loading">Loading versions...</div>
+                                </div>
+                            </div>
+                            <div class="metadata-section image-history" data-photo-id="${photo.id}">
+                                <h4>🕘 History</h4>
+                                <div class="metadata-content">
+                                    <div class="analysis-versions-loading">Loading history...</div>
+                                </div>
+                            </div>
+                        ` : ''}
+
                         ${photo.smugmugUrl || photo.albumKey ? `
                             <div class="metadata-section">
                                 <h4>🔗 SmugMug Information</h4>
@@ -1034,6 +1447,297 @@ class PhotoVision {
 
         // Add modal to page
         document.body.insertAdjacentHTML('beforeend', modalHTML);
+        
+        if (photo.id) {
+            this.loadAnalysisVersions(photoId, photo);
+            this.loadImageHistory(photoId, photo);
+        }
+    }
+
+    // Fill the metadata modal's history section, newest change first, with a revert action per entry
+    async loadImageHistory(photoId, photo) {
+        const container = document.querySelector(`.image-history[data-photo-id="${photo.id}"] .metadata-content`);
+        if (!container) return;
+        
+        try {
+            const data = await (await fetch(`/api/images/${encodeURIComponent(photo.id)}/history`)).json();
+            if (!data.success) {
+                throw new Error(data.error);
+            }
+            
+            const history = [...data.data.history].reverse();
+            if (history.length === 0) {
+                container.innerHTML = '<div class="analysis-versions-loading">No changes recorded yet.</div>';
+                return;
+            }
+            
+            container.innerHTML = `
+                <div class="image-history-list">
+                    ${history.map((entry, index) => `
+                        <div class="image-history-entry">
+                            <div class="image-history-summary">
+                                <span class="image-history-version">v${entry.version}</span>
+                                <span>${this.escapeHtml(entry.summary || entry.type)}</span>
+                                ${entry.imageId === photo.id && entry.snapshot && index > 0
+                                    ? `<button class="image-history-revert" data-version="${entry.version}">Revert to this</button>`
+                                    : ''}
+                            </div>
+                            <div class="image-history-meta">
+                                ${this.escapeHtml(entry.actor)} · ${new Date(entry.timestamp).toLocaleString()}
+                                ${entry.changes ? [
+                                    ...entry.changes.keywordsAdded.map(k => `<span class="keyword-added-text">+${this.escapeHtml(k)}</span>`),
+                                    ...entry.changes.keywordsRemoved.map(k => `<span class="keyword-removed-text">−${this.escapeHtml(k)}</span>`)
+                                ].join(' ') : ''}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+            
+            container.querySelectorAll('.image-history-revert').forEach(button => {
+                button.addEventListener('click', async () => {
+                    if (!confirm(`Restore the description, keywords and analysis fields this image had at version ${button.dataset.version}?`)) {
+                        return;
+                    }
+                    
+                    button.disabled = true;
+                    try {
+                        const response = await fetch(`/api/images/${encodeURIComponent(photo.id)}/history/${button.dataset.version}/revert`, { method: 'POST' });
+                        const result = await response.json();
+                        if (!result.success) {
+                            throw new Error(result.error);
+                        }
+                        this.refreshPhotoDetails(photoId, photo, result.data);
+                    } catch (error) {
+                        console.error('Error reverting image:', error);
+                        alert('Error reverting image: ' + error.message);
+                        button.disabled = false;
+                    }
+                });
+            });
+        } catch (error) {
+            console.error('Error loading image history:', error);
+            container.innerHTML = `<div class="analysis-versions-error">Could not load history: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    async loadModelOptions() {
+        if (this.availableModels) return this.availableModels;
+        
+        try {
+            const data = await (await fetch('/api/config/models')).json();
+            // Only models that can see images are offered for re-analysis
+            this.availableModels = data.success
+                ? data.data.availableModels.filter(model => !model.capabilities || model.capabilities.vision)
+                : [];
+        } catch (error) {
+            console.error('Error loading models:', error);
+            this.availableModels = [];
+        }
+        return this.availableModels;
+    }
+
+    // Fill the metadata modal's versions section: pick the version search uses, compare two, or re-analyze
+    async loadAnalysisVersions(photoId, photo) {
+        const container = document.querySelector(`.analysis-versions[data-photo-id="${photo.id}"] .metadata-content`);
+        if (!container) return;
+        
+        try {
+            const [response, models] = await Promise.all([
+                fetch(`/api/images/${encodeURIComponent(photo.id)}/analyses`),
+                this.loadModelOptions()
+            ]);
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error);
+            }
+            this.renderAnalysisVersions(container, photoId, photo, data.data, models);
+        } catch (error) {
+            console.error('Error loading analysis versions:', error);
+            container.innerHTML = `<div class="analysis-versions-error">Could not load analysis versions: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    renderAnalysisVersions(container, photoId, photo, { activeVersion, versions }, models) {
+        const label = (v) => `v${v.version} · ${v.model || 'unknown model'}`;
+        const versionOptions = (selected) => versions.map(v => `
+            <option value="${v.version}" ${v.version === selected ? 'selected' : ''}>${this.escapeHtml(label(v))}</option>
+        `).join('');
+        // Compare what search uses now against the newest alternative
+        const newestOther = [...versions].reverse().find(v => v.version !== activeVersion);
+        
+        container.innerHTML = `
+            <div class="analysis-version-list">
+                ${versions.map(v => `
+                    <div class="analysis-version-row${v.version === activeVersion ? ' active' : ''}">
+                        <span class="analysis-version-label">${this.escapeHtml(label(v))}</span>
+                        <span class="analysis-version-date">${v.timestamp ? new Date(v.timestamp).toLocaleString() : ''}</span>
+                        ${v.version === activeVersion
+                            ? '<span class="analysis-version-badge">Used for search</span>'
+                            : `<button class="analysis-version-activate" data-version="${v.version}">Use for search</button>`}
+                    </div>
+                `).join('')}
+            </div>
+            ${newestOther ? `
+                <div class="analysis-compare">
+                    <div class="analysis-compare-controls">
+                        <select class="analysis-compare-from">${versionOptions(activeVersion)}</select>
+                        <span>→</span>
+                        <select class="analysis-compare-to">${versionOptions(newestOther.version)}</select>
+                    </div>
+                    <div class="analysis-diff"></div>
+                </div>
+            ` : ''}
+            <div class="analysis-reanalyze">
+                <select class="analysis-reanalyze-model">
+                    ${models.map(model => `<option value="${this.escapeHtml(model.id)}">${this.escapeHtml(model.name || model.id)}</option>`).join('')}
+                </select>
+                <label class="analysis-reanalyze-activate-label">
+                    <input type="checkbox" class="analysis-reanalyze-activate"> Use for search
+                </label>
+                <button class="analysis-reanalyze-btn" ${models.length === 0 ? 'disabled' : ''}>Re-analyze</button>
+                <div class="analysis-reanalyze-status"></div>
+            </div>
+        `;
+        
+        const fromSelect = container.querySelector('.analysis-compare-from');
+        const toSelect = container.querySelector('.analysis-compare-to');
+        if (fromSelect && toSelect) {
+            const showDiff = () => {
+                const from = versions.find(v => v.version === Number(fromSelect.value));
+                const to = versions.find(v => v.version === Number(toSelect.value));
+                container.querySelector('.analysis-diff').innerHTML = this.renderAnalysisDiff(from, to);
+            };
+            fromSelect.addEventListener('change', showDiff);
+            toSelect.addEventListener('change', showDiff);
+            showDiff();
+        }
+        
+        container.querySelectorAll('.analysis-version-activate').forEach(button => {
+            button.addEventListener('click', async () => {
+                button.disabled = true;
+                try {
+                    const response = await fetch(`/api/images/${encodeURIComponent(photo.id)}/analyses/active`, {
+                        method: 'PUT',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ version: Number(button.dataset.version) })
+                    });
+                    const data = await response.json();
+                    if (!data.success) {
+                        throw new Error(data.error);
+                    }
+                    this.applyActiveAnalysis(photoId, photo, versions.find(v => v.version === data.data.activeVersion));
+                } catch (error) {
+                    console.error('Error changing active analysis:', error);
+                    alert('Error changing active analysis: ' + error.message);
+                    button.disabled = false;
+                }
+            });
+        });
+        
+        const reanalyzeBtn = container.querySelector('.analysis-reanalyze-btn');
+        reanalyzeBtn.addEventListener('click', async () => {
+            const model = container.querySelector('.analysis-reanalyze-model').value;
+            const activate = container.querySelector('.analysis-reanalyze-activate').checked;
+            const status = container.querySelector('.analysis-reanalyze-status');
+            
+            reanalyzeBtn.disabled = true;
+            status.textContent = `Analyzing with ${model}...`;
+            try {
+                const response = await fetch(`/api/images/${encodeURIComponent(photo.id)}/reanalyze`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ model, activate })
+                });
+                const data = await response.json();
+                if (!data.success) {
+                    throw new Error(data.error);
+                }
+                
+                if (activate) {
+                    this.applyActiveAnalysis(photoId, photo, data.data.version);
+                } else {
+                    this.loadAnalysisVersions(photoId, photo);
+                }
+            } catch (error) {
+                console.error('Error re-analyzing image:', error);
+                status.textContent = error.message;
+                reanalyzeBtn.disabled = false;
+            }
+        });
+    }
+
+    // Show the newly active analysis in the open modal and in cached results
+    applyActiveAnalysis(photoId, photo, version) {
+        this.refreshPhotoDetails(photoId, photo, {
+            description: version.description,
+            keywords: version.keywords,
+            attributes: version.attributes,
+            activeAnalysisVersion: version.version,
+            metadata: { ...photo.metadata, model: version.model, timestamp: version.timestamp }
+        });
+    }
+
+    refreshPhotoDetails(photoId, photo, fields) {
+        Object.assign(photo, fields);
+        document.querySelector('.metadata-modal')?.remove();
+        this.showMetadataModal(photoId);
+    }
+
+    // Word-level diff of two descriptions plus added and removed keywords
+    renderAnalysisDiff(from, to) {
+        if (!from || !to) return '';
+        
+        const description = this.diffWords(from.description, to.description).map(part => {
+            const text = this.escapeHtml(part.text);
+            if (part.type === 'added') return `<ins>${text}</ins>`;
+            if (part.type === 'removed') return `<del>${text}</del>`;
+            return text;
+        }).join(' ');
+        
+        const fromKeywords = new Set((from.keywords || []).map(k => k.toLowerCase()));
+        const toKeywords = new Set((to.keywords || []).map(k => k.toLowerCase()));
+        const keywordTags = [
+            ...(to.keywords || []).map(k => `<span class="keyword-tag${fromKeywords.has(k.toLowerCase()) ? '' : ' keyword-added'}">${this.escapeHtml(k)}</span>`),
+            ...(from.keywords || []).filter(k => !toKeywords.has(k.toLowerCase()))
+                .map(k => `<span class="keyword-tag keyword-removed">${this.escapeHtml(k)}</span>`)
+        ].join('');
+        
+        return `
+            <div class="analysis-diff-description">${description}</div>
+            <div class="keywords-list analysis-diff-keywords">${keywordTags}</div>
+        `;
+    }
+
+    // Longest-common-subsequence diff over words; each part is {type: 'same'|'added'|'removed', text}
+    diffWords(before, after) {
+        const a = (before || '').split(/\s+/).filter(Boolean);
+        const b = (after || '').split(/\s+/).filter(Boolean);
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+        
+        const parts = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                parts.push({ type: 'same', text: a[i++] });
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                parts.push({ type: 'removed', text: a[i++] });
+            } else {
+                parts.push({ type: 'added', text: b[j++] });
+            }
+        }
+        while (i < a.length) parts.push({ type: 'removed', text: a[i++] });
+        while (j < b.length) parts.push({ type: 'added', text: b[j++] });
+        
+        return parts;
     }
 
     addLightboxHandlers(contentDiv, results) {
@@ -1096,6 +1800,11 @@ class PhotoVision {
                                         <div class="slide-metadata-header">
                                             <div class="slide-metadata-title">${result.originalFilename || result.filename || 'Image'}</div>
                                             <div class="slide-metadata-counter">${index + 1} / ${validResults.length}</div>
+                                            ${result.id ? `
+                                                <button class="similar-photos-btn" data-image-id="${result.id}" title="Find photos like this one">
+                                                    🔍 Similar
+                                                </button>
+                                            ` : ''}
                                         </div>
                                         <div class="slide-metadata-content">
                                             ${this.generateMetadataHTML(result)}
@@ -1168,6 +1877,14 @@ class PhotoVision {
             });
         }
         
+        // Similar photos buttons
+        lightbox.querySelectorAll('.similar-photos-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const title = btn.closest('.slide-metadata-header').querySelector('.slide-metadata-title').textContent;
+                this.showSimilarPhotos(btn.dataset.imageId, title);
+            });
+        });
+        
         // Overlay click
         overlay.addEventListener('click', () => {
             this.closeLightbox();
@@ -1178,11 +1895,42 @@ class PhotoVision {
             if (e.key === 'Escape') {
                 this.closeLightbox();
             }
-        };
-        document.addEventListener('keydown', escapeHandler);
-        
-        // Store escape handler for cleanup (as a property, not dataset)
-        this.currentLightboxEscapeHandler = escapeHandler;
+        };
+        document.addEventListener('keydown', escapeHandler);
+        
+        // Store escape handler for cleanup (as a property, not dataset)
+        this.currentLightboxEscapeHandler = escapeHandler;
+    }
+
+    async showSimilarPhotos(imageId, label) {
+        this.closeLightbox();
+        this.setActiveTab('chat');
+        this.addMessage(`Find photos similar to ${label}`, 'user');
+        this.showTypingIndicator();
+        
+        try {
+            const response = await fetch(`/api/images/${encodeURIComponent(imageId)}/similar?limit=20`);
+            const data = await response.json();
+            
+            this.hideTypingIndicator();
+            
+            if (data.success && data.data) {
+                const results = data.data.results;
+                const safeLabel = this.escapeHtml(label);
+                this.addConversationalSearchMessage({
+                    response: results.length > 0
+                        ? `Here are ${results.length} photos similar to ${safeLabel}.`
+                        : `I couldn't find any photos similar to ${safeLabel}.`,
+                    results
+                });
+            } else {
+                this.addMessage(data.error || 'Sorry, I could not find similar photos.', 'assistant');
+            }
+        } catch (error) {
+            console.error('Error finding similar photos:', error);
+            this.hideTypingIndicator();
+            this.addMessage('Error: Unable to find similar photos. Please try again.', 'assistant');
+        }
     }
 
     closeLightbox() {
@@ -1328,6 +2076,15 @@ class PhotoVision {
                     <button class="start-batch-btn btn btn-primary" ${unprocessedImages.length === 0 ? 'disabled' : ''}>
                         <span class="btn-icon">▶</span> Start Batch Processing
                     </button>
+                    ${processedCount > 0 ? `
+                        <div class="batch-control-group reanalyze-control-group">
+                            <label>Re-analyze with:</label>
+                            <select class="reanalyze-model-select"></select>
+                        </div>
+                        <button class="reanalyze-album-btn btn btn-secondary" disabled>
+                            <span class="btn-icon">🔁</span> Re-analyze ${processedCount} Processed
+                        </button>
+                    ` : ''}
                     ${processedCount > 0 ? `
                         <button class="delete-processed-btn btn btn-danger" data-album-key="${albumKey}" data-album-name="${albumName}" data-processed-count="${processedCount}">
                             <svg class="btn-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -1511,6 +2268,26 @@ class PhotoVision {
             });
         }
         
+        // Re-analyze processed images with another model (earlier analyses are kept as versions)
+        const reanalyzeAlbumBtn = lightbox.querySelector('.reanalyze-album-btn');
+        if (reanalyzeAlbumBtn) {
+            const modelSelect = lightbox.querySelector('.reanalyze-model-select');
+            this.loadModelOptions().then(models => {
+                modelSelect.innerHTML = models.map(model => `<option value="${this.escapeHtml(model.id)}">${this.escapeHtml(model.name || model.id)}</option>`).join('');
+                reanalyzeAlbumBtn.disabled = models.length === 0;
+            });
+            
+            reanalyzeAlbumBtn.addEventListener('click', async () => {
+                const model = modelSelect.value;
+                if (!confirm(`Re-analyze ${processedCount} processed image${processedCount > 1 ? 's' : ''} in "${albumName}" with ${model}?\n\nThe current analyses are kept, and you can choose which version search uses from each image's details.`)) {
+                    return;
+                }
+                
+                this.closeLightbox();
+                await this.startAlbumReanalysis(albumKey, albumName, model);
+            });
+        }
+        
         // Delete processed images button
         const deleteProcessedBtn = lightbox.querySelector('.delete-processed-btn');
         if (deleteProcessedBtn) {
@@ -1924,6 +2701,141 @@ class PhotoVision {
         
         // Initialize analysis status indicator
         this.initializeAnalysisStatus();
+        
+        this.setupUsageDashboard();
+    }
+    
+    setupUsageDashboard() {
+        const periodSelect = document.getElementById('usagePeriod');
+        if (!periodSelect) return;
+        
+        periodSelect.addEventListener('change', () => this.loadUsageSummary());
+        
+        const savePricingBtn = document.getElementById('saveUsagePricing');
+        if (savePricingBtn) {
+            savePricingBtn.addEventListener('click', () => this.saveUsagePricing());
+        }
+    }
+    
+    // Token totals and estimated cost for the selected period, with breakdowns by feature, model and day
+    async loadUsageSummary() {
+        const periodSelect = document.getElementById('usagePeriod');
+        const totalsContainer = document.getElementById('usageTotals');
+        if (!periodSelect || !totalsContainer) return;
+        
+        try {
+            const query = periodSelect.value ? `?days=${periodSelect.value}` : '';
+            const data = await (await fetch(`/api/usage${query}`)).json();
+            if (!data.success) {
+                throw new Error(data.error);
+            }
+            
+            const summary = data.data;
+            const formatTokens = count => count.toLocaleString();
+            const formatCost = cost => `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+            
+            totalsContainer.innerHTML = [
+                [formatCost(summary.totals.estimatedCost), 'Estimated cost'],
+                [formatTokens(summary.totals.inputTokens), 'Input tokens'],
+                [formatTokens(summary.totals.outputTokens), 'Output tokens'],
+                [formatTokens(summary.totals.calls), 'Model calls']
+            ].map(([value, label]) => `
+                <div class="usage-total">
+                    <div class="usage-total-value">${value}</div>
+                    <div class="usage-total-label">${label}</div>
+                </div>
+            `).join('') + (summary.unpricedModels.length > 0
+                ? `<p class="usage-note">No price set for ${summary.unpricedModels.map(model => this.escapeHtml(model)).join(', ')}; their tokens are not in the cost estimate.</p>`
+                : '');
+            
+            const FEATURE_LABELS = {
+                batch_analysis: 'Batch analysis',
+                reanalysis: 'Re-analysis',
+                chat: 'Chat',
+                vision_verification: 'Vision verification',
+                analyze: 'Single image analysis',
+                test_analyze: 'Test analysis',
+                connection_test: 'Connection tests'
+            };
+            const renderTable = (rows, heading) => rows.length === 0
+                ? '<p class="usage-note">No usage recorded.</p>'
+                : `
+                    <table class="usage-table">
+                        <thead><tr><th>${heading}</th><th>Calls</th><th>Input</th><th>Output</th><th>Cost</th></tr></thead>
+                        <tbody>
+                            ${rows.map(([label, totals]) => `
+                                <tr>
+                                    <td>${this.escapeHtml(label)}</td>
+                                    <td>${formatTokens(totals.calls)}</td>
+                                    <td>${formatTokens(totals.inputTokens)}</td>
+                                    <td>${formatTokens(totals.outputTokens)}</td>
+                                    <td>${formatCost(totals.estimatedCost)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `;
+            
+            document.getElementById('usageByFeature').innerHTML = renderTable(
+                Object.entries(summary.byFeature).map(([feature, totals]) => [FEATURE_LABELS[feature] || feature, totals]), 'Feature');
+            document.getElementById('usageByModel').innerHTML = renderTable(Object.entries(summary.byModel), 'Model');
+            document.getElementById('usageByDay').innerHTML = renderTable(
+                summary.byDay.slice().reverse().map(day => [day.date, day]), 'Day (UTC)');
+            
+            this.renderUsagePricing(summary.pricing, Object.keys(summary.byModel));
+        } catch (error) {
+            console.error('Error loading usage summary:', error);
+            totalsContainer.innerHTML = `<p class="usage-note">Could not load usage: ${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+    
+    // Editable prices for every priced model plus any model that has been used without a price
+    renderUsagePricing(pricing, usedModels) {
+        const container = document.getElementById('usagePricingTable');
+        if (!container) return;
+        
+        const models = [...new Set([...Object.keys(pricing), ...usedModels])].sort();
+        container.innerHTML = `
+            <table class="usage-table">
+                <thead><tr><th>Model</th><th>Input</th><th>Output</th></tr></thead>
+                <tbody>
+                    ${models.map(model => `
+                        <tr data-pricing-model="${this.escapeHtml(model)}">
+                            <td>${this.escapeHtml(model)}</td>
+                            <td><input type="number" min="0" step="0.01" data-price="input" value="${pricing[model] ? pricing[model].input : ''}"></td>
+                            <td><input type="number" min="0" step="0.01" data-price="output" value="${pricing[model] ? pricing[model].output : ''}"></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+    
+    async saveUsagePricing() {
+        const pricing = {};
+        document.querySelectorAll('#usagePricingTable [data-pricing-model]').forEach(row => {
+            const input = row.querySelector('[data-price="input"]').value;
+            const output = row.querySelector('[data-price="output"]').value;
+            // Rows left blank stay unpriced
+            if (input !== '' && output !== '') {
+                pricing[row.dataset.pricingModel] = { input: parseFloat(input), output: parseFloat(output) };
+            }
+        });
+        
+        try {
+            const data = await (await fetch('/api/config/pricing', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ pricing })
+            })).json();
+            if (!data.success) {
+                throw new Error(data.error);
+            }
+            await this.loadUsageSummary();
+        } catch (error) {
+            console.error('Error saving model pricing:', error);
+            alert('Error saving model prices: ' + error.message);
+        }
     }
     
     async initializeAnalysisStatus() {
@@ -2031,7 +2943,8 @@ class PhotoVision {
         this.updateLastChecked();
         await Promise.all([
             this.checkClaudeStatus(),
-            this.checkSmugMugStatus()
+            this.checkSmugMugStatus(),
+            this.loadUsageSummary()
         ]);
     }
 
@@ -2524,6 +3437,9 @@ class PhotoVision {
         this.albumsData = albums;
         this.filteredAlbums = [...albums];
         
+        // Template choices for the per-album template pickers
+        await this.loadAnalysisTemplateOptions();
+        
         // Setup filter event listeners
         this.setupAlbumFilters();
         
@@ -2534,6 +3450,91 @@ class PhotoVision {
         this.initializeAlbumStatusObserver();
     }
     
+    async loadAnalysisTemplateOptions() {
+        try {
+            const response = await fetch('/api/admin/image-analysis-templates');
+            const data = await response.json();
+            
+            if (data.success) {
+                this.analysisTemplates = Object.values(data.data);
+            }
+        } catch (error) {
+            console.error('Error loading analysis templates for albums:', error);
+        }
+    }
+    
+    // Template picker for an album card; the "inherit" option names the template the album currently gets
+    renderAlbumTemplatePicker(album) {
+        const current = album.AnalysisTemplate;
+        if (!current || !this.analysisTemplates) return '';
+        
+        const sourceLabels = {
+            folder: `from ${current.sourcePath}`,
+            global: 'global setting',
+            none: 'no custom context'
+        };
+        const inheritLabel = current.source === 'album'
+            ? 'Inherit from folder or global setting'
+            : `Inherit: ${current.name} (${sourceLabels[current.source]})`;
+        
+        const options = this.analysisTemplates.map(template => `
+            <option value="${this.escapeHtml(template.id)}" ${current.source === 'album' && current.id === template.id ? 'selected' : ''}>
+                ${this.escapeHtml(template.name)}
+            </option>
+        `).join('');
+        
+        return `
+            <div class="metadata-item album-template" title="Analysis template used when this album is processed">
+                <span class="metadata-label">📝</span>
+                <select class="album-template-select" data-album-key="${album.AlbumKey}">
+                    <option value="">${this.escapeHtml(inheritLabel)}</option>
+                    ${options}
+                </select>
+            </div>
+        `;
+    }
+    
+    bindAlbumTemplatePicker(select) {
+        // Keep clicks on the picker from opening the album preview
+        select.closest('.album-template').addEventListener('click', (e) => e.stopPropagation());
+        
+        select.addEventListener('change', async () => {
+            const albumKey = select.dataset.albumKey;
+            const album = this.albumsData.find(a => a.AlbumKey === albumKey);
+            if (!album) return;
+            
+            select.disabled = true;
+            try {
+                const response = await fetch('/api/admin/template-assignments', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ albumKey, templateId: select.value || null })
+                });
+                const data = await response.json();
+                if (!data.success) {
+                    throw new Error(data.error);
+                }
+                
+                // Refresh the inherit label, which depends on folder assignments above the album
+                const path = encodeURIComponent((album.PathHierarchy || []).join(' > '));
+                const resolved = await (await fetch(`/api/admin/template-assignments/resolve?albumKey=${encodeURIComponent(albumKey)}&path=${path}`)).json();
+                if (resolved.success) {
+                    const { templateId, name, source, sourcePath } = resolved.data;
+                    album.AnalysisTemplate = { id: templateId, name, source, sourcePath };
+                    
+                    const wrapper = select.closest('.album-template');
+                    wrapper.outerHTML = this.renderAlbumTemplatePicker(album);
+                    const newSelect = document.querySelector(`.album-template-select[data-album-key="${albumKey}"]`);
+                    if (newSelect) this.bindAlbumTemplatePicker(newSelect);
+                }
+            } catch (error) {
+                console.error('Error assigning album template:', error);
+                alert('Error assigning template: ' + error.message);
+                select.disabled = false;
+            }
+        });
+    }
+    
     initializeAlbumStatusObserver() {
         // Clean up existing observer if it exists
         if (this.albumStatusObserver) {
@@ -2576,7 +3577,8 @@ class PhotoVision {
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // Quotes too, so the result is also safe inside attribute values
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     async loadAlbumProcessingStatus(albumKey) {
@@ -3031,6 +4033,39 @@ class PhotoVision {
         }
     }
     
+    async startAlbumReanalysis(albumKey, albumName, model) {
+        const selectedAlbum = this.albumsData.find(a => a.AlbumKey === albumKey);
+        
+        try {
+            const response = await fetch('/api/batch/reanalyze', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ albumKey, model })
+            });
+            const data = await response.json();
+            
+            if (data.success) {
+                this.addMessage(`Re-analysis started! Analyzing ${data.data.jobCount} images with ${model}.`, 'assistant');
+                
+                this.showBatchProgress();
+                this.createBatchCard(data.data.batchId, {
+                    name: `Re-analyze ${albumName}`,
+                    albumKey: albumKey,
+                    albumName: albumName,
+                    albumHierarchy: selectedAlbum?.PathHierarchy || [],
+                    total: data.data.jobCount
+                });
+                this.updateBatchControls('processing');
+                this.startProgressMonitoring();
+            } else {
+                this.addMessage(`Failed to start re-analysis: ${data.error}`, 'assistant');
+            }
+        } catch (error) {
+            console.error('Error starting album re-analysis:', error);
+            this.addMessage('Error starting re-analysis. Please try again.', 'assistant');
+        }
+    }
+    
     async handleDeleteAlbumProcessedImages(albumKey, albumName, processedCount) {
         // First confirmation
         const firstConfirm = confirm(
@@ -3288,8 +4323,9 @@ class PhotoVision {
             const data = await response.json();
 
             if (data.success) {
-                this.addMessage(`Retrying ${data.data.retriedJobs || 0} failed jobs.`, 'assistant');
-                if (data.data.retriedJobs > 0) {
+                const skipped = data.data.skipped ? ` ${data.data.skipped} failed permanently and were skipped.` : '';
+                this.addMessage(`Retrying ${data.data.count || 0} failed jobs.${skipped}`, 'assistant');
+                if (data.data.count > 0) {
                     this.updateBatchControls('processing');
                 }
             } else {
@@ -3373,6 +4409,19 @@ class PhotoVision {
         container.appendChild(card);
     }
     
+    /**
+     * Readable label for a failed job's error category
+     * @param {string} category - Category from the job queue (e.g. malformed_response)
+     * @returns {string} Label
+     */
+    formatFailureCategory(category) {
+        const labels = {
+            malformed_response: 'unreadable AI reply',
+            processing_error: 'processing error'
+        };
+        return labels[category] || (category || 'error').replace(/_/g, ' ');
+    }
+
     updateBatchCard(batchId, status) {
         const card = document.querySelector(`[data-batch-id="${batchId}"]`);
         if (!card) return;
@@ -3398,9 +4447,24 @@ class PhotoVision {
         if (progressText) {
             progressText.textContent = `${status.processed}/${status.total} (${percentage}%)`;
             if (status.failed > 0) {
-                progressText.innerHTML += `<span class="failed-count">${status.failed} failed</span>`;
+                let categories = Object.entries(status.failureCategories || {})
+                    .map(([category, count]) => `${count} ${this.formatFailureCategory(category)}`)
+                    .join(', ');
+                // Permanent failures (invalid image, auth, content policy) are left out of retries
+                const permanentFailures = status.failed - (status.retryableFailures || 0);
+                if (permanentFailures > 0) {
+                    categories += ` (${permanentFailures} will not be retried)`;
+                }
+                progressText.innerHTML += `<span class="failed-count" title="${this.escapeHtml(categories)}">${status.failed} failed</span>`;
+                if (status.failureCategories && status.failureCategories.malformed_response) {
+                    progressText.innerHTML += `<span class="failed-category">${status.failureCategories.malformed_response} unreadable ${status.failureCategories.malformed_response === 1 ? 'reply' : 'replies'}</span>`;
+                }
                 card.classList.add('has-failures');
             }
+            if (status.usage && (status.usage.inputTokens || status.usage.outputTokens)) {
+                const totalTokens = status.usage.inputTokens + status.usage.outputTokens;
+                progressText.innerHTML += `<span class="batch-tokens" title="${status.usage.inputTokens.toLocaleString()} input, ${status.usage.outputTokens.toLocaleString()} output">${totalTokens.toLocaleString()} tokens</span>`;
+            }
         }
         
         // Update status
@@ -3412,7 +4476,9 @@ class PhotoVision {
                 statusElement.classList.add('completed');
                 this.scheduleBatchCardRemoval(batchId);
             } else if (status.isPaused) {
-                statusElement.textContent = 'PAUSED';
+                // Batches restored after a server restart resume from their first unfinished image
+                statusElement.textContent = status.interrupted ? 'INTERRUPTED' : 'PAUSED';
+                statusElement.title = status.interrupted ? 'Stopped by a server restart - resume to continue where it left off' : '';
                 statusElement.classList.add('paused');
             } else if (status.isProcessing) {
                 statusElement.textContent = 'PROCESSING';
@@ -3429,6 +4495,11 @@ class PhotoVision {
             let fileText = '';
             if (status.currentJob.imageName) {
                 fileText = `Processing: ${status.currentJob.imageName}`;
+                // Batches with several workers have more than one image in flight
+                const otherActiveJobs = (status.activeJobs || []).filter(job => job.id !== status.currentJob.id).length;
+                if (otherActiveJobs > 0) {
+                    fileText += ` (+${otherActiveJobs} more)`;
+                }
             } else if (status.currentJob.albumHierarchy) {
                 fileText = `Album: ${status.currentJob.albumHierarchy.join(' > ')}`;
             }
@@ -3872,7 +4943,7 @@ class PhotoVision {
             failedList.innerHTML = status.failedJobs.map(job => `
                 <div class="failed-job">
                     <span class="job-name">${job.imageName || job.id}</span>
-                    <span class="job-error">${job.error || 'Unknown error'}</span>
+                    <span class="job-error">${job.error ? `${this.formatFailureCategory(job.error.category)}: ${this.escapeHtml(job.error.message)}` : 'Unknown error'}</span>
                 </div>
             `).join('');
         } else if (failedJobs) {
@@ -4175,6 +5246,7 @@ class PhotoVision {
                                     <span class="metadata-value">${this.formatDate(album.Date)}</span>
                                 </div>
                             ` : ''}
+                            ${this.renderAlbumTemplatePicker(album)}
                         </div>
                         
                         <div class="album-processing-status" id="processing-status-${album.AlbumKey}">
@@ -4197,6 +5269,9 @@ class PhotoVision {
                 await this.previewAlbumImages(albumKey, albumName);
             });
         });
+                albumsList.querySelectorAll('.album-template-select').forEach(select => {
+            this.bindAlbumTemplatePicker(select);
+        });
         
         
         // Load processing status for filtered albums
@@ -4866,6 +5941,15 @@ class PhotoVision {
                 this.searchOptions.semanticExpansion = true;
                 this.searchOptions.partialMatches = true;
                 break;
+            case 'semantic':
+                // Ranked by embedding similarity; keyword options only apply if the model is unavailable
+                this.searchOptions.semanticExpansion = true;
+                this.searchOptions.partialMatches = false;
+                break;
+            case 'hybrid':
+                this.searchOptions.semanticExpansion = true;
+                this.searchOptions.partialMatches = false;
+                break;
             case 'custom':
                 // Keep current settings
                 break;
@@ -5611,65 +6695,414 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
     
-    // Image Analysis Configuration functionality
-    const enableCustomAnalysis = document.getElementById('enableCustomAnalysis');
-    const analysisTemplate = document.getElementById('analysisTemplate');
-    const preContextInput = document.getElementById('preContextInput');
-    const contextCharCount = document.getElementById('contextCharCount');
-    const previewAccordionBtn = document.getElementById('previewAccordionBtn');
-    const previewAccordionContent = document.getElementById('previewAccordionContent');
-    const previewContent = document.getElementById('previewAccordionContent');
-    const generatePreviewBtn = document.getElementById('generatePreview');
-    const saveAnalysisConfigBtn = document.getElementById('saveAnalysisConfig');
-    const resetAnalysisConfigBtn = document.getElementById('resetAnalysisConfig');
+    // Image Analysis Configuration functionality
+    const enableCustomAnalysis = document.getElementById('enableCustomAnalysis');
+    const analysisTemplate = document.getElementById('analysisTemplate');
+    const preContextInput = document.getElementById('preContextInput');
+    const contextCharCount = document.getElementById('contextCharCount');
+    const previewAccordionBtn = document.getElementById('previewAccordionBtn');
+    const previewAccordionContent = document.getElementById('previewAccordionContent');
+    const previewContent = document.getElementById('previewAccordionContent');
+    const generatePreviewBtn = document.getElementById('generatePreview');
+    const saveAnalysisConfigBtn = document.getElementById('saveAnalysisConfig');
+    const resetAnalysisConfigBtn = document.getElementById('resetAnalysisConfig');
+    
+    // Load current configuration
+    async function loadAnalysisConfig() {
+        try {
+            const response = await fetch('/api/admin/image-analysis-config');
+            const data = await response.json();
+            
+            if (data.success) {
+                const config = data.data;
+                
+                // Update UI with current config
+                enableCustomAnalysis.checked = config.enabled;
+                preContextInput.value = config.preContext || '';
+                updateCharCount();
+                updateImageAnalysisToggle();
+                updatePreviewContent();
+                
+                // Update template selection
+                if (config.template) {
+                    analysisTemplate.value = config.template;
+                    updateTemplateButtons();
+                }
+            }
+        } catch (error) {
+            console.error('Error loading analysis config:', error);
+        }
+    }
+    
+    // Load available templates
+    let templatesById = {};
+    
+    async function loadTemplates(selectedId = analysisTemplate.value) {
+        try {
+            const response = await fetch('/api/admin/image-analysis-templates');
+            const data = await response.json();
+            
+            if (data.success) {
+                templatesById = data.data;
+                // Start with custom user input option
+                analysisTemplate.innerHTML = '<option value="">Custom user input (use text area below)</option>';
+                
+                const groups = [
+                    ['Built-in templates', Object.values(templatesById).filter(template => template.builtIn)],
+                    ['Your templates', Object.values(templatesById).filter(template => !template.builtIn)]
+                ];
+                
+                groups.forEach(([label, templates]) => {
+                    if (templates.length === 0) return;
+                    
+                    const group = document.createElement('optgroup');
+                    group.label = label;
+                    templates.forEach(template => {
+                        const option = document.createElement('option');
+                        option.value = template.id;
+                        option.textContent = template.description ? `${template.name} - ${template.description}` : template.name;
+                        group.appendChild(option);
+                    });
+                    analysisTemplate.appendChild(group);
+                });
+                
+                analysisTemplate.value = templatesById[selectedId] ? selectedId : '';
+                updateTemplateButtons();
+                renderFolderTemplateOptions();
+                loadFolderAssignments();
+            }
+        } catch (error) {
+            console.error('Error loading templates:', error);
+        }
+    }
+    
+    // === FOLDER TEMPLATE ASSIGNMENTS ===
+    
+    const folderAssignmentList = document.getElementById('folderAssignmentList');
+    const folderPathInput = document.getElementById('folderPathInput');
+    const folderTemplateSelect = document.getElementById('folderTemplateSelect');
+    const assignFolderTemplateBtn = document.getElementById('assignFolderTemplateBtn');
+    const escapeTemplateHtml = (text) => window.photoVision.escapeHtml(text);
+    
+    function renderFolderTemplateOptions() {
+        if (!folderTemplateSelect) return;
+        
+        folderTemplateSelect.innerHTML = Object.values(templatesById)
+            .map(template => `<option value="${escapeTemplateHtml(template.id)}">${escapeTemplateHtml(template.name)}</option>`)
+            .join('');
+    }
+    
+    async function saveFolderAssignment(folderPath, templateId) {
+        const response = await fetch('/api/admin/template-assignments', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ folderPath, templateId })
+        });
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+        renderFolderAssignments(data.data.folders);
+    }
+    
+    function renderFolderAssignments(folders) {
+        const entries = Object.entries(folders || {});
+        if (entries.length === 0) {
+            folderAssignmentList.innerHTML = '<p class="input-help">No folder templates assigned.</p>';
+            return;
+        }
+        
+        folderAssignmentList.innerHTML = entries.map(([folderPath, templateId]) => `
+            <div class="folder-assignment" data-folder-path="${escapeTemplateHtml(folderPath)}">
+                <span class="folder-assignment-path">📁 ${escapeTemplateHtml(folderPath)}</span>
+                <span class="folder-assignment-template">${escapeTemplateHtml(templatesById[templateId] ? templatesById[templateId].name : templateId)}</span>
+                <button class="btn btn-secondary btn-sm folder-assignment-remove">Remove</button>
+            </div>
+        `).join('');
+    }
+    
+    async function loadFolderAssignments() {
+        if (!folderAssignmentList) return;
+        
+        try {
+            const response = await fetch('/api/admin/template-assignments');
+            const data = await response.json();
+            
+            if (data.success) {
+                renderFolderAssignments(data.data.folders);
+            }
+        } catch (error) {
+            console.error('Error loading template assignments:', error);
+        }
+    }
+    
+    if (folderAssignmentList) {
+        assignFolderTemplateBtn.addEventListener('click', async () => {
+            const folderPath = folderPathInput.value.trim();
+            if (!folderPath) {
+                folderPathInput.focus();
+                return;
+            }
+            
+            try {
+                await saveFolderAssignment(folderPath, folderTemplateSelect.value);
+                folderPathInput.value = '';
+            } catch (error) {
+                console.error('Error assigning folder template:', error);
+                alert('Error assigning template: ' + error.message);
+            }
+        });
+        
+        folderAssignmentList.addEventListener('click', async (event) => {
+            const removeBtn = event.target.closest('.folder-assignment-remove');
+            if (!removeBtn) return;
+            
+            try {
+                await saveFolderAssignment(removeBtn.closest('.folder-assignment').dataset.folderPath, null);
+            } catch (error) {
+                console.error('Error removing folder template:', error);
+                alert('Error removing template: ' + error.message);
+            }
+        });
+    }
+    
+    // === STRUCTURED OUTPUT SCHEMA ===
+    
+    const outputSchemaInput = document.getElementById('outputSchemaInput');
+    const outputSchemaError = document.getElementById('outputSchemaError');
+    const saveOutputSchemaBtn = document.getElementById('saveOutputSchemaBtn');
+    
+    async function loadOutputSchema() {
+        try {
+            const response = await fetch('/api/admin/analysis-output-schema');
+            const data = await response.json();
+            
+            if (data.success) {
+                outputSchemaInput.value = data.data ? JSON.stringify(data.data, null, 2) : '';
+            }
+        } catch (error) {
+            console.error('Error loading output schema:', error);
+        }
+    }
+    
+    if (outputSchemaInput) {
+        saveOutputSchemaBtn.addEventListener('click', async () => {
+            let schema = null;
+            if (outputSchemaInput.value.trim()) {
+                try {
+                    schema = JSON.parse(outputSchemaInput.value);
+                } catch (error) {
+                    outputSchemaError.textContent = `Output fields are not valid JSON: ${error.message}`;
+                    return;
+                }
+            }
+            
+            try {
+                const response = await fetch('/api/admin/analysis-output-schema', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ schema })
+                });
+                const data = await response.json();
+                
+                if (data.success) {
+                    outputSchemaError.textContent = '';
+                    outputSchemaInput.value = data.data ? JSON.stringify(data.data, null, 2) : '';
+                    alert(data.message);
+                } else {
+                    outputSchemaError.textContent = data.details ? data.details.join('. ') : data.error;
+                }
+            } catch (error) {
+                console.error('Error saving output schema:', error);
+                outputSchemaError.textContent = 'Error saving output fields. Please try again.';
+            }
+        });
+        
+        loadOutputSchema();
+    }
+    
+    // === TEMPLATE MANAGEMENT ===
     
-    // Load current configuration
-    async function loadAnalysisConfig() {
+    const newTemplateBtn = document.getElementById('newTemplateBtn');
+    const editTemplateBtn = document.getElementById('editTemplateBtn');
+    const duplicateTemplateBtn = document.getElementById('duplicateTemplateBtn');
+    const deleteTemplateBtn = document.getElementById('deleteTemplateBtn');
+    const templateForm = document.getElementById('templateForm');
+    const templateFormTitle = document.getElementById('templateFormTitle');
+    const templateNameInput = document.getElementById('templateNameInput');
+    const templateDescriptionInput = document.getElementById('templateDescriptionInput');
+    const templateModelSelect = document.getElementById('templateModelSelect');
+    const templatePreContextInput = document.getElementById('templatePreContextInput');
+    const templateSchemaInput = document.getElementById('templateSchemaInput');
+    const templateFormError = document.getElementById('templateFormError');
+    const cancelTemplateBtn = document.getElementById('cancelTemplateBtn');
+    
+    // Id of the template being edited, or null when creating a new one
+    let editingTemplateId = null;
+    
+    // Built-in templates can only be duplicated
+    function updateTemplateButtons() {
+        if (!editTemplateBtn) return;
+        
+        const template = templatesById[analysisTemplate.value];
+        editTemplateBtn.disabled = !template || template.builtIn;
+        deleteTemplateBtn.disabled = !template || template.builtIn;
+        duplicateTemplateBtn.disabled = !template;
+    }
+    
+    async function loadTemplateModels() {
+        if (templateModelSelect.options.length > 1) return;
+        
         try {
-            const response = await fetch('/api/admin/image-analysis-config');
+            const response = await fetch('/api/config/models');
             const data = await response.json();
             
             if (data.success) {
-                const config = data.data;
-                
-                // Update UI with current config
-                enableCustomAnalysis.checked = config.enabled;
-                preContextInput.value = config.preContext || '';
-                updateCharCount();
-                updateImageAnalysisToggle();
-                updatePreviewContent();
-                
-                // Update template selection
-                if (config.template) {
-                    analysisTemplate.value = config.template;
-                }
+                data.data.availableModels
+                    .filter(model => !model.capabilities || model.capabilities.vision)
+                    .forEach(model => {
+                        const option = document.createElement('option');
+                        option.value = model.id;
+                        option.textContent = model.provider && model.provider !== 'claude' ? `${model.name} (${model.provider})` : model.name;
+                        templateModelSelect.appendChild(option);
+                    });
             }
         } catch (error) {
-            console.error('Error loading analysis config:', error);
+            console.error('Error loading models for templates:', error);
         }
     }
     
-    // Load available templates
-    async function loadTemplates() {
-        try {
-            const response = await fetch('/api/admin/image-analysis-templates');
-            const data = await response.json();
+    async function openTemplateForm(template = null) {
+        await loadTemplateModels();
+        
+        editingTemplateId = template ? template.id : null;
+        templateFormTitle.textContent = template ? `Edit ${template.name}` : 'New Template';
+        templateNameInput.value = template ? template.name : '';
+        templateDescriptionInput.value = template ? template.description || '' : '';
+        templateModelSelect.value = template && template.model ? template.model : '';
+        // New templates start from whatever is in the pre-context box
+        templatePreContextInput.value = template ? template.preContext || '' : preContextInput.value;
+        templateSchemaInput.value = template && template.outputSchema ? JSON.stringify(template.outputSchema, null, 2) : '';
+        templateFormError.textContent = '';
+        templateForm.style.display = 'flex';
+        templateNameInput.focus();
+    }
+    
+    function closeTemplateForm() {
+        templateForm.style.display = 'none';
+        editingTemplateId = null;
+    }
+    
+    if (templateForm) {
+        newTemplateBtn.addEventListener('click', () => openTemplateForm());
+        cancelTemplateBtn.addEventListener('click', closeTemplateForm);
+        
+        editTemplateBtn.addEventListener('click', () => {
+            const template = templatesById[analysisTemplate.value];
+            if (template && !template.builtIn) {
+                openTemplateForm(template);
+            }
+        });
+        
+        duplicateTemplateBtn.addEventListener('click', async () => {
+            const template = templatesById[analysisTemplate.value];
+            if (!template) return;
             
-            if (data.success) {
-                const templates = data.data;
-                // Start with custom user input option
-                analysisTemplate.innerHTML = '<option value="">Custom user input (use text area below)</option>';
+            const name = prompt('Name for the copy:', `${template.name} (copy)`);
+            if (name === null) return;
+            
+            try {
+                const response = await fetch(`/api/admin/image-analysis-templates/${encodeURIComponent(template.id)}/duplicate`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ name })
+                });
+                const data = await response.json();
                 
-                Object.values(templates).forEach(template => {
-                    const option = document.createElement('option');
-                    option.value = template.id;
-                    option.textContent = `${template.name} - ${template.description}`;
-                    analysisTemplate.appendChild(option);
+                if (data.success) {
+                    await loadTemplates(data.data.id);
+                    openTemplateForm(data.data);
+                } else {
+                    alert('Error duplicating template: ' + data.error);
+                }
+            } catch (error) {
+                console.error('Error duplicating template:', error);
+                alert('Error duplicating template. Please try again.');
+            }
+        });
+        
+        deleteTemplateBtn.addEventListener('click', async () => {
+            const template = templatesById[analysisTemplate.value];
+            if (!template || template.builtIn) return;
+            
+            if (!confirm(`Delete the template "${template.name}"? This cannot be undone.`)) {
+                return;
+            }
+            
+            try {
+                const response = await fetch(`/api/admin/image-analysis-templates/${encodeURIComponent(template.id)}`, {
+                    method: 'DELETE'
                 });
+                const data = await response.json();
+                
+                if (data.success) {
+                    closeTemplateForm();
+                    await loadTemplates('');
+                } else {
+                    alert('Error deleting template: ' + data.error);
+                }
+            } catch (error) {
+                console.error('Error deleting template:', error);
+                alert('Error deleting template. Please try again.');
             }
-        } catch (error) {
-            console.error('Error loading templates:', error);
-        }
+        });
+        
+        templateForm.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            
+            let outputSchema = null;
+            if (templateSchemaInput.value.trim()) {
+                try {
+                    outputSchema = JSON.parse(templateSchemaInput.value);
+                } catch (error) {
+                    templateFormError.textContent = `Output fields are not valid JSON: ${error.message}`;
+                    return;
+                }
+            }
+            
+            const template = {
+                name: templateNameInput.value,
+                description: templateDescriptionInput.value,
+                model: templateModelSelect.value || null,
+                preContext: templatePreContextInput.value,
+                outputSchema
+            };
+            
+            try {
+                const url = editingTemplateId
+                    ? `/api/admin/image-analysis-templates/${encodeURIComponent(editingTemplateId)}`
+                    : '/api/admin/image-analysis-templates';
+                const response = await fetch(url, {
+                    method: editingTemplateId ? 'PUT' : 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(template)
+                });
+                const data = await response.json();
+                
+                if (data.success) {
+                    closeTemplateForm();
+                    await loadTemplates(data.data.id);
+                    preContextInput.value = data.data.preContext || '';
+                    updateCharCount();
+                    updatePreviewContent();
+                } else {
+                    templateFormError.textContent = data.details ? data.details.join('. ') : data.error;
+                }
+            } catch (error) {
+                console.error('Error saving template:', error);
+                templateFormError.textContent = 'Error saving template. Please try again.';
+            }
+        });
     }
     
     // Update character count
@@ -5782,13 +7215,14 @@ document.addEventListener('DOMContentLoaded', function() {
     if (analysisTemplate) {
         analysisTemplate.addEventListener('change', async () => {
             const templateId = analysisTemplate.value;
+            updateTemplateButtons();
             if (!templateId) {
                 // Custom user input - do nothing, user manages textarea directly
                 return;
             }
             
             try {
-                const response = await fetch(`/api/admin/image-analysis-templates/${templateId}`);
+                const response = await fetch(`/api/admin/image-analysis-templates/${encodeURIComponent(templateId)}`);
                 const data = await response.json();
                 
                 if (data.success) {
@@ -6505,6 +7939,7 @@ Be specific and descriptive to enable natural language searches like "photos of
                     enableCustomAnalysis.checked = false;
                     preContextInput.value = '';
                     analysisTemplate.value = '';
+                    updateTemplateButtons();
                     updateCharCount();
                     updateImageAnalysisToggle();
                     alert('Configuration reset to default!');
@@ -6524,9 +7959,8 @@ Be specific and descriptive to enable natural language searches like "photos of
         forceReprocessingCheckbox.addEventListener('change', updateForceReprocessingToggle);
     }
     
-    // Initialize analysis configuration
-    loadAnalysisConfig();
-    loadTemplates();
+    // Initialize analysis configuration (templates first so the saved selection exists in the dropdown)
+    loadTemplates().then(loadAnalysisConfig);
     
     // Initialize toggle states and character count on page load
     setTimeout(() => {
@@ -6545,6 +7979,8 @@ Be specific and descriptive to enable natural language searches like "photos of
     const modelInfo = document.getElementById('modelInfo');
     const chatModelInfo = document.getElementById('chatModelInfo');
     const batchModelInfo = document.getElementById('batchModelInfo');
+    // Model names, IDs and descriptions can come from admin-entered provider settings
+    const escapeHtml = (text) => window.photoVision.escapeHtml(text);
     
     let currentModelConfig = null;
     
@@ -6559,6 +7995,7 @@ Be specific and descriptive to enable natural language searches like "photos of
                 populateModelDropdowns();
                 updateModelSelections();
                 updateModelInfo();
+                renderProviderSettings();
             } else {
                 console.error('Error loading model config:', data.error);
             }
@@ -6574,7 +8011,12 @@ Be specific and descriptive to enable natural language searches like "photos of
         const createOption = (model) => {
             const option = document.createElement('option');
             option.value = model.id;
-            option.textContent = `${model.name} (${model.speed} speed, ${model.cost} cost)`;
+            const details = [
+                model.provider && model.provider !== 'claude' ? model.provider : null,
+                model.speed ? `${model.speed} speed` : null,
+                model.cost ? `${model.cost} cost` : null
+            ].filter(Boolean);
+            option.textContent = details.length > 0 ? `${model.name} (${details.join(', ')})` : model.name;
             option.setAttribute('data-description', model.description);
             option.setAttribute('data-speed', model.speed);
             option.setAttribute('data-cost', model.cost);
@@ -6585,10 +8027,15 @@ Be specific and descriptive to enable natural language searches like "photos of
         chatModelSelect.innerHTML = '';
         batchModelSelect.innerHTML = '';
         
-        // Add options for each model
+        // Chat needs tool use and batch processing needs vision
         currentModelConfig.availableModels.forEach(model => {
-            chatModelSelect.appendChild(createOption(model));
-            batchModelSelect.appendChild(createOption(model));
+            const capabilities = model.capabilities || { vision: true, toolUse: true };
+            if (capabilities.toolUse) {
+                chatModelSelect.appendChild(createOption(model));
+            }
+            if (capabilities.vision) {
+                batchModelSelect.appendChild(createOption(model));
+            }
         });
     }
     
@@ -6600,6 +8047,22 @@ Be specific and descriptive to enable natural language searches like "photos of
         batchModelSelect.value = currentModelConfig.batchProcessingModel;
     }
     
+    // Models added for other providers may not carry a description, speed or cost
+    function renderModelDetail(model) {
+        const stats = [
+            model.provider && model.provider !== 'claude' ? `<span class="model-stat">Provider: ${escapeHtml(model.provider)}</span>` : '',
+            model.speed ? `<span class="model-stat speed-${escapeHtml(model.speed)}">Speed: ${escapeHtml(model.speed)}</span>` : '',
+            model.cost ? `<span class="model-stat cost-${escapeHtml(model.cost)}">Cost: ${escapeHtml(model.cost)}</span>` : ''
+        ].join('');
+        return `
+                <div class="model-detail">
+                    <strong>${escapeHtml(model.name)}</strong>
+                    ${model.description ? `<p>${escapeHtml(model.description)}</p>` : ''}
+                    <div class="model-stats">${stats}</div>
+                </div>
+            `;
+    }
+    
     // Update model info display
     function updateModelInfo() {
         if (!currentModelConfig) return;
@@ -6608,29 +8071,11 @@ Be specific and descriptive to enable natural language searches like "photos of
         const batchModel = currentModelConfig.availableModels.find(m => m.id === currentModelConfig.batchProcessingModel);
         
         if (chatModel) {
-            chatModelInfo.innerHTML = `
-                <div class="model-detail">
-                    <strong>${chatModel.name}</strong>
-                    <p>${chatModel.description}</p>
-                    <div class="model-stats">
-                        <span class="model-stat speed-${chatModel.speed}">Speed: ${chatModel.speed}</span>
-                        <span class="model-stat cost-${chatModel.cost}">Cost: ${chatModel.cost}</span>
-                    </div>
-                </div>
-            `;
+            chatModelInfo.innerHTML = renderModelDetail(chatModel);
         }
         
         if (batchModel) {
-            batchModelInfo.innerHTML = `
-                <div class="model-detail">
-                    <strong>${batchModel.name}</strong>
-                    <p>${batchModel.description}</p>
-                    <div class="model-stats">
-                        <span class="model-stat speed-${batchModel.speed}">Speed: ${batchModel.speed}</span>
-                        <span class="model-stat cost-${batchModel.cost}">Cost: ${batchModel.cost}</span>
-                    </div>
-                </div>
-            `;
+            batchModelInfo.innerHTML = renderModelDetail(batchModel);
         }
         
         // Show model info section
@@ -6730,6 +8175,177 @@ Be specific and descriptive to enable natural language searches like "photos of
         batchModelSelect.addEventListener('change', updateModelInfo);
     }
     
+    // === OTHER MODEL PROVIDERS ===
+    
+    const openaiBaseUrlInput = document.getElementById('openaiBaseUrl');
+    const openaiRequiresApiKeyInput = document.getElementById('openaiRequiresApiKey');
+    const openaiApiKeyInput = document.getElementById('openaiApiKey');
+    const ollamaBaseUrlInput = document.getElementById('ollamaBaseUrl');
+    const ollamaApiKeyInput = document.getElementById('ollamaApiKey');
+    const saveModelProvidersBtn = document.getElementById('saveModelProviders');
+    const providerModelList = document.getElementById('providerModelList');
+    const addProviderModelBtn = document.getElementById('addProviderModel');
+    
+    function renderProviderSettings() {
+        if (!currentModelConfig || !openaiBaseUrlInput) return;
+        
+        const providers = currentModelConfig.providers || {};
+        openaiBaseUrlInput.value = (providers.openai && providers.openai.baseUrl) || '';
+        openaiRequiresApiKeyInput.checked = !providers.openai || providers.openai.requiresApiKey !== false;
+        ollamaBaseUrlInput.value = (providers.ollama && providers.ollama.baseUrl) || '';
+        
+        const otherModels = currentModelConfig.availableModels.filter(model => model.provider && model.provider !== 'claude');
+        providerModelList.innerHTML = otherModels.length === 0
+            ? '<p class="config-help">No models added yet.</p>'
+            : otherModels.map(model => {
+                const capabilities = [
+                    model.capabilities.vision ? 'vision' : null,
+                    model.capabilities.toolUse ? 'tool use' : null
+                ].filter(Boolean).join(', ') || 'no capabilities';
+                return `
+                    <div class="provider-model-item">
+                        <span><strong>${escapeHtml(model.name)}</strong> <code>${escapeHtml(model.id)}</code> · ${escapeHtml(model.provider)} · ${capabilities}</span>
+                        <button class="btn btn-secondary btn-sm" data-remove-model="${escapeHtml(model.id)}">Remove</button>
+                    </div>
+                `;
+            }).join('');
+        
+        loadProviderKeyStatus();
+    }
+    
+    async function loadProviderKeyStatus() {
+        try {
+            const data = await (await fetch('/api/admin/api-keys/status')).json();
+            if (!data.success || !data.data.providers) return;
+            
+            ['openai', 'ollama'].forEach(provider => {
+                const status = data.data.providers[provider];
+                const element = document.getElementById(`${provider}KeyStatus`);
+                if (element && status) {
+                    element.textContent = status.configured
+                        ? `Key ${status.maskedKey} (from ${status.source === 'environment' ? 'environment' : 'encrypted config'})`
+                        : 'No key saved';
+                }
+            });
+        } catch (error) {
+            console.error('Error loading provider key status:', error);
+        }
+    }
+    
+    // Post the whole model list, keeping the current chat and batch selections
+    async function saveModelList(changes) {
+        const response = await fetch('/api/config/models', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                chatModel: currentModelConfig.chatModel,
+                batchProcessingModel: currentModelConfig.batchProcessingModel,
+                modifiedBy: 'admin',
+                ...changes
+            })
+        });
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+        
+        currentModelConfig = data.data;
+        populateModelDropdowns();
+        updateModelSelections();
+        updateModelInfo();
+        renderProviderSettings();
+    }
+    
+    async function saveModelProviders() {
+        try {
+            for (const [provider, input] of [['openai', openaiApiKeyInput], ['ollama', ollamaApiKeyInput]]) {
+                const apiKey = input.value.trim();
+                if (!apiKey) continue;
+                
+                const data = await (await fetch(`/api/admin/api-keys/${provider}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ apiKey })
+                })).json();
+                if (!data.success) {
+                    throw new Error(data.error);
+                }
+                input.value = '';
+            }
+            
+            await saveModelList({
+                providers: {
+                    openai: { baseUrl: openaiBaseUrlInput.value.trim(), requiresApiKey: openaiRequiresApiKeyInput.checked },
+                    ollama: { baseUrl: ollamaBaseUrlInput.value.trim() }
+                }
+            });
+            alert('Provider settings saved successfully!');
+        } catch (error) {
+            console.error('Error saving providers:', error);
+            alert('Error saving provider settings: ' + error.message);
+        }
+    }
+    
+    async function addProviderModel() {
+        const id = document.getElementById('providerModelId').value.trim();
+        const name = document.getElementById('providerModelName').value.trim() || id;
+        if (!id) {
+            alert('Please enter a model ID.');
+            return;
+        }
+        
+        try {
+            await saveModelList({
+                availableModels: [...currentModelConfig.availableModels, {
+                    id,
+                    name,
+                    provider: document.getElementById('providerModelProvider').value,
+                    capabilities: {
+                        vision: document.getElementById('providerModelVision').checked,
+                        toolUse: document.getElementById('providerModelToolUse').checked
+                    }
+                }]
+            });
+            document.getElementById('providerModelId').value = '';
+            document.getElementById('providerModelName').value = '';
+        } catch (error) {
+            console.error('Error adding model:', error);
+            alert('Error adding model: ' + error.message);
+        }
+    }
+    
+    async function removeProviderModel(modelId) {
+        if (!confirm(`Remove ${modelId} from the model list?`)) {
+            return;
+        }
+        
+        try {
+            await saveModelList({
+                availableModels: currentModelConfig.availableModels.filter(model => model.id !== modelId)
+            });
+        } catch (error) {
+            console.error('Error removing model:', error);
+            alert('Error removing model: ' + error.message);
+        }
+    }
+    
+    if (saveModelProvidersBtn) {
+        saveModelProvidersBtn.addEventListener('click', saveModelProviders);
+    }
+    
+    if (addProviderModelBtn) {
+        addProviderModelBtn.addEventListener('click', addProviderModel);
+    }
+    
+    if (providerModelList) {
+        providerModelList.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-remove-model]');
+            if (button) {
+                removeProviderModel(button.dataset.removeModel);
+            }
+        });
+    }
+    
     // Initialize model configuration
     loadModelConfig();
 });
@@ -6935,6 +8551,169 @@ document.addEventListener('DOMContentLoaded', function() {
     loadApiKeyStatus();
 });
 
+// === PEOPLE (FACE CLUSTERS) ===
+
+// Face detection settings and cluster naming on the Data sub-tab
+document.addEventListener('DOMContentLoaded', function() {
+    const faceDetectionEnabled = document.getElementById('faceDetectionEnabled');
+    const faceDetectionToggle = document.querySelector('[data-toggle="face-detection"]');
+    const scanFacesBtn = document.getElementById('scanFaces');
+    const reclusterFacesBtn = document.getElementById('reclusterFaces');
+    const refreshFacesBtn = document.getElementById('refreshFaces');
+    const faceStats = document.getElementById('faceStats');
+    const faceDetectionStatus = document.getElementById('faceDetectionStatus');
+    const faceClusterGrid = document.getElementById('faceClusterGrid');
+    
+    if (!faceClusterGrid) {
+        return;
+    }
+    
+    // Only the largest clusters are shown; the rest are usually one-off faces in crowds
+    const MAX_CLUSTERS_SHOWN = 60;
+    const escapeHtml = (text) => window.photoVision.escapeHtml(text);
+    
+    // Crop the sample photo to the face box with CSS background sizing
+    function faceThumbnailStyle(sample) {
+        const { x, y, width, height } = sample.box;
+        const position = (offset, size) => size >= 1 ? 0 : Math.min(100, Math.max(0, offset / (1 - size) * 100));
+        return `background-image: url('${sample.imageUrl}'); ` +
+            `background-size: ${100 / width}% ${100 / height}%; ` +
+            `background-position: ${position(x, width)}% ${position(y, height)}%;`;
+    }
+    
+    function renderClusters(data) {
+        const { stats, config, detection, clusters } = data;
+        
+        faceDetectionEnabled.checked = Boolean(config.enabled);
+        faceDetectionToggle?.classList.toggle('active', faceDetectionEnabled.checked);
+        
+        // Without the optional detector packages new photos are not scanned, so say so instead of showing no faces
+        const unavailable = detection && !detection.available;
+        if (faceDetectionStatus) {
+            faceDetectionStatus.hidden = !unavailable;
+            faceDetectionStatus.querySelector('p').textContent = unavailable ? detection.error : '';
+        }
+        if (scanFacesBtn) {
+            scanFacesBtn.disabled = Boolean(unavailable);
+        }
+        faceStats.textContent = `${stats.imagesScanned} photos scanned · ${stats.faces} faces · ` +
+            `${stats.clusters} groups · ${stats.namedClusters} named`;
+        
+        if (clusters.length === 0) {
+            faceClusterGrid.innerHTML = '<p class="face-empty">No faces yet. Enable detection for new batches or scan existing photos.</p>';
+            return;
+        }
+        
+        faceClusterGrid.innerHTML = clusters.slice(0, MAX_CLUSTERS_SHOWN).map(cluster => `
+            <div class="face-cluster${cluster.name ? ' named' : ''}" data-cluster-id="${escapeHtml(cluster.id)}">
+                <div class="face-thumb" style="${cluster.sample && cluster.sample.imageUrl ? escapeHtml(faceThumbnailStyle(cluster.sample)) : ''}"></div>
+                <div class="face-cluster-count">${cluster.imageCount} photo${cluster.imageCount === 1 ? '' : 's'}</div>
+                <input type="text" class="face-name-input" placeholder="Who is this?" value="${escapeHtml(cluster.name || '')}">
+                <button class="btn btn-secondary face-name-save">Save</button>
+            </div>
+        `).join('') + (clusters.length > MAX_CLUSTERS_SHOWN
+            ? `<p class="face-empty">${clusters.length - MAX_CLUSTERS_SHOWN} smaller groups not shown</p>`
+            : '');
+    }
+    
+    async function loadClusters() {
+        try {
+            const response = await fetch('/api/admin/faces');
+            const result = await response.json();
+            
+            if (response.ok && result.success) {
+                renderClusters(result.data);
+            } else {
+                console.error('Failed to load face clusters:', result.error);
+            }
+        } catch (error) {
+            console.error('Error loading face clusters:', error);
+        }
+    }
+    
+    async function postFaces(url, body, button, busyText) {
+        const originalText = button ? button.textContent : null;
+        if (button) {
+            button.disabled = true;
+            button.textContent = busyText;
+        }
+        
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body || {})
+            });
+            const result = await response.json();
+            
+            if (!response.ok || !result.success) {
+                alert(result.error || 'Request failed');
+                return null;
+            }
+            return result;
+        } catch (error) {
+            console.error(`Error calling ${url}:`, error);
+            alert('Network error occurred while updating people.');
+            return null;
+        } finally {
+            if (button) {
+                button.disabled = false;
+                button.textContent = originalText;
+            }
+        }
+    }
+    
+    faceDetectionEnabled?.addEventListener('change', async () => {
+        faceDetectionToggle?.classList.toggle('active', faceDetectionEnabled.checked);
+        await postFaces('/api/admin/faces/config', { enabled: faceDetectionEnabled.checked });
+    });
+    
+    scanFacesBtn?.addEventListener('click', async () => {
+        const result = await postFaces('/api/admin/faces/scan', { limit: 25 }, scanFacesBtn, 'Scanning...');
+        if (result) {
+            alert(`${result.message}. ${result.data.remaining} photos left to scan.`);
+            await loadClusters();
+        }
+    });
+    
+    reclusterFacesBtn?.addEventListener('click', async () => {
+        if (await postFaces('/api/admin/faces/recluster', {}, reclusterFacesBtn, 'Re-grouping...')) {
+            await loadClusters();
+        }
+    });
+    
+    refreshFacesBtn?.addEventListener('click', loadClusters);
+    
+    // Save a name with the button or Enter
+    async function saveClusterName(clusterElement) {
+        const clusterId = clusterElement.dataset.clusterId;
+        const input = clusterElement.querySelector('.face-name-input');
+        const button = clusterElement.querySelector('.face-name-save');
+        const result = await postFaces(`/api/admin/faces/clusters/${encodeURIComponent(clusterId)}/name`, { name: input.value }, button, 'Saving...');
+        
+        // A merge into an existing person changes the grid, so reload it
+        if (result) {
+            await loadClusters();
+        }
+    }
+    
+    faceClusterGrid.addEventListener('click', (event) => {
+        const button = event.target.closest('.face-name-save');
+        if (button) {
+            saveClusterName(button.closest('.face-cluster'));
+        }
+    });
+    
+    faceClusterGrid.addEventListener('keypress', (event) => {
+        if (event.key === 'Enter' && event.target.classList.contains('face-name-input')) {
+            event.preventDefault();
+            saveClusterName(event.target.closest('.face-cluster'));
+        }
+    });
+    
+    loadClusters();
+});
+
 // === IMAGE LOADING ENHANCEMENT FUNCTIONS ===
 
 /**
@@ -4,23 +4,35 @@ const fs = require('fs/promises');
 const path = require('path');
 const url = require('url');
 const DataManager = require('./lib/dataManager');
-const ClaudeClient = require('./lib/claudeClient');
+const VisionProvider = require('./lib/visionProvider');
 const SmugMugClient = require('./lib/smugmugClient');
 const BatchManager = require('./lib/batchManager');
+const BatchScheduler = require('./lib/batchScheduler');
+const ChatSessionManager = require('./lib/chatSessionManager');
+const SearchFacets = require('./lib/searchFacets');
+const Gazetteer = require('./lib/gazetteer');
+const AnalysisSchema = require('./lib/analysisSchema');
 
 const PORT = process.env.PORT || 3001;
+// Longest a batch job waits for SmugMug to deliver one full-resolution image
+const IMAGE_DOWNLOAD_TIMEOUT_MS = 60000;
 const dataManager = new DataManager();
+const chatSessionManager = new ChatSessionManager();
+const searchFacets = new SearchFacets();
+const gazetteer = new Gazetteer();
 
-// Initialize Claude client with API key from storage or environment
-let claudeClient;
+// Vision provider (Claude, or the mock provider for offline runs) with the API key from storage or environment
+let visionProvider;
 
-// Initialize Claude client before starting server
-async function initializeClaudeClient() {
+// Initialize the vision provider before starting server
+async function initializeVisionProvider() {
   try {
     const apiKey = await dataManager.getClaudeApiKey();
-    claudeClient = new ClaudeClient(apiKey);
+    visionProvider = await VisionProvider.fromConfig(dataManager);
     
-    if (apiKey) {
+    if (visionProvider.name === 'mock') {
+      log(`Vision provider: ${visionProvider.name} - analysis, verification and chat will not call Claude`, 'WARN');
+    } else if (apiKey) {
       log('Claude client initialized with API key from ' + 
           (process.env.ANTHROPIC_API_KEY && !await dataManager.getConfig().then(c => c.apiKeys?.claude) ? 'environment' : 'database'));
     } else {
@@ -34,13 +46,27 @@ async function initializeClaudeClient() {
         log('Migrated Claude API key from environment variable to encrypted storage');
         // Re-initialize with migrated key
         const newApiKey = await dataManager.getClaudeApiKey();
-        claudeClient = new ClaudeClient(newApiKey);
+        visionProvider.updateApiKey(newApiKey);
       }
     }
   } catch (error) {
-    log(`Failed to initialize Claude client: ${error.message}`, 'ERROR');
-    // Initialize with null to prevent undefined errors
-    claudeClient = new ClaudeClient(null);
+    log(`Failed to initialize vision provider: ${error.message}`, 'ERROR');
+    // Fall back to a Claude client without a key to prevent undefined errors
+    visionProvider = VisionProvider.create('claude');
+  }
+}
+
+// Rebuild the vision provider after its settings, the model list or a provider's API key change
+async function reloadVisionProvider() {
+  visionProvider = await VisionProvider.fromConfig(dataManager);
+  connectRateLimiter();
+  log(`Vision provider reloaded (${visionProvider.name})`);
+}
+
+// Let Claude's 429/529 responses and rate limit headers steer the batch manager's global rate limiter
+function connectRateLimiter() {
+  if (visionProvider && batchManager) {
+    visionProvider.setRateLimiter(batchManager.rateLimiter);
   }
 }
 
@@ -57,17 +83,48 @@ async function initializeBatchManager() {
     batchManager = new BatchManager({
       maxConcurrentBatches: batchConfig.maxConcurrentBatches || 3,
       globalApiRateLimit: batchConfig.globalApiRateLimit || 60, // 60 API calls per minute
-      perBatchConcurrency: batchConfig.perBatchConcurrency || 1
+      perBatchConcurrency: batchConfig.perBatchConcurrency || 1,
+      // Queues are journaled here so batches survive a restart
+      journalDir: path.join(__dirname, 'data', 'batches'),
+      onBatchFinished: () => dataManager.compactSearchIndex()
     });
     
     log('BatchManager initialized for concurrent batch processing');
   } catch (error) {
     log(`Failed to initialize BatchManager: ${error.message}`, 'ERROR');
     // Initialize with defaults
-    batchManager = new BatchManager();
+    batchManager = new BatchManager({
+      journalDir: path.join(__dirname, 'data', 'batches'),
+      onBatchFinished: () => dataManager.compactSearchIndex()
+    });
+  }
+  connectRateLimiter();
+
+  // Batches interrupted by a restart come back paused, ready to resume from their first unfinished job
+  try {
+    const restored = await batchManager.restoreBatches();
+    if (restored.length > 0) {
+      log(`Restored ${restored.length} interrupted batch${restored.length === 1 ? '' : 'es'}: ${restored.join(', ')}`);
+    }
+  } catch (error) {
+    log(`Failed to restore batches: ${error.message}`, 'ERROR');
   }
 }
 
+// Queues batches for new SmugMug uploads on the schedules under batchProcessing.scheduler
+let batchScheduler;
+
+function initializeBatchScheduler() {
+  batchScheduler = new BatchScheduler({
+    dataManager,
+    smugmugClient,
+    batchManager,
+    processors: { image_analysis: processImageAnalysisJob }
+  });
+  batchScheduler.start();
+  log('Batch scheduler started');
+}
+
 // Simple MIME type mapping
 const mimeTypes = {
   '.html': 'text/html',
@@ -89,7 +146,7 @@ function log(message, type = 'INFO') {
 }
 
 // Error response utility
-function sendError(res, statusCode, message, error = null) {
+function sendError(res, statusCode, message, error = null, details = null) {
   if (error) {
     log(`Error: ${message} - ${error.message}`, 'ERROR');
   } else {
@@ -99,6 +156,7 @@ function sendError(res, statusCode, message, error = null) {
   res.writeHead(statusCode, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify({ 
     error: message,
+    ...(details ? { details } : {}),
     timestamp: new Date().toISOString()
   }));
 }
@@ -114,6 +172,21 @@ function sendSuccess(res, data, message = 'Success') {
   }));
 }
 
+// Server-Sent Events utilities
+function startEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+}
+
+function sendEvent(res, event, data) {
+  // Nothing is written once the stream has ended or its client has disconnected
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
 // Simple static file server
 async function serveStaticFile(filePath, res) {
   try {
@@ -201,11 +274,360 @@ async function parseMultipartData(req) {
   });
 }
 
+// Who made a change through the API, as recorded in image history (the app has no user accounts)
+function getRequestActor(req) {
+  return `user (${req.socket.remoteAddress || 'unknown address'})`;
+}
+
 // Generate a unique ID for records
 function generateUniqueId() {
   return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
+// Download an image from SmugMug with a timeout; a timeout is tagged so the job queue retries it
+async function downloadBatchImage(imageUrl) {
+  try {
+    const imageResponse = await fetch(imageUrl, { signal: AbortSignal.timeout(IMAGE_DOWNLOAD_TIMEOUT_MS) });
+    if (!imageResponse.ok) {
+      throw new Error(`Failed to fetch image: ${imageResponse.status}`);
+    }
+    
+    return {
+      imageBuffer: Buffer.from(await imageResponse.arrayBuffer()),
+      contentType: imageResponse.headers.get('content-type') || 'image/jpeg'
+    };
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      const timeoutError = new Error(`SmugMug image download timed out after ${IMAGE_DOWNLOAD_TIMEOUT_MS / 1000}s`);
+      timeoutError.errorType = 'download_timeout';
+      throw timeoutError;
+    }
+    throw error;
+  }
+}
+
+// Fetch capture date, camera settings and GPS from SmugMug; missing metadata never fails a job
+async function fetchCaptureMetadata(imageKey) {
+  const empty = { captureDate: null, exif: null, gps: null, place: null };
+  try {
+    const config = await dataManager.getConfig();
+    if (!imageKey || !config.smugmug || !config.smugmug.accessToken) {
+      return empty;
+    }
+
+    const result = await smugmugClient.getImageMetadata(
+      config.smugmug.accessToken,
+      config.smugmug.accessTokenSecret,
+      imageKey
+    );
+
+    if (!result.success) {
+      log(`Capture metadata unavailable for ${imageKey}: ${result.error}`, 'WARN');
+      return empty;
+    }
+    return addPlaceName(result.metadata);
+  } catch (error) {
+    log(`Capture metadata unavailable for ${imageKey}: ${error.message}`, 'WARN');
+    return empty;
+  }
+}
+
+// Name the nearest gazetteer place for photos with GPS so place names are searchable offline
+function addPlaceName(metadata) {
+  const place = metadata.gps ? gazetteer.reverseGeocode(metadata.gps.latitude, metadata.gps.longitude) : null;
+  return { ...metadata, place };
+}
+
+// Why a model cannot analyze images right now, or null when it can
+async function getAnalysisModelError(model) {
+  const modelInfo = model ? await dataManager.getModelInfo(model) : null;
+  if (!modelInfo) {
+    return `Unknown model: ${model}`;
+  }
+  if (!modelInfo.capabilities.vision) {
+    return `${model} cannot analyze images`;
+  }
+  if (!visionProvider || !visionProvider.isConfigured(model)) {
+    return `No API key configured for ${model}. Please configure your API key in the admin panel.`;
+  }
+  return null;
+}
+
+// Analyze a stored image again with another model, keeping its earlier analyses as versions
+// (batch jobs pass their rateLimit so only the model call waits for the rate limiter)
+async function reanalyzeStoredImage(image, model, activate = false, actor = 'system', usageDetails = {}, rateLimit = (call) => call()) {
+  if (!image.smugmugUrl) {
+    throw new Error(`Image ${image.id} has no SmugMug URL to re-analyze from`);
+  }
+
+  const { imageBuffer, contentType } = await downloadBatchImage(image.smugmugUrl);
+
+  // Same template and fields the album is analyzed with; only the model changes
+  const analysisTemplate = await dataManager.resolveAnalysisTemplate(image.albumKey, image.albumHierarchy || []);
+  const analysisResult = await rateLimit(() => visionProvider.analyzeImage(imageBuffer, contentType, null, analysisTemplate.preContext, model, analysisTemplate.outputSchema, { fileName: image.filename }));
+  await dataManager.recordUsage('reanalysis', analysisResult.usage, { model, ...usageDetails });
+
+  if (!analysisResult.success) {
+    const analysisError = new Error(analysisResult.error);
+    analysisError.category = analysisResult.errorCategory;
+    analysisError.usage = analysisResult.usage;
+    analysisError.model = model;
+    throw analysisError;
+  }
+
+  const saved = await dataManager.addAnalysisVersion(image.id, {
+    ...analysisResult,
+    model: analysisResult.model || model,
+    analysisTemplate: analysisTemplate.templateId
+  }, activate, actor);
+  return { ...saved, usage: analysisResult.usage };
+}
+
+// Batch processor for album re-analysis jobs
+async function processReanalysisJob(jobData, job, { rateLimit }) {
+  const [image] = await dataManager.getImagesByIds([jobData.imageId]);
+  if (!image) {
+    throw new Error(`Image ${jobData.imageId} not found`);
+  }
+
+  const { version, usage } = await reanalyzeStoredImage(image, jobData.model, jobData.activate, `batch ${job.batchId}`, {
+    batchId: job.batchId,
+    jobId: job.id
+  }, rateLimit);
+  return { imageId: image.id, version: version.version, model: jobData.model, usage };
+}
+
+// Batch processor for album image analysis jobs: download from SmugMug, analyze and save with album information
+async function processImageAnalysisJob(imageData, job, { rateLimit }) {
+  log(`Processing image: ${imageData.filename} (duplicate handling: ${job.duplicateHandling || 'skip'})`);
+  
+  // Validate that job has complete album information before processing
+  if (!job.albumKey || !job.albumName || !job.albumPath || !job.albumHierarchy) {
+    const missingFields = [];
+    if (!job.albumKey) missingFields.push('albumKey');
+    if (!job.albumName) missingFields.push('albumName');
+    if (!job.albumPath) missingFields.push('albumPath');
+    if (!job.albumHierarchy) missingFields.push('albumHierarchy');
+    
+    const errorMsg = `Job ${job.id} missing required album information: ${missingFields.join(', ')}`;
+    log(errorMsg, 'ERROR');
+    throw new Error(errorMsg);
+  }
+  
+  // Additional validation for albumHierarchy
+  if (!Array.isArray(job.albumHierarchy) || job.albumHierarchy.length === 0) {
+    const errorMsg = `Job ${job.id} has invalid album hierarchy: ${JSON.stringify(job.albumHierarchy)}`;
+    log(errorMsg, 'ERROR');
+    throw new Error(errorMsg);
+  }
+  
+  log(`Album info for ${imageData.filename}:`, 'DEBUG');
+  log(`  - Album: ${job.albumName}`, 'DEBUG');
+  log(`  - Path: ${job.albumPath}`, 'DEBUG');
+  log(`  - Hierarchy: [${job.albumHierarchy.join(', ')}]`, 'DEBUG');
+  
+  // Fetch image from SmugMug
+  const { imageBuffer, contentType } = await downloadBatchImage(imageData.imageUrl);
+  
+  // Use the template assigned to this album or its folders, falling back to the global configuration
+  const analysisTemplate = await dataManager.resolveAnalysisTemplate(job.albumKey, job.albumHierarchy);
+  
+  // A template's default model overrides the batch processing model
+  const modelConfig = await dataManager.getClaudeModelConfig();
+  const batchProcessingModel = analysisTemplate.model || modelConfig.batchProcessingModel;
+  
+  // Analyze with the vision provider; only this call takes a rate limit slot
+  const analysisResult = await rateLimit(() => visionProvider.analyzeImage(imageBuffer, contentType, null, analysisTemplate.preContext, batchProcessingModel, analysisTemplate.outputSchema, { fileName: imageData.filename }));
+  await dataManager.recordUsage('batch_analysis', analysisResult.usage, { model: batchProcessingModel, batchId: job.batchId, jobId: job.id });
+  
+  if (!analysisResult.success) {
+    // The category lets batch results tell unparseable replies apart from API failures
+    const analysisError = new Error(analysisResult.error);
+    analysisError.category = analysisResult.errorCategory;
+    analysisError.usage = analysisResult.usage;
+    analysisError.model = batchProcessingModel;
+    throw analysisError;
+  }
+
+  // Capture date, camera and GPS come from SmugMug's copy of the EXIF data
+  const captureMetadata = await fetchCaptureMetadata(imageData.imageKey);
+
+  // Store the result with album information and duplicate handling
+  const imageRecord = {
+    id: generateUniqueId(),
+    filename: imageData.filename,
+    smugmugImageKey: imageData.imageKey,
+    smugmugUrl: imageData.imageUrl,
+    title: imageData.title,
+    caption: imageData.caption,
+    albumKey: job.albumKey,
+    albumName: job.albumName,
+    albumPath: job.albumPath,
+    albumHierarchy: job.albumHierarchy,
+    captureDate: captureMetadata.captureDate,
+    exif: captureMetadata.exif,
+    gps: captureMetadata.gps,
+    place: captureMetadata.place,
+    description: analysisResult.description,
+    keywords: analysisResult.keywords || [],
+    attributes: analysisResult.attributes,
+    metadata: {
+      model: analysisResult.model,
+      timestamp: analysisResult.timestamp,
+      analysisTemplate: analysisTemplate.templateId,
+      parseRecovery: analysisResult.parseRecovery,
+      ...(analysisResult.schemaErrors.length > 0 ? { schemaErrors: analysisResult.schemaErrors } : {}),
+      batchId: job.batchId,
+      jobId: job.id
+    }
+  };
+
+  // Final validation before saving
+  const requiredFields = ['albumKey', 'albumName', 'albumPath', 'albumHierarchy'];
+  const missingFields = requiredFields.filter(field => !imageRecord[field]);
+  
+  if (missingFields.length > 0) {
+    const errorMsg = `Image record for ${imageData.filename} missing required fields: ${missingFields.join(', ')}`;
+    log(errorMsg, 'ERROR');
+    throw new Error(errorMsg);
+  }
+  
+  log(`Saving image record with duplicate handling: ${job.duplicateHandling || 'skip'}`, 'DEBUG');
+
+  // Save to data storage with duplicate handling options (jobs journaled before they carried one default to 'skip')
+  const saveResult = await dataManager.addImage(imageRecord, {
+    duplicateHandling: job.duplicateHandling || 'skip'
+  });
+  
+  // Cluster faces into people an admin can name (only when face detection is enabled)
+  if (!saveResult.wasSkipped) {
+    await dataManager.detectFaces(saveResult, imageBuffer);
+  }
+  
+  return {
+    imageKey: imageData.imageKey,
+    description: analysisResult.description,
+    keywords: analysisResult.keywords,
+    saved: true,
+    duplicateAction: saveResult.wasSkipped ? 'skipped' : 
+                   saveResult.wasUpdated ? 'updated' : 
+                   saveResult.wasReplaced ? 'replaced' : 'added',
+    model: batchProcessingModel,
+    usage: analysisResult.usage
+  };
+}
+
+// Narrow results by selected facet values and count facets over what remains
+async function applySearchFacets(results, filters) {
+  const starredIds = new Set(await dataManager.getStarredImageIds());
+  const filtered = searchFacets.apply(results, filters, starredIds);
+  return { results: filtered, facets: searchFacets.build(filtered, starredIds) };
+}
+
+// Set up a chat turn: load the session, previous results and the tool-use agent
+async function prepareChatTurn(requestData) {
+  // Get model configuration
+  const modelConfig = await dataManager.getClaudeModelConfig();
+  const chatModel = modelConfig.chatModel;
+  
+  // Import SearchFunctions
+  const SearchFunctions = require('./lib/searchFunctions');
+  const searchFunctions = new SearchFunctions(requestData.searchOptions || {});
+  
+  // Load (or start) the chat session and its previous turns
+  const session = await chatSessionManager.getOrCreateSession(requestData.sessionId);
+  const history = chatSessionManager.buildHistoryMessages(session);
+  const lastTurn = chatSessionManager.getLastResultTurn(session);
+  if (lastTurn) {
+    searchFunctions.setPreviousResults(await dataManager.getImagesByIds(lastTurn.resultIds));
+  }
+  
+  console.log(`[Chat] Processing query: "${requestData.message}" with model: ${chatModel}, search mode: ${searchFunctions.searchOptions.mode} (session ${session.id}, ${session.turns.length} previous turns)`);
+  
+  // Tool-use loop: Claude can chain searches until it has an answer
+  const ChatAgent = require('./lib/chatAgent');
+  const chatConfig = await dataManager.getChatConfig();
+  const chatAgent = new ChatAgent(visionProvider, searchFunctions, {
+    model: chatModel,
+    maxToolSteps: chatConfig.maxToolSteps,
+    toolResultPreviewCount: chatConfig.toolResultPreviewCount,
+    history
+  });
+  
+  return { session, searchFunctions, chatAgent, chatModel };
+}
+
+// Finish a chat turn: paginate, fill in a fallback reply, record the turn and build the response payload
+async function completeChatTurn(requestData, chatTurn, agentResult) {
+  const { session, searchFunctions, chatModel } = chatTurn;
+  let finalResponse = agentResult.finalResponse;
+  
+  // One usage entry per model call in the tool-use loop
+  for (const step of agentResult.trace.filter(entry => entry.type === 'model')) {
+    await dataManager.recordUsage('chat', step.usage, { model: chatModel, sessionId: session.id });
+  }
+  const searchResults = agentResult.searchResults;
+  
+  console.log(`[Chat] Agent finished after ${agentResult.stepsUsed}/${agentResult.maxSteps} steps with ${searchResults.length} results`);
+  
+  // Facet counts cover the whole result set, not just the first page
+  const { facets } = await applySearchFacets(searchResults, null);
+  
+  // Apply pagination to results (limit to 10 by default)
+  const page = parseInt(requestData.page || '0');
+  const limit = parseInt(requestData.limit || '10');
+  const paginatedData = searchFunctions.paginateResults(searchResults, page, limit);
+  
+  // Fallback response if no text was generated
+  if (!finalResponse) {
+    if (searchResults.length > 0) {
+      const showing = `Showing ${paginatedData.pagination.startIndex + 1}-${paginatedData.pagination.endIndex} of ${paginatedData.pagination.total}`;
+      const foundCount = searchResults.length;
+      const responses = [
+        `Great news! I discovered ${foundCount} amazing photo${foundCount === 1 ? '' : 's'} that match what you're looking for! ${showing} results below - click any link to see the full resolution image. 📸`,
+        `Perfect! I found ${foundCount} fantastic shot${foundCount === 1 ? '' : 's'} for you! ${showing} results with direct SmugMug links so you can easily view and share them. ✨`,
+        `Success! Your search turned up ${foundCount} wonderful photo${foundCount === 1 ? '' : 's'}! ${showing} results - each one ready to view at full quality on SmugMug. 🎯`
+      ];
+      finalResponse = responses[Math.floor(Math.random() * responses.length)];
+    } else {
+      const noResultsResponses = [
+        "Hmm, I couldn't find any photos matching that search, but don't worry! 🤔 Try describing what you're looking for differently - maybe 'happy athletes', 'competition winners', 'outdoor archery', or 'award ceremonies'. I'm great at understanding natural language!",
+        "No matches this time, but I'd love to help you find what you're looking for! 💭 Try being more specific or using different words - like 'celebrating kids', 'focused competitors', 'victory moments', or even just 'smiling faces'. What kind of moment are you hoping to relive?",
+        "I didn't spot any photos with those terms, but let's try a different approach! 🎯 Describe the scene you remember - was it outdoors? Were people celebrating? Was it during a competition? I can understand natural descriptions really well!"
+      ];
+      finalResponse = noResultsResponses[Math.floor(Math.random() * noResultsResponses.length)];
+    }
+  }
+  
+  // Remember this turn so follow-up questions can build on it
+  await chatSessionManager.addTurn(session.id, {
+    userMessage: requestData.message,
+    assistantResponse: finalResponse,
+    toolCalls: agentResult.toolCalls,
+    results: searchResults
+  });
+  
+  return {
+    response: finalResponse,
+    results: searchFunctions.formatResults(paginatedData.results),
+    pagination: paginatedData.pagination,
+    resultCount: searchResults.length,
+    facets,
+    originalQuery: requestData.message,
+    searchOptions: requestData.searchOptions || {},
+    // Semantic and hybrid searches ranked by keywords while the embedding index is built in the background
+    embeddingIndexIncomplete: searchFunctions.embeddingIndexIncomplete,
+    sessionId: session.id,
+    trace: {
+      steps: agentResult.trace,
+      stepsUsed: agentResult.stepsUsed,
+      maxSteps: agentResult.maxSteps,
+      budgetExhausted: agentResult.budgetExhausted,
+      usage: agentResult.usage
+    }
+  };
+}
+
 // API Routes
 async function handleAPIRoutes(req, res, parsedUrl) {
   const pathname = parsedUrl.pathname;
@@ -236,23 +658,24 @@ async function handleAPIRoutes(req, res, parsedUrl) {
       
       try {
         // Check if Claude client is initialized
-        if (!claudeClient) {
+        if (!visionProvider) {
           log('Claude client not initialized', 'ERROR');
           return sendError(res, 503, 'Claude client not initialized. Please wait a moment and try again.');
         }
         
-        // Check if API key exists
-        if (!claudeClient.apiKey) {
-          log('No Claude API key configured', 'ERROR');
-          return sendError(res, 400, 'No Claude API key configured. Please configure your API key in the admin panel.');
-        }
-        
         // Get model configuration
         const modelConfig = await dataManager.getClaudeModelConfig();
         const batchProcessingModel = modelConfig.batchProcessingModel;
         
+        // Check if the batch model's provider has its API key
+        if (!visionProvider.isConfigured(batchProcessingModel)) {
+          log(`No API key configured for ${batchProcessingModel}`, 'ERROR');
+          return sendError(res, 400, `No API key configured for ${batchProcessingModel}. Please configure your API key in the admin panel.`);
+        }
+        
         // Perform a simple test to verify Claude API is accessible
-        const testResult = await claudeClient.testConnection(batchProcessingModel);
+        const testResult = await visionProvider.testConnection(batchProcessingModel);
+        await dataManager.recordUsage('connection_test', testResult.usage, { model: batchProcessingModel });
         
         return sendSuccess(res, { 
           status: 'connected',
@@ -274,8 +697,42 @@ async function handleAPIRoutes(req, res, parsedUrl) {
       }
       
       log(`Search request: "${searchQuery}"`);
-      const results = await dataManager.searchImages(searchQuery);
-      return sendSuccess(res, results, `Found ${results.length} images`);
+      
+      const SearchFunctions = require('./lib/searchFunctions');
+      const QueryParser = require('./lib/queryParser');
+      const searchFunctions = new SearchFunctions();
+      
+      try {
+        // Optional facet filters as JSON, e.g. filters={"keywords":["archery"],"starred":[true]}
+        let filters = null;
+        if (query.filters) {
+          try {
+            filters = JSON.parse(query.filters);
+          } catch (error) {
+            return sendError(res, 400, 'Invalid filters parameter - expected JSON');
+          }
+        }
+        
+        // Free text falls back to the keyword search; only field queries with bad syntax get a 400
+        const { ast, results } = await searchFunctions.searchByText(searchQuery, { maxResults: Infinity });
+        const { results: facetedResults, facets } = await applySearchFacets(results, filters);
+        const limited = facetedResults.slice(0, Math.min(parseInt(query.limit) || 50, 500));
+        
+        return sendSuccess(res, {
+          query: searchQuery,
+          ast,
+          results: searchFunctions.formatResults(limited),
+          resultCount: limited.length,
+          total: facetedResults.length,
+          facets,
+          filters: filters || {}
+        }, `Found ${facetedResults.length} images`);
+      } catch (error) {
+        if (error instanceof QueryParser.QuerySyntaxError) {
+          return sendError(res, 400, `Invalid query: ${error.message}`, null, error.toJSON());
+        }
+        return sendError(res, 500, 'Search failed', error);
+      }
     }
 
     // Load more results endpoint
@@ -288,44 +745,48 @@ async function handleAPIRoutes(req, res, parsedUrl) {
       }
 
       try {
-        // Get model configuration
-        const modelConfig = await dataManager.getClaudeModelConfig();
-        const chatModel = modelConfig.chatModel;
-        
         // Import SearchFunctions
         const SearchFunctions = require('./lib/searchFunctions');
         const searchFunctions = new SearchFunctions();
         
-        // Re-execute the original search to get all results
-        const availableFunctions = searchFunctions.getFunctionDefinitions();
-        const claudeResponse = await claudeClient.processConversationalQuery(requestData.originalQuery, availableFunctions, chatModel);
+        // Page through the stored result set when the query came from a chat session;
+        // facet filters narrow that stored set without asking Claude again
+        const session = await chatSessionManager.getSession(requestData.sessionId);
+        const resultTurn = chatSessionManager.getLastResultTurn(session, requestData.originalQuery);
+        if (resultTurn) {
+          const storedResults = await dataManager.getImagesByIds(resultTurn.resultIds);
+          const { results: facetedResults, facets } = await applySearchFacets(storedResults, requestData.filters);
+          const page = parseInt(requestData.page || '1');
+          const limit = parseInt(requestData.limit || '10');
+          const paginatedData = searchFunctions.paginateResults(facetedResults, page, limit);
+          
+          return sendSuccess(res, {
+            results: searchFunctions.formatResults(paginatedData.results),
+            pagination: paginatedData.pagination,
+            resultCount: facetedResults.length,
+            facets,
+            filters: requestData.filters || {},
+            sessionId: session.id
+          }, 'More results loaded');
+        }
         
-        if (!claudeResponse.success) {
-          throw new Error(claudeResponse.error);
+        if (searchFacets.hasFilters(requestData.filters)) {
+          return sendError(res, 404, 'The results for this search are no longer available to filter - please search again');
         }
         
-        let searchResults = [];
-        const response = claudeResponse.response;
+        // Get model configuration
+        const modelConfig = await dataManager.getClaudeModelConfig();
+        const chatModel = modelConfig.chatModel;
         
-        // Process function calls to get search results
-        if (response.content) {
-          for (const contentBlock of response.content) {
-            if (contentBlock.type === 'tool_use') {
-              try {
-                const functionResult = await searchFunctions.executeFunction(
-                  contentBlock.name, 
-                  contentBlock.input
-                );
-                
-                if (Array.isArray(functionResult)) {
-                  searchResults = searchResults.concat(functionResult);
-                }
-              } catch (funcError) {
-                console.error(`[Load More] Function ${contentBlock.name} error:`, funcError.message);
-              }
-            }
-          }
-        }
+        // Re-execute the original search to get all results
+        const ChatAgent = require('./lib/chatAgent');
+        const chatConfig = await dataManager.getChatConfig();
+        const chatAgent = new ChatAgent(visionProvider, searchFunctions, {
+          model: chatModel,
+          maxToolSteps: chatConfig.maxToolSteps,
+          toolResultPreviewCount: chatConfig.toolResultPreviewCount
+        });
+        const { searchResults } = await chatAgent.run(requestData.originalQuery);
         
         // Apply pagination
         const page = parseInt(requestData.page || '1');
@@ -354,141 +815,99 @@ async function handleAPIRoutes(req, res, parsedUrl) {
       }
 
       try {
-        // Get model configuration
-        const modelConfig = await dataManager.getClaudeModelConfig();
-        const chatModel = modelConfig.chatModel;
-        
-        // Import SearchFunctions
-        const SearchFunctions = require('./lib/searchFunctions');
-        const searchFunctions = new SearchFunctions(requestData.searchOptions || {});
-        
-        console.log(`[Chat] Processing query: "${requestData.message}" with model: ${chatModel}`);
+        const chatTurn = await prepareChatTurn(requestData);
+        const agentResult = await chatTurn.chatAgent.run(requestData.message);
+        const chatData = await completeChatTurn(requestData, chatTurn, agentResult);
         
-        // Get available search functions for Claude
-        const availableFunctions = searchFunctions.getFunctionDefinitions();
+        return sendSuccess(res, chatData, 'Chat message processed');
         
-        // Process query with Claude
-        const claudeResponse = await claudeClient.processConversationalQuery(requestData.message, availableFunctions, chatModel);
-        
-        if (!claudeResponse.success) {
-          throw new Error(claudeResponse.error);
-        }
-        
-        // Handle Claude's response and function calls
-        let finalResponse = '';
-        let searchResults = [];
-        
-        const response = claudeResponse.response;
-        
-        // Process any function calls Claude made
-        if (response.content) {
-          for (const contentBlock of response.content) {
-            if (contentBlock.type === 'tool_use') {
-              console.log(`[Chat] Executing function: ${contentBlock.name} with params:`, contentBlock.input);
-              
-              try {
-                const functionResult = await searchFunctions.executeFunction(
-                  contentBlock.name, 
-                  contentBlock.input
-                );
-                
-                // Store results for final response
-                if (Array.isArray(functionResult)) {
-                  searchResults = searchResults.concat(functionResult);
-                }
-                
-                console.log(`[Chat] Function ${contentBlock.name} returned ${Array.isArray(functionResult) ? functionResult.length : 'non-array'} results`);
-                
-              } catch (funcError) {
-                console.error(`[Chat] Function ${contentBlock.name} error:`, funcError.message);
-              }
-            } else if (contentBlock.type === 'text') {
-              finalResponse += contentBlock.text;
-            }
-          }
-        }
-        
-        // If Claude made function calls but we need the final response, make another request
-        if (response.content.some(block => block.type === 'tool_use') && !finalResponse) {
-          console.log('[Chat] Getting final response from Claude with search results');
-          
-          // Check if search was broadened
-          const wasBroadened = searchResults.some(result => result.searchBroadened);
-          const broadeningInfo = wasBroadened ? searchResults[0].broadeningApplied : null;
-          
-          // Create a follow-up request with the search results
-          const followUpBody = {
-            model: chatModel,
-            max_tokens: 1000,
-            system: `You're PhotoVision, and you just looked through the photo collection! Share what you found in a natural, excited way.
-
-Be conversational and enthusiastic - like you're showing photos to a friend. Mention specific details that caught your eye, and express genuine excitement about the moments captured. Keep it natural and personal!
+      } catch (error) {
+        log(`Chat processing error: ${error.message}`, 'ERROR');
+        return sendError(res, 500, 'Failed to process chat message: ' + error.message);
+      }
+    }
 
-${wasBroadened ? `IMPORTANT: The search was broadened to find results. Here's what happened: "${broadeningInfo}". Mention this naturally in your response, like "I broadened the search a bit to find more matches" or "I expanded to include similar concepts" - keep it conversational!` : ''}
+    // Streaming chat endpoint: pushes tool progress, partial results and text deltas as SSE
+    if (pathname === '/api/chat/stream' && method === 'POST') {
+      const requestData = await parseJSON(req);
+      log(`Chat stream request: ${requestData.message}`);
+      
+      if (!requestData.message || typeof requestData.message !== 'string') {
+        return sendError(res, 400, 'Message is required');
+      }
 
-Remember: You're not just delivering search results - you're sharing exciting photo discoveries with a friend!`,
-            messages: [
-              {
-                role: "user",
-                content: requestData.message
-              },
-              {
-                role: "assistant",
-                content: response.content
-              },
-              {
-                role: "user",
-                content: `I found these photos: ${JSON.stringify(searchFunctions.formatResults(searchResults), null, 2)}`
-              }
-            ]
-          };
-          
-          const followUpResponse = await claudeClient.makeRequest('/v1/messages', 'POST', followUpBody);
-          
-          if (followUpResponse.content && followUpResponse.content[0]) {
-            finalResponse = followUpResponse.content[0].text || 'I found some great photos for you! I had a little hiccup describing them, but the results below should be exactly what you\'re looking for! 😊';
-          }
+      startEventStream(res);
+      // A client that goes away stops the agent loop and the model call in flight, so no more tokens are spent on it
+      const disconnect = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) {
+          log('Chat stream client disconnected, cancelling the turn', 'WARN');
+          disconnect.abort();
         }
+      });
+
+      let chatTurn = null;
+      try {
+        chatTurn = await prepareChatTurn(requestData);
+        const previewLimit = parseInt(requestData.limit || '10');
+        sendEvent(res, 'session', { sessionId: chatTurn.session.id });
+        
+        const agentResult = await chatTurn.chatAgent.run(requestData.message, {
+          onStepStart: ({ step, maxSteps }) => sendEvent(res, 'step', { step, maxSteps }),
+          onTextDelta: ({ step, text }) => sendEvent(res, 'text_delta', { step, text }),
+          onToolStart: ({ step, name, input }) => sendEvent(res, 'tool_start', { step, name, input }),
+          onToolResult: ({ step, name, results, error }) => sendEvent(res, 'tool_result', {
+            step,
+            name,
+            error,
+            resultCount: results.length,
+            results: chatTurn.searchFunctions.formatResults(results.slice(0, previewLimit))
+          })
+        }, { signal: disconnect.signal });
         
-        // Apply pagination to results (limit to 10 by default)
-        const page = parseInt(requestData.page || '0');
-        const limit = parseInt(requestData.limit || '10');
-        const paginatedData = searchFunctions.paginateResults(searchResults, page, limit);
-        
-        // Fallback response if no text was generated
-        if (!finalResponse) {
-          if (searchResults.length > 0) {
-            const showing = `Showing ${paginatedData.pagination.startIndex + 1}-${paginatedData.pagination.endIndex} of ${paginatedData.pagination.total}`;
-            const foundCount = searchResults.length;
-            const responses = [
-              `Great news! I discovered ${foundCount} amazing photo${foundCount === 1 ? '' : 's'} that match what you're looking for! ${showing} results below - click any link to see the full resolution image. 📸`,
-              `Perfect! I found ${foundCount} fantastic shot${foundCount === 1 ? '' : 's'} for you! ${showing} results with direct SmugMug links so you can easily view and share them. ✨`,
-              `Success! Your search turned up ${foundCount} wonderful photo${foundCount === 1 ? '' : 's'}! ${showing} results - each one ready to view at full quality on SmugMug. 🎯`
-            ];
-            finalResponse = responses[Math.floor(Math.random() * responses.length)];
-          } else {
-            const noResultsResponses = [
-              "Hmm, I couldn't find any photos matching that search, but don't worry! 🤔 Try describing what you're looking for differently - maybe 'happy athletes', 'competition winners', 'outdoor archery', or 'award ceremonies'. I'm great at understanding natural language!",
-              "No matches this time, but I'd love to help you find what you're looking for! 💭 Try being more specific or using different words - like 'celebrating kids', 'focused competitors', 'victory moments', or even just 'smiling faces'. What kind of moment are you hoping to relive?",
-              "I didn't spot any photos with those terms, but let's try a different approach! 🎯 Describe the scene you remember - was it outdoors? Were people celebrating? Was it during a competition? I can understand natural descriptions really well!"
-            ];
-            finalResponse = noResultsResponses[Math.floor(Math.random() * noResultsResponses.length)];
+        const chatData = await completeChatTurn(requestData, chatTurn, agentResult);
+        sendEvent(res, 'done', chatData);
+      } catch (error) {
+        if (error.cancelled && chatTurn) {
+          // Model calls finished before the disconnect were still billed
+          for (const step of error.trace.filter(entry => entry.type === 'model')) {
+            await dataManager.recordUsage('chat', step.usage, { model: chatTurn.chatModel, sessionId: chatTurn.session.id });
           }
+          log('Chat turn cancelled after the client disconnected');
+        } else {
+          log(`Chat stream error: ${error.message}`, 'ERROR');
+          sendEvent(res, 'error', { error: 'Failed to process chat message: ' + error.message });
         }
-        
-        return sendSuccess(res, {
-          response: finalResponse,
-          results: searchFunctions.formatResults(paginatedData.results),
-          pagination: paginatedData.pagination,
-          resultCount: searchResults.length,
-          originalQuery: requestData.message,
-          searchOptions: requestData.searchOptions || {}
-        }, 'Chat message processed');
-        
-      } catch (error) {
-        log(`Chat processing error: ${error.message}`, 'ERROR');
-        return sendError(res, 500, 'Failed to process chat message: ' + error.message);
       }
+      
+      res.end();
+      return;
+    }
+
+    // Chat session history endpoint
+    if (pathname.match(/^\/api\/chat\/sessions\/[^/]+$/) && method === 'GET') {
+      const sessionId = pathname.split('/').pop();
+      log(`Chat session request: ${sessionId}`);
+      
+      const session = await chatSessionManager.getSession(sessionId);
+      if (!session) {
+        return sendError(res, 404, `Chat session ${sessionId} not found`);
+      }
+      
+      return sendSuccess(res, session, `Retrieved chat session with ${session.turns.length} turns`);
+    }
+
+    // Delete chat session endpoint (start a fresh conversation)
+    if (pathname.match(/^\/api\/chat\/sessions\/[^/]+$/) && method === 'DELETE') {
+      const sessionId = pathname.split('/').pop();
+      log(`Delete chat session request: ${sessionId}`);
+      
+      const deleted = await chatSessionManager.deleteSession(sessionId);
+      if (!deleted) {
+        return sendError(res, 404, `Chat session ${sessionId} not found`);
+      }
+      
+      return sendSuccess(res, { sessionId }, 'Chat session deleted');
     }
 
     // Images endpoint
@@ -508,7 +927,7 @@ Remember: You're not just delivering search results - you're sharing exciting ph
         }
         
         log(`Starring image: ${imageId}`);
-        const result = await dataManager.starImage(imageId);
+        const result = await dataManager.starImage(imageId, getRequestActor(req));
         
         if (result.success) {
           return sendSuccess(res, result, result.message);
@@ -530,7 +949,7 @@ Remember: You're not just delivering search results - you're sharing exciting ph
         }
         
         log(`Unstarring image: ${imageId}`);
-        const result = await dataManager.unstarImage(imageId);
+        const result = await dataManager.unstarImage(imageId, getRequestActor(req));
         
         if (result.success) {
           return sendSuccess(res, result, result.message);
@@ -552,7 +971,7 @@ Remember: You're not just delivering search results - you're sharing exciting ph
         }
         
         log(`Toggling star for image: ${imageId}`);
-        const result = await dataManager.toggleStarImage(imageId);
+        const result = await dataManager.toggleStarImage(imageId, getRequestActor(req));
         
         return sendSuccess(res, result, result.message);
       } catch (error) {
@@ -694,7 +1113,7 @@ For keywords, provide 5-10 relevant terms that would help with searching and ind
 
 Be specific and descriptive to enable natural language searches like "photos of people laughing outdoors" or "sunset landscapes with mountains".`;
 
-        const completePrompt = claudeClient.buildCompletePrompt(preContext, defaultPrompt);
+        const completePrompt = visionProvider.buildCompletePrompt(preContext, defaultPrompt);
         
         return sendSuccess(res, { 
           preContext: preContext || '',
@@ -708,24 +1127,298 @@ Be specific and descriptive to enable natural language searches like "photos of
     if (pathname === '/api/admin/image-analysis-templates' && method === 'GET') {
       log('Get image analysis templates request');
       try {
-        const templates = dataManager.getImageAnalysisTemplates();
+        const templates = await dataManager.getImageAnalysisTemplates();
         return sendSuccess(res, templates, 'Image analysis templates retrieved');
       } catch (error) {
         return sendError(res, 500, 'Failed to retrieve image analysis templates', error);
       }
     }
 
-    if (pathname.startsWith('/api/admin/image-analysis-templates/') && method === 'GET') {
+    // Create a user-defined image analysis template
+    if (pathname === '/api/admin/image-analysis-templates' && method === 'POST') {
+      log('Create image analysis template request');
+      try {
+        const requestData = await parseJSON(req);
+        const errors = await dataManager.validateImageAnalysisTemplate(requestData);
+        if (errors.length > 0) {
+          return sendError(res, 400, 'Invalid template', null, errors);
+        }
+        
+        const template = await dataManager.createImageAnalysisTemplate(requestData);
+        log(`Created image analysis template ${template.id}`);
+        return sendSuccess(res, template, `Template "${template.name}" created`);
+      } catch (error) {
+        return sendError(res, 500, 'Failed to create image analysis template', error);
+      }
+    }
+
+    // Duplicate any template (built-in templates are customised this way)
+    if (pathname.match(/^\/api\/admin\/image-analysis-templates\/[^/]+\/duplicate$/) && method === 'POST') {
+      const templateId = decodeURIComponent(pathname.split('/')[4]);
+      log(`Duplicate image analysis template request: ${templateId}`);
+      try {
+        const requestData = await parseJSON(req);
+        const template = await dataManager.duplicateImageAnalysisTemplate(templateId, requestData.name);
+        return sendSuccess(res, template, `Template "${template.name}" created`);
+      } catch (error) {
+        if (error.message.includes('not found')) {
+          return sendError(res, 404, error.message);
+        }
+        return sendError(res, 500, 'Failed to duplicate image analysis template', error);
+      }
+    }
+
+    if (pathname.match(/^\/api\/admin\/image-analysis-templates\/[^/]+$/) && method === 'GET') {
       log('Get specific image analysis template request');
       try {
-        const templateId = pathname.split('/').pop();
-        const template = dataManager.getImageAnalysisTemplate(templateId);
+        const templateId = decodeURIComponent(pathname.split('/').pop());
+        const template = await dataManager.getImageAnalysisTemplate(templateId);
         return sendSuccess(res, template, 'Image analysis template retrieved');
       } catch (error) {
         return sendError(res, 500, 'Failed to retrieve image analysis template', error);
       }
     }
 
+    // Update a user-defined image analysis template
+    if (pathname.match(/^\/api\/admin\/image-analysis-templates\/[^/]+$/) && method === 'PUT') {
+      const templateId = decodeURIComponent(pathname.split('/').pop());
+      log(`Update image analysis template request: ${templateId}`);
+      try {
+        const requestData = await parseJSON(req);
+        const errors = await dataManager.validateImageAnalysisTemplate(requestData, true);
+        if (errors.length > 0) {
+          return sendError(res, 400, 'Invalid template', null, errors);
+        }
+        
+        const template = await dataManager.updateImageAnalysisTemplate(templateId, requestData);
+        return sendSuccess(res, template, `Template "${template.name}" saved`);
+      } catch (error) {
+        if (error.message.includes('not found')) {
+          return sendError(res, 404, error.message);
+        }
+        if (error.message.includes('built in')) {
+          return sendError(res, 400, error.message);
+        }
+        return sendError(res, 500, 'Failed to update image analysis template', error);
+      }
+    }
+
+    // Delete a user-defined image analysis template
+    if (pathname.match(/^\/api\/admin\/image-analysis-templates\/[^/]+$/) && method === 'DELETE') {
+      const templateId = decodeURIComponent(pathname.split('/').pop());
+      log(`Delete image analysis template request: ${templateId}`);
+      try {
+        const template = await dataManager.deleteImageAnalysisTemplate(templateId);
+        return sendSuccess(res, { id: templateId }, `Template "${template.name}" deleted`);
+      } catch (error) {
+        if (error.message.includes('not found')) {
+          return sendError(res, 404, error.message);
+        }
+        if (error.message.includes('built in')) {
+          return sendError(res, 400, error.message);
+        }
+        return sendError(res, 500, 'Failed to delete image analysis template', error);
+      }
+    }
+
+    // Structured output fields requested in every analysis
+    if (pathname === '/api/admin/analysis-output-schema' && method === 'GET') {
+      try {
+        const schema = await dataManager.getAnalysisOutputSchema();
+        return sendSuccess(res, schema, 'Analysis output schema retrieved');
+      } catch (error) {
+        return sendError(res, 500, 'Failed to retrieve analysis output schema', error);
+      }
+    }
+
+    if (pathname === '/api/admin/analysis-output-schema' && method === 'POST') {
+      try {
+        const { schema = null } = await parseJSON(req);
+        if (schema) {
+          const errors = AnalysisSchema.validateDefinition(schema);
+          if (errors.length > 0) {
+            return sendError(res, 400, 'Invalid output schema', null, errors);
+          }
+        }
+        
+        const result = await dataManager.saveAnalysisOutputSchema(schema);
+        if (!result.success) {
+          return sendError(res, 500, 'Failed to save analysis output schema', new Error(result.error), result.error);
+        }
+        log(`Analysis output schema saved: ${result.schema ? Object.keys(result.schema.properties).join(', ') : '(none)'}`);
+        return sendSuccess(res, result.schema, result.schema ? 'Output schema saved' : 'Output schema removed');
+      } catch (error) {
+        return sendError(res, 500, 'Failed to save analysis output schema', error);
+      }
+    }
+
+    // Per-album and per-folder template assignments
+    if (pathname === '/api/admin/template-assignments' && method === 'GET') {
+      log('Get template assignments request');
+      try {
+        const assignments = await dataManager.getTemplateAssignments();
+        return sendSuccess(res, assignments, 'Template assignments retrieved');
+      } catch (error) {
+        return sendError(res, 500, 'Failed to retrieve template assignments', error);
+      }
+    }
+
+    if (pathname === '/api/admin/template-assignments' && method === 'POST') {
+      try {
+        const { albumKey, folderPath, templateId = null } = await parseJSON(req);
+        
+        if (!albumKey && !dataManager.normalizeFolderPath(folderPath)) {
+          return sendError(res, 400, 'albumKey or folderPath is required');
+        }
+        if (templateId) {
+          const templates = await dataManager.getImageAnalysisTemplates();
+          if (!templates[templateId]) {
+            return sendError(res, 404, `Template ${templateId} not found`);
+          }
+        }
+        
+        const target = albumKey ? { albumKey } : { folderPath };
+        log(`Template assignment: ${albumKey ? `album ${albumKey}` : `folder ${folderPath}`} -> ${templateId || '(inherit)'}`);
+        const assignments = await dataManager.saveTemplateAssignment(target, templateId);
+        return sendSuccess(res, assignments, templateId ? 'Template assigned' : 'Template assignment cleared');
+      } catch (error) {
+        return sendError(res, 500, 'Failed to save template assignment', error);
+      }
+    }
+
+    // Preview which template an album would use
+    if (pathname === '/api/admin/template-assignments/resolve' && method === 'GET') {
+      try {
+        const hierarchy = query.path ? query.path.split('>').map(segment => segment.trim()) : [];
+        const template = await dataManager.resolveAnalysisTemplate(query.albumKey, hierarchy);
+        return sendSuccess(res, template, `Album uses ${template.name}`);
+      } catch (error) {
+        return sendError(res, 500, 'Failed to resolve analysis template', error);
+      }
+    }
+
+    // Vision provider configuration endpoints
+    if (pathname === '/api/config/provider' && method === 'GET') {
+      log('Get vision provider configuration request');
+      try {
+        const providerConfig = await dataManager.getVisionProviderConfig();
+        return sendSuccess(res, {
+          ...providerConfig,
+          active: visionProvider ? visionProvider.name : null,
+          availableTypes: ['claude', 'mock'],
+          environmentOverride: process.env.PHOTOVISION_PROVIDER || null
+        }, 'Vision provider configuration retrieved');
+      } catch (error) {
+        return sendError(res, 500, 'Failed to retrieve vision provider configuration', error);
+      }
+    }
+
+    if (pathname === '/api/config/provider' && method === 'POST') {
+      log('Update vision provider configuration request');
+      try {
+        const requestData = await parseJSON(req);
+        if (!['claude', 'mock'].includes(requestData.type)) {
+          return sendError(res, 400, 'type must be claude (each model uses its own provider) or mock');
+        }
+        if (requestData.fixtures !== undefined && (typeof requestData.fixtures !== 'object' || Array.isArray(requestData.fixtures))) {
+          return sendError(res, 400, 'fixtures must be an object keyed by file name or image hash');
+        }
+
+        const result = await dataManager.saveVisionProviderConfig({
+          type: requestData.type,
+          ...(requestData.fixtures !== undefined ? { fixtures: requestData.fixtures } : {}),
+          ...(requestData.latencyMs !== undefined ? { latencyMs: Math.max(0, parseInt(requestData.latencyMs) || 0) } : {})
+        });
+        if (!result.success) {
+          return sendError(res, 500, 'Failed to save vision provider configuration', new Error(result.error), result.error);
+        }
+
+        // Takes effect immediately, including for the next job of any running batch
+        await reloadVisionProvider();
+        return sendSuccess(res, { ...result.config, active: visionProvider.name }, 'Vision provider configuration updated');
+      } catch (error) {
+        return sendError(res, 500, 'Failed to update vision provider configuration', error);
+      }
+    }
+
+    // Token usage and estimated cost, per day, feature, model and batch
+    if (pathname === '/api/usage' && method === 'GET') {
+      log('Usage summary request');
+      try {
+        const days = query.days ? parseInt(query.days) : null;
+        if (query.days && (!days || days < 1)) {
+          return sendError(res, 400, 'days must be a positive number');
+        }
+        const summary = await dataManager.getUsageSummary({ days, batchId: query.batchId || null });
+        return sendSuccess(res, summary, 'Usage summary retrieved');
+      } catch (error) {
+        return sendError(res, 500, 'Failed to retrieve usage summary', error);
+      }
+    }
+
+    // Model price table used for cost estimates (USD per million tokens)
+    if (pathname === '/api/config/pricing' && method === 'GET') {
+      log('Get model pricing request');
+      try {
+        return sendSuccess(res, await dataManager.getModelPricing(), 'Model pricing retrieved');
+      } catch (error) {
+        return sendError(res, 500, 'Failed to retrieve model pricing', error);
+      }
+    }
+
+    if (pathname === '/api/config/pricing' && method === 'POST') {
+      log('Update model pricing request');
+      try {
+        const requestData = await parseJSON(req);
+        if (!requestData.pricing || typeof requestData.pricing !== 'object' || Array.isArray(requestData.pricing)) {
+          return sendError(res, 400, 'pricing must be an object of model ID to {input, output}');
+        }
+
+        const result = await dataManager.saveModelPricing(requestData.pricing);
+        if (!result.success) {
+          return sendError(res, 400, result.error);
+        }
+        return sendSuccess(res, result.pricing, 'Model pricing updated');
+      } catch (error) {
+        return sendError(res, 500, 'Failed to update model pricing', error);
+      }
+    }
+
+    // Batch scheduler configuration (batchProcessing.scheduler)
+    if (pathname === '/api/config/scheduler' && method === 'GET') {
+      log('Get batch scheduler configuration request');
+      try {
+        return sendSuccess(res, await dataManager.getBatchSchedulerConfig(), 'Batch scheduler configuration retrieved');
+      } catch (error) {
+        return sendError(res, 500, 'Failed to retrieve batch scheduler configuration', error);
+      }
+    }
+
+    if (pathname === '/api/config/scheduler' && method === 'POST') {
+      log('Update batch scheduler configuration request');
+      try {
+        const requestData = await parseJSON(req);
+        const update = {};
+        for (const field of ['enabled', 'maxImagesPerRun', 'maxImageFailures', 'quietHours', 'schedules']) {
+          if (requestData[field] !== undefined) {
+            update[field] = requestData[field];
+          }
+        }
+        if (update.enabled !== undefined) {
+          update.enabled = !!update.enabled;
+        }
+
+        const result = await dataManager.saveBatchSchedulerConfig(update);
+        if (!result.success) {
+          return sendError(res, 400, result.error);
+        }
+        // The scheduler reads its configuration on every check, so changes apply from the next minute
+        return sendSuccess(res, result.config, 'Batch scheduler configuration updated');
+      } catch (error) {
+        return sendError(res, 500, 'Failed to update batch scheduler configuration', error);
+      }
+    }
+
     // Claude model configuration endpoints
     if (pathname === '/api/config/models' && method === 'GET') {
       log('Get model configuration request');
@@ -747,28 +1440,26 @@ Be specific and descriptive to enable natural language searches like "photos of
           return sendError(res, 400, 'chatModel and batchProcessingModel are required');
         }
         
-        // Get current config to preserve availableModels
+        // Get current config to preserve availableModels and provider settings unless they are replaced
         const currentConfig = await dataManager.getClaudeModelConfig();
-        
-        // Validate model IDs exist in available models
-        const availableModelIds = currentConfig.availableModels.map(m => m.id);
-        if (!availableModelIds.includes(requestData.chatModel)) {
-          return sendError(res, 400, `Invalid chatModel: ${requestData.chatModel}`);
-        }
-        if (!availableModelIds.includes(requestData.batchProcessingModel)) {
-          return sendError(res, 400, `Invalid batchProcessingModel: ${requestData.batchProcessingModel}`);
-        }
-        
-        // Update configuration
         const updatedConfig = {
           ...currentConfig,
           chatModel: requestData.chatModel,
           batchProcessingModel: requestData.batchProcessingModel,
+          ...(requestData.availableModels !== undefined ? { availableModels: requestData.availableModels } : {}),
+          ...(requestData.providers !== undefined ? { providers: { ...currentConfig.providers, ...requestData.providers } } : {}),
           modifiedBy: requestData.modifiedBy || 'admin'
         };
         
+        // Model IDs must exist, and the chat and batch models need tool use and vision respectively
+        const validationErrors = dataManager.validateModelConfig(updatedConfig);
+        if (validationErrors.length > 0) {
+          return sendError(res, 400, validationErrors.join('; '));
+        }
+        
         const savedConfig = await dataManager.saveClaudeModelConfig(updatedConfig);
         
+        await reloadVisionProvider();
         log(`Model configuration updated: chatModel=${requestData.chatModel}, batchProcessingModel=${requestData.batchProcessingModel}`);
         return sendSuccess(res, savedConfig, 'Model configuration updated successfully');
       } catch (error) {
@@ -780,9 +1471,8 @@ Be specific and descriptive to enable natural language searches like "photos of
     if (pathname === '/api/analyze' && method === 'POST') {
       log('Image analysis request received');
       
-      // Check if Claude API key is configured
-      const apiKeyStatus = await dataManager.getClaudeApiKeyStatus();
-      if (!apiKeyStatus.configured) {
+      // Check if Claude API key is configured (the mock provider needs none)
+      if (!visionProvider.isConfigured()) {
         return sendError(res, 500, 'Claude API key not configured');
       }
 
@@ -815,13 +1505,16 @@ Be specific and descriptive to enable natural language searches like "photos of
         const batchProcessingModel = modelConfig.batchProcessingModel;
 
         // Analyze image with Claude
-        const analysisResult = await claudeClient.analyzeImage(
+        const analysisResult = await visionProvider.analyzeImage(
           formData.image.data,
           formData.image.type,
           formData.prompt || null,
           preContext,
-          batchProcessingModel
+          batchProcessingModel,
+          await dataManager.getAnalysisOutputSchema(),
+          { fileName: formData.image.filename }
         );
+        await dataManager.recordUsage('analyze', analysisResult.usage, { model: batchProcessingModel });
 
         if (!analysisResult.success) {
           log(`Image analysis failed: ${analysisResult.error}`, 'ERROR');
@@ -836,12 +1529,15 @@ Be specific and descriptive to enable natural language searches like "photos of
           size: formData.image.data.length,
           analysis: {
             description: analysisResult.description,
-            keywords: analysisResult.keywords || []
+            keywords: analysisResult.keywords || [],
+            attributes: analysisResult.attributes
           },
           metadata: {
             model: analysisResult.model,
             usage: analysisResult.usage,
-            timestamp: analysisResult.timestamp
+            timestamp: analysisResult.timestamp,
+            schemaErrors: analysisResult.schemaErrors,
+            parseRecovery: analysisResult.parseRecovery
           }
         }, 'Image analyzed successfully');
 
@@ -850,6 +1546,39 @@ Be specific and descriptive to enable natural language searches like "photos of
       }
     }
 
+    // Find similar images endpoint ("more like this one")
+    if (pathname.match(/^\/api\/images\/[^/]+\/similar$/) && method === 'GET') {
+      const imageId = decodeURIComponent(pathname.split('/')[3]);
+      const limit = Math.min(parseInt(query.limit) || 20, 100);
+      log(`Similar images request for: ${imageId}`);
+      
+      try {
+        const SearchFunctions = require('./lib/searchFunctions');
+        const searchFunctions = new SearchFunctions();
+        const similar = await searchFunctions.findSimilarImages({
+          imageId,
+          maxResults: limit,
+          excludeSameAlbum: query.excludeSameAlbum === 'true'
+        });
+        
+        const results = searchFunctions.formatResults(similar).map((image, index) => ({
+          ...image,
+          similarity: similar[index].similarity
+        }));
+        
+        return sendSuccess(res, {
+          imageId,
+          results,
+          resultCount: results.length
+        }, `Found ${results.length} similar images`);
+      } catch (error) {
+        if (error.message.includes('not found')) {
+          return sendError(res, 404, error.message);
+        }
+        return sendError(res, 500, 'Failed to find similar images', error);
+      }
+    }
+
     // Update image keywords endpoint
     if (pathname.match(/^\/api\/images\/(.+)\/keywords$/) && method === 'PUT') {
       const matches = pathname.match(/^\/api\/images\/(.+)\/keywords$/);
@@ -874,27 +1603,148 @@ Be specific and descriptive to enable natural language searches like "photos of
         // Update the image
         const updatedImage = await dataManager.updateImage(imageKey, {
           keywords: cleanedKeywords
+        }, {
+          type: 'keywords',
+          actor: getRequestActor(req),
+          summary: 'Keywords edited'
         });
         
         if (!updatedImage) {
           return sendError(res, 404, `Image ${imageKey} not found`);
         }
-        
+        
+        return sendSuccess(res, {
+          imageKey: imageKey,
+          keywords: updatedImage.keywords,
+          lastUpdated: updatedImage.lastUpdated
+        }, 'Keywords updated successfully');
+        
+      } catch (error) {
+        log(`Failed to update keywords: ${error.message}`, 'ERROR');
+        
+        // Check if it's a not found error
+        if (error.message.includes('not found')) {
+          return sendError(res, 404, error.message);
+        }
+        
+        return sendError(res, 500, 'Failed to update keywords', error);
+      }
+    }
+
+    // List stored analysis versions for an image
+    if (pathname.match(/^\/api\/images\/[^/]+\/analyses$/) && method === 'GET') {
+      const imageId = decodeURIComponent(pathname.split('/')[3]);
+
+      try {
+        const [image] = await dataManager.getImagesByIds([imageId]);
+        if (!image) {
+          return sendError(res, 404, `Image ${imageId} not found`);
+        }
+
+        const versions = dataManager.getAnalysisVersions(image);
+        return sendSuccess(res, {
+          imageId,
+          activeVersion: image.activeAnalysisVersion || versions[versions.length - 1].version,
+          versions
+        }, `Found ${versions.length} analysis versions`);
+      } catch (error) {
+        return sendError(res, 500, 'Failed to get analysis versions', error);
+      }
+    }
+
+    // Choose which analysis version search uses for an image
+    if (pathname.match(/^\/api\/images\/[^/]+\/analyses\/active$/) && method === 'PUT') {
+      const imageId = decodeURIComponent(pathname.split('/')[3]);
+
+      try {
+        const { version } = await parseJSON(req);
+        if (version === undefined || version === null) {
+          return sendError(res, 400, 'version is required');
+        }
+
+        const updatedImage = await dataManager.setActiveAnalysisVersion(imageId, version, getRequestActor(req));
+        log(`Analysis version ${version} is now active for image ${imageId}`);
+        return sendSuccess(res, {
+          imageId,
+          activeVersion: updatedImage.activeAnalysisVersion,
+          description: updatedImage.description,
+          keywords: updatedImage.keywords,
+          attributes: updatedImage.attributes
+        }, 'Active analysis version updated');
+      } catch (error) {
+        if (error.message.includes('not found')) {
+          return sendError(res, 404, error.message);
+        }
+        return sendError(res, 500, 'Failed to set active analysis version', error);
+      }
+    }
+
+    // Re-analyze one stored image with another model
+    if (pathname.match(/^\/api\/images\/[^/]+\/reanalyze$/) && method === 'POST') {
+      const imageId = decodeURIComponent(pathname.split('/')[3]);
+      log(`Re-analysis request for image: ${imageId}`);
+
+      try {
+        const { model, activate = false } = await parseJSON(req);
+        const modelError = await getAnalysisModelError(model);
+        if (modelError) {
+          return sendError(res, 400, modelError);
+        }
+
+        const [image] = await dataManager.getImagesByIds([imageId]);
+        if (!image) {
+          return sendError(res, 404, `Image ${imageId} not found`);
+        }
+
+        const { image: updatedImage, version } = await reanalyzeStoredImage(image, model, activate, getRequestActor(req));
+        return sendSuccess(res, {
+          imageId,
+          activeVersion: updatedImage.activeAnalysisVersion,
+          version
+        }, `Image re-analyzed with ${version.model}`);
+      } catch (error) {
+        return sendError(res, 500, `Failed to re-analyze image: ${error.message}`, error, error.category ? { category: error.category } : null);
+      }
+    }
+
+    // Change history for an image
+    if (pathname.match(/^\/api\/images\/[^/]+\/history$/) && method === 'GET') {
+      const imageId = decodeURIComponent(pathname.split('/')[3]);
+
+      try {
+        const history = await dataManager.getImageHistory(imageId);
+        return sendSuccess(res, { imageId, history }, `Found ${history.length} history entries`);
+      } catch (error) {
+        if (error.message.includes('not found')) {
+          return sendError(res, 404, error.message);
+        }
+        return sendError(res, 500, 'Failed to get image history', error);
+      }
+    }
+
+    // Restore an image to the state recorded in one of its history entries
+    if (pathname.match(/^\/api\/images\/[^/]+\/history\/\d+\/revert$/) && method === 'POST') {
+      const imageId = decodeURIComponent(pathname.split('/')[3]);
+      const version = parseInt(pathname.split('/')[5]);
+      log(`Revert request for image ${imageId} to history version ${version}`);
+
+      try {
+        const updatedImage = await dataManager.revertImageToHistory(imageId, version, getRequestActor(req));
         return sendSuccess(res, {
-          imageKey: imageKey,
+          imageId,
+          description: updatedImage.description,
           keywords: updatedImage.keywords,
-          lastUpdated: updatedImage.lastUpdated
-        }, 'Keywords updated successfully');
-        
+          attributes: updatedImage.attributes,
+          activeAnalysisVersion: updatedImage.activeAnalysisVersion
+        }, `Image reverted to version ${version}`);
       } catch (error) {
-        log(`Failed to update keywords: ${error.message}`, 'ERROR');
-        
-        // Check if it's a not found error
         if (error.message.includes('not found')) {
           return sendError(res, 404, error.message);
         }
-        
-        return sendError(res, 500, 'Failed to update keywords', error);
+        if (error.message.includes('nothing to restore')) {
+          return sendError(res, 400, error.message);
+        }
+        return sendError(res, 500, 'Failed to revert image', error);
       }
     }
     
@@ -902,9 +1752,8 @@ Be specific and descriptive to enable natural language searches like "photos of
     if (pathname === '/api/analyze/test' && method === 'POST') {
       log('Image analysis test request received');
       
-      // Check if Claude API key is configured
-      const apiKeyStatus = await dataManager.getClaudeApiKeyStatus();
-      if (!apiKeyStatus.configured) {
+      // Check if Claude API key is configured (the mock provider needs none)
+      if (!visionProvider.isConfigured()) {
         return sendError(res, 500, 'Claude API key not configured');
       }
       
@@ -955,7 +1804,7 @@ Be specific and descriptive to enable natural language searches like "photos of
             log(`Analyzing test image ${i + 1}/${imageFiles.length}: ${imageFile.filename || 'unnamed'} (custom + default)`);
             
             // Run custom analysis (with preContext if enabled)
-            const customAnalysisResult = await claudeClient.analyzeImage(
+            const customAnalysisResult = await visionProvider.analyzeImage(
               imageFile.data,
               imageFile.type,
               null, // No custom prompt for testing
@@ -964,13 +1813,15 @@ Be specific and descriptive to enable natural language searches like "photos of
             );
             
             // Run default analysis (without preContext)
-            const defaultAnalysisResult = await claudeClient.analyzeImage(
+            const defaultAnalysisResult = await visionProvider.analyzeImage(
               imageFile.data,
               imageFile.type,
               null, // No custom prompt for testing
               null, // No preContext for default
               batchProcessingModel
             );
+            await dataManager.recordUsage('test_analyze', customAnalysisResult.usage, { model: batchProcessingModel });
+            await dataManager.recordUsage('test_analyze', defaultAnalysisResult.usage, { model: batchProcessingModel });
             
             const result = {
               filename: imageFile.filename || `image_${i + 1}`,
@@ -1252,8 +2103,22 @@ Be specific and descriptive to enable natural language searches like "photos of
         const totalAlbums = albumsResult.pagination.total;
         const totalPages = Math.ceil(totalAlbums / pageSize);
 
+        // Show which analysis template a batch of each album would use
+        const albums = await Promise.all(albumsResult.albums.map(async album => {
+          const template = await dataManager.resolveAnalysisTemplate(album.AlbumKey, album.PathHierarchy);
+          return {
+            ...album,
+            AnalysisTemplate: {
+              id: template.templateId,
+              name: template.name,
+              source: template.source,
+              sourcePath: template.sourcePath
+            }
+          };
+        }));
+
         return sendSuccess(res, {
-          albums: albumsResult.albums,
+          albums,
           pagination: {
             page: page,
             pageSize: pageSize,
@@ -1727,6 +2592,9 @@ Be specific and descriptive to enable natural language searches like "photos of
           log('Force reprocessing enabled - processing all images regardless of duplicates', 'DEBUG');
         }
 
+        // Template for this album (its own assignment, an assigned folder above it, or the global configuration)
+        const effectiveTemplate = await dataManager.resolveAnalysisTemplate(albumKey, albumDetails.PathHierarchy);
+
         // Create comprehensive statistics
         const statistics = {
           totalImages: imagesResult.images.length,
@@ -1738,7 +2606,13 @@ Be specific and descriptive to enable natural language searches like "photos of
           forceReprocessing: forceReprocessing,
           processingProgress: processingStatus.processingProgress,
           albumName: albumDetails.Name,
-          albumPath: albumDetails.FullDisplayPath
+          albumPath: albumDetails.FullDisplayPath,
+          analysisTemplate: {
+            id: effectiveTemplate.templateId,
+            name: effectiveTemplate.name,
+            source: effectiveTemplate.source,
+            sourcePath: effectiveTemplate.sourcePath
+          }
         };
 
         log(`Batch statistics:`, 'INFO');
@@ -1749,6 +2623,7 @@ Be specific and descriptive to enable natural language searches like "photos of
         log(`  Skipped duplicates: ${statistics.skippedImages}`, 'INFO');
         log(`  Duplicate handling: ${statistics.duplicateHandling}`, 'INFO');
         log(`  Force reprocessing: ${statistics.forceReprocessing}`, 'INFO');
+        log(`  Analysis template: ${effectiveTemplate.name} (${effectiveTemplate.source}${effectiveTemplate.sourcePath ? ` ${effectiveTemplate.sourcePath}` : ''})`, 'INFO');
 
         // Create jobs for filtered images with album information and duplicate handling context
         const jobs = imagesToProcess
@@ -1822,110 +2697,7 @@ Be specific and descriptive to enable natural language searches like "photos of
           log(`Batch processing error: ${error.message}`, 'ERROR');
         };
 
-        // Create image analysis processor with duplicate handling
-        const processors = {
-          image_analysis: async (imageData, job) => {
-            log(`Processing image: ${imageData.filename} (duplicate handling: ${job.duplicateHandling})`);
-            
-            // Validate that job has complete album information before processing
-            if (!job.albumKey || !job.albumName || !job.albumPath || !job.albumHierarchy) {
-              const missingFields = [];
-              if (!job.albumKey) missingFields.push('albumKey');
-              if (!job.albumName) missingFields.push('albumName');
-              if (!job.albumPath) missingFields.push('albumPath');
-              if (!job.albumHierarchy) missingFields.push('albumHierarchy');
-              
-              const errorMsg = `Job ${job.id} missing required album information: ${missingFields.join(', ')}`;
-              log(errorMsg, 'ERROR');
-              throw new Error(errorMsg);
-            }
-            
-            // Additional validation for albumHierarchy
-            if (!Array.isArray(job.albumHierarchy) || job.albumHierarchy.length === 0) {
-              const errorMsg = `Job ${job.id} has invalid album hierarchy: ${JSON.stringify(job.albumHierarchy)}`;
-              log(errorMsg, 'ERROR');
-              throw new Error(errorMsg);
-            }
-            
-            log(`Album info for ${imageData.filename}:`, 'DEBUG');
-            log(`  - Album: ${job.albumName}`, 'DEBUG');
-            log(`  - Path: ${job.albumPath}`, 'DEBUG');
-            log(`  - Hierarchy: [${job.albumHierarchy.join(', ')}]`, 'DEBUG');
-            
-            // Fetch image from SmugMug
-            const imageResponse = await fetch(imageData.imageUrl);
-            if (!imageResponse.ok) {
-              throw new Error(`Failed to fetch image: ${imageResponse.status}`);
-            }
-            
-            const imageBuffer = Buffer.from(await imageResponse.arrayBuffer());
-            const contentType = imageResponse.headers.get('content-type') || 'image/jpeg';
-            
-            // Get current image analysis configuration
-            const analysisConfig = await dataManager.getImageAnalysisConfig();
-            const preContext = analysisConfig.enabled ? analysisConfig.preContext : null;
-            
-            // Get model configuration
-            const modelConfig = await dataManager.getClaudeModelConfig();
-            const batchProcessingModel = modelConfig.batchProcessingModel;
-            
-            // Analyze with Claude
-            const analysisResult = await claudeClient.analyzeImage(imageBuffer, contentType, null, preContext, batchProcessingModel);
-            
-            if (!analysisResult.success) {
-              throw new Error(analysisResult.error);
-            }
-
-            // Store the result with album information and duplicate handling
-            const imageRecord = {
-              id: generateUniqueId(),
-              filename: imageData.filename,
-              smugmugImageKey: imageData.imageKey,
-              smugmugUrl: imageData.imageUrl,
-              title: imageData.title,
-              caption: imageData.caption,
-              albumKey: job.albumKey,
-              albumName: job.albumName,
-              albumPath: job.albumPath,
-              albumHierarchy: job.albumHierarchy,
-              description: analysisResult.description,
-              keywords: analysisResult.keywords || [],
-              metadata: {
-                model: analysisResult.model,
-                timestamp: analysisResult.timestamp,
-                batchId: job.batchId,
-                jobId: job.id
-              }
-            };
-
-            // Final validation before saving
-            const requiredFields = ['albumKey', 'albumName', 'albumPath', 'albumHierarchy'];
-            const missingFields = requiredFields.filter(field => !imageRecord[field]);
-            
-            if (missingFields.length > 0) {
-              const errorMsg = `Image record for ${imageData.filename} missing required fields: ${missingFields.join(', ')}`;
-              log(errorMsg, 'ERROR');
-              throw new Error(errorMsg);
-            }
-            
-            log(`Saving image record with duplicate handling: ${job.duplicateHandling}`, 'DEBUG');
-
-            // Save to data storage with duplicate handling options
-            const saveResult = await dataManager.addImage(imageRecord, {
-              duplicateHandling: job.duplicateHandling
-            });
-            
-            return {
-              imageKey: imageData.imageKey,
-              description: analysisResult.description,
-              keywords: analysisResult.keywords,
-              saved: true,
-              duplicateAction: saveResult.wasSkipped ? 'skipped' : 
-                             saveResult.wasUpdated ? 'updated' : 
-                             saveResult.wasReplaced ? 'replaced' : 'added'
-            };
-          }
-        };
+        const processors = { image_analysis: processImageAnalysisJob };
 
         // Start processing in background
         batchManager.startBatch(batchInfo.batchId, processors, onProgress, onComplete, onError)
@@ -1946,6 +2718,62 @@ Be specific and descriptive to enable natural language searches like "photos of
       }
     }
 
+    // Re-analyze an album's stored images with another model as a batch
+    if (pathname === '/api/batch/reanalyze' && method === 'POST') {
+      log('Album re-analysis request');
+
+      try {
+        const { albumKey, model, activate = false } = await parseJSON(req);
+        if (!albumKey) {
+          return sendError(res, 400, 'albumKey is required');
+        }
+        const modelError = await getAnalysisModelError(model);
+        if (modelError) {
+          return sendError(res, 400, modelError);
+        }
+
+        const albumImages = (await dataManager.getImages()).filter(image => image.albumKey === albumKey);
+        if (albumImages.length === 0) {
+          return sendError(res, 404, `No analyzed images found for album ${albumKey}`);
+        }
+
+        const [firstImage] = albumImages;
+        const jobs = albumImages.map(image => ({
+          id: `reanalyze_${image.id}`,
+          type: 'reanalysis',
+          data: { imageId: image.id, model, activate },
+          albumKey,
+          albumName: image.albumName,
+          albumPath: image.albumPath,
+          albumHierarchy: image.albumHierarchy,
+          imageName: image.filename || image.id
+        }));
+
+        const batchInfo = batchManager.createBatch(jobs, `Re-analyze ${firstImage.albumName || albumKey} (${model})`, {
+          albumKey,
+          albumHierarchy: firstImage.albumHierarchy
+        });
+
+        batchManager.startBatch(batchInfo.batchId, { reanalysis: processReanalysisJob },
+          (progress) => log(`Re-analysis progress: ${progress.progress}% (${progress.processed}/${progress.total})`),
+          (result) => log(`Re-analysis completed: ${result.processed} processed, ${result.failed} failed`),
+          (error) => log(`Re-analysis error: ${error.message}`, 'ERROR'))
+          .catch(error => {
+            log(`Re-analysis batch failed: ${error.message}`, 'ERROR');
+          });
+
+        return sendSuccess(res, {
+          batchId: batchInfo.batchId,
+          jobCount: batchInfo.jobCount,
+          albumKey,
+          model,
+          message: `Started re-analyzing ${batchInfo.jobCount} images with ${model}`
+        }, 'Album re-analysis started');
+      } catch (error) {
+        return sendError(res, 500, 'Failed to start album re-analysis', error);
+      }
+    }
+
     // Batch status endpoint - returns all active batches
     if (pathname === '/api/batch/status' && method === 'GET') {
       log('Batch status request');
@@ -1969,19 +2797,27 @@ Be specific and descriptive to enable natural language searches like "photos of
             isPaused: !rawStatus.processing && rawStatus.totalJobs > 0 && 
                       (rawStatus.completedJobs + rawStatus.failedJobs) < rawStatus.totalJobs,
             isProcessing: rawStatus.processing,
+            interrupted: rawStatus.interrupted,
             
             // Keep other useful properties
             batchId: rawStatus.batchId,
+            name: rawStatus.name,
+            albumKey: rawStatus.albumKey,
+            albumHierarchy: rawStatus.albumHierarchy,
             currentJob: rawStatus.currentJob,
+            activeJobs: rawStatus.activeJobs || [],
             progress: rawStatus.progress,
             failedJobs: rawStatus.failedJobDetails || [],
+            failureCategories: rawStatus.failureCategories || {},
+            retryableFailures: rawStatus.retryableFailures || 0,
             
             // Additional properties for frontend
             startTime: rawStatus.startTime,
             estimatedCompletion: rawStatus.estimatedCompletion,
             
             // Include duplicate detection statistics
-            duplicateStatistics: rawStatus.duplicateStatistics || null
+            duplicateStatistics: rawStatus.duplicateStatistics || null,
+            usage: rawStatus.usage || null
           };
           
           return sendSuccess(res, transformedStatus, 'Batch status retrieved');
@@ -2000,14 +2836,19 @@ Be specific and descriptive to enable natural language searches like "photos of
           isPaused: !rawStatus.processing && rawStatus.totalJobs > 0 && 
                     (rawStatus.completedJobs + rawStatus.failedJobs) < rawStatus.totalJobs,
           isProcessing: rawStatus.processing,
+          interrupted: rawStatus.interrupted,
           
           // Keep other useful properties
           batchId: rawStatus.batchId,
           name: rawStatus.name,
           albumKey: rawStatus.albumKey,
+          albumHierarchy: rawStatus.albumHierarchy,
           currentJob: rawStatus.currentJob,
+          activeJobs: rawStatus.activeJobs || [],
           progress: rawStatus.progress,
           failedJobs: rawStatus.failedJobDetails || [],
+          failureCategories: rawStatus.failureCategories || {},
+          retryableFailures: rawStatus.retryableFailures || 0,
           
           // Additional properties for frontend
           startTime: rawStatus.startTime,
@@ -2049,14 +2890,19 @@ Be specific and descriptive to enable natural language searches like "photos of
           isPaused: !status.processing && status.totalJobs > 0 && 
                     (status.completedJobs + status.failedJobs) < status.totalJobs,
           isProcessing: status.processing,
+          interrupted: status.interrupted,
           batchId: status.batchId,
           name: status.name,
           currentJob: status.currentJob,
+          activeJobs: status.activeJobs || [],
           progress: status.progress,
           failedJobs: status.failedJobDetails || [],
+          failureCategories: status.failureCategories || {},
+          retryableFailures: status.retryableFailures || 0,
           startTime: status.startTime,
           estimatedCompletion: status.estimatedCompletion,
-          duplicateStatistics: status.duplicateStatistics || null
+          duplicateStatistics: status.duplicateStatistics || null,
+          usage: status.usage || null
         };
         
         return sendSuccess(res, transformedStatus, 'Batch status retrieved');
@@ -2099,99 +2945,10 @@ Be specific and descriptive to enable natural language searches like "photos of
         const requestData = await parseJSON(req);
         const { batchId } = requestData;
         
-        // Create processors again for resume with duplicate handling
+        // Restored batches may hold album analysis or re-analysis jobs
         const processors = {
-          image_analysis: async (imageData, job) => {
-            log(`Resuming processing for image: ${imageData.filename} (duplicate handling: ${job.duplicateHandling || 'skip'})`);
-            
-            // Validate that job has complete album information before processing
-            if (!job.albumKey || !job.albumName || !job.albumPath || !job.albumHierarchy) {
-              const missingFields = [];
-              if (!job.albumKey) missingFields.push('albumKey');
-              if (!job.albumName) missingFields.push('albumName');
-              if (!job.albumPath) missingFields.push('albumPath');
-              if (!job.albumHierarchy) missingFields.push('albumHierarchy');
-              
-              const errorMsg = `Resume job ${job.id} missing required album information: ${missingFields.join(', ')}`;
-              log(errorMsg, 'ERROR');
-              throw new Error(errorMsg);
-            }
-            
-            // Additional validation for albumHierarchy
-            if (!Array.isArray(job.albumHierarchy) || job.albumHierarchy.length === 0) {
-              const errorMsg = `Resume job ${job.id} has invalid album hierarchy: ${JSON.stringify(job.albumHierarchy)}`;
-              log(errorMsg, 'ERROR');
-              throw new Error(errorMsg);
-            }
-            
-            const imageResponse = await fetch(imageData.imageUrl);
-            if (!imageResponse.ok) {
-              throw new Error(`Failed to fetch image: ${imageResponse.status}`);
-            }
-            
-            const imageBuffer = Buffer.from(await imageResponse.arrayBuffer());
-            const contentType = imageResponse.headers.get('content-type') || 'image/jpeg';
-            
-            // Get current image analysis configuration
-            const analysisConfig = await dataManager.getImageAnalysisConfig();
-            const preContext = analysisConfig.enabled ? analysisConfig.preContext : null;
-            
-            // Get model configuration
-            const modelConfig = await dataManager.getClaudeModelConfig();
-            const batchProcessingModel = modelConfig.batchProcessingModel;
-            
-            const analysisResult = await claudeClient.analyzeImage(imageBuffer, contentType, null, preContext, batchProcessingModel);
-            
-            if (!analysisResult.success) {
-              throw new Error(analysisResult.error);
-            }
-
-            const imageRecord = {
-              id: generateUniqueId(),
-              filename: imageData.filename,
-              smugmugImageKey: imageData.imageKey,
-              smugmugUrl: imageData.imageUrl,
-              title: imageData.title,
-              caption: imageData.caption,
-              albumKey: job.albumKey,
-              albumName: job.albumName,
-              albumPath: job.albumPath,
-              albumHierarchy: job.albumHierarchy,
-              description: analysisResult.description,
-              keywords: analysisResult.keywords || [],
-              metadata: {
-                model: analysisResult.model,
-                timestamp: analysisResult.timestamp,
-                batchId: job.batchId,
-                jobId: job.id
-              }
-            };
-
-            // Final validation before saving
-            const requiredFields = ['albumKey', 'albumName', 'albumPath', 'albumHierarchy'];
-            const missingFields = requiredFields.filter(field => !imageRecord[field]);
-            
-            if (missingFields.length > 0) {
-              const errorMsg = `Resume image record for ${imageData.filename} missing required fields: ${missingFields.join(', ')}`;
-              log(errorMsg, 'ERROR');
-              throw new Error(errorMsg);
-            }
-
-            // Save with duplicate handling (default to 'skip' if not specified)
-            const saveResult = await dataManager.addImage(imageRecord, {
-              duplicateHandling: job.duplicateHandling || 'skip'
-            });
-            
-            return {
-              imageKey: imageData.imageKey,
-              description: analysisResult.description,
-              keywords: analysisResult.keywords,
-              saved: true,
-              duplicateAction: saveResult.wasSkipped ? 'skipped' : 
-                             saveResult.wasUpdated ? 'updated' : 
-                             saveResult.wasReplaced ? 'replaced' : 'added'
-            };
-          }
+          image_analysis: processImageAnalysisJob,
+          reanalysis: processReanalysisJob
         };
 
         if (!batchId) {
@@ -2239,26 +2996,86 @@ Be specific and descriptive to enable natural language searches like "photos of
       
       try {
         const requestData = await parseJSON(req);
-        const { batchId } = requestData;
+        const { batchId, includePermanent = false } = requestData;
         
         if (!batchId) {
           return sendError(res, 400, 'Batch ID is required');
         }
         
-        const result = batchManager.retryFailedJobs(batchId);
+        // Permanent failures (invalid image, auth, content policy) are only retried on request
+        const result = batchManager.retryFailedJobs(batchId, { includePermanent });
         return sendSuccess(res, { ...result, batchId }, result.message);
       } catch (error) {
         return sendError(res, 500, 'Failed to retry failed jobs', error);
       }
     }
 
+    // Global rate limiter state, including recent API throttling
+    if (pathname === '/api/batch/rate-limit' && method === 'GET') {
+      try {
+        return sendSuccess(res, batchManager.getRateLimiterStatus(), 'Rate limiter status retrieved');
+      } catch (error) {
+        return sendError(res, 500, 'Failed to get rate limiter status', error);
+      }
+    }
+
+    // Scheduled batch processing: next run of each schedule and recent runs
+    if (pathname === '/api/batch/scheduler' && method === 'GET') {
+      try {
+        return sendSuccess(res, await batchScheduler.getStatus(), 'Batch scheduler status retrieved');
+      } catch (error) {
+        return sendError(res, 500, 'Failed to get batch scheduler status', error);
+      }
+    }
+
+    // Run a schedule now, outside its timing and quiet hours; its batch shows up with the others
+    if (pathname === '/api/batch/scheduler/run' && method === 'POST') {
+      log('Scheduled batch run request');
+      try {
+        const { scheduleId } = await parseJSON(req);
+        if (!scheduleId) {
+          return sendError(res, 400, 'scheduleId is required');
+        }
+        const schedulerConfig = await dataManager.getBatchSchedulerConfig();
+        if (!schedulerConfig.schedules.some(schedule => schedule.id === scheduleId)) {
+          return sendError(res, 404, `Schedule ${scheduleId} not found`);
+        }
+        if (batchScheduler.activeRun) {
+          return sendError(res, 409, 'A scheduled run is already in progress');
+        }
+
+        // Scanning albums can take a while, so the run continues in the background
+        batchScheduler.runNow(scheduleId).catch(error => {
+          log(`Scheduled run failed: ${error.message}`, 'ERROR');
+        });
+        return sendSuccess(res, { started: true, scheduleId }, 'Scheduled run started');
+      } catch (error) {
+        return sendError(res, 500, 'Failed to start scheduled run', error);
+      }
+    }
+
+    // Let scheduled runs queue images held back after failing (the given imageKeys, or all of them)
+    if (pathname === '/api/batch/scheduler/retry' && method === 'POST') {
+      log('Scheduled image retry request');
+      try {
+        const { imageKeys } = await parseJSON(req);
+        if (imageKeys !== undefined && !Array.isArray(imageKeys)) {
+          return sendError(res, 400, 'imageKeys must be an array');
+        }
+        const cleared = await dataManager.clearScheduledImageFailures(imageKeys || null);
+        return sendSuccess(res, { imageKeys: cleared }, `${cleared.length} images will be queued by the next scheduled run`);
+      } catch (error) {
+        return sendError(res, 500, 'Failed to retry scheduled images', error);
+      }
+    }
+
     // Batch details endpoint
     if (pathname.match(/^\/api\/batch\/details\/[^/]+$/) && method === 'GET') {
       const batchId = pathname.split('/').pop();
       log(`Batch details request for batch: ${batchId}`);
       
       try {
-        const details = batchManager.getBatchDetails(batchId);
+        const details = batchManager.getBatchDetails(batchId, await dataManager.getModelPricing());
         
         if (!details) {
           return sendError(res, 404, `Batch ${batchId} not found`);
@@ -2334,6 +3151,16 @@ Be specific and descriptive to enable natural language searches like "photos of
         });
         
         log(`Duplicate cleanup ${dryRun ? 'dry run' : 'completed'}: ${result.duplicatesRemoved} duplicates removed`);
+
+        // Note each merge in the history of the record that was kept
+        for (const detail of (result.cleanupDetails || []).filter(d => d.action === 'removed' && d.keptId)) {
+          await dataManager.recordImageHistory(detail.keptId, {
+            type: 'duplicate-merge',
+            actor: getRequestActor(req),
+            summary: `Merged duplicate record ${detail.imageId}`,
+            details: { removedId: detail.imageId }
+          });
+        }
         
         return sendSuccess(res, {
           success: result.success,
@@ -2503,7 +3330,11 @@ Be specific and descriptive to enable natural language searches like "photos of
         const status = await dataManager.getClaudeApiKeyStatus();
         
         return sendSuccess(res, {
-          claude: status
+          claude: status,
+          providers: {
+            openai: await dataManager.getProviderApiKeyStatus('openai'),
+            ollama: await dataManager.getProviderApiKeyStatus('ollama')
+          }
         });
       } catch (error) {
         log(`Error getting API key status: ${error.message}`, 'ERROR');
@@ -2527,7 +3358,7 @@ Be specific and descriptive to enable natural language searches like "photos of
         
         // Update the Claude client with the new key
         const newApiKey = await dataManager.getClaudeApiKey();
-        claudeClient.updateApiKey(newApiKey);
+        visionProvider.updateApiKey(newApiKey);
         
         return sendSuccess(res, result);
       } catch (error) {
@@ -2536,6 +3367,32 @@ Be specific and descriptive to enable natural language searches like "photos of
       }
     }
     
+    // Save or remove the API key of an OpenAI-compatible or Ollama provider
+    const providerKeyMatch = pathname.match(/^\/api\/admin\/api-keys\/(openai|ollama)$/);
+    if (providerKeyMatch && (method === 'POST' || method === 'DELETE')) {
+      const provider = providerKeyMatch[1];
+      log(`${provider} API key ${method === 'POST' ? 'update' : 'removal'} request`);
+      
+      try {
+        let result;
+        if (method === 'POST') {
+          const data = await parseJSON(req);
+          if (!data.apiKey) {
+            return sendError(res, 400, 'API key is required');
+          }
+          result = await dataManager.saveProviderApiKey(provider, data.apiKey);
+        } else {
+          result = await dataManager.removeProviderApiKey(provider);
+        }
+        
+        await reloadVisionProvider();
+        return sendSuccess(res, { ...result, status: await dataManager.getProviderApiKeyStatus(provider) });
+      } catch (error) {
+        log(`Error updating ${provider} API key: ${error.message}`, 'ERROR');
+        return sendError(res, error.message.startsWith('Invalid') ? 400 : 500, error.message);
+      }
+    }
+    
     // Test Claude API key
     if (pathname === '/api/admin/api-keys/test' && method === 'POST') {
       log('Claude API key test request');
@@ -2585,7 +3442,7 @@ Be specific and descriptive to enable natural language searches like "photos of
         if (result.success) {
           // Update Claude client with migrated key
           const apiKey = await dataManager.getClaudeApiKey();
-          claudeClient.updateApiKey(apiKey);
+          visionProvider.updateApiKey(apiKey);
         }
         
         return sendSuccess(res, result);
@@ -2665,6 +3522,10 @@ Be specific and descriptive to enable natural language searches like "photos of
           }
           log('Cleared all caches', 'INFO');
           
+          // 5. Reset the search index
+          await dataManager.rebuildSearchIndex();
+          log('Cleared search index', 'WARN');
+          
         } catch (destroyError) {
           log(`Failed to destroy data: ${destroyError.message}`, 'ERROR');
           return sendError(res, 500, 'Failed to destroy all data: ' + destroyError.message);
@@ -2683,6 +3544,250 @@ Be specific and descriptive to enable natural language searches like "photos of
       }
     }
     
+    // Search index statistics endpoint
+    if (pathname === '/api/admin/search-index' && method === 'GET') {
+      log('Search index stats request');
+      
+      try {
+        const searchIndex = await dataManager.getSearchIndex();
+        return sendSuccess(res, searchIndex.getStats(), 'Search index statistics retrieved');
+      } catch (error) {
+        return sendError(res, 500, 'Failed to get search index statistics', error);
+      }
+    }
+
+    // Rebuild search index endpoint
+    if (pathname === '/api/admin/search-index/rebuild' && method === 'POST') {
+      log('Search index rebuild request', 'WARN');
+      
+      try {
+        const stats = await dataManager.rebuildSearchIndex();
+        return sendSuccess(res, stats, `Search index rebuilt with ${stats.documents} images`);
+      } catch (error) {
+        return sendError(res, 500, 'Failed to rebuild search index', error);
+      }
+    }
+
+    // Embedding index statistics endpoint (loads the index without embedding anything)
+    if (pathname === '/api/admin/embedding-index' && method === 'GET') {
+      log('Embedding index stats request');
+      
+      try {
+        const EmbeddingIndex = require('./lib/embeddingIndex');
+        const embeddingConfig = await dataManager.getEmbeddingConfig();
+        const embeddingIndex = EmbeddingIndex.forFile(dataManager.embeddingIndexFile, embeddingConfig.model);
+        const built = await embeddingIndex.load();
+        const building = dataManager.isEmbeddingIndexBuilding();
+        return sendSuccess(res, { ...embeddingIndex.getStats(), built, building, config: embeddingConfig }, 'Embedding index statistics retrieved');
+      } catch (error) {
+        return sendError(res, 500, 'Failed to get embedding index statistics', error);
+      }
+    }
+
+    // Rebuild embedding index endpoint (embeds new or changed images with the local model)
+    if (pathname === '/api/admin/embedding-index/rebuild' && method === 'POST') {
+      log('Embedding index rebuild request', 'WARN');
+      
+      try {
+        const stats = await dataManager.rebuildEmbeddingIndex();
+        return sendSuccess(res, stats, `Embedding index rebuilt: ${stats.embedded} images embedded`);
+      } catch (error) {
+        return sendError(res, 500, 'Failed to rebuild embedding index', error);
+      }
+    }
+
+    // Face clusters for the People admin card (sample faces come with their photo URL for cropping)
+    if (pathname === '/api/admin/faces' && method === 'GET') {
+      log('Face clusters request');
+      
+      try {
+        const faceIndex = await dataManager.getFaceIndex();
+        const clusters = faceIndex.getClusters({ minFaces: parseInt(query.minFaces) || 1 });
+        const samples = await dataManager.getImagesByIds(clusters.filter(cluster => cluster.sample).map(cluster => cluster.sample.imageId));
+        const urls = new Map(samples.map(image => [image.id, image.smugmugUrl]));
+        
+        return sendSuccess(res, {
+          stats: faceIndex.getStats(),
+          config: await dataManager.getFaceConfig(),
+          // Missing optional packages are reported here rather than only failing each detection
+          detection: faceIndex.getDetectionStatus(),
+          clusters: clusters.map(cluster => ({
+            ...cluster,
+            sample: cluster.sample ? { ...cluster.sample, imageUrl: urls.get(cluster.sample.imageId) || null } : null
+          }))
+        }, `Found ${clusters.length} face clusters`);
+      } catch (error) {
+        return sendError(res, 500, 'Failed to get face clusters', error);
+      }
+    }
+
+    // Face detection settings
+    if (pathname === '/api/admin/faces/config' && method === 'POST') {
+      try {
+        const requestData = await parseJSON(req);
+        const updates = {};
+        if (typeof requestData.enabled === 'boolean') updates.enabled = requestData.enabled;
+        for (const key of ['minConfidence', 'matchThreshold']) {
+          if (requestData[key] === undefined) continue;
+          const value = parseFloat(requestData[key]);
+          if (!(value > 0 && value < 1.5)) {
+            return sendError(res, 400, `${key} must be a number between 0 and 1.5`);
+          }
+          updates[key] = value;
+        }
+        
+        log(`Face detection config update: ${JSON.stringify(updates)}`);
+        const result = await dataManager.saveFaceConfig(updates);
+        if (!result.success) {
+          return sendError(res, 500, 'Failed to save face detection config', new Error(result.error), result.error);
+        }
+        return sendSuccess(res, result.config, 'Face detection config saved');
+      } catch (error) {
+        return sendError(res, 500, 'Failed to save face detection config', error);
+      }
+    }
+
+    // Name a face cluster (naming it after an existing person merges the two)
+    if (pathname.match(/^\/api\/admin\/faces\/clusters\/[^/]+\/name$/) && method === 'POST') {
+      const clusterId = decodeURIComponent(pathname.split('/')[5]);
+      
+      try {
+        const requestData = await parseJSON(req);
+        const faceIndex = await dataManager.getFaceIndex();
+        const cluster = faceIndex.nameCluster(clusterId, requestData.name);
+        await faceIndex.save();
+        
+        log(`Face cluster ${clusterId} named "${cluster.name || ''}"`);
+        return sendSuccess(res, cluster, cluster.name ? `Cluster named ${cluster.name}` : 'Cluster name cleared');
+      } catch (error) {
+        if (error.message.includes('not found')) {
+          return sendError(res, 404, error.message);
+        }
+        return sendError(res, 500, 'Failed to name face cluster', error);
+      }
+    }
+
+    // Merge one face cluster into another
+    if (pathname === '/api/admin/faces/clusters/merge' && method === 'POST') {
+      try {
+        const { sourceId, targetId } = await parseJSON(req);
+        if (!sourceId || !targetId) {
+          return sendError(res, 400, 'sourceId and targetId are required');
+        }
+        
+        const faceIndex = await dataManager.getFaceIndex();
+        const cluster = faceIndex.mergeClusters(sourceId, targetId);
+        await faceIndex.save();
+        
+        log(`Face cluster ${sourceId} merged into ${targetId}`);
+        return sendSuccess(res, cluster, `Merged ${sourceId} into ${targetId}`);
+      } catch (error) {
+        if (error.message.includes('not found')) {
+          return sendError(res, 404, error.message);
+        }
+        return sendError(res, 500, 'Failed to merge face clusters', error);
+      }
+    }
+
+    // Re-cluster every detected face, keeping names where the faces still agree
+    if (pathname === '/api/admin/faces/recluster' && method === 'POST') {
+      log('Face recluster request', 'WARN');
+      
+      try {
+        const faceIndex = await dataManager.getFaceIndex();
+        const result = faceIndex.recluster();
+        await faceIndex.save();
+        return sendSuccess(res, { ...faceIndex.getStats(), ...result }, `Faces regrouped into ${result.clusters} clusters`);
+      } catch (error) {
+        return sendError(res, 500, 'Failed to re-cluster faces', error);
+      }
+    }
+
+    // Scan already-processed photos for faces, a few at a time
+    if (pathname === '/api/admin/faces/scan' && method === 'POST') {
+      log('Face scan request', 'WARN');
+      
+      try {
+        const requestData = await parseJSON(req);
+        const limit = Math.max(1, parseInt(requestData.limit) || 25);
+        
+        const faceIndex = await dataManager.getFaceIndex();
+        const detection = faceIndex.getDetectionStatus();
+        if (!detection.available) {
+          return sendError(res, 503, detection.error);
+        }
+        
+        const images = await dataManager.getImages();
+        const pending = images.filter(image => image.smugmugUrl && !faceIndex.hasImage(image.id));
+        const stats = { scanned: 0, faces: 0, failed: 0, remaining: 0 };
+        
+        for (const image of pending.slice(0, limit)) {
+          try {
+            const { imageBuffer } = await downloadBatchImage(image.smugmugUrl);
+            stats.faces += await faceIndex.addImage(image.id, imageBuffer);
+            stats.scanned++;
+          } catch (error) {
+            log(`Face scan failed for ${image.id}: ${error.message}`, 'WARN');
+            stats.failed++;
+          }
+        }
+        
+        await faceIndex.save();
+        stats.remaining = pending.length - stats.scanned;
+        return sendSuccess(res, { ...stats, ...faceIndex.getStats() }, `Scanned ${stats.scanned} photos, found ${stats.faces} faces`);
+      } catch (error) {
+        return sendError(res, 500, 'Failed to scan photos for faces', error);
+      }
+    }
+
+    // Backfill capture date, camera and GPS for images processed before EXIF ingestion
+    if (pathname === '/api/admin/capture-metadata/backfill' && method === 'POST') {
+      log('Capture metadata backfill request', 'WARN');
+      
+      try {
+        const requestData = await parseJSON(req);
+        const limit = Math.max(1, parseInt(requestData.limit) || 100);
+        
+        const config = await dataManager.getConfig();
+        if (!config.smugmug || !config.smugmug.accessToken) {
+          return sendError(res, 400, 'SmugMug not connected');
+        }
+        
+        // Records that have been looked up carry captureDate (null if the photo has none)
+        const images = await dataManager.getImages();
+        const pending = images.filter(image => image.smugmugImageKey && image.captureDate === undefined);
+        const stats = { processed: 0, updated: 0, failed: 0, remaining: 0, placesNamed: 0 };
+        
+        // GPS records from before place names were added only need the offline gazetteer
+        for (const image of images.filter(image => image.gps && image.place === undefined)) {
+          await dataManager.updateImage(image.id, { place: addPlaceName(image).place });
+          stats.placesNamed++;
+        }
+        
+        for (const image of pending.slice(0, limit)) {
+          const result = await smugmugClient.getImageMetadata(
+            config.smugmug.accessToken,
+            config.smugmug.accessTokenSecret,
+            image.smugmugImageKey
+          );
+          stats.processed++;
+          
+          if (!result.success) {
+            stats.failed++;
+            continue;
+          }
+          
+          await dataManager.updateImage(image.id, addPlaceName(result.metadata));
+          stats.updated++;
+        }
+        
+        stats.remaining = pending.length - stats.updated;
+        return sendSuccess(res, stats, `Capture metadata added to ${stats.updated} images, ${stats.remaining} remaining`);
+      } catch (error) {
+        return sendError(res, 500, 'Failed to backfill capture metadata', error);
+      }
+    }
+
     // Admin delete album-specific processed images endpoint
     if (pathname === '/api/admin/delete-album-processed-images' && method === 'POST') {
       log('Delete album processed images request received', 'INFO');
@@ -2747,6 +3852,7 @@ Be specific and descriptive to enable natural language searches like "photos of
         
         // Save updated images
         await dataManager.saveImages(remainingImages);
+        await dataManager.rebuildSearchIndex();
         
         log(`Successfully deleted ${deletedCount} images from album ${albumName}`, 'INFO');
         
@@ -2872,14 +3978,22 @@ const server = http.createServer(async (req, res) => {
   res.end('Not found');
 });
 
-// Initialize Claude client and start server
+// Initialize the vision provider and start server
 async function startServer() {
   // Initialize data manager first
   await dataManager.initialize();
   log('Data manager initialized');
   
-  await initializeClaudeClient();
+  // Load (or build on first run) the BM25 search index
+  const searchIndex = await dataManager.getSearchIndex();
+  log(`Search index ready with ${searchIndex.getStats().documents} images`);
+  
+  // Embed new or changed images off the request path; semantic search ranks by keywords until this finishes
+  dataManager.buildEmbeddingIndexInBackground();
+  
+  await initializeVisionProvider();
   await initializeBatchManager();
+  initializeBatchScheduler();
   
   server.listen(PORT, () => {
     log(`🚀 PhotoVision is ready to help you discover amazing photos!`);
@@ -2887,16 +4001,32 @@ async function startServer() {
     log(`📸 AI-powered photo search is online and ready for natural conversations!`);
   log('Available API endpoints:');
   log('  GET  /api/status    - Get application status');
-  log('  GET  /api/search?q= - Search images');
+  log('  GET  /api/search?q= - Search images (supports field:value, AND/OR/NOT, -term, date:FROM..TO)');
   log('  POST /api/chat      - Send chat message');
+  log('  POST /api/chat/stream        - Send chat message (Server-Sent Events)');
+  log('  GET  /api/chat/sessions/:id  - Get chat session history');
+  log('  DELETE /api/chat/sessions/:id - Delete chat session');
   log('  GET  /api/images    - Get all images');
   log('  POST /api/images/star         - Star an image');
   log('  POST /api/images/unstar       - Unstar an image');
   log('  POST /api/images/toggle-star  - Toggle star status');
   log('  GET  /api/images/starred      - Get all starred images');
   log('  GET  /api/images/starred/ids  - Get starred image IDs');
+  log('  GET  /api/images/:id/similar  - Find images similar to an image');
+  log('  GET  /api/images/:id/analyses - List analysis versions for an image');
+  log('  PUT  /api/images/:id/analyses/active - Choose the analysis version search uses');
+  log('  POST /api/images/:id/reanalyze - Re-analyze an image with another model');
+  log('  GET  /api/images/:id/history   - Get the change history for an image');
+  log('  POST /api/images/:id/history/:version/revert - Restore an image to a history version');
   log('  GET  /api/config    - Get configuration');
   log('  POST /api/config    - Update configuration');
+  log('  GET  /api/config/provider - Get the vision provider (claude or mock)');
+  log('  POST /api/config/provider - Switch between live providers and the mock provider');
+  log('  GET  /api/usage           - Token usage and estimated cost (?days=, ?batchId=)');
+  log('  GET  /api/config/pricing  - Get the per-model price table');
+  log('  POST /api/config/pricing  - Update per-model prices');
+  log('  GET  /api/config/scheduler - Get scheduled batch processing settings');
+  log('  POST /api/config/scheduler - Update schedules, quiet hours and the per-run image cap');
   log('  POST /api/analyze   - Analyze image with Claude');
   log('  POST /api/analyze/test - Test analysis configuration with multiple images');
   log('  POST /api/smugmug/auth-start     - Start SmugMug OAuth');
@@ -2906,6 +4036,7 @@ async function startServer() {
   log('  GET  /api/smugmug/albums         - Get SmugMug albums');
   log('  GET  /api/smugmug/album/:id/images - Get album images');
   log('  POST /api/batch/start            - Start batch processing');
+  log('  POST /api/batch/reanalyze        - Re-analyze an album with another model');
   log('  GET  /api/batch/status           - Get all batch statuses');
   log('  GET  /api/batch/status/:id       - Get specific batch status');
   log('  POST /api/batch/pause            - Pause batch processing');
@@ -2913,8 +4044,32 @@ async function startServer() {
   log('  POST /api/batch/cancel           - Cancel batch processing');
   log('  POST /api/batch/retry            - Retry failed jobs');
   log('  GET  /api/batch/details/:id      - Get batch details');
+  log('  GET  /api/batch/rate-limit       - Rate limiter state and recent API throttling');
+  log('  GET  /api/batch/scheduler        - Scheduled runs: next run per schedule and recent runs');
+  log('  POST /api/batch/scheduler/run    - Run a schedule now');
   log('  GET  /api/data/count             - Get image data count');
   log('  POST /api/admin/destroy-all-data - Destroy all data (testing)');
+  log('  GET  /api/admin/search-index      - Get search index statistics');
+  log('  POST /api/admin/search-index/rebuild - Rebuild search index');
+  log('  GET  /api/admin/embedding-index   - Get embedding index statistics');
+  log('  POST /api/admin/embedding-index/rebuild - Embed new or changed images for semantic search');
+  log('  GET  /api/admin/image-analysis-templates - List analysis templates');
+  log('  POST /api/admin/image-analysis-templates - Create an analysis template');
+  log('  PUT  /api/admin/image-analysis-templates/:id - Update an analysis template');
+  log('  DELETE /api/admin/image-analysis-templates/:id - Delete an analysis template');
+  log('  POST /api/admin/image-analysis-templates/:id/duplicate - Copy an analysis template');
+  log('  GET  /api/admin/analysis-output-schema - Get structured output fields for analysis');
+  log('  POST /api/admin/analysis-output-schema - Save structured output fields for analysis');
+  log('  GET  /api/admin/template-assignments - List album and folder template assignments');
+  log('  POST /api/admin/template-assignments - Assign a template to an album or folder');
+  log('  GET  /api/admin/template-assignments/resolve - Show which template an album uses');
+  log('  GET  /api/admin/faces             - List face clusters for naming');
+  log('  POST /api/admin/faces/config      - Enable face detection and tune clustering');
+  log('  POST /api/admin/faces/clusters/:id/name - Name a face cluster');
+  log('  POST /api/admin/faces/clusters/merge - Merge two face clusters');
+  log('  POST /api/admin/faces/recluster   - Re-cluster all detected faces');
+  log('  POST /api/admin/faces/scan        - Detect faces in already-processed photos');
+  log('  POST /api/admin/capture-metadata/backfill - Fetch capture date, camera, GPS and place names for older images');
   log('  POST /api/admin/delete-album-processed-images - Delete processed images from specific album');
   log('  POST /api/admin/duplicates/detect   - Detect duplicate images');
   log('  POST /api/admin/duplicates/cleanup  - Clean up duplicate images');
@@ -2924,6 +4079,7 @@ async function startServer() {
   log('  GET  /api/admin/duplicates/backups  - Get backup files');
   log('  GET  /api/admin/api-keys/status     - Get API key status');
   log('  POST /api/admin/api-keys/claude     - Save Claude API key');
+  log('  POST /api/admin/api-keys/:provider  - Save an OpenAI-compatible or Ollama API key (DELETE removes it)');
   log('  POST /api/admin/api-keys/test       - Test API connection');
   log('Press Ctrl+C to stop');
   });
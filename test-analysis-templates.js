@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+// Test script for user-defined image analysis templates
+// Runs against a throwaway data directory so the real config.json is never touched
+
+const fs = require('fs/promises');
+const DataManager = require('./lib/dataManager');
+const { createHarness, makeTempDir, createTestDataManager, runTest } = require('./test-helpers');
+
+async function testAnalysisTemplates() {
+    console.log('🧪 Testing Image Analysis Templates\n');
+
+    const tempDir = await makeTempDir('templates');
+    const { check, rejects, finish } = createHarness();
+
+    try {
+        const dataManager = await createTestDataManager(tempDir, { imageAnalysisConfig: { enabled: true, template: '' } });
+
+        // Test 1: Built-in templates
+        const builtIns = await dataManager.getImageAnalysisTemplates();
+        check('Built-in templates are listed', Object.keys(builtIns).length === 5 && builtIns['archery-competition'].builtIn);
+        check('Unknown ids fall back to the default template', (await dataManager.getImageAnalysisTemplate('missing')).id === 'default');
+
+        // Test 2: Validation
+        check('A valid template has no errors', (await dataManager.validateImageAnalysisTemplate({
+            name: 'Swim Meet',
+            preContext: 'Competitive swimming.',
+            model: 'claude-3-haiku-20240307',
+            outputSchema: { type: 'object', properties: { peopleCount: { type: 'integer', description: 'People visible' } } }
+        })).length === 0);
+        check('Name is required', (await dataManager.validateImageAnalysisTemplate({ preContext: 'x' }))[0] === 'name is required');
+        check('Partial updates skip missing fields', (await dataManager.validateImageAnalysisTemplate({ description: 'Changed' }, true)).length === 0);
+        check('Unknown models are rejected', (await dataManager.validateImageAnalysisTemplate({ name: 'A', model: 'gpt-x' }))[0].includes('gpt-x'));
+        const schemaErrors = await dataManager.validateImageAnalysisTemplate({ name: 'A', outputSchema: { properties: { 'bad name': { type: 'string' } } } });
+        check('Output schemas are checked', schemaErrors.length === 1 && schemaErrors[0].includes('bad name'));
+
+        // Test 3: Create, update, duplicate, delete
+        const created = await dataManager.createImageAnalysisTemplate({ name: ' Swim Meet ', preContext: 'Competitive swimming.', outputSchema: { properties: {} } });
+        check('Created templates get a slug id', created.id === 'swim-meet' && created.name === 'Swim Meet' && !created.builtIn);
+        check('Empty output schemas are stored as null', created.outputSchema === null);
+        const second = await dataManager.createImageAnalysisTemplate({ name: 'Swim Meet' });
+        check('Ids stay unique', second.id === 'swim-meet-2');
+
+        const updated = await dataManager.updateImageAnalysisTemplate('swim-meet', { description: 'Pool events', model: 'claude-3-haiku-20240307' });
+        check('Updates merge into the stored template', updated.description === 'Pool events' && updated.preContext === 'Competitive swimming.' && updated.model === 'claude-3-haiku-20240307');
+
+        const copy = await dataManager.duplicateImageAnalysisTemplate('archery-competition');
+        check('Built-in templates can be duplicated', copy.id === 'archery-competition-copy' && copy.preContext === builtIns['archery-competition'].preContext && !copy.builtIn);
+
+        await rejects('Built-in templates cannot be edited', () => dataManager.updateImageAnalysisTemplate('default', { name: 'Mine' }), 'built in');
+        await rejects('Built-in templates cannot be deleted', () => dataManager.deleteImageAnalysisTemplate('default'), 'built in');
+        await rejects('Missing templates are reported', () => dataManager.deleteImageAnalysisTemplate('nope'), 'not found');
+
+        await dataManager.saveImageAnalysisConfig({ template: 'swim-meet-2' });
+        await dataManager.deleteImageAnalysisTemplate('swim-meet-2');
+        const templates = await dataManager.getImageAnalysisTemplates();
+        check('Deleted templates are gone', !templates['swim-meet-2'] && templates['swim-meet']);
+        check('Deleting the selected template clears the selection', (await dataManager.getImageAnalysisConfig()).template === '');
+
+        // Test 4: Persistence
+        const reloaded = new DataManager();
+        reloaded.dataDir = tempDir;
+        reloaded.configFile = dataManager.configFile;
+        check('Templates are persisted in config', (await reloaded.getImageAnalysisTemplate('swim-meet')).description === 'Pool events');
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    finish();
+}
+
+runTest(testAnalysisTemplates);
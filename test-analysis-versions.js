@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+// Test script for versioned image analyses (re-analysis with another model and choosing the active version)
+// Runs against a throwaway data directory so the real images and indexes are never touched
+
+const fs = require('fs/promises');
+const JobQueue = require('./lib/jobQueue');
+const { createHarness, quietly, makeTempDir, createTestDataManager, runTest } = require('./test-helpers');
+
+const IMAGE = {
+    smugmugImageKey: 'img1',
+    smugmugUrl: 'https://example.com/img1.jpg',
+    albumKey: 'album1',
+    albumName: 'Finals',
+    description: 'An archer drawing a recurve bow on an outdoor range',
+    keywords: ['archery', 'recurve', 'outdoor'],
+    metadata: { model: 'claude-3-haiku-20240307', timestamp: '2025-01-01T00:00:00.000Z', batchId: 'batch1' }
+};
+
+async function testAnalysisVersions() {
+    console.log('🧪 Testing Analysis Versions\n');
+
+    const tempDir = await makeTempDir('versions');
+    const { check, rejects, finish } = createHarness();
+
+    try {
+        const dataManager = await createTestDataManager(tempDir, {}, { images: [] });
+
+        const saved = await quietly(() => dataManager.addImage(IMAGE));
+
+        // Test 1: Records from before versioning
+        const legacyVersions = dataManager.getAnalysisVersions(saved);
+        check('Existing analyses become version 1', legacyVersions.length === 1 &&
+            legacyVersions[0].version === 1 && legacyVersions[0].model === 'claude-3-haiku-20240307' &&
+            legacyVersions[0].description === IMAGE.description);
+
+        // Test 2: Adding a version without activating it
+        const sonnet = {
+            model: 'claude-3-5-sonnet-20241022',
+            description: 'A female archer at full draw with a Hoyt recurve at a tournament',
+            keywords: ['archery', 'tournament', 'recurve'],
+            attributes: { peopleCount: 1 },
+            analysisTemplate: 'archery-competition',
+            timestamp: '2025-02-01T00:00:00.000Z'
+        };
+        let result = await quietly(() => dataManager.addAnalysisVersion(saved.id, sonnet));
+        check('New versions are numbered after the existing ones', result.version.version === 2 && result.image.analyses.length === 2);
+        check('The current analysis stays active by default', result.image.activeAnalysisVersion === 1 &&
+            result.image.description === IMAGE.description);
+
+        // Test 3: Switching the active version
+        let image = await quietly(() => dataManager.setActiveAnalysisVersion(saved.id, 2));
+        check('Activating a version copies it to the searchable fields', image.description === sonnet.description &&
+            image.keywords.join() === sonnet.keywords.join() && image.attributes.peopleCount === 1);
+        check('Activating a version updates the model but keeps batch details', image.metadata.model === sonnet.model &&
+            image.metadata.analysisTemplate === 'archery-competition' && image.metadata.batchId === 'batch1');
+
+        const index = await dataManager.getSearchIndex();
+        check('Search uses the active version', index.search([{ text: 'tournament' }]).has(saved.id));
+
+        image = await quietly(() => dataManager.setActiveAnalysisVersion(saved.id, '1'));
+        check('The original analysis can be made active again', image.description === IMAGE.description &&
+            image.metadata.model === 'claude-3-haiku-20240307' && !index.search([{ text: 'tournament' }]).has(saved.id));
+
+        await rejects('Unknown versions are reported', () => dataManager.setActiveAnalysisVersion(saved.id, 7), 'not found');
+        await rejects('Unknown images are reported', () => dataManager.addAnalysisVersion('missing', sonnet), 'not found');
+
+        // Test 4: Re-analyzing straight into the active version
+        result = await quietly(() => dataManager.addAnalysisVersion(saved.id, { ...sonnet, model: 'claude-3-opus-20240229' }, true));
+        check('A re-analysis can be activated immediately', result.image.activeAnalysisVersion === 3 &&
+            result.image.metadata.model === 'claude-3-opus-20240229');
+
+        // Test 5: Batch updates of versioned images
+        image = await quietly(() => dataManager.addImage({ ...IMAGE, description: 'Reprocessed', metadata: { model: 'claude-3-haiku-20240307' } }, { duplicateHandling: 'update' }));
+        check('Updating a versioned image adds a version instead of overwriting', image.analyses.length === 4 &&
+            image.activeAnalysisVersion === 4 && image.analyses[1].description === sonnet.description);
+
+        // Test 6: Re-analysis batches
+        const queue = new JobQueue();
+        queue.config.processingDelay = 0;
+        queue.addBatch([{ type: 'reanalysis', imageName: 'img1.jpg', data: { imageId: saved.id } }]);
+        let processedIds = [];
+        await quietly(() => queue.startProcessing({ reanalysis: async (data) => processedIds.push(data.imageId) }));
+        check('Queues run jobs with the processor for their type', processedIds.join() === saved.id);
+
+        queue.addBatch([{ type: 'reanalysis', data: {} }]);
+        await rejects('Queues refuse job types without a processor', () => queue.startProcessing({ image_analysis: async () => {} }), 'reanalysis');
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    finish();
+}
+
+runTest(testAnalysisVersions);
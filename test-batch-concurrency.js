@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+// Test script for parallel job execution within a batch: the worker pool, perBatchConcurrency and the shared rate limiter (no API calls)
+
+const fs = require('fs').promises;
+const JobQueue = require('./lib/jobQueue');
+const RateLimiter = require('./lib/rateLimiter');
+const BatchManager = require('./lib/batchManager');
+const { createHarness, quietly, makeTempDir, createTestDataManager, runTest } = require('./test-helpers');
+
+async function testBatchConcurrency() {
+    console.log('🧪 Testing Batch Concurrency\n');
+
+    const { check, finish } = createHarness();
+
+    const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    const makeJobs = (count) => Array.from({ length: count }, (_, index) => ({
+        type: 'image_analysis',
+        imageName: `img_${index}.jpg`,
+        data: { index }
+    }));
+
+    // Processor that records how many calls overlap
+    const makeTracker = (options = {}) => {
+        const tracker = { active: 0, maxActive: 0, calls: [] };
+        tracker.processor = async (data) => {
+            tracker.calls.push(data.index);
+            tracker.active++;
+            tracker.maxActive = Math.max(tracker.maxActive, tracker.active);
+            try {
+                await delay(options.duration || 20);
+                if (options.failOnce && options.failOnce.has(data.index)) {
+                    options.failOnce.delete(data.index);
+                    throw new Error('Temporary failure');
+                }
+                return { index: data.index };
+            } finally {
+                tracker.active--;
+            }
+        };
+        return tracker;
+    };
+
+    const tempDir = await makeTempDir('concurrency');
+
+    try {
+        // Test 1: The worker pool runs several jobs at once
+        const queue = new JobQueue();
+        await quietly(() => queue.addBatch(makeJobs(8), 'Pool'));
+        await quietly(() => queue.updateConfig({ concurrency: 3, processingDelay: 0, retryDelay: 0 }));
+
+        const tracker = makeTracker({ failOnce: new Set([2]) });
+        let completion = null;
+        const started = Date.now();
+        await quietly(() => queue.startProcessing({ image_analysis: tracker.processor }, null, (result) => { completion = result; }));
+        const elapsed = Date.now() - started;
+
+        check('Jobs run concurrently up to the configured worker count', tracker.maxActive === 3);
+        check('Every job is processed exactly once (plus its retry)', tracker.calls.length === 9 &&
+            new Set(tracker.calls).size === 8);
+        check('Counters and completion are correct after parallel processing', completion &&
+            completion.processed === 8 && completion.failed === 0 && queue.getStatus().completedJobs === 8);
+        check('Parallel processing finishes faster than one at a time', elapsed < 8 * 20);
+
+        // Test 2: The rate limiter gates the API calls, not the work around them
+        const limiter = await quietly(() => new RateLimiter({ maxTokens: 100, refillRate: 100, maxConcurrent: 2 }));
+        const gatedQueue = new JobQueue(limiter);
+        await quietly(() => gatedQueue.addBatch(makeJobs(6), 'Gated'));
+        gatedQueue.config.concurrency = 5;
+        const gatedTracker = makeTracker();
+        const downloadTracker = makeTracker();
+        await quietly(() => gatedQueue.startProcessing({
+            image_analysis: async (data, job, { rateLimit }) => {
+                await downloadTracker.processor(data, job);
+                return rateLimit(() => gatedTracker.processor(data, job));
+            }
+        }));
+        check('The rate limiter caps concurrent calls below the worker count', gatedTracker.maxActive === 2 &&
+            gatedQueue.getStatus().completedJobs === 6);
+        check('Work outside rateLimit runs on every worker', downloadTracker.maxActive === 5);
+        check('No fixed delay is added when a rate limiter paces calls', gatedQueue.config.processingDelay === 0);
+
+        // Test 3: Pausing stops workers from taking new jobs
+        const pausedQueue = new JobQueue();
+        await quietly(() => pausedQueue.addBatch(makeJobs(10), 'Paused'));
+        pausedQueue.config.concurrency = 2;
+        pausedQueue.config.processingDelay = 0;
+        const pausedTracker = makeTracker();
+        let pausedCompletion = false;
+        const run = quietly(() => pausedQueue.startProcessing({
+            image_analysis: async (data, job) => {
+                if (data.index === 2) pausedQueue.pause();
+                return pausedTracker.processor(data, job);
+            }
+        }, null, () => { pausedCompletion = true; }));
+        const midRun = pausedQueue.getStatus();
+        await run;
+        const afterPause = pausedQueue.getStatus();
+        check('Status lists the jobs in flight', midRun.activeJobs.length === 2 && midRun.concurrency === 2);
+        check('In-flight jobs finish but no new ones start after a pause',
+            afterPause.completedJobs === 3 && afterPause.queuedJobs === 7 && !pausedCompletion);
+
+        // Test 3b: Resuming right after a pause waits for the paused workers to finish their jobs
+        const resumedQueue = new JobQueue();
+        await quietly(() => resumedQueue.addBatch(makeJobs(8), 'Resumed'));
+        resumedQueue.config.concurrency = 2;
+        resumedQueue.config.processingDelay = 0;
+        const resumedTracker = makeTracker({ duration: 30 });
+        const processors = { image_analysis: resumedTracker.processor };
+        let completions = 0;
+        await quietly(async () => {
+            const firstRun = resumedQueue.startProcessing(processors, null, () => completions++);
+            await delay(10);
+            resumedQueue.pause();
+            const resumed = resumedQueue.resume(processors);
+            await Promise.all([firstRun, resumed]);
+        });
+        check('A quick pause and resume never runs two worker pools', resumedTracker.maxActive === 2 &&
+            new Set(resumedTracker.calls).size === 8 && resumedTracker.calls.length === 8);
+        check('The batch completes once, after every job has run', completions === 1 &&
+            resumedQueue.getStatus().completedJobs === 8 && !resumedQueue.processing);
+
+        // Test 4: BatchManager enforces perBatchConcurrency
+        const manager = await quietly(() => new BatchManager({ maxConcurrentBatches: 2, perBatchConcurrency: 4, globalApiRateLimit: 6000 }));
+        const batchInfo = await quietly(() => manager.createBatch(makeJobs(12), 'Managed'));
+        const managedQueue = manager.activeBatches.get(batchInfo.batchId);
+        check('Batches get perBatchConcurrency workers', managedQueue.config.concurrency === 4);
+        check('The rate limiter allows one call per worker of every batch', manager.getRateLimiterStatus().maxConcurrent === 8);
+
+        const managedTracker = makeTracker();
+        await quietly(() => new Promise(resolve => manager.startBatch(batchInfo.batchId,
+            { image_analysis: managedTracker.processor }, null, resolve, resolve)));
+        check('Managed batches process in parallel', managedTracker.maxActive === 4 && managedTracker.calls.length === 12);
+
+        await quietly(() => manager.updateConfig({ perBatchConcurrency: 2 }));
+        check('Changing perBatchConcurrency updates queues and the limiter',
+            managedQueue.config.concurrency === 2 && manager.getRateLimiterStatus().maxConcurrent === 4 &&
+            manager.getStatistics().perBatchConcurrency === 2);
+
+        // Test 5: Parallel saves do not overwrite each other, whichever DataManager makes them
+        const dataManager = await createTestDataManager(tempDir, {}, { images: [] });
+        const otherManager = await createTestDataManager(tempDir, {}, { images: [] });
+
+        const writes = { active: 0, maxActive: 0, order: [] };
+        const write = (name, ms, manager = dataManager) => manager.serializeImageWrite(async () => {
+            writes.active++;
+            writes.maxActive = Math.max(writes.maxActive, writes.active);
+            await delay(ms);
+            writes.order.push(name);
+            writes.active--;
+            if (name === 'b') throw new Error('Write failed');
+            return name;
+        });
+        const outcomes = await Promise.allSettled([write('a', 20), write('b', 5, otherManager), write('c', 1)]);
+        check('Image writes from parallel workers run one at a time, in order', writes.maxActive === 1 && writes.order.join() === 'a,b,c');
+        check('DataManagers writing the same images file share one lock', outcomes[0].value === 'a' && outcomes[1].reason.message === 'Write failed');
+        check('A failed write does not block the ones behind it', outcomes[1].status === 'rejected' && outcomes[2].value === 'c');
+
+        await quietly(() => Promise.all(Array.from({ length: 6 }, (_, index) => dataManager.addImage({
+            filename: `parallel_${index}.jpg`,
+            smugmugImageKey: `key_${index}`,
+            albumKey: 'album_1',
+            description: `Parallel image ${index}`,
+            keywords: ['parallel']
+        }))));
+        const saved = await quietly(() => dataManager.getImages());
+        check('Images saved by parallel workers are all kept', saved.length === 6);
+
+        // Edits made through another DataManager wait for the save in progress
+        const slowSave = write('slow', 100);
+        const edited = await quietly(() => otherManager.updateImage(saved[0].id, { keywords: ['parallel', 'edited'] }));
+        check('updateImage waits for pending image writes', writes.order.includes('slow') && edited.keywords.includes('edited'));
+        await slowSave;
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // The rate limiters keep refill timers running, so exit explicitly
+    finish({ exit: true });
+}
+
+runTest(testBatchConcurrency);
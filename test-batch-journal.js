@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+// Test script for the on-disk batch journal: restoring interrupted batches after a restart and resuming them (no API calls)
+
+const fs = require('fs').promises;
+const path = require('path');
+const BatchManager = require('./lib/batchManager');
+const BatchJournal = require('./lib/batchJournal');
+const { createHarness, quietly, makeTempDir, runTest } = require('./test-helpers');
+
+async function testBatchJournal() {
+    console.log('🧪 Testing Batch Journal\n');
+
+    const { check, finish } = createHarness();
+
+    const tempDir = await makeTempDir('batches');
+    const journalDir = path.join(tempDir, 'batches');
+
+    const makeJobs = (count) => Array.from({ length: count }, (_, index) => ({
+        type: 'image_analysis',
+        imageName: `img_${index}.jpg`,
+        data: { index },
+        albumKey: 'album_1',
+        duplicateHandling: 'replace'
+    }));
+
+    try {
+        // Test 1: A batch stopped partway through is journaled
+        const firstRun = await quietly(() => new BatchManager({ globalApiRateLimit: 600, journalDir }));
+        const batchInfo = await quietly(() => firstRun.createBatch(makeJobs(5), 'Album run', {
+            albumKey: 'album_1',
+            albumHierarchy: ['Events', 'Album run']
+        }));
+        const firstQueue = firstRun.activeBatches.get(batchInfo.batchId);
+        firstQueue.config.processingDelay = 0;
+        firstQueue.config.retryDelay = 0;
+        firstQueue.config.retryAttempts = 1;
+
+        const seen = [];
+        const processors = {
+            image_analysis: async (data, job) => {
+                seen.push(data.index);
+                if (data.index === 1) {
+                    throw new Error('Image could not be fetched');
+                }
+                if (data.index === 2) {
+                    // Simulate the server going down mid-batch
+                    firstQueue.pause();
+                }
+                return { index: data.index, duplicateHandling: job.duplicateHandling, usage: { input_tokens: 100, output_tokens: 10 } };
+            }
+        };
+
+        let completions = 0;
+        await quietly(() => firstRun.startBatch(batchInfo.batchId, processors, null, () => completions++, null));
+        await firstRun.journal.writeChain;
+
+        check('A paused batch does not report completion', completions === 0);
+        check('Jobs keep their duplicate handling', firstQueue.jobs[0].result.duplicateHandling === 'replace');
+
+        const journalLines = (await fs.readFile(path.join(journalDir, `${batchInfo.batchId}.jsonl`), 'utf8')).trim().split('\n');
+        check('The journal starts with the batch and its jobs', JSON.parse(journalLines[0]).type === 'batch' &&
+            JSON.parse(journalLines[0]).jobs.length === 5);
+
+        // Test 2: A restart rebuilds the batch from the journal
+        await fs.appendFile(path.join(journalDir, `${batchInfo.batchId}.jsonl`), '{"type":"job","id":');
+        const secondRun = await quietly(() => new BatchManager({ globalApiRateLimit: 600, journalDir }));
+        const restored = await quietly(() => secondRun.restoreBatches());
+        const status = secondRun.getBatchStatus(batchInfo.batchId);
+
+        check('Unfinished batches are restored', restored.length === 1 && restored[0] === batchInfo.batchId);
+        check('Restored batches are paused and marked interrupted', status.status === 'paused' && status.interrupted && !status.processing);
+        check('Finished jobs, failures and counters survive the restart', status.completedJobs === 2 && status.failedJobs === 1 &&
+            status.processedCount === 2 && status.failedCount === 1 && status.failedJobDetails[0].error.message === 'Image could not be fetched');
+        check('Token usage is rebuilt from the jobs', status.usage.inputTokens === 200);
+        check('Batch details come back with the batch', status.name === 'Album run' && status.albumHierarchy[1] === 'Album run');
+
+        // Test 3: Resuming continues from the first unfinished job
+        const secondQueue = secondRun.activeBatches.get(batchInfo.batchId);
+        secondQueue.config.processingDelay = 0;
+        seen.length = 0;
+        const finished = new Promise(resolve => {
+            secondRun.batchMetadata.get(batchInfo.batchId).callbacks = { onComplete: resolve };
+        });
+        const resumed = await quietly(() => secondRun.resumeBatch(batchInfo.batchId, {
+            image_analysis: async (data) => {
+                seen.push(data.index);
+                return { index: data.index };
+            }
+        }));
+        check('Resuming returns without waiting for the batch to finish', resumed === true && secondQueue.processing);
+        const resumedResult = await quietly(() => finished);
+
+        check('Only unfinished jobs run after the restart', seen.join() === '3,4');
+        check('The completed batch counts every job', resumedResult.processed === 4 && resumedResult.failed === 1 &&
+            !secondRun.getBatchStatus(batchInfo.batchId).interrupted);
+        check('A finished batch cannot be resumed again', await secondRun.resumeBatch(batchInfo.batchId, {}) === false);
+
+        // Test 4: Finished and cancelled batches are not restored
+        await secondRun.journal.writeChain;
+        const thirdRun = await quietly(() => new BatchManager({ globalApiRateLimit: 600, journalDir }));
+        check('Completed batches are not restored', (await quietly(() => thirdRun.restoreBatches())).length === 0);
+        const remaining = await fs.readdir(journalDir);
+        check('Journals of completed batches are deleted on restore', remaining.length === 0);
+
+        const cancelled = await quietly(() => thirdRun.createBatch(makeJobs(2), 'Cancelled run'));
+        await quietly(() => thirdRun.cancelBatch(cancelled.batchId));
+        await thirdRun.journal.writeChain;
+        check('Cancelling a batch deletes its journal', (await fs.readdir(journalDir)).length === 0);
+
+        // Test 5: Journal edge cases
+        const journal = new BatchJournal(path.join(tempDir, 'missing'));
+        check('A missing journal directory has no batches', (await journal.loadAll()).length === 0);
+        const orphanJournal = new BatchJournal(journalDir);
+        await orphanJournal.recordStatus('batch_orphan', 'paused');
+        const orphans = await quietly(() => orphanJournal.loadAll());
+        check('Journals without a batch record are dropped', orphans.length === 0 && (await fs.readdir(journalDir)).length === 0);
+
+        const plain = await quietly(() => new BatchManager({ globalApiRateLimit: 600 }));
+        check('Without a journal directory nothing is journaled', plain.journal === null && (await plain.restoreBatches()).length === 0);
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // The batch managers' rate limiters keep refill timers running, so exit explicitly
+    finish({ exit: true });
+}
+
+runTest(testBatchJournal);
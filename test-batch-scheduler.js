@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+
+// Test script for scheduled batch processing: cron-like schedules, quiet hours, the per-run image cap and
+// queuing only images that are not in the image registry yet (fake SmugMug client, no API calls)
+
+const fs = require('fs').promises;
+const path = require('path');
+const BatchManager = require('./lib/batchManager');
+const BatchScheduler = require('./lib/batchScheduler');
+const { createHarness, makeTempDir, createTestDataManager, runTest } = require('./test-helpers');
+
+async function testBatchScheduler() {
+    console.log('🧪 Testing Batch Scheduler\n');
+
+    const { check, finish } = createHarness();
+
+    const originalLog = console.log;
+    const originalError = console.error;
+    const quietly = async (action) => {
+        console.log = () => {};
+        console.error = () => {};
+        try {
+            return await action();
+        } finally {
+            console.log = originalLog;
+            console.error = originalError;
+        }
+    };
+
+    // Local times, as schedules are evaluated in the server's time zone
+    const at = (year, month, day, hour, minute) => new Date(year, month - 1, day, hour, minute);
+
+    // Test 1: Parsing and matching schedules
+    const weekdays = '*/15 9-17 * * mon-fri';
+    check('Schedules match on their minutes, hours and weekdays', BatchScheduler.matches(weekdays, at(2026, 10, 19, 9, 30)) &&
+        !BatchScheduler.matches(weekdays, at(2026, 10, 19, 9, 31)) && !BatchScheduler.matches(weekdays, at(2026, 10, 18, 9, 30)) &&
+        !BatchScheduler.matches(weekdays, at(2026, 10, 19, 18, 0)));
+    check('Aliases, lists, steps from a start and Sunday as 7 are supported', BatchScheduler.matches('@daily', at(2026, 10, 19, 0, 0)) &&
+        BatchScheduler.matches('5/20 1,3 * * 7', at(2026, 10, 18, 3, 45)) && !BatchScheduler.matches('5/20 1,3 * * 7', at(2026, 10, 18, 3, 0)));
+    check('Restricting both day fields fires on either, as in cron', BatchScheduler.matches('0 6 1 * mon', at(2026, 10, 19, 6, 0)) &&
+        BatchScheduler.matches('0 6 1 * mon', at(2026, 10, 1, 6, 0)) && !BatchScheduler.matches('0 6 1 * mon', at(2026, 10, 20, 6, 0)));
+
+    const parseError = (expression) => {
+        try {
+            BatchScheduler.parseSchedule(expression);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    };
+    check('Invalid schedules are rejected', /5 fields/.test(parseError('0 * *')) && /minute/.test(parseError('60 * * * *')) &&
+        /hour/.test(parseError('0 5-2 * * *')) && /dayOfWeek/.test(parseError('0 0 * * funday')));
+
+    // Test 2: Quiet hours and next runs
+    const quietHours = { start: '22:00', end: '06:30' };
+    check('Quiet hours can span midnight', BatchScheduler.isQuietTime(quietHours, at(2026, 10, 19, 23, 0)) &&
+        BatchScheduler.isQuietTime(quietHours, at(2026, 10, 19, 6, 29)) && !BatchScheduler.isQuietTime(quietHours, at(2026, 10, 19, 6, 30)) &&
+        !BatchScheduler.isQuietTime(null, at(2026, 10, 19, 23, 0)));
+    const nextRun = BatchScheduler.getNextRun('0 */2 * * *', at(2026, 10, 19, 21, 10), quietHours);
+    check('The next run skips quiet hours', nextRun.getTime() === at(2026, 10, 20, 8, 0).getTime());
+    check('Schedules that never fire have no next run', BatchScheduler.getNextRun('0 0 30 2 *', at(2026, 10, 19, 0, 0)) === null);
+
+    // Test 3: Selecting albums and folders
+    const travelAlbum = { AlbumKey: 'a1', PathHierarchy: ['Travel', 'Summer 2026', 'Lisbon'] };
+    const familyAlbum = { AlbumKey: 'a3', PathHierarchy: ['Family', 'Birthdays'] };
+    check('Folders select the albums inside them, however the path is written', BatchScheduler.matchesTarget(travelAlbum, { folders: ['/travel/summer-2026'] }) &&
+        BatchScheduler.matchesTarget(travelAlbum, { folders: ['Travel > Summer 2026'] }) &&
+        !BatchScheduler.matchesTarget(travelAlbum, { folders: ['Travel/Winter'] }) &&
+        !BatchScheduler.matchesTarget(familyAlbum, { folders: ['Family/Birthdays'] }));
+    check('Albums are selected by key', BatchScheduler.matchesTarget(familyAlbum, { albums: ['a3'], folders: [] }));
+
+    const tempDir = await makeTempDir('scheduler');
+
+    try {
+        const dataManager = await createTestDataManager(tempDir, {
+            smugmug: { connected: true, accessToken: 'token', accessTokenSecret: 'secret', user: { Uri: '/api/v2/user/tester' } },
+            batchProcessing: { maxConcurrentBatches: 3, perBatchConcurrency: 1 }
+        }, { images: [] });
+
+        // Test 4: Saving the configuration under batchProcessing
+        const invalid = await quietly(() => dataManager.saveBatchSchedulerConfig({
+            maxImagesPerRun: 0,
+            quietHours: { start: '25:00', end: '06:00' },
+            schedules: [{ name: 'Broken', cron: 'every hour', albums: [] }]
+        }));
+        check('Invalid scheduler settings are not saved', !invalid.success && /maxImagesPerRun/.test(invalid.error) &&
+            /quietHours/.test(invalid.error) && /fields/.test(invalid.error) && /at least one album or folder/.test(invalid.error));
+
+        const saved = await quietly(() => dataManager.saveBatchSchedulerConfig({
+            enabled: true,
+            maxImagesPerRun: 3,
+            quietHours,
+            schedules: [{ name: 'Travel uploads', cron: '*/10 * * * *', folders: ['Travel'] }]
+        }));
+        const storedConfig = JSON.parse(await fs.readFile(dataManager.configFile, 'utf8'));
+        const [schedule] = saved.config.schedules;
+        check('Scheduler settings are stored under batchProcessing next to the batch settings', saved.success &&
+            storedConfig.batchProcessing.maxConcurrentBatches === 3 && storedConfig.batchProcessing.scheduler.maxImagesPerRun === 3);
+        check('Saved schedules get an ID and defaults', schedule.id && schedule.enabled === true &&
+            schedule.albums.length === 0 && schedule.folders[0] === 'Travel');
+
+        // Fake SmugMug account: two albums in the Travel folder, one outside it
+        const albums = [
+            { AlbumKey: 'a1', Name: 'Lisbon', PathHierarchy: ['Travel', 'Lisbon'], FullDisplayPath: 'Travel > Lisbon' },
+            { AlbumKey: 'a2', Name: 'Porto', PathHierarchy: ['Travel', 'Porto'], FullDisplayPath: 'Travel > Porto' },
+            { AlbumKey: 'a3', Name: 'Birthdays', PathHierarchy: ['Family', 'Birthdays'], FullDisplayPath: 'Family > Birthdays' }
+        ];
+        const albumImages = {
+            a1: ['l1', 'l2', 'l3'],
+            a2: ['p1', 'p2'],
+            a3: ['f1']
+        };
+        const smugmugClient = {
+            albumRequests: 0,
+            getUserAlbums: async (token, secret, userUri, { start, count }) => {
+                smugmugClient.albumRequests++;
+                // Two pages of albums
+                const page = start === 1 ? albums.slice(0, 2) : albums.slice(2);
+                return { success: true, albums: page, pagination: { total: albums.length, start, count, hasMore: start === 1 } };
+            },
+            getAllAlbumImages: async (token, secret, albumUri) => {
+                const albumKey = albumUri.split('/').pop();
+                return {
+                    success: true,
+                    images: albumImages[albumKey].map(imageKey => ({ ImageKey: imageKey, FileName: `${imageKey}.jpg`, ArchivedUri: `https://photos.example/${imageKey}.jpg` }))
+                };
+            }
+        };
+
+        // l1 is already in the image registry
+        await quietly(() => dataManager.addImage({
+            filename: 'l1.jpg',
+            smugmugImageKey: 'l1',
+            albumKey: 'a1',
+            albumName: 'Lisbon',
+            description: 'Already analyzed',
+            keywords: []
+        }));
+
+        // Jobs wait until released, so the first run's images are still pending during the second run
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        const processed = [];
+        // Image keys whose analysis fails permanently
+        const failing = new Set();
+        const batchManager = await quietly(() => new BatchManager({ maxConcurrentBatches: 3, globalApiRateLimit: 6000 }));
+        const scheduler = new BatchScheduler({
+            dataManager,
+            smugmugClient,
+            batchManager,
+            processors: {
+                // Saves to the registry like the real processor does
+                image_analysis: async (imageData, job) => {
+                    await gate;
+                    if (failing.has(imageData.imageKey)) {
+                        const error = new Error('Invalid image format');
+                        error.retryable = false;
+                        throw error;
+                    }
+                    processed.push(imageData.imageKey);
+                    await dataManager.addImage({
+                        filename: imageData.filename,
+                        smugmugImageKey: imageData.imageKey,
+                        albumKey: job.albumKey,
+                        albumName: job.albumName,
+                        description: 'Scheduled analysis',
+                        keywords: []
+                    });
+                    return { imageKey: imageData.imageKey };
+                }
+            }
+        });
+
+        // Test 5: Schedules run when due and queue only new images, up to the cap
+        const notDue = await quietly(() => scheduler.tick(at(2026, 10, 19, 10, 5)));
+        check('Schedules do not run outside their times', notDue.length === 0 && batchManager.activeBatches.size === 0);
+
+        const [firstRun] = await quietly(() => scheduler.tick(at(2026, 10, 19, 10, 10)));
+        const firstQueue = batchManager.activeBatches.get(firstRun.batchId);
+        const firstKeys = firstQueue.jobs.map(job => job.data.imageKey);
+        check('Albums are listed across pages and filtered to the schedule\'s folders', smugmugClient.albumRequests === 2 &&
+            firstRun.albumsMatched === 2);
+        check('Images already in the registry are not queued', !firstKeys.includes('l1') && firstRun.status === 'completed');
+        check('A run queues at most maxImagesPerRun images', firstRun.queuedImages === 3 && firstRun.capped &&
+            firstKeys.join() === 'l2,l3,p1');
+        check('Scheduled jobs carry their album information', firstQueue.jobs[2].albumName === 'Porto' &&
+            firstQueue.jobs[2].albumHierarchy.join() === 'Travel,Porto' && firstQueue.jobs[2].duplicateHandling === 'skip' &&
+            batchManager.getBatchStatus(firstRun.batchId).name === 'Scheduled: Travel uploads');
+
+        const again = await quietly(() => scheduler.tick(at(2026, 10, 19, 10, 10)));
+        check('A schedule runs once per matching minute', again.length === 0 && batchManager.activeBatches.size === 1);
+
+        // Test 6: The next run picks up what the cap left, skipping images still waiting in a batch
+        const [secondRun] = await quietly(() => scheduler.tick(at(2026, 10, 19, 10, 20)));
+        const secondKeys = batchManager.activeBatches.get(secondRun.batchId).jobs.map(job => job.data.imageKey);
+        check('Images pending in an active batch are not queued twice', secondKeys.join() === 'p2' && !secondRun.capped);
+
+        // Test 7: Quiet hours
+        const [quietRun] = await quietly(() => scheduler.tick(at(2026, 10, 19, 23, 0)));
+        check('Scheduled runs are skipped during quiet hours', quietRun.status === 'skipped' && quietRun.reason === 'quiet_hours' &&
+            batchManager.activeBatches.size === 2);
+
+        release();
+        await quietly(() => new Promise(resolve => setTimeout(resolve, 100)));
+        check('Scheduled batches are processed', processed.sort().join() === 'l2,l3,p1,p2');
+
+        // Test 8: Status and running a schedule by hand
+        const status = await scheduler.getStatus(at(2026, 10, 19, 21, 55));
+        check('Status shows the next run outside quiet hours and recent runs', status.schedules[0].nextRun === at(2026, 10, 20, 6, 30).toISOString() &&
+            status.recentRuns.length === 3 && status.schedules[0].lastRun.status === 'skipped' && status.inQuietHours === false);
+
+        const manualRun = await quietly(() => scheduler.runNow(schedule.id));
+        check('Running a schedule by hand finds nothing new once everything is analyzed', manualRun.trigger === 'manual' &&
+            manualRun.status === 'completed' && manualRun.queuedImages === 0 && manualRun.batchId === null);
+
+        await fs.writeFile(dataManager.configFile, JSON.stringify({ batchProcessing: storedConfig.batchProcessing }));
+        const disconnected = await quietly(() => scheduler.runNow(schedule.id));
+        check('Runs fail cleanly when SmugMug is not connected', disconnected.status === 'failed' && /not connected/.test(disconnected.error));
+
+        // Test 9: Images that keep failing are held back until retried by hand
+        await fs.writeFile(dataManager.configFile, JSON.stringify(storedConfig));
+        batchManager.config.maxConcurrentBatches = 10;
+        // Runs return once their batch is queued, so wait for it to be processed
+        const runAndFinish = () => quietly(async () => {
+            const run = await scheduler.runNow(schedule.id);
+            await new Promise(resolve => setTimeout(resolve, 200));
+            return run;
+        });
+        albumImages.a2.push('p3', 'p4');
+        failing.add('p3');
+
+        const failingRun = await runAndFinish();
+        const failures = await dataManager.getScheduledImageFailures();
+        check('Failed scheduled images are recorded, analyzed ones are not', failingRun.queuedImages === 2 &&
+            failures.p3 && failures.p3.failures === 1 && failures.p3.permanent && !failures.p4 && processed.includes('p4'));
+
+        const heldRun = await quietly(() => scheduler.runNow(schedule.id));
+        const heldStatus = await scheduler.getStatus();
+        check('Permanently failed images are not queued again', heldRun.queuedImages === 0 && heldRun.heldImages === 1 &&
+            heldStatus.heldImages.map(failure => failure.imageKey).join() === 'p3' && heldStatus.maxImageFailures === 3);
+
+        const retryableFailure = (endTime) => ({ data: { imageKey: 'p5' }, status: 'failed', endTime, error: { message: 'Timeout', retryable: true } });
+        await quietly(() => dataManager.recordScheduledImageResults([retryableFailure(at(2026, 10, 19, 10, 0))]));
+        // The same failed job reported again (its batch completed a second time) is not counted twice
+        await quietly(() => dataManager.recordScheduledImageResults([retryableFailure(at(2026, 10, 19, 10, 0))]));
+        const afterOne = BatchScheduler.getHeldImageKeys(await dataManager.getScheduledImageFailures(), 2);
+        await quietly(() => dataManager.recordScheduledImageResults([retryableFailure(at(2026, 10, 20, 10, 0))]));
+        const afterTwo = BatchScheduler.getHeldImageKeys(await dataManager.getScheduledImageFailures(), 2);
+        check('Retryable failures are held back once they reach maxImageFailures', !afterOne.has('p5') && afterTwo.has('p5'));
+
+        // Failure bookkeeping has its own write chain, so it never waits on an image save in progress
+        let releaseSave;
+        const pendingSave = dataManager.serializeImageWrite(() => new Promise(resolve => { releaseSave = resolve; }));
+        const recordedDuringSave = await quietly(() => Promise.race([
+            dataManager.recordScheduledImageResults([{ data: { imageKey: 'p5' }, status: 'completed' }]),
+            new Promise(resolve => setTimeout(() => resolve(null), 1000))
+        ]));
+        releaseSave();
+        await pendingSave;
+        check('Recording failures does not wait for image saves', recordedDuringSave && !recordedDuringSave.p5);
+
+        const cleared = await quietly(() => dataManager.clearScheduledImageFailures(['p3', 'missing']));
+        failing.clear();
+        const retriedRun = await runAndFinish();
+        check('Images retried by hand are queued by the next run', cleared.join() === 'p3' && retriedRun.queuedImages === 1 &&
+            processed.includes('p3') && !(await dataManager.getScheduledImageFailures()).p3);
+
+        // Test 10: Failures of a scheduled batch resumed after a restart are still counted
+        const journalDir = path.join(tempDir, 'batches');
+        const beforeRestart = await quietly(() => new BatchManager({ globalApiRateLimit: 6000, journalDir }));
+        const journaledScheduler = new BatchScheduler({ dataManager, smugmugClient, batchManager: beforeRestart, processors: {} });
+        const journaledJobs = journaledScheduler.buildJobs(albums[1], [{ ImageKey: 'p6', FileName: 'p6.jpg', ArchivedUri: 'https://photos.example/p6.jpg' }]);
+        const journaledBatch = await quietly(() => beforeRestart.createBatch(journaledJobs, 'Scheduled: Travel uploads', {
+            duplicateStatistics: { newImages: 1, scheduled: { scheduleId: schedule.id, runId: 'run_before_restart', albums: [] } }
+        }));
+        await beforeRestart.journal.writeChain;
+
+        const afterRestart = await quietly(() => new BatchManager({ globalApiRateLimit: 6000, journalDir }));
+        await quietly(() => afterRestart.restoreBatches());
+        new BatchScheduler({ dataManager, smugmugClient, batchManager: afterRestart, processors: {} });
+        failing.add('p6');
+        await quietly(async () => {
+            await afterRestart.resumeBatch(journaledBatch.batchId, scheduler.processors);
+            await new Promise(resolve => setTimeout(resolve, 200));
+        });
+        check('Restored scheduled batches still record their failed images',
+            (await dataManager.getScheduledImageFailures()).p6?.failures === 1);
+
+        // Test 11: A run never queues more images than one batch can hold
+        check('Image caps above the batch size are rejected', /up to 1000/.test(BatchScheduler.validateConfig({ maxImagesPerRun: 5000 }).join()) &&
+            /up to 1000/.test(BatchScheduler.validateConfig({ schedules: [{ ...schedule, maxImagesPerRun: 1001 }] }).join()) &&
+            BatchScheduler.validateConfig({ maxImagesPerRun: 1000 }).length === 0);
+        const oversizedRun = await quietly(() => scheduler.executeRun({ ...schedule, maxImagesPerRun: 5000 }, { maxImagesPerRun: 100, maxImageFailures: 3 }, 'manual'));
+        check('Hand-edited caps are clamped to the batch size', oversizedRun.status === 'completed' && oversizedRun.maxImages === 1000);
+
+        // Test 12: A hand-edited schedule with an invalid expression does not stop the others
+        const editedConfig = JSON.parse(await fs.readFile(dataManager.configFile, 'utf8'));
+        editedConfig.batchProcessing.scheduler.quietHours = null;
+        editedConfig.batchProcessing.scheduler.schedules = [
+            { id: 'broken', name: 'Broken', cron: 'every hour', folders: ['Travel'] },
+            { id: 'valid', name: 'Valid', cron: '0 * * * *', folders: ['Travel'] }
+        ];
+        await fs.writeFile(dataManager.configFile, JSON.stringify(editedConfig));
+        const editedRuns = await quietly(() => scheduler.tick(at(2026, 10, 21, 12, 0)));
+        const editedStatus = await scheduler.getStatus(at(2026, 10, 21, 12, 0));
+        check('Invalid schedules are skipped and the rest still run', editedRuns.length === 1 && editedRuns[0].scheduleId === 'valid');
+        check('Status reports the invalid schedule instead of failing', /fields/.test(editedStatus.schedules[0].error) &&
+            editedStatus.schedules[1].nextRun !== null);
+    } finally {
+        console.log = originalLog;
+        console.error = originalError;
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // The rate limiter keeps its refill timer running, so exit explicitly
+    finish({ exit: true });
+}
+
+runTest(testBatchScheduler);
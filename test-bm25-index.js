@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+// Test script for the BM25 inverted search index
+
+const fs = require('fs/promises');
+const path = require('path');
+const BM25Index = require('./lib/bm25Index');
+const { createHarness, makeTempDir, runTest } = require('./test-helpers');
+
+const images = [
+    {
+        id: 'kw',
+        albumKey: 'A1',
+        title: 'Line of competitors',
+        description: 'Several athletes lined up on the shooting line',
+        keywords: ['archery', 'competition', 'outdoor']
+    },
+    {
+        id: 'desc',
+        albumKey: 'A1',
+        title: 'Spectators',
+        description: 'A crowd watches the archery finals from the stands on a long sunny afternoon with lots going on',
+        keywords: ['crowd', 'spectators']
+    },
+    {
+        id: 'album',
+        albumKey: 'B2',
+        albumName: 'Gator Cup Awards',
+        albumHierarchy: ['2025', 'Gator Cup', 'Awards'],
+        title: 'Medal ceremony',
+        description: 'Archers receiving medals on the podium',
+        keywords: ['awards', 'medals', 'podium', 'smiling']
+    }
+];
+
+async function testBM25Index() {
+    console.log('🧪 Testing BM25 Search Index\n');
+
+    const tempDir = await makeTempDir('bm25');
+    const indexFile = path.join(tempDir, 'bm25Index.json');
+    const { check, finish } = createHarness();
+
+    const ranked = (scores) => [...scores.entries()].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+
+    try {
+        const index = new BM25Index(indexFile);
+        index.rebuild(images);
+
+        // Test 1: Field weighting - a keyword hit outranks a mention deep in a long description
+        const archery = ranked(index.search([{ text: 'archery' }]));
+        check('Keyword field outranks description mention', archery[0] === 'kw' && archery.includes('desc'));
+
+        // Test 2: Stemming - "archers" and "archer" share a term
+        check('Plural forms match', index.search([{ text: 'archer' }]).has('album'));
+
+        // Test 3: Field restriction
+        const albumOnly = index.search([{ text: 'gator cup', fields: ['album'] }]);
+        check('Field-restricted query only matches that field', albumOnly.size === 1 && albumOnly.has('album'));
+
+        // Test 4: Rare terms score higher than common ones (IDF)
+        const idf = index.search([{ text: 'podium' }, { text: 'archery' }]);
+        check('Rare term contributes more than common term', idf.get('album') > idf.get('desc'));
+
+        // Test 5: Partial matching expands over the vocabulary
+        check('Partial mode matches term fragments', index.search([{ text: 'spectat' }], { partialMatches: true }).has('desc'));
+        check('Exact mode ignores term fragments', !index.search([{ text: 'spectat' }]).has('desc'));
+
+        // Test 6: Incremental updates
+        index.addDocument({ ...images[1], keywords: ['crowd', 'sunset'] });
+        check('Re-adding a document picks up new terms', index.search([{ text: 'sunset' }]).has('desc'));
+        check('Re-adding a document drops old keyword terms', !index.search([{ text: 'spectators', fields: ['keywords'] }]).has('desc'));
+        check('Document count is unchanged after replace', index.getStats().documents === 3);
+
+        index.removeDocument('kw');
+        check('Removed documents no longer match', !index.search([{ text: 'competition' }]).has('kw'));
+        check('Album key is tracked per document', index.getAlbumKey('album') === 'B2');
+
+        // Test 7: Persistence round trip
+        await index.save();
+        const reloaded = new BM25Index(indexFile);
+        await reloaded.load();
+        check('Index reloads from disk', reloaded.getStats().documents === 2 && reloaded.search([{ text: 'medals' }]).has('album'));
+        check('Term statistics survive reload', reloaded.getStats().terms === index.getStats().terms);
+
+        // Test 8: Single-document changes are appended to the change log, not rewritten into the snapshot
+        const snapshot = await fs.readFile(indexFile, 'utf8');
+        index.addDocument({ id: 'new', albumKey: 'C3', title: 'Sunrise', keywords: ['dawn'] });
+        index.removeDocument('desc');
+        await index.flush();
+        const logLines = (await fs.readFile(index.changeLogFile, 'utf8')).trim().split('\n');
+        check('Flush leaves the snapshot untouched', (await fs.readFile(indexFile, 'utf8')) === snapshot);
+        check('Flush appends one entry per changed document', logLines.length === 2);
+
+        // Test 9: Loading replays the change log and compacts it into the snapshot
+        const replayed = new BM25Index(indexFile);
+        await replayed.load();
+        check('Reload applies logged additions', replayed.search([{ text: 'dawn' }]).has('new') && replayed.getAlbumKey('new') === 'C3');
+        check('Reload applies logged removals', replayed.getStats().documents === 2 && !replayed.search([{ text: 'crowd' }]).has('desc'));
+        check('Reload compacts the change log', !(await fs.stat(index.changeLogFile).catch(() => null)));
+
+        // Test 10: compact() folds pending changes into the snapshot
+        replayed.addDocument({ id: 'late', title: 'Evening', keywords: ['dusk'] });
+        await replayed.compact();
+        const compacted = new BM25Index(indexFile);
+        await compacted.load();
+        check('Compaction writes pending changes to the snapshot', compacted.search([{ text: 'dusk' }]).has('late'));
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    finish();
+}
+
+runTest(testBM25Index);
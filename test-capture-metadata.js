@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+// Test script for capture date / EXIF ingestion and the date and camera filters
+
+const BM25Index = require('./lib/bm25Index');
+const QueryParser = require('./lib/queryParser');
+const SearchFunctions = require('./lib/searchFunctions');
+const SmugMugClient = require('./lib/smugmugClient');
+const { createHarness, runTest } = require('./test-helpers');
+
+const images = [
+    {
+        id: 'june',
+        timestamp: '2025-07-23T05:59:32.748Z',
+        captureDate: '2024-06-15T10:23:45.000Z',
+        exif: { make: 'Canon', model: 'Canon EOS R5', camera: 'Canon EOS R5', lens: 'RF70-200mm F2.8 L IS USM' },
+        keywords: ['archery']
+    },
+    {
+        id: 'july',
+        timestamp: '2025-07-23T06:00:00.000Z',
+        captureDate: '2024-07-01T08:00:00.000Z',
+        exif: { make: 'NIKON CORPORATION', model: 'NIKON Z 9', camera: 'NIKON Z 9', lens: null },
+        keywords: ['archery']
+    },
+    {
+        id: 'legacy',
+        timestamp: '2024-06-20T12:00:00.000Z',
+        keywords: ['archery']
+    }
+];
+
+async function testCaptureMetadata() {
+    console.log('🧪 Testing Capture Date and EXIF Metadata\n');
+
+    const { check, finish } = createHarness();
+
+    // Test 1: SmugMug ImageMetadata is normalized onto the record shape
+    const client = new SmugMugClient('key', 'secret');
+    const metadata = client.normalizeImageMetadata({
+        DateTimeOriginal: '2024:06:15 10:23:45',
+        Make: 'Canon',
+        Model: 'Canon EOS R5',
+        Lens: 'RF70-200mm F2.8 L IS USM',
+        FocalLength: '200.0 mm',
+        ExposureTime: '1/1000',
+        FNumber: 'f/2.8',
+        ISO: 400,
+        Latitude: '40 deg 42\' 46.08" N',
+        Longitude: '74 deg 0\' 21.60" W',
+        Altitude: '10 m'
+    });
+    check('EXIF capture time keeps the camera clock', metadata.captureDate === '2024-06-15T10:23:45.000Z');
+    check('Camera name is not doubled when the model includes the make', metadata.exif.camera === 'Canon EOS R5');
+    check('Exposure settings are parsed', metadata.exif.focalLength === 200 && metadata.exif.exposure === '1/1000' && metadata.exif.aperture === 2.8 && metadata.exif.iso === 400);
+    check('DMS coordinates become signed decimal degrees', metadata.gps.latitude === 40.7128 && metadata.gps.longitude === -74.006 && metadata.gps.altitude === 10);
+    check('Make is prefixed when the model lacks it', client.normalizeImageMetadata({ Make: 'SONY', Model: 'ILCE-7M4' }).exif.camera === 'SONY ILCE-7M4');
+
+    // Test 2: Missing or placeholder values
+    const empty = client.normalizeImageMetadata({ DateTimeOriginal: '0000:00:00 00:00:00', Latitude: 0, Longitude: 0 });
+    check('Unset camera clocks have no capture date', empty.captureDate === null);
+    check('0,0 coordinates are treated as no GPS fix', empty.gps === null);
+    check('Records without EXIF have null exif', empty.exif === null);
+    check('Decimal coordinates and refs are accepted', client.parseGpsCoordinate('33.45', 'S') === -33.45);
+
+    // Test 3: Date range and camera filters
+    const searchFunctions = new SearchFunctions();
+    const ids = (params) => {
+        const filter = searchFunctions.buildCaptureFilter(params);
+        return images.filter(image => searchFunctions.matchesCaptureFilter(image, filter)).map(image => image.id).join(',');
+    };
+    check('No filter values means no filter', searchFunctions.buildCaptureFilter({}) === null);
+    check('A month covers the whole month', ids({ dateFrom: '2024-06', dateTo: '2024-06' }) === 'june,legacy');
+    check('Open-ended ranges work', ids({ dateFrom: '2024-06-30' }) === 'july');
+    check('Capture date wins over the analysis timestamp', searchFunctions.getImageDate(images[0]).toISOString() === '2024-06-15T10:23:45.000Z');
+    check('Camera words match make, model and lens', ids({ camera: 'canon 70-200' }) === 'june' && ids({ camera: 'nikon' }) === 'july');
+    check('Camera filters skip images without EXIF', !ids({ camera: 'canon' }).includes('legacy'));
+    let dateError = null;
+    try {
+        searchFunctions.buildCaptureFilter({ dateFrom: '2024-13' });
+    } catch (error) {
+        dateError = error;
+    }
+    check('Invalid dates are rejected with a syntax error', dateError instanceof QueryParser.QuerySyntaxError);
+
+    // Test 4: camera: in the query language
+    const parser = new QueryParser();
+    const index = new BM25Index(null);
+    index.rebuild(images);
+    const run = (query) => images.filter(image => searchFunctions.matchesQuery(parser.parse(query), image, index)).map(image => image.id).join(',');
+    check('camera: field parses to a camera node', parser.parse('camera:"EOS R5"').type === 'camera');
+    check('camera: and date: combine', run('archery camera:canon date:2024-06') === 'june');
+    check('lens: is an alias for camera:', run('lens:RF70') === 'june');
+
+    // Test 5: Tools expose the new filters
+    const tools = searchFunctions.getFunctionDefinitions();
+    const searchImagesTool = tools.find(tool => tool.name === 'searchImages');
+    check('searchImages accepts dateFrom, dateTo and camera', ['dateFrom', 'dateTo', 'camera'].every(name => searchImagesTool.parameters.properties[name]));
+
+    finish();
+}
+
+runTest(testCaptureMetadata);
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+// Test script for the chat agent tool-use loop (uses a scripted Claude client, no API calls)
+
+const ChatAgent = require('./lib/chatAgent');
+const { createHarness, runTest } = require('./test-helpers');
+
+// Minimal search functions stand-in with one empty search, one hit, and one failing tool
+const searchFunctions = {
+    getFunctionDefinitions() {
+        return [{ name: 'searchByKeywords' }, { name: 'searchByAlbum' }, { name: 'brokenTool' }];
+    },
+    async executeFunction(name, params) {
+        if (name === 'searchByKeywords') return [];
+        if (name === 'searchByAlbum') {
+            return [
+                { id: 'a1', title: 'Gator Cup opener', albumName: params.albumTerm, keywords: ['archery'] },
+                { id: 'a2', title: 'Gator Cup finals', albumName: params.albumTerm, keywords: ['finals'] }
+            ];
+        }
+        throw new Error('tool exploded');
+    },
+    formatResults(images) {
+        return images;
+    }
+};
+
+// Scripted Claude client: replays a fixed list of responses and records the requests
+function createScriptedClient(responses) {
+    return {
+        requests: [],
+        requestOptions: [],
+        async sendConversationalMessages(messages, functions, model, options = {}) {
+            this.requests.push(JSON.parse(JSON.stringify(messages)));
+            this.requestOptions.push(options);
+            const response = responses.shift();
+            return { success: true, response };
+        }
+    };
+}
+
+function toolUse(id, name, input) {
+    return { type: 'tool_use', id, name, input };
+}
+
+async function testChatAgent() {
+    console.log('🧪 Testing Chat Agent Tool Loop\n');
+
+    const { check, finish } = createHarness();
+
+    // Test 1: Chained searches - empty keyword search, then album search, then answer
+    const chainedClient = createScriptedClient([
+        { stop_reason: 'tool_use', content: [toolUse('t1', 'searchByKeywords', { keywords: ['zebra'] })] },
+        { stop_reason: 'tool_use', content: [toolUse('t2', 'searchByAlbum', { albumTerm: 'Gator Cup' })] },
+        { stop_reason: 'end_turn', content: [{ type: 'text', text: 'Found 2 Gator Cup photos!' }] }
+    ]);
+    const chained = await new ChatAgent(chainedClient, searchFunctions, { maxToolSteps: 5 }).run('zebra photos');
+
+    check('Loop runs until Claude answers', chained.stepsUsed === 3 && !chained.budgetExhausted);
+    check('Final text comes from the last step', chained.finalResponse === 'Found 2 Gator Cup photos!');
+    check('Results come from the step that found photos', chained.searchResults.map(r => r.id).join(',') === 'a1,a2');
+
+    const secondRequest = chainedClient.requests[1];
+    const toolResult = secondRequest[secondRequest.length - 1].content[0];
+    check('tool_result block is sent back with matching id', toolResult.type === 'tool_result' && toolResult.tool_use_id === 't1');
+    check('tool_result reports zero results', JSON.parse(toolResult.content).totalResults === 0);
+    check('Trace records model and tool steps', chained.trace.filter(s => s.type === 'tool').length === 2 && chained.trace.filter(s => s.type === 'model').length === 3);
+
+    // Test 2: Tool errors become is_error tool_result blocks
+    const errorClient = createScriptedClient([
+        { stop_reason: 'tool_use', content: [toolUse('e1', 'brokenTool', {})] },
+        { stop_reason: 'end_turn', content: [{ type: 'text', text: 'Sorry, search failed.' }] }
+    ]);
+    const errored = await new ChatAgent(errorClient, searchFunctions).run('anything');
+    const errorRequest = errorClient.requests[1];
+    const errorBlock = errorRequest[errorRequest.length - 1].content[0];
+    check('Tool error is returned as is_error tool_result', errorBlock.is_error === true && errorBlock.content.includes('tool exploded'));
+    check('Tool error is recorded in the trace', errored.trace.some(s => s.type === 'tool' && s.error === 'tool exploded'));
+
+    // Test 3: Step budget stops a model that keeps calling tools
+    const loopingClient = createScriptedClient([
+        { stop_reason: 'tool_use', content: [toolUse('l1', 'searchByKeywords', { keywords: ['a'] })] },
+        { stop_reason: 'tool_use', content: [toolUse('l2', 'searchByKeywords', { keywords: ['b'] })] },
+        { stop_reason: 'tool_use', content: [toolUse('l3', 'searchByKeywords', { keywords: ['c'] })] }
+    ]);
+    const looping = await new ChatAgent(loopingClient, searchFunctions, { maxToolSteps: 3 }).run('loop');
+    check('Budget exhaustion is reported', looping.budgetExhausted && looping.stepsUsed === 3);
+    check('No request is made beyond the budget', loopingClient.requests.length === 3);
+    const lastRequest = loopingClient.requests[2];
+    const lastBlocks = lastRequest[lastRequest.length - 1].content;
+    check('Final allowed step asks Claude to answer', lastBlocks.some(block => block.type === 'text' && block.text.includes('step limit')));
+    check('Tools requested on the final step are not run', looping.toolCalls.length === 2 &&
+        !looping.trace.some(s => s.type === 'tool' && s.input.keywords[0] === 'c'));
+
+    // Test 4: An exhausted budget still ends in an answer, from a call that cannot use tools
+    const exhaustedClient = createScriptedClient([
+        { stop_reason: 'tool_use', content: [toolUse('x1', 'searchByKeywords', { keywords: ['zebra'] })] },
+        { stop_reason: 'tool_use', content: [toolUse('x2', 'searchByAlbum', { albumTerm: 'Gator Cup' })] },
+        { stop_reason: 'end_turn', content: [{ type: 'text', text: 'Here are the Gator Cup photos I found.' }] }
+    ]);
+    const exhausted = await new ChatAgent(exhaustedClient, searchFunctions, { maxToolSteps: 3 }).run('zebra photos');
+    check('The final step is sent with tool_choice none', exhaustedClient.requestOptions[2].toolChoice === 'none' &&
+        exhaustedClient.requestOptions.slice(0, 2).every(options => options.toolChoice !== 'none'));
+    check('The user gets a final answer after the budget runs out', exhausted.budgetExhausted &&
+        exhausted.finalResponse === 'Here are the Gator Cup photos I found.' && exhausted.searchResults.length === 2);
+
+    // Test 5: A disconnected client stops the loop
+    const cancelledClient = createScriptedClient([
+        { stop_reason: 'tool_use', content: [toolUse('c1', 'searchByAlbum', { albumTerm: 'Gator Cup' })] },
+        { stop_reason: 'end_turn', content: [{ type: 'text', text: 'Never sent' }] }
+    ]);
+    const disconnect = new AbortController();
+    let cancelError = null;
+    try {
+        await new ChatAgent(cancelledClient, searchFunctions).run('cancel me', {
+            onToolResult: () => disconnect.abort()
+        }, { signal: disconnect.signal });
+    } catch (error) {
+        cancelError = error;
+    }
+    check('Cancelling stops the loop before the next model call', cancelError && cancelError.cancelled &&
+        cancelledClient.requests.length === 1 && cancelledClient.requestOptions[0].signal === disconnect.signal);
+    check('The cancelled turn keeps its trace for usage accounting', cancelError.trace.filter(s => s.type === 'model').length === 1);
+
+    // Test 6: Streaming hooks report progress in order
+    const streamingClient = createScriptedClient([
+        { stop_reason: 'tool_use', content: [toolUse('s1', 'searchByAlbum', { albumTerm: 'Gator Cup' })] },
+        { stop_reason: 'end_turn', content: [{ type: 'text', text: 'Here they are!' }] }
+    ]);
+    streamingClient.streamConversationalMessages = async function(messages, functions, model, onTextDelta) {
+        const result = await this.sendConversationalMessages(messages);
+        result.response.content
+            .filter(block => block.type === 'text')
+            .forEach(block => block.text.split(' ').forEach(word => onTextDelta(word + ' ')));
+        return result;
+    };
+
+    const events = [];
+    await new ChatAgent(streamingClient, searchFunctions).run('stream it', {
+        onStepStart: ({ step }) => events.push(`step:${step}`),
+        onToolStart: ({ name }) => events.push(`tool_start:${name}`),
+        onToolResult: ({ name, results }) => events.push(`tool_result:${name}:${results.length}`),
+        onTextDelta: () => events.push('text')
+    });
+    check('Hooks fire in order', events.slice(0, 4).join(',') === 'step:1,tool_start:searchByAlbum,tool_result:searchByAlbum:2,step:2');
+    check('Text deltas are streamed', events.filter(e => e === 'text').length === 3);
+
+    finish();
+}
+
+runTest(testChatAgent);
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+// Test script for multi-turn chat sessions and refinement of previous results
+
+const fs = require('fs/promises');
+const ChatSessionManager = require('./lib/chatSessionManager');
+const SearchFunctions = require('./lib/searchFunctions');
+const { createHarness, makeTempDir, runTest } = require('./test-helpers');
+
+const sampleImages = [
+    {
+        id: 'img1',
+        title: 'Archer at full draw',
+        albumName: 'Friday AM - U21/U18',
+        albumHierarchy: ['2024', 'Arizona Cup', 'Friday AM - U21/U18'],
+        description: 'A young archer focused on the target outdoors',
+        keywords: ['archery', 'focused', 'outdoor']
+    },
+    {
+        id: 'img2',
+        title: 'Podium celebration',
+        albumName: 'Awards',
+        albumHierarchy: ['2025', 'Gator Cup', 'Awards'],
+        description: 'Smiling athletes celebrating on the podium with a crowd',
+        keywords: ['celebrating', 'podium', 'crowd', 'smiling']
+    },
+    {
+        id: 'img3',
+        title: 'Target close-up',
+        albumName: 'Friday PM - Sr 50+ practice',
+        albumHierarchy: ['2024', 'Gator Cup', 'Friday PM - Sr 50+ practice'],
+        description: 'Arrows grouped in the center of a target',
+        keywords: ['target', 'arrows', 'outdoor']
+    }
+];
+
+async function testChatSessions() {
+    console.log('🧪 Testing Chat Sessions\n');
+
+    const tempDir = await makeTempDir('chat');
+    const { check, finish } = createHarness();
+
+    try {
+        // Test 1: Create a session and record a turn
+        const manager = new ChatSessionManager({ dataDir: tempDir });
+        const session = await manager.getOrCreateSession(null);
+        check('New session is created with an ID', session.id.startsWith('chat_'));
+
+        await manager.addTurn(session.id, {
+            userMessage: 'show me outdoor archery',
+            assistantResponse: 'Here are some outdoor archery shots!',
+            toolCalls: [{ name: 'searchByKeywords', input: { keywords: ['archery'] }, resultCount: 3 }],
+            results: sampleImages
+        });
+
+        // Test 2: Session survives a reload from disk
+        const reloaded = new ChatSessionManager({ dataDir: tempDir });
+        const restored = await reloaded.getSession(session.id);
+        check('Session persists to disk', restored && restored.turns.length === 1);
+        check('Result IDs are stored in order', restored.turns[0].resultIds.join(',') === 'img1,img2,img3');
+
+        // Test 3: History includes tool calls and numbered results
+        const history = reloaded.buildHistoryMessages(restored);
+        check('History alternates user/assistant', history.length === 2 && history[0].role === 'user' && history[1].role === 'assistant');
+        check('History describes tool calls', history[1].content.includes('searchByKeywords'));
+        check('History numbers previous results', history[1].content.includes('3. id=img3'));
+
+        // Test 4: Unknown session IDs start a fresh session
+        const fresh = await reloaded.getOrCreateSession('chat_missing');
+        check('Unknown session ID starts a new session', fresh.id !== 'chat_missing' && fresh.turns.length === 0);
+
+        // Test 5: Refining the previous result set
+        const searchFunctions = new SearchFunctions();
+        const hasRefineBefore = searchFunctions.getFunctionDefinitions().some(f => f.name === 'refinePreviousResults');
+        check('Refine tool hidden without previous results', !hasRefineBefore);
+
+        searchFunctions.setPreviousResults(sampleImages);
+        const hasRefineAfter = searchFunctions.getFunctionDefinitions().some(f => f.name === 'refinePreviousResults');
+        check('Refine tool offered with previous results', hasRefineAfter);
+
+        const from2024 = await searchFunctions.executeFunction('refinePreviousResults', { albumTerm: '2024' });
+        check('Refine by album term keeps only 2024 photos', from2024.map(img => img.id).join(',') === 'img1,img3');
+
+        const third = await searchFunctions.executeFunction('refinePreviousResults', { positions: [3] });
+        check('Refine by position returns the third photo', third.length === 1 && third[0].id === 'img3');
+
+        const noCrowds = await searchFunctions.executeFunction('refinePreviousResults', { negativeKeywords: ['crowd'] });
+        check('Refine with negative keywords removes crowds', !noCrowds.some(img => img.id === 'img2'));
+
+        // Test 6: Deleting a session
+        const deleted = await reloaded.deleteSession(session.id);
+        check('Session can be deleted', deleted && !(await reloaded.getSession(session.id)));
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    finish();
+}
+
+runTest(testChatSessions);
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+// Test script for the embedding index and semantic/hybrid search modes
+// Uses a small concept-vector embedder instead of the local model so it runs offline
+
+const fs = require('fs/promises');
+const path = require('path');
+const EmbeddingIndex = require('./lib/embeddingIndex');
+const DataManager = require('./lib/dataManager');
+const SearchFunctions = require('./lib/searchFunctions');
+const { createHarness, makeTempDir, runTest } = require('./test-helpers');
+
+// Each dimension is a concept; text gets weight on every concept whose words it mentions
+const CONCEPTS = [
+    ['golden', 'sunset', 'dusk', 'warm', 'evening'],
+    ['portrait', 'face', 'headshot', 'bokeh', 'blurred'],
+    ['archery', 'archer', 'bow', 'arrow', 'target'],
+    ['crowd', 'spectators', 'audience', 'stands']
+];
+
+let embedCalls = 0;
+async function conceptEmbedder(text) {
+    embedCalls++;
+    const words = text.toLowerCase().split(/[^a-z]+/);
+    return CONCEPTS.map(concept => words.filter(word => concept.includes(word)).length + 0.01);
+}
+
+const images = [
+    { id: 'sunset', albumKey: 'A1', description: 'Archers packing up under a warm evening sky at dusk', keywords: ['outdoor', 'sunset'] },
+    { id: 'portrait', albumKey: 'A1', description: 'Close headshot of an archer with a blurred background', keywords: ['portrait', 'face'] },
+    { id: 'crowd', albumKey: 'B2', description: 'Spectators in the stands', keywords: ['crowd', 'audience'] },
+    { id: 'empty', albumKey: 'B2', description: '', keywords: [] }
+];
+
+async function testEmbeddingSearch() {
+    console.log('🧪 Testing Embedding Search\n');
+
+    const tempDir = await makeTempDir('embeddings');
+    const indexFile = path.join(tempDir, 'embeddingIndex.json');
+    const { check, finish } = createHarness();
+
+    const ranked = (scores) => [...scores.entries()].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+
+    try {
+        const index = new EmbeddingIndex(indexFile, { model: 'test-model', embedder: conceptEmbedder });
+
+        // Test 1: Building embeds every image with text
+        const built = await index.rebuild(images);
+        check('Images with text are embedded', built.embedded === 3 && index.docCount === 3);
+        check('Images without description or keywords are skipped', !index.docs.empty);
+
+        // Test 2: Queries outside the synonym table rank by meaning
+        const goldenHour = ranked(index.search(await index.embed('golden hour')));
+        check('"golden hour" ranks the dusk photo first', goldenHour[0] === 'sunset');
+        const bokeh = ranked(index.search(await index.embed('bokeh portrait')));
+        check('"bokeh portrait" ranks the headshot first', bokeh[0] === 'portrait');
+
+        // Test 3: Similarity threshold
+        const thresholded = index.search(await index.embed('audience'), { minSimilarity: 0.9 });
+        check('minSimilarity drops weak matches', thresholded.size === 1 && thresholded.has('crowd'));
+
+        // Test 4: Unchanged text is not re-embedded
+        embedCalls = 0;
+        const rerun = await index.rebuild([...images.slice(0, 2), { ...images[2], keywords: ['crowd', 'sunset'] }]);
+        check('Only changed images are re-embedded', rerun.embedded === 1 && embedCalls === 1);
+
+        const pruned = await index.rebuild(images.slice(0, 1));
+        check('Deleted images are removed on rebuild', pruned.removed === 2 && index.docCount === 1);
+
+        // Test 5: Persistence round trip and model mismatch
+        await index.rebuild(images);
+        await index.save();
+        const reloaded = new EmbeddingIndex(indexFile, { model: 'test-model', embedder: conceptEmbedder });
+        check('Index reloads from disk', await reloaded.load() && reloaded.docCount === 3);
+        const original = index.docs.portrait.vector;
+        const restored = reloaded.docs.portrait.vector;
+        check('Vectors survive base64 round trip', original.every((value, i) => value === restored[i]));
+
+        const otherModel = new EmbeddingIndex(indexFile, { model: 'other-model', embedder: conceptEmbedder });
+        check('Vectors from another model are not loaded', !(await otherModel.load()) && otherModel.docCount === 0);
+
+        // Test 6: Semantic and hybrid modes through SearchFunctions
+        const dataManager = {
+            async getEmbeddingConfig() { return { minSimilarity: 0.25, hybridWeight: 0.5 }; },
+            async getEmbeddingIndex() { return index; },
+            async getSearchIndex() {
+                return { search: () => new Map([['crowd', 4.0], ['portrait', 1.0]]) };
+            },
+            async getImagesByIds(ids) { return images.filter(image => ids.includes(image.id)); }
+        };
+
+        const semantic = new SearchFunctions({ mode: 'semantic' });
+        const semanticResults = await semantic.scoreByEmbedding(dataManager, { keywords: ['golden', 'hour'] }, []);
+        const semanticTop = semanticResults.sort((a, b) => b.score - a.score)[0];
+        check('Semantic mode scores similarity as a percentage', semanticTop.image.id === 'sunset' && semanticTop.score > 90 && semanticTop.score <= 100);
+
+        const hybrid = new SearchFunctions({ mode: 'hybrid' });
+        const hybridResults = await hybrid.scoreByEmbedding(dataManager, { keywords: ['spectators'] }, [{ text: 'spectators' }]);
+        const hybridScores = new Map(hybridResults.map(item => [item.image.id, item.score]));
+        check('Hybrid mode blends keyword and vector scores', hybridScores.get('crowd') > hybridScores.get('portrait'));
+        check('Hybrid mode keeps keyword matches below the similarity threshold', hybridScores.has('portrait'));
+
+        // Test 7: Model failures fall back to keyword ranking
+        const brokenManager = { ...dataManager, async getEmbeddingIndex() { throw new Error('model unavailable'); } };
+        check('Unavailable model returns null for keyword fallback', await semantic.scoreByEmbedding(brokenManager, { keywords: ['sunset'] }, []) === null);
+
+        // Test 8: A missing index is built in the background while searches rank by keywords
+        const manager = new DataManager();
+        manager.embeddingIndexFile = path.join(tempDir, 'backgroundIndex.json');
+        manager.getEmbeddingConfig = async () => ({ model: 'test-model', minSimilarity: 0.25, hybridWeight: 0.5 });
+        manager.getImages = async () => images;
+        EmbeddingIndex.forFile(manager.embeddingIndexFile, 'test-model').embedder = conceptEmbedder;
+
+        const pending = new SearchFunctions({ mode: 'semantic' });
+        const fallback = await pending.scoreByEmbedding(manager, { keywords: ['sunset'] }, []);
+        check('Missing index starts a background build', manager.isEmbeddingIndexBuilding());
+        check('Searches during the build fall back and report the index incomplete', fallback === null && pending.embeddingIndexIncomplete);
+
+        await manager.buildEmbeddingIndexInBackground();
+        const backgroundIndex = await manager.getEmbeddingIndex();
+        check('The finished build is used for ranking', !manager.isEmbeddingIndexBuilding() && backgroundIndex && backgroundIndex.docCount === 3);
+
+        await manager.embedImage({ id: 'late', description: 'Arrows in the target' });
+        check('New images are embedded through the background queue', Boolean(backgroundIndex.docs.late));
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    finish();
+}
+
+runTest(testEmbeddingSearch);
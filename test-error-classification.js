@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+// Test script for job error classification, exponential backoff with jitter and retrying only retryable failures (no API calls)
+
+const JobQueue = require('./lib/jobQueue');
+const ErrorClassifier = require('./lib/errorClassifier');
+const { createHarness, runTest } = require('./test-helpers');
+
+async function testErrorClassification() {
+    console.log('🧪 Testing Error Classification\n');
+
+    const { check, finish } = createHarness();
+
+    const originalLog = console.log;
+    const originalError = console.error;
+    const quietly = async (action) => {
+        console.log = () => {};
+        console.error = () => {};
+        try {
+            return await action();
+        } finally {
+            console.log = originalLog;
+            console.error = originalError;
+        }
+    };
+
+    const errorWith = (message, fields = {}) => Object.assign(new Error(message), fields);
+    const typeOf = (error) => ErrorClassifier.classify(error).type;
+
+    // Test 1: Retryable errors
+    check('Rate limits and overloads are retryable', typeOf(errorWith('API Error 429: Number of requests has exceeded your rate limit')) === 'rate_limited' &&
+        typeOf(errorWith('API Error 529: Overloaded')) === 'overloaded' && ErrorClassifier.classify(errorWith('API Error 529: Overloaded')).retryable);
+    check('Server errors are retryable', typeOf(errorWith('API Error 500: Internal server error')) === 'server_error' &&
+        typeOf(errorWith('Failed to fetch image: 503')) === 'server_error');
+    check('Network failures are retryable', typeOf(errorWith('Request failed: socket hang up')) === 'network' &&
+        typeOf(errorWith('fetch failed', { cause: { code: 'ECONNRESET' } })) === 'network');
+    check('SmugMug download timeouts are retryable', typeOf(errorWith('SmugMug image download timed out after 60s', { errorType: 'download_timeout' })) === 'download_timeout' &&
+        ErrorClassifier.classify(errorWith('Failed to fetch image: 408')).type === 'download_timeout');
+    check('Unreadable replies and unknown errors are retried', typeOf(errorWith('Claude did not return a valid JSON analysis', { category: 'malformed_response' })) === 'malformed_response' &&
+        ErrorClassifier.classify(errorWith('Something odd happened')).retryable);
+
+    // Test 2: Permanent errors
+    const permanent = (error) => !ErrorClassifier.classify(error).retryable;
+    check('Auth errors are permanent', typeOf(errorWith('API Error 401: invalid x-api-key')) === 'auth' && permanent(errorWith('API Error 403: Forbidden')));
+    check('Invalid images are permanent', typeOf(errorWith('API Error 400: Could not process image')) === 'invalid_image' &&
+        typeOf(errorWith('Input buffer contains unsupported image format')) === 'invalid_image');
+    check('Content policy blocks are permanent', typeOf(errorWith('API Error 400: Output blocked by content filtering policy')) === 'content_policy' &&
+        permanent(errorWith('API Error 400: Output blocked by content filtering policy')));
+    check('Missing SmugMug images are permanent', typeOf(errorWith('Failed to fetch image: 404')) === 'image_unavailable');
+    check('Broken jobs and unconfigured providers are permanent', typeOf(errorWith('Job img_1 missing required album information: albumPath')) === 'invalid_job' &&
+        typeOf(errorWith('Model llava:13b uses the ollama provider, which is not configured')) === 'configuration');
+    check('Processors can decide themselves', ErrorClassifier.classify(errorWith('API Error 500', { retryable: false })).retryable === false &&
+        ErrorClassifier.classify(errorWith('API Error 400: odd', { status: 503 })).type === 'server_error');
+
+    // Test 3: Exponential backoff with jitter
+    const queue = new JobQueue();
+    queue.config.retryDelay = 1000;
+    queue.config.maxRetryDelay = 5000;
+    const originalRandom = Math.random;
+    Math.random = () => 0;
+    const lowest = [1, 2, 3, 4].map(attempt => queue.getRetryDelay(attempt));
+    Math.random = () => 0.999999;
+    const highest = [1, 2, 3, 4].map(attempt => queue.getRetryDelay(attempt));
+    Math.random = originalRandom;
+    check('Backoff doubles with each attempt', lowest.join() === '500,1000,2000,2500' && highest.slice(0, 3).join() === '1000,2000,4000');
+    check('Backoff is capped at maxRetryDelay', highest[3] === 5000);
+
+    // Test 4: Permanent failures fail fast, retryable ones are retried
+    const attempts = {};
+    const failures = {
+        'corrupt.jpg': () => errorWith('API Error 400: Could not process image'),
+        'flaky.jpg': () => errorWith('API Error 529: Overloaded'),
+        'throttled.jpg': () => errorWith('API Error 429: rate limited')
+    };
+    await quietly(() => queue.addBatch(['ok.jpg', 'corrupt.jpg', 'flaky.jpg', 'throttled.jpg'].map(imageName => ({
+        type: 'image_analysis', imageName, data: { imageName }
+    })), 'Classified'));
+    queue.config.retryDelay = 0;
+    queue.config.processingDelay = 0;
+    const processor = async (data) => {
+        attempts[data.imageName] = (attempts[data.imageName] || 0) + 1;
+        // The flaky image succeeds on its second attempt
+        if (data.imageName === 'flaky.jpg' && attempts[data.imageName] > 1) return { ok: true };
+        if (failures[data.imageName]) throw failures[data.imageName]();
+        return { ok: true };
+    };
+    await quietly(() => queue.startProcessing({ image_analysis: processor }));
+
+    const status = queue.getStatus();
+    const corrupt = status.failedJobDetails.find(job => job.imageName === 'corrupt.jpg');
+    check('Permanent failures are not retried', attempts['corrupt.jpg'] === 1 && corrupt.error.type === 'invalid_image' && corrupt.error.retryable === false);
+    check('Retryable failures are retried until they succeed or run out', attempts['flaky.jpg'] === 2 && attempts['throttled.jpg'] === 3);
+    check('Status counts retryable failures', status.failedCount === 2 && status.retryableFailures === 1);
+    check('Job details carry the classification', queue.getQueueDetails().jobs.find(job => job.imageName === 'throttled.jpg').errorType === 'rate_limited');
+
+    // Test 5: Retrying only the retryable jobs
+    const retry = await quietly(() => queue.retryFailedJobs());
+    check('Retry skips permanent failures', retry.count === 1 && retry.skipped === 1 &&
+        queue.jobs.find(job => job.imageName === 'throttled.jpg').status === 'queued' &&
+        queue.jobs.find(job => job.imageName === 'corrupt.jpg').status === 'failed');
+    check('Counters keep the permanent failure after a retry', queue.failedCount === 1 && queue.failedJobs[0].imageName === 'corrupt.jpg');
+
+    const forced = await quietly(() => queue.retryFailedJobs({ includePermanent: true }));
+    check('Permanent failures can be retried on request', forced.count === 1 && queue.failedCount === 0);
+
+    finish();
+}
+
+runTest(testErrorClassification);
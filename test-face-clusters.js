@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+// Test script for face clustering and named-person search
+// Uses a fake detector that reads "faces" from the image buffer so it runs without the face models
+
+const fs = require('fs/promises');
+const path = require('path');
+const FaceIndex = require('./lib/faceIndex');
+const SearchFunctions = require('./lib/searchFunctions');
+const { createHarness, makeTempDir, runTest } = require('./test-helpers');
+
+// Each person is a direction in descriptor space; a photo buffer lists the people in it ("ana,ben")
+const PEOPLE = {
+    ana: [1, 0, 0, 0],
+    ben: [0, 1, 0, 0],
+    cal: [0, 0, 1, 0],
+    blurry: [0.6, 0, 0, 0.7]
+};
+
+async function fakeDetector(imageBuffer) {
+    const names = imageBuffer.toString().split(',').filter(Boolean);
+    return names.map((name, index) => ({
+        box: { x: 0.1 * index, y: 0.2, width: 0.1, height: 0.15 },
+        score: name === 'blurry' ? 0.3 : 0.9 - index * 0.01,
+        // Small per-photo jitter so faces of one person are close but not identical
+        descriptor: PEOPLE[name].map((value, dimension) => value + (dimension === 3 ? 0.05 * index : 0))
+    }));
+}
+
+async function testFaceClusters() {
+    console.log('🧪 Testing Face Clustering\n');
+
+    const tempDir = await makeTempDir('faces');
+    const indexFile = path.join(tempDir, 'faceIndex.json');
+    const { check, finish } = createHarness();
+
+    const clusterOf = (index, imageId, position = 0) => index.faces[`${imageId}:${position}`].clusterId;
+
+    try {
+        const index = new FaceIndex(indexFile, { detector: fakeDetector });
+
+        // Test 1: Detection and incremental clustering
+        check('Faces are counted per photo', await index.addImage('p1', Buffer.from('ana,ben')) === 2);
+        await index.addImage('p2', Buffer.from('ana'));
+        await index.addImage('p3', Buffer.from('ben,cal'));
+        await index.addImage('p4', Buffer.from('blurry'));
+        await index.addImage('p5', Buffer.from(''));
+        check('The same person joins one cluster across photos', clusterOf(index, 'p1') === clusterOf(index, 'p2'));
+        check('Different people get different clusters', clusterOf(index, 'p1', 0) !== clusterOf(index, 'p1', 1));
+        check('Low-confidence faces are ignored', !index.faces['p4:0'] && index.hasImage('p4'));
+        check('Photos without faces are still marked as scanned', index.hasImage('p5') && index.images.p5.length === 0);
+        check('Three people make three clusters', index.getClusters().length === 3);
+
+        // Test 2: Naming and merging
+        const anaCluster = clusterOf(index, 'p1');
+        const named = index.nameCluster(anaCluster, '  Ana Lopez ');
+        check('Names are trimmed and stored', named.name === 'Ana Lopez' && named.imageCount === 2);
+        const calCluster = clusterOf(index, 'p3', 1);
+        const merged = index.nameCluster(calCluster, 'ana lopez');
+        check('Reusing a name merges into that person', merged.id === anaCluster && !index.clusters[calCluster] && merged.imageCount === 3);
+        check('Named clusters are listed first', index.getClusters()[0].id === anaCluster);
+        let missingError = null;
+        try {
+            index.nameCluster('person-999', 'Nobody');
+        } catch (error) {
+            missingError = error.message;
+        }
+        check('Unknown clusters are rejected', missingError && missingError.includes('not found'));
+
+        // Test 3: Person lookup
+        check('Exact names find the photos', index.findPerson('Ana Lopez').imageIds.sort().join(',') === 'p1,p2,p3');
+        check('Partial names match by word', index.findPerson('ana').names[0] === 'Ana Lopez');
+        check('Unknown names find nothing', index.findPerson('Zed').imageIds.length === 0);
+
+        // Test 4: Persistence and pruning
+        await index.save();
+        const reloaded = new FaceIndex(indexFile, { detector: fakeDetector });
+        check('Index reloads from disk', await reloaded.load() && reloaded.findPerson('Ana Lopez').imageIds.length === 3);
+        check('Removed photos drop their faces', reloaded.retainOnly(new Set(['p1', 'p3', 'p4', 'p5'])) === 1 && reloaded.findPerson('Ana Lopez').imageIds.length === 2);
+
+        // Test 5: Re-clustering keeps names
+        const result = reloaded.recluster();
+        check('Re-clustering restores one cluster per person', result.clusters === 3);
+        check('Names survive re-clustering', reloaded.findPerson('Ana Lopez').imageIds.includes('p1'));
+
+        // Test 6: Tool definition
+        const searchFunctions = new SearchFunctions();
+        check('searchByPerson tool is defined', searchFunctions.getFunctionDefinitions().some(func => func.name === 'searchByPerson'));
+
+        // Test 7: Detection status reflects the optional detector packages
+        let installed = true;
+        try {
+            require.resolve('@tensorflow/tfjs-node');
+            require.resolve('@vladmandic/face-api');
+        } catch (error) {
+            installed = false;
+        }
+        const status = new FaceIndex(indexFile).getDetectionStatus();
+        check('Missing detector packages are reported as unavailable', installed
+            ? status.available
+            : !status.available && status.error.includes('@vladmandic/face-api'));
+        check('An injected detector is always available', index.getDetectionStatus().available);
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    finish();
+}
+
+runTest(testFaceClusters);
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+// Test script for GPS radius / bounding-box search and the offline gazetteer
+
+const BM25Index = require('./lib/bm25Index');
+const Gazetteer = require('./lib/gazetteer');
+const QueryParser = require('./lib/queryParser');
+const SearchFunctions = require('./lib/searchFunctions');
+const { createHarness, runTest } = require('./test-helpers');
+
+const images = [
+    {
+        id: 'tucson',
+        gps: { latitude: 32.2319, longitude: -110.9501 },
+        place: { name: 'Tucson', region: 'Arizona', country: 'United States', label: 'Tucson, Arizona' },
+        keywords: ['archery']
+    },
+    {
+        id: 'phoenix',
+        gps: { latitude: 33.4484, longitude: -112.0740 },
+        place: { name: 'Phoenix', region: 'Arizona', country: 'United States', label: 'Phoenix, Arizona' },
+        keywords: ['archery']
+    },
+    {
+        id: 'newberry',
+        gps: { latitude: 29.6470, longitude: -82.6100 },
+        place: { name: 'Newberry', region: 'Florida', country: 'United States', label: 'Newberry, Florida' },
+        keywords: ['archery']
+    },
+    {
+        id: 'no-gps',
+        keywords: ['archery', 'tucson']
+    }
+];
+
+async function testGeoSearch() {
+    console.log('🧪 Testing Geographic Search\n');
+
+    const { check, finish } = createHarness();
+
+    // Test 1: Gazetteer lookups
+    const gazetteer = new Gazetteer();
+    const tucson = gazetteer.findPlace('Tucson');
+    check('Bundled gazetteer resolves city names', tucson && tucson.label === 'Tucson, Arizona');
+    check('State qualifiers pick between same-named cities', gazetteer.findPlace('Charleston, WV').region === 'West Virginia');
+    check('Full region names work as qualifiers', gazetteer.findPlace('kansas city missouri').name === 'Kansas City');
+    check('Unknown qualifiers do not match', gazetteer.findPlace('Tucson, Texas') === null);
+    check('Coordinates resolve without a lookup', gazetteer.resolvePoint('32.2, -110.9').latitude === 32.2);
+    check('Out of range coordinates are rejected', gazetteer.resolvePoint('132.2, -110.9') === null);
+    const distance = Gazetteer.distanceKm(32.2226, -110.9747, 33.4484, -112.0740);
+    check('Tucson to Phoenix is about 170 km', distance > 160 && distance < 175);
+    const nearest = gazetteer.reverseGeocode(29.65, -82.61);
+    check('Reverse geocoding names the nearest place', nearest.name === 'Newberry' && nearest.distanceKm < 2);
+    check('Nothing within range gives no place', gazetteer.reverseGeocode(0, -140) === null);
+
+    // Test 2: Radius and bounding box filters
+    const searchFunctions = new SearchFunctions();
+    const ids = (params) => {
+        const filter = searchFunctions.buildGeoFilter(params);
+        return images.filter(image => searchFunctions.matchesGeoFilter(image, filter)).map(image => image.id).join(',');
+    };
+    check('No geographic criteria means no filter', searchFunctions.buildGeoFilter({}) === null);
+    check('Radius defaults to 25 km around a place', ids({ near: 'Tucson' }) === 'tucson');
+    check('A wider radius reaches further', ids({ near: 'Tucson, AZ', radiusKm: 200 }) === 'tucson,phoenix');
+    check('Bounding boxes select by latitude and longitude', ids({ boundingBox: { north: 35, south: 31, east: -109, west: -115 } }) === 'tucson,phoenix');
+    check('Radius and box combine', ids({ near: 'Tucson', radiusKm: 200, boundingBox: { north: 33, south: 31, east: -109, west: -115 } }) === 'tucson');
+    check('Boxes crossing the antimeridian wrap around', searchFunctions.matchesGeoFilter({ gps: { latitude: 0, longitude: 179.5 } }, searchFunctions.buildGeoFilter({ boundingBox: { north: 1, south: -1, east: -179, west: 179 } })));
+
+    let placeError = null;
+    try {
+        searchFunctions.buildGeoFilter({ near: 'Atlantis' });
+    } catch (error) {
+        placeError = error.message;
+    }
+    check('Unknown places are reported', placeError && placeError.includes('Atlantis'));
+
+    let toolError = null;
+    try {
+        await searchFunctions.searchByLocation({});
+    } catch (error) {
+        toolError = error.message;
+    }
+    check('searchByLocation needs at least one criterion', toolError && toolError.includes('near'));
+
+    // Test 3: Place names are searchable text
+    const index = new BM25Index(null);
+    index.rebuild(images);
+    const placeHits = index.search([{ text: 'arizona', fields: ['place'] }]);
+    check('Place names are indexed', placeHits.has('tucson') && placeHits.has('phoenix') && !placeHits.has('no-gps'));
+    const locationTerms = searchFunctions.buildIndexQuery({ location: 'Tucson' });
+    check('Location criteria search place names', locationTerms.some(term => term.fields.includes('place')));
+    const parser = new QueryParser();
+    check('place: field matches reverse-geocoded names', images.filter(image => searchFunctions.matchesQuery(parser.parse('place:florida'), image, index)).map(image => image.id).join(',') === 'newberry');
+
+    // Test 4: Tool definition
+    const tool = searchFunctions.getFunctionDefinitions().find(func => func.name === 'searchByLocation');
+    check('searchByLocation accepts near, radiusKm and boundingBox', ['near', 'radiusKm', 'boundingBox'].every(name => tool.parameters.properties[name]));
+
+    finish();
+}
+
+runTest(testGeoSearch);
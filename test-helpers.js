@@ -0,0 +1,122 @@
+// PhotoVision Test Helpers
+// Shared pass/fail harness and throwaway data directories for the test-*.js scripts (not a test itself)
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const DataManager = require('./lib/dataManager');
+
+/**
+ * Create the ✅/❌ check counter used by every test script
+ * @returns {Object} {check, rejects, finish}
+ */
+function createHarness() {
+    let passed = 0;
+    let failed = 0;
+
+    const check = (label, condition) => {
+        if (condition) {
+            console.log(`✅ ${label}`);
+            passed++;
+        } else {
+            console.log(`❌ ${label}`);
+            failed++;
+        }
+    };
+
+    // Passes when the action throws an error whose message contains the text
+    const rejects = async (label, action, text) => {
+        try {
+            await action();
+            check(label, false);
+        } catch (error) {
+            check(label, error.message.includes(text));
+        }
+    };
+
+    /**
+     * Print the summary and set the exit code
+     * @param {Object} options - {exit} always exit, for scripts whose rate limiter or batch timers keep the process alive
+     */
+    const finish = (options = {}) => {
+        console.log(`\n📊 Results: ${passed} passed, ${failed} failed`);
+        if (options.exit || failed > 0) {
+            process.exit(failed > 0 ? 1 : 0);
+        }
+    };
+
+    return { check, rejects, finish };
+}
+
+/**
+ * Run an action with console.log silenced (batch and index code logs every step)
+ * @param {Function} action - Sync or async action
+ * @returns {Promise<*>} The action's result
+ */
+async function quietly(action) {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        return await action();
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+/**
+ * Create an empty temporary directory
+ * @param {string} name - Short name used in the directory prefix
+ * @returns {Promise<string>} Directory path
+ */
+async function makeTempDir(name) {
+    return await fs.mkdtemp(path.join(os.tmpdir(), `photovision-${name}-`));
+}
+
+/**
+ * Create a DataManager whose config, images and indexes all live in a test directory,
+ * so the real data/ files are never read or written
+ * @param {string} dataDir - Temporary directory
+ * @param {Object} config - Initial config.json contents
+ * @param {Object} options - {images} initial images.json records (the file is not created when omitted)
+ * @returns {Promise<DataManager>} Data manager
+ */
+async function createTestDataManager(dataDir, config = {}, options = {}) {
+    const dataManager = new DataManager();
+    dataManager.dataDir = dataDir;
+    dataManager.imagesFile = path.join(dataDir, 'images.json');
+    dataManager.configFile = path.join(dataDir, 'config.json');
+    dataManager.albumPreviewsFile = path.join(dataDir, 'albumPreviews.json');
+    dataManager.bm25IndexFile = path.join(dataDir, 'bm25Index.json');
+    dataManager.embeddingIndexFile = path.join(dataDir, 'embeddingIndex.json');
+    dataManager.faceIndexFile = path.join(dataDir, 'faceIndex.json');
+    dataManager.imageHistoryFile = path.join(dataDir, 'imageHistory.jsonl');
+    dataManager.usageLedgerFile = path.join(dataDir, 'usageLedger.jsonl');
+    dataManager.scheduledImageFailuresFile = path.join(dataDir, 'scheduledImageFailures.json');
+    dataManager.cryptoUtils.keyPath = path.join(dataDir, '.encryption-key');
+
+    await fs.writeFile(dataManager.configFile, JSON.stringify(config));
+    if (options.images) {
+        await fs.writeFile(dataManager.imagesFile, JSON.stringify(options.images));
+    }
+
+    return dataManager;
+}
+
+/**
+ * Run a test script's main function, failing the process on an unexpected error
+ * @param {Function} test - Async test function
+ */
+function runTest(test) {
+    test().catch(error => {
+        console.error('Test failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    createHarness,
+    quietly,
+    makeTempDir,
+    createTestDataManager,
+    runTest
+};
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+// Test script for the per-image change history (audit trail) and reverting to an earlier version
+// Runs against a throwaway data directory so the real images and history are never touched
+
+const fs = require('fs/promises');
+const { createHarness, quietly, makeTempDir, createTestDataManager, runTest } = require('./test-helpers');
+
+const IMAGE = {
+    smugmugImageKey: 'img1',
+    smugmugUrl: 'https://example.com/img1.jpg',
+    albumKey: 'album1',
+    albumName: 'Finals',
+    description: 'An archer drawing a recurve bow on an outdoor range',
+    keywords: ['archery', 'recurve', 'outdoor'],
+    metadata: { model: 'claude-3-haiku-20240307', timestamp: '2025-01-01T00:00:00.000Z', batchId: 'batch1' }
+};
+
+async function testImageHistory() {
+    console.log('🧪 Testing Image History\n');
+
+    const tempDir = await makeTempDir('history');
+    const { check, rejects, finish } = createHarness();
+
+    try {
+        const dataManager = await createTestDataManager(tempDir, {}, { images: [] });
+
+        const saved = await quietly(() => dataManager.addImage(IMAGE));
+
+        // Test 1: Analysis runs
+        let history = await dataManager.getImageHistory(saved.id);
+        check('New records start their history with the analysis', history.length === 1 &&
+            history[0].type === 'analysis' && history[0].actor === 'batch batch1' && history[0].version === 1);
+        check('Entries keep a snapshot of the analysis', history[0].snapshot.description === IMAGE.description &&
+            history[0].changes.keywordsAdded.length === 3);
+
+        // Test 2: Manual keyword edits
+        await quietly(() => dataManager.updateImage(saved.id, { keywords: ['archery', 'recurve', 'sunset'] },
+            { type: 'keywords', actor: 'user (127.0.0.1)', summary: 'Keywords edited' }));
+        history = await dataManager.getImageHistory(saved.id);
+        const edit = history[1];
+        check('Keyword edits record who made them', edit.type === 'keywords' && edit.actor === 'user (127.0.0.1)');
+        check('Keyword edits record what changed', edit.changes.keywordsAdded.join() === 'sunset' &&
+            edit.changes.keywordsRemoved.join() === 'outdoor' && edit.changes.fields.join() === 'keywords');
+
+        // Test 3: Updates that leave the analysis alone
+        await quietly(() => dataManager.updateImage(saved.id, { captureMetadata: { camera: 'Canon' } }));
+        history = await dataManager.getImageHistory(saved.id);
+        check('Updates outside the analysis are not recorded', history.length === 2);
+
+        // Test 4: Starring
+        await quietly(() => dataManager.toggleStarImage(saved.id, 'user (127.0.0.1)'));
+        await quietly(() => dataManager.toggleStarImage(saved.id, 'user (127.0.0.1)'));
+        history = await dataManager.getImageHistory(saved.id);
+        check('Starring and unstarring are recorded', history[2].type === 'star' && history[3].type === 'unstar' &&
+            !history[2].snapshot);
+
+        // Test 5: Reverting
+        const reverted = await quietly(() => dataManager.revertImageToHistory(saved.id, 1, 'user (127.0.0.1)'));
+        check('Reverting restores the earlier analysis', reverted.keywords.join() === IMAGE.keywords.join() &&
+            reverted.captureMetadata.camera === 'Canon');
+        history = await dataManager.getImageHistory(saved.id);
+        const revert = history[history.length - 1];
+        check('Reverts are recorded as new entries', revert.type === 'revert' && revert.details.revertedTo === 1 &&
+            revert.changes.keywordsAdded.join() === 'outdoor');
+
+        await rejects('Entries without a snapshot cannot be restored', () => dataManager.revertImageToHistory(saved.id, 3), 'nothing to restore');
+        await rejects('Unknown versions are reported', () => dataManager.revertImageToHistory(saved.id, 42), 'not found');
+        await rejects('Unknown images are reported', () => dataManager.getImageHistory('missing'), 'not found');
+
+        // Test 6: Duplicate merges
+        const replaced = await quietly(() => dataManager.addImage({ ...IMAGE, description: 'A second look' }, { duplicateHandling: 'replace' }));
+        history = await dataManager.getImageHistory(replaced.id);
+        check('Replacing a duplicate keeps the replaced record\'s history', replaced.id !== saved.id &&
+            history.length === 6 && history[0].imageId === saved.id);
+        check('The replacement is recorded on the new record', history[5].type === 'duplicate-replace' &&
+            history[5].details.replacedId === saved.id && history[5].imageId === replaced.id);
+
+        // Test 7: Append-only storage
+        const lines = (await fs.readFile(dataManager.imageHistoryFile, 'utf8')).trim().split('\n');
+        check('Every change is one appended line', lines.length === 6 && JSON.parse(lines[0]).type === 'analysis');
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    finish();
+}
+
+runTest(testImageHistory);
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+// Test script for recovering malformed Claude analysis replies and categorising the failures
+
+const JsonRepair = require('./lib/jsonRepair');
+const JobQueue = require('./lib/jobQueue');
+const { createHarness, runTest } = require('./test-helpers');
+
+async function testJsonRepair() {
+    console.log('🧪 Testing JSON Repair\n');
+
+    const { check, finish } = createHarness();
+
+    const recover = (text) => JsonRepair.parse(text) || {};
+
+    // Test 1: Clean and wrapped replies
+    let result = recover('{"description": "Archer at full draw", "keywords": ["archery"]}');
+    check('Valid JSON parses directly', result.recovery === 'direct' && result.data.keywords[0] === 'archery');
+
+    result = recover('```json\n{"description": "Target face", "keywords": ["target"]}\n```');
+    check('Code fences are stripped', result.recovery === 'extracted' && result.data.description === 'Target face');
+
+    result = recover('Here is the analysis you asked for:\n{"description": "A {curly} sign", "keywords": []}\nLet me know if you need more.');
+    check('Prose around the object is ignored', result.recovery === 'extracted' && result.data.description === 'A {curly} sign');
+
+    // Test 2: Repairs
+    result = recover('{"description": "Two archers", "keywords": ["archery", "outdoor",],}');
+    check('Trailing commas are removed', result.recovery === 'repaired' && result.data.keywords.length === 2);
+
+    result = recover('{"description": "Line one\nline two", "keywords": []}');
+    check('Raw line breaks inside strings are escaped', result.recovery === 'repaired' && result.data.description === 'Line one\nline two');
+
+    result = recover('{"description": "An archer at sunset with the range behind", "keywords": ["archery", "sun');
+    check('Truncated replies are closed', result.recovery === 'repaired' && result.data.keywords.join() === 'archery,sun');
+
+    result = recover('```json\n{"description": "Medal ceremony", "peopleCount": 3, "shotType"');
+    check('A key cut off before its value is dropped', result.recovery === 'repaired' &&
+        result.data.peopleCount === 3 && !('shotType' in result.data));
+
+    result = recover('{"description": "Ends with a backslash \\');
+    check('A dangling escape is dropped', result.recovery === 'repaired' && result.data.description === 'Ends with a backslash ');
+
+    // Test 3: Unrecoverable replies
+    check('Replies without an object are not recovered', JsonRepair.parse('I cannot analyze this image.') === null);
+    check('Empty replies are not recovered', JsonRepair.parse('') === null && JsonRepair.parse(undefined) === null);
+    check('Arrays are not analyses', JsonRepair.parse('["archery"]') === null);
+
+    // Test 4: Failure categories in batch results
+    const queue = new JobQueue();
+    queue.config.retryAttempts = 1;
+    queue.config.processingDelay = 0;
+    queue.addBatch([
+        { imageName: 'good.jpg', data: {} },
+        { imageName: 'garbled.jpg', data: {} },
+        { imageName: 'broken.jpg', data: {} }
+    ]);
+
+    const originalLog = console.log;
+    const originalError = console.error;
+    console.log = () => {};
+    console.error = () => {};
+    try {
+        await queue.startProcessing({
+            image_analysis: async (data, job) => {
+                if (job.imageName === 'garbled.jpg') {
+                    const error = new Error('Claude did not return a valid JSON analysis');
+                    error.category = 'malformed_response';
+                    throw error;
+                }
+                if (job.imageName === 'broken.jpg') {
+                    throw new Error('Download failed');
+                }
+                return { saved: true };
+            }
+        });
+    } finally {
+        console.log = originalLog;
+        console.error = originalError;
+    }
+
+    const status = queue.getStatus();
+    check('Failed jobs keep their error category', status.failedJobDetails.find(job => job.imageName === 'garbled.jpg').error.category === 'malformed_response');
+    check('Other failures are processing errors', status.failedJobDetails.find(job => job.imageName === 'broken.jpg').error.category === 'processing_error');
+    check('Status counts failures by category', status.failureCategories.malformed_response === 1 && status.failureCategories.processing_error === 1);
+
+    finish();
+}
+
+runTest(testJsonRepair);
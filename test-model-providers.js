@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+// Test script for OpenAI-compatible and Ollama model providers, per-model routing and capability checks (no API calls)
+
+const fs = require('fs').promises;
+const ModelRouter = require('./lib/modelRouter');
+const MockVisionProvider = require('./lib/mockVisionProvider');
+const OpenAICompatibleProvider = require('./lib/openAICompatibleProvider');
+const OllamaProvider = require('./lib/ollamaProvider');
+const { createHarness, makeTempDir, createTestDataManager, runTest } = require('./test-helpers');
+
+const MODELS = [
+    { id: 'claude-3-haiku-20240307', name: 'Claude 3 Haiku' },
+    { id: 'gpt-4o', name: 'GPT-4o', provider: 'openai', capabilities: { vision: true, toolUse: true } },
+    { id: 'llava:13b', name: 'LLaVA 13B', provider: 'ollama', capabilities: { vision: true } }
+];
+
+async function testModelProviders() {
+    console.log('🧪 Testing Model Providers\n');
+
+    const { check, finish } = createHarness();
+
+    const tempDir = await makeTempDir('providers');
+
+    try {
+        const dataManager = await createTestDataManager(tempDir);
+
+        // Test 1: Model config defaults
+        const defaults = await dataManager.getClaudeModelConfig();
+        check('Built-in models are Claude models with vision and tool use', defaults.availableModels.every(model =>
+            model.provider === 'claude' && model.capabilities.vision && model.capabilities.toolUse));
+        check('Provider settings get defaults', defaults.providers.openai.baseUrl === 'https://api.openai.com/v1' &&
+            defaults.providers.ollama.baseUrl === 'http://localhost:11434');
+
+        const normalized = dataManager.normalizeModelConfig({ availableModels: MODELS });
+        const llava = normalized.availableModels.find(model => model.id === 'llava:13b');
+        check('Undeclared capabilities of other providers default to off', llava.capabilities.vision && !llava.capabilities.toolUse);
+
+        // Test 2: Validation
+        const valid = { ...normalized, chatModel: 'gpt-4o', batchProcessingModel: 'llava:13b' };
+        check('A consistent configuration passes', dataManager.validateModelConfig(valid).length === 0);
+        check('The chat model must support tool use',
+            dataManager.validateModelConfig({ ...valid, chatModel: 'llava:13b' }).some(error => error.includes('tool use')));
+        check('Unknown providers are rejected', dataManager.validateModelConfig({
+            ...valid,
+            availableModels: [...MODELS, { id: 'carrier', name: 'Carrier', provider: 'carrier-pigeon' }]
+        }).length > 0);
+        check('Duplicate model IDs are rejected', dataManager.validateModelConfig({
+            ...valid,
+            availableModels: [...MODELS, MODELS[1]]
+        }).some(error => error.includes('gpt-4o')));
+
+        await dataManager.saveClaudeModelConfig(valid);
+        check('Capabilities are looked up from the saved configuration',
+            await dataManager.modelSupports('gpt-4o', 'toolUse') && !(await dataManager.modelSupports('llava:13b', 'toolUse')));
+
+        // Test 3: Provider API keys
+        const before = await dataManager.getProviderApiKeyStatus('openai');
+        await dataManager.saveProviderApiKey('openai', 'sk-test-provider-key-123456');
+        const after = await dataManager.getProviderApiKeyStatus('openai');
+        const stored = JSON.parse(await fs.readFile(dataManager.configFile, 'utf8'));
+        check('Provider keys are saved encrypted', !JSON.stringify(stored).includes('sk-test-provider-key-123456') &&
+            await dataManager.getProviderApiKey('openai') === 'sk-test-provider-key-123456');
+        check('Key status reports the saved key masked', !before.configured && after.configured &&
+            after.source === 'database' && !after.maskedKey.includes('provider-key'));
+        try {
+            await dataManager.saveProviderApiKey('openai', 'short');
+            check('Short keys are rejected', false);
+        } catch (error) {
+            check('Short keys are rejected', error.message.startsWith('Invalid'));
+        }
+        await dataManager.removeProviderApiKey('openai');
+        check('Provider keys can be removed', !(await dataManager.getProviderApiKeyStatus('openai')).configured);
+
+        // Test 4: Routing by model
+        const claude = new MockVisionProvider();
+        const openai = new MockVisionProvider();
+        claude.name = 'claude';
+        openai.name = 'openai';
+        const router = new ModelRouter({ claude, openai }, normalized.availableModels);
+        check('Models go to the provider that serves them', router.forModel('gpt-4o') === openai &&
+            router.forModel('claude-3-haiku-20240307') === claude);
+        check('Unlisted models go to Claude', router.forModel('claude-sonnet-4-5') === claude);
+        const unrouted = await router.analyzeImage(Buffer.from('image'), 'image/jpeg', null, null, 'llava:13b');
+        check('Models of an unconfigured provider fail cleanly', !unrouted.success && unrouted.error.includes('ollama') &&
+            !router.isConfigured('llava:13b'));
+        const routed = await router.analyzeImage(Buffer.from('image'), 'image/jpeg', null, null, 'gpt-4o');
+        check('Analyses are answered by the routed provider', routed.success && routed.model === 'mock:gpt-4o');
+
+        // Test 5: OpenAI-compatible message translation
+        const provider = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:8000/v1/', requiresApiKey: false });
+        check('Self-hosted endpoints can run without a key', provider.isConfigured() && provider.baseUrl === 'http://localhost:8000/v1');
+        check('Hosted endpoints need a key', !new OpenAICompatibleProvider().isConfigured());
+
+        const converted = provider.convertMessages([
+            { role: 'user', content: 'find archery photos' },
+            { role: 'assistant', content: [
+                { type: 'text', text: 'Searching.' },
+                { type: 'tool_use', id: 'call_1', name: 'searchImages', input: { keywords: ['archery'] } }
+            ] },
+            { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_1', content: '{"totalResults":3}' }] }
+        ]);
+        check('Tool calls and results are translated', converted.length === 3 &&
+            converted[1].tool_calls[0].function.arguments === '{"keywords":["archery"]}' &&
+            converted[2].role === 'tool' && converted[2].tool_call_id === 'call_1');
+
+        const message = provider.convertResponse({
+            id: 'chatcmpl-1',
+            choices: [{
+                finish_reason: 'tool_calls',
+                message: { content: null, tool_calls: [{ id: 'call_2', function: { name: 'searchImages', arguments: '{"keywords":["medal"]}' } }] }
+            }],
+            usage: { prompt_tokens: 120, completion_tokens: 15 }
+        }, 'gpt-4o');
+        check('Replies are translated to the Messages API shape', message.stop_reason === 'tool_use' &&
+            message.content[0].type === 'tool_use' && message.content[0].input.keywords[0] === 'medal' &&
+            message.model === 'gpt-4o' && message.usage.input_tokens === 120);
+
+        // Test 6: Ollama defaults
+        const ollama = new OllamaProvider({ baseUrl: 'http://gpu-box:11434/' });
+        check('Ollama needs no key and uses its OpenAI-compatible API', ollama.isConfigured() &&
+            ollama.baseUrl === 'http://gpu-box:11434/v1' && ollama.name === 'ollama');
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    finish();
+}
+
+runTest(testModelProviders);
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+// Test script for structured analysis output fields (schema validation, prompt text and search filters)
+
+const fs = require('fs/promises');
+const AnalysisSchema = require('./lib/analysisSchema');
+const SearchFunctions = require('./lib/searchFunctions');
+const { createHarness, makeTempDir, createTestDataManager, runTest } = require('./test-helpers');
+
+const SCHEMA = {
+    type: 'object',
+    properties: {
+        peopleCount: { type: 'integer', minimum: 0, description: 'Number of people visible' },
+        shotType: { type: 'string', enum: ['close-up', 'medium', 'wide'] },
+        isGroupPhoto: { type: 'boolean' },
+        dominantColors: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['peopleCount']
+};
+
+const images = [
+    { id: 'team', attributes: { peopleCount: 12, shotType: 'wide', isGroupPhoto: true, dominantColors: ['navy blue', 'white'] } },
+    { id: 'portrait', attributes: { peopleCount: 1, shotType: 'close-up', isGroupPhoto: false, dominantColors: ['red'] } },
+    { id: 'target', attributes: { peopleCount: 0, shotType: 'medium', isGroupPhoto: false } },
+    { id: 'legacy' }
+];
+
+async function testOutputSchema() {
+    console.log('🧪 Testing Structured Output Schema\n');
+
+    const { check, finish } = createHarness();
+
+    // Test 1: Schema declarations
+    check('A well-formed schema has no errors', AnalysisSchema.validateDefinition(SCHEMA).length === 0);
+    check('Properties are required', AnalysisSchema.validateDefinition({ type: 'object' })[0].includes('properties'));
+    check('Reserved fields and bad types are reported', AnalysisSchema.validateDefinition({
+        properties: { keywords: { type: 'array' }, shotType: { type: 'text' } },
+        required: ['missing']
+    }).length === 3);
+
+    const merged = AnalysisSchema.merge(SCHEMA, { properties: { shotType: { type: 'string' }, venue: { type: 'string' } } });
+    check('Merged schemas combine fields with later ones winning', Object.keys(merged.properties).length === 5 && !merged.properties.shotType.enum);
+    check('Empty schemas merge to null', AnalysisSchema.merge(null, { properties: {} }) === null);
+
+    // Test 2: Prompt text
+    const schema = new AnalysisSchema(SCHEMA);
+    const prompt = schema.buildPrompt();
+    check('Prompt lists every field with its type', prompt.includes('"peopleCount" (integer)') && prompt.includes('"dominantColors" (array of strings'));
+    check('Prompt lists enum choices', prompt.includes('one of "close-up", "medium", "wide"'));
+    check('No schema means no extra prompt', new AnalysisSchema(null).buildPrompt() === '');
+
+    // Test 3: Validating Claude's values
+    const good = schema.validate({ peopleCount: '3', shotType: 'Close-Up', isGroupPhoto: 'yes', dominantColors: 'green' });
+    check('Near-miss values are converted', good.errors.length === 0 &&
+        good.values.peopleCount === 3 && good.values.shotType === 'close-up' &&
+        good.values.isGroupPhoto === true && good.values.dominantColors.join() === 'green');
+    const bad = schema.validate({ peopleCount: 2.5, shotType: 'aerial', isGroupPhoto: null });
+    check('Invalid values are dropped and reported', Object.keys(bad.values).length === 0 && bad.errors.length === 2);
+    check('Missing required fields are reported', schema.validate({}).errors[0] === 'peopleCount is missing');
+    check('Minimums are enforced', schema.validate({ peopleCount: -1 }).errors[0].includes('at least 0'));
+
+    // Test 4: Search filters
+    const searchFunctions = new SearchFunctions();
+    const ids = (conditions) => images.filter(image => searchFunctions.matchesAttributes(image, conditions)).map(image => image.id).join(',');
+    check('Number ranges filter counts', ids({ peopleCount: { min: 1, max: 5 } }) === 'portrait');
+    check('Booleans must match exactly', ids({ isGroupPhoto: false }) === 'portrait,target');
+    check('Text matches list items by substring', ids({ dominantColors: 'blue' }) === 'team');
+    check('Any of several values can match', ids({ shotType: ['wide', 'medium'] }) === 'team,target');
+    check('Images without the field never match', !ids({ peopleCount: { min: 0 } }).includes('legacy'));
+
+    const counted = searchFunctions.filterByCount({ results: images, min: 1 });
+    check('filterByCount filters by peopleCount', counted.map(image => image.id).join(',') === 'team,portrait');
+    check('filterByCount still limits results', searchFunctions.filterByCount({ results: images, count: 2 }).length === 2);
+
+    const tools = searchFunctions.getFunctionDefinitions();
+    check('searchImages accepts attributes', Boolean(tools.find(tool => tool.name === 'searchImages').parameters.properties.attributes));
+    check('searchByPeople accepts minPeople and maxPeople', ['minPeople', 'maxPeople'].every(name => tools.find(tool => tool.name === 'searchByPeople').parameters.properties[name]));
+
+    // Test 5: Global schema combines with template schemas
+    const tempDir = await makeTempDir('schema');
+    try {
+        const dataManager = await createTestDataManager(tempDir, { imageAnalysisConfig: { enabled: false } });
+
+        await dataManager.saveAnalysisOutputSchema(SCHEMA);
+        const template = await dataManager.createImageAnalysisTemplate({ name: 'Archery', outputSchema: { properties: { bowType: { type: 'string' } } } });
+        await dataManager.saveTemplateAssignment({ albumKey: 'a1' }, template.id);
+
+        const withTemplate = await dataManager.resolveAnalysisTemplate('a1', ['2025', 'Finals']);
+        check('Template fields are added to the global fields', withTemplate.outputSchema.properties.bowType && withTemplate.outputSchema.properties.peopleCount);
+        const withoutTemplate = await dataManager.resolveAnalysisTemplate('a2', ['2025', 'Finals']);
+        check('Albums without a template still get the global fields', Object.keys(withoutTemplate.outputSchema.properties).length === 4);
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    finish();
+}
+
+runTest(testOutputSchema);
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+// Test script for the structured query language (parser and evaluation)
+
+const BM25Index = require('./lib/bm25Index');
+const QueryParser = require('./lib/queryParser');
+const SearchFunctions = require('./lib/searchFunctions');
+const DataManager = require('./lib/dataManager');
+const { createHarness, quietly, runTest } = require('./test-helpers');
+
+const images = [
+    {
+        id: 'target',
+        timestamp: '2024-07-04T12:00:00Z',
+        albumName: 'Finals',
+        albumHierarchy: ['2025', 'JOAD Target Nationals', 'Finals'],
+        description: 'Close up of a target face with arrows in the gold',
+        keywords: ['target face', 'arrows', 'equipment']
+    },
+    {
+        id: 'people',
+        timestamp: '2024-07-05T12:00:00Z',
+        albumName: 'Finals',
+        albumHierarchy: ['2025', 'JOAD Target Nationals', 'Finals'],
+        description: 'Archers and people standing near the target face',
+        keywords: ['target face', 'people', 'archers']
+    },
+    {
+        id: 'indoor',
+        timestamp: '2024-09-01T12:00:00Z',
+        albumName: 'Indoor Nationals',
+        albumHierarchy: ['2024', 'Indoor Nationals'],
+        description: 'Face of the target on the indoor range',
+        keywords: ['target', 'indoor']
+    }
+];
+
+async function testQueryParser() {
+    console.log('🧪 Testing Structured Query Language\n');
+
+    const { check, finish } = createHarness();
+
+    const parser = new QueryParser();
+    const parseError = (query) => {
+        try {
+            parser.parse(query);
+            return null;
+        } catch (error) {
+            return error;
+        }
+    };
+
+    // Test 1: The full example parses into the expected AST
+    const example = 'keywords:"target face" AND album:"2025 > Nationals" -people date:2024-06..2024-08';
+    const ast = parser.parse(example);
+    check('Example query is an AND of four clauses', ast.type === 'and' && ast.children.length === 4);
+    check('Quoted field value is a phrase term', ast.children[0].type === 'term' && ast.children[0].field === 'keywords' && ast.children[0].phrase && ast.children[0].value === 'target face');
+    check('Album path is split on ">"', ast.children[1].type === 'album' && ast.children[1].path.join('|') === '2025|Nationals');
+    check('"-term" is a negation', ast.children[2].type === 'not' && ast.children[2].child.value === 'people');
+    check('Month range covers both whole months', ast.children[3].from === '2024-06-01T00:00:00.000Z' && ast.children[3].to === '2024-09-01T00:00:00.000Z');
+
+    // Test 2: Operator precedence and grouping
+    const precedence = parser.parse('a OR b c');
+    check('AND binds tighter than OR', precedence.type === 'or' && precedence.children[1].type === 'and');
+    const grouped = parser.parse('(a OR b) NOT c');
+    check('Parentheses group OR inside AND', grouped.type === 'and' && grouped.children[0].type === 'or' && grouped.children[1].type === 'not');
+
+    // Test 3: Parse errors point at the bad token
+    const unknownField = parseError('keywords:arrows colour:red');
+    check('Unknown field error points at the field', unknownField && unknownField.position === 16 && unknownField.token === 'colour:');
+    const badDate = parseError('date:2024-13');
+    check('Invalid month error points at the date value', badDate && badDate.position === 5 && badDate.message.includes('Invalid month'));
+    const dangling = parseError('arrows AND');
+    check('Dangling AND is reported at the operator', dangling && dangling.position === 7);
+    const unclosed = parseError('(arrows OR target');
+    check('Missing ")" is reported at the end of the query', unclosed && unclosed.position === 17 && unclosed.message.includes('position 0'));
+    const stray = parseError('arrows)');
+    check('Stray ")" is reported at its position', stray && stray.position === 6);
+    const quote = parseError('title:"open');
+    check('Unterminated quote is reported at the quote', quote && quote.position === 6);
+    check('Error details include a caret pointer', unknownField.toJSON().pointer.endsWith(' '.repeat(16) + '^^^^^^^'));
+    check('Errors are QuerySyntaxError instances', unknownField instanceof QueryParser.QuerySyntaxError);
+
+    // Test 4: Evaluation against image records
+    const searchFunctions = new SearchFunctions();
+    const index = new BM25Index(null);
+    index.rebuild(images);
+    const run = (query) => images.filter(image => searchFunctions.matchesQuery(parser.parse(query), image, index)).map(image => image.id).join(',');
+
+    check('Example query matches only the target face photo', run(example) === 'target');
+    check('Phrase requires adjacent words', run('"target face"') === 'target,people');
+    check('Bare words match anywhere in any order', run('face target') === 'target,people,indoor');
+    check('Album path segments match in order', run('album:"2024 > Nationals"') === 'indoor');
+    check('Album path rejects the wrong order', run('album:"Nationals > 2025"') === '');
+    check('OR combines alternatives', run('keywords:indoor OR keywords:people') === 'people,indoor');
+    check('Single-day dates are inclusive', run('date:2024-07-05') === 'people');
+    check('Open-ended ranges work', run('date:2024-08..') === 'indoor');
+
+    // Test 5: Candidate collection is a superset of the exact matches
+    const candidates = searchFunctions.collectQueryCandidates(parser.parse('keywords:"target face" keywords:arrows -people'), index);
+    check('Candidates come from the index for positive terms', candidates.size === 1 && candidates.has('target'));
+    check('Negated-only queries scan every image', searchFunctions.collectQueryCandidates(parser.parse('-people'), index) === null);
+
+    // Test 6: Free text falls back to the keyword search instead of a syntax error
+    check('Plain words do not use the parser', !QueryParser.usesSyntax('archers at the target'));
+    check('URLs are not field queries', !QueryParser.usesFields('https://photos.example.com/a.jpg'));
+    check('Operators, exclusions and quotes use the parser', QueryParser.usesSyntax('sunset OR') && QueryParser.usesSyntax('archers -people') &&
+        QueryParser.usesSyntax('"target face'));
+    check('Known field prefixes are detected', QueryParser.usesFields('(album:Finals OR date:2024') && !QueryParser.usesFields('re: the finals'));
+
+    // The keyword search is stubbed so the real image registry is never read
+    const keywordQueries = [];
+    const originalSearchImages = DataManager.prototype.searchImages;
+    DataManager.prototype.searchImages = async (query) => {
+        keywordQueries.push(query);
+        return images.filter(image => image.description.toLowerCase().includes(query.toLowerCase()));
+    };
+    try {
+        for (const query of ['https://photos.example.com/a.jpg', 'target face OR', '"target face', 'target (face']) {
+            const { ast } = await quietly(() => searchFunctions.searchByText(query));
+            check(`"${query}" falls back to the keyword search`, ast === null && keywordQueries.includes(query));
+        }
+        const keywordResult = await quietly(() => searchFunctions.searchByText('close up of a target'));
+        check('Keyword fallback returns the matching images', keywordResult.results.length === 1 && keywordResult.results[0].id === 'target' && keywordResult.total === 1);
+
+        let syntaxError = null;
+        await searchFunctions.searchByText('album:"Finals OR').catch(error => { syntaxError = error; });
+        check('Broken field queries still report a syntax error', syntaxError instanceof QueryParser.QuerySyntaxError);
+    } finally {
+        DataManager.prototype.searchImages = originalSearchImages;
+    }
+
+    finish();
+}
+
+runTest(testQueryParser);
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+// Test script for adaptive rate limiting: backing off on 429/529, retry-after and anthropic-ratelimit-* headers (no API calls)
+
+const RateLimiter = require('./lib/rateLimiter');
+const ModelRouter = require('./lib/modelRouter');
+const MockVisionProvider = require('./lib/mockVisionProvider');
+const { createHarness, runTest } = require('./test-helpers');
+
+async function testRateLimiter() {
+    console.log('🧪 Testing Adaptive Rate Limiter\n');
+
+    const { check, finish } = createHarness();
+
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    const silence = () => {
+        console.log = () => {};
+        console.warn = () => {};
+    };
+    const restore = () => {
+        console.log = originalLog;
+        console.warn = originalWarn;
+    };
+
+    silence();
+    try {
+        // Test 1: A 429 with retry-after pauses every caller and halves the rate
+        const limiter = new RateLimiter({ maxTokens: 10, refillRate: 10, maxConcurrent: 3 });
+        limiter.recordResponse(429, { 'retry-after': '0.2' });
+        let status = limiter.getStatus();
+        restore();
+        check('A 429 pauses requests for the retry-after time', status.throttled && !limiter.canProceed() &&
+            new Date(status.pausedUntil).getTime() - Date.now() <= 200);
+        check('A 429 halves the rate', status.rateFactor === 0.5 && status.effectiveRefillRate === 5);
+        check('Throttle events are kept for status', status.recentThrottles.length === 1 &&
+            status.recentThrottles[0].reason === 'rate_limited' && status.recentThrottles[0].waitMs === 200);
+
+        // Responses from calls already in flight extend the pause without cutting the rate again
+        silence();
+        limiter.recordResponse(429, { 'retry-after': '0.3' });
+        status = limiter.getStatus();
+        restore();
+        check('Concurrent 429s do not compound the cut', status.rateFactor === 0.5 && status.recentThrottles.length === 2);
+
+        // Test 2: Waiting callers go through once the pause ends
+        silence();
+        const started = Date.now();
+        let ran = false;
+        await limiter.execute(async () => { ran = true; });
+        const waited = Date.now() - started;
+        restore();
+        check('Queued calls run after the pause', ran && waited >= 250);
+
+        // Test 3: The rate ramps back up over time
+        limiter.config.recoveryPerSecond = 1;
+        limiter.lastRefill = Date.now() - 300;
+        limiter.refillTokens();
+        check('The rate recovers gradually after a throttle', limiter.rateFactor > 0.5 && limiter.rateFactor < 1);
+        limiter.lastRefill = Date.now() - 2000;
+        limiter.refillTokens();
+        check('The rate never exceeds the configured one', limiter.rateFactor === 1 && limiter.getEffectiveRefillRate() === 10);
+
+        // Test 4: Overloaded responses and the minimum rate
+        silence();
+        const overloaded = new RateLimiter({ refillRate: 1, minRateFactor: 0.2, overloadedBackoffMs: 1000 });
+        overloaded.recordResponse(529, {});
+        const overloadedStatus = overloaded.getStatus();
+        for (let i = 0; i < 5; i++) {
+            overloaded.pausedUntil = 0;
+            overloaded.recordResponse(529, {});
+        }
+        restore();
+        check('A 529 without retry-after uses the overloaded backoff', overloadedStatus.recentThrottles[0].reason === 'overloaded' &&
+            overloadedStatus.recentThrottles[0].waitMs === 1000);
+        check('Repeated throttles stop at the minimum rate', overloaded.rateFactor === 0.2);
+
+        // Test 5: Rate limit headers
+        silence();
+        const headerLimiter = new RateLimiter({ refillRate: 1 });
+        headerLimiter.recordResponse(200, {
+            'anthropic-ratelimit-requests-limit': '50',
+            'anthropic-ratelimit-requests-remaining': '12',
+            'anthropic-ratelimit-requests-reset': new Date(Date.now() + 30000).toISOString(),
+            'anthropic-ratelimit-input-tokens-limit': '40000',
+            'anthropic-ratelimit-input-tokens-remaining': '38000'
+        });
+        const healthy = headerLimiter.getStatus();
+        headerLimiter.recordResponse(200, {
+            'anthropic-ratelimit-requests-limit': '50',
+            'anthropic-ratelimit-requests-remaining': '0',
+            'anthropic-ratelimit-requests-reset': new Date(Date.now() + 400).toISOString()
+        });
+        const exhausted = headerLimiter.getStatus();
+        restore();
+        check('Reported limits are visible in status', healthy.apiLimits.requests.remaining === 12 &&
+            healthy.apiLimits['input-tokens'].limit === 40000 && !healthy.throttled);
+        check('A used-up limit pauses until it resets, without cutting the rate', exhausted.throttled &&
+            exhausted.rateFactor === 1 && exhausted.recentThrottles[0].limits.join() === 'requests');
+        check('retry-after accepts HTTP dates', Math.abs(headerLimiter.parseRetryAfter(new Date(Date.now() + 5000).toUTCString()) - 5000) < 1100 &&
+            headerLimiter.parseRetryAfter('soon') === null);
+
+        // Test 6: Providers share the limiter through the router
+        const claude = new MockVisionProvider();
+        const openai = new MockVisionProvider();
+        const router = new ModelRouter({ claude, openai });
+        router.setRateLimiter(limiter);
+        check('The router hands the limiter to its backends', claude.rateLimiter === limiter && openai.rateLimiter === limiter);
+    } finally {
+        restore();
+    }
+
+    // The rate limiters keep refill timers running, so exit explicitly
+    finish({ exit: true });
+}
+
+runTest(testRateLimiter);
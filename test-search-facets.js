@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+// Test script for search result facets
+
+const SearchFacets = require('./lib/searchFacets');
+const { createHarness, runTest } = require('./test-helpers');
+
+const images = [
+    {
+        id: 'a',
+        albumHierarchy: ['2025', 'Nationals', 'Finals'],
+        keywords: ['Archery', 'medals'],
+        metadata: { model: 'claude-3-5-haiku-20241022', timestamp: '2025-07-23T05:59:32.748Z' }
+    },
+    {
+        id: 'b',
+        albumHierarchy: ['2025', 'Nationals', 'Awards'],
+        keywords: ['archery', 'podium'],
+        metadata: { model: 'claude-3-5-sonnet-20241022', timestamp: '2025-07-24T10:00:00.000Z' }
+    },
+    {
+        id: 'c',
+        albumHierarchy: ['2024', 'Indoor'],
+        keywords: ['indoor'],
+        timestamp: '2025-06-02T10:00:00.000Z'
+    }
+];
+
+async function testSearchFacets() {
+    console.log('🧪 Testing Search Facets\n');
+
+    const { check, finish } = createHarness();
+
+    const searchFacets = new SearchFacets();
+    const starredIds = new Set(['b']);
+    const facets = searchFacets.build(images, starredIds);
+    const count = (facet, value) => (facets[facet].find(item => item.value === value) || {}).count;
+
+    // Test 1: Album hierarchy counts roll up to every level
+    check('Top hierarchy level counts all its photos', count('albumHierarchy', '2025') === 2);
+    check('Second level is counted by path', count('albumHierarchy', '2025 > Nationals') === 2);
+    const finals = facets.albumHierarchy.find(item => item.value === '2025 > Nationals > Finals');
+    check('Album values carry level and label', finals.level === 2 && finals.label === 'Finals');
+
+    // Test 2: Keywords are case-insensitive and ranked by count
+    check('Keywords are merged case-insensitively', count('keywords', 'archery') === 2);
+    check('Most common keyword comes first', facets.keywords[0].value === 'archery');
+
+    // Test 3: Model, starred and processing date
+    check('Missing model is reported as unknown', count('model', 'unknown') === 1);
+    check('Starred counts split true/false', count('starred', true) === 1 && count('starred', false) === 2);
+    check('Processing dates are bucketed by month', count('processedDate', '2025-07') === 2 && count('processedDate', '2025-06') === 1);
+
+    // Test 4: Filtering
+    const ids = (filters) => searchFacets.apply(images, filters, starredIds).map(image => image.id).join(',');
+    check('No filters keeps everything', ids({}) === 'a,b,c');
+    check('Values within a facet are alternatives', ids({ keywords: ['podium', 'indoor'] }) === 'b,c');
+    check('Different facets must all match', ids({ albumHierarchy: ['2025'], starred: [false] }) === 'a');
+    check('Unknown facets are ignored', ids({ colour: ['red'] }) === 'a,b,c');
+    check('hasFilters detects selections', searchFacets.hasFilters({ keywords: ['x'] }) && !searchFacets.hasFilters({ keywords: [] }));
+
+    finish();
+}
+
+runTest(testSearchFacets);
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+// Test script for "find similar photos" scoring
+
+const BM25Index = require('./lib/bm25Index');
+const SearchFunctions = require('./lib/searchFunctions');
+const { createHarness, runTest } = require('./test-helpers');
+
+const source = {
+    id: 'src',
+    albumKey: 'A1',
+    albumHierarchy: ['2025', 'Gator Cup', 'Finals'],
+    description: 'Archer drawing a bow at the outdoor target range',
+    keywords: ['archery', 'archer', 'bow', 'outdoor']
+};
+
+const sameAlbum = {
+    id: 'same',
+    albumKey: 'A1',
+    albumHierarchy: ['2025', 'Gator Cup', 'Finals'],
+    description: 'Crowd cheering in the stands',
+    keywords: ['crowd', 'cheering']
+};
+
+const siblingAlbum = {
+    id: 'sibling',
+    albumKey: 'A2',
+    albumHierarchy: ['2025', 'Gator Cup', 'Awards'],
+    description: 'Archers drawing bows on the outdoor range',
+    keywords: ['archery', 'archers', 'bows', 'outdoor']
+};
+
+const unrelated = {
+    id: 'other',
+    albumKey: 'B1',
+    albumHierarchy: ['2024', 'Team Photos'],
+    description: 'Team portrait indoors',
+    keywords: ['team', 'portrait']
+};
+
+async function testSimilarImages() {
+    console.log('🧪 Testing Similar Image Scoring\n');
+
+    const { check, finish } = createHarness();
+
+    const searchFunctions = new SearchFunctions();
+    const index = new BM25Index(null);
+
+    // Test 1: Album hierarchy proximity
+    check('Same album is fully proximate', searchFunctions.albumProximity(source, sameAlbum) === 1);
+    check('Sibling album shares two of three levels', Math.abs(searchFunctions.albumProximity(source, siblingAlbum) - 2 / 3) < 1e-9);
+    check('Different year shares nothing', searchFunctions.albumProximity(source, unrelated) === 0);
+
+    // Test 2: Keyword and description overlap use stemmed terms
+    const sibling = searchFunctions.scoreSimilarity(source, siblingAlbum, index, null);
+    check('Plural keywords count as shared', sibling.keywords === 1);
+    check('Description terms overlap', sibling.description > 0.3);
+    check('Visual component is absent without vectors', sibling.visual === null);
+
+    // Test 3: Overall ranking prefers content overlap over album membership alone
+    const same = searchFunctions.scoreSimilarity(source, sameAlbum, index, null);
+    const other = searchFunctions.scoreSimilarity(source, unrelated, index, null);
+    check('Similar content outranks same-album filler', sibling.score > same.score);
+    check('Unrelated photos score zero', other.score === 0);
+
+    // Test 4: Vector similarity joins the blend when available
+    const withVectors = searchFunctions.scoreSimilarity(source, sameAlbum, index, new Map([['same', 0.9]]));
+    check('Visual similarity is reported', withVectors.visual === 0.9);
+    check('Visual similarity raises the score', withVectors.score > same.score);
+
+    // Test 5: Position lookups need previous results
+    let positionError = null;
+    try {
+        await searchFunctions.findSimilarImages({ position: 2 });
+    } catch (error) {
+        positionError = error.message;
+    }
+    check('Unknown position is rejected', positionError && positionError.includes('imageId'));
+
+    // Test 6: Tool is offered to Claude
+    check('findSimilarPhotos tool is defined', searchFunctions.getFunctionDefinitions().some(func => func.name === 'findSimilarPhotos'));
+
+    finish();
+}
+
+runTest(testSimilarImages);
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+// Test script for per-album and per-folder analysis template assignment
+// Runs against a throwaway data directory so the real config.json is never touched
+
+const fs = require('fs/promises');
+const { createHarness, makeTempDir, createTestDataManager, runTest } = require('./test-helpers');
+
+const HIERARCHY = ['2025', 'Arizona Cup', 'Finals'];
+
+async function testTemplateAssignments() {
+    console.log('🧪 Testing Template Assignments\n');
+
+    const tempDir = await makeTempDir('assignments');
+    const { check, finish } = createHarness();
+
+    try {
+        const dataManager = await createTestDataManager(tempDir, {
+            imageAnalysisConfig: { enabled: false, preContext: 'Global context', template: '' }
+        });
+
+        // Test 1: Global fallback
+        let resolved = await dataManager.resolveAnalysisTemplate('album1', HIERARCHY);
+        check('Disabled global config means no pre-context', resolved.source === 'none' && resolved.preContext === null);
+        await dataManager.toggleImageAnalysisEnabled(true);
+        resolved = await dataManager.resolveAnalysisTemplate('album1', HIERARCHY);
+        check('Enabled global config supplies the pre-context', resolved.source === 'global' && resolved.preContext === 'Global context');
+
+        // Test 2: Folder inheritance
+        const swim = await dataManager.createImageAnalysisTemplate({ name: 'Swim', preContext: 'Swimming.', model: 'claude-3-haiku-20240307' });
+        await dataManager.saveTemplateAssignment({ folderPath: '2025' }, 'sports-photography');
+        resolved = await dataManager.resolveAnalysisTemplate('album1', HIERARCHY);
+        check('Top-level folder templates apply to albums below', resolved.templateId === 'sports-photography' && resolved.source === 'folder' && resolved.sourcePath === '2025');
+
+        await dataManager.saveTemplateAssignment({ folderPath: ' 2025>arizona cup ' }, swim.id);
+        resolved = await dataManager.resolveAnalysisTemplate('album1', HIERARCHY);
+        check('The nearest folder wins', resolved.templateId === swim.id && resolved.sourcePath === '2025 > arizona cup');
+        check('Template models are carried through', resolved.model === 'claude-3-haiku-20240307');
+        check('Album names are not treated as folders', (await dataManager.resolveAnalysisTemplate('album2', ['2025', 'Arizona Cup'])).templateId === 'sports-photography');
+
+        // Test 3: Album assignment
+        await dataManager.saveTemplateAssignment({ albumKey: 'album1' }, 'portrait-photography');
+        resolved = await dataManager.resolveAnalysisTemplate('album1', HIERARCHY);
+        check('Album assignments beat folders', resolved.templateId === 'portrait-photography' && resolved.source === 'album');
+        await dataManager.saveTemplateAssignment({ albumKey: 'album1' }, null);
+        check('Clearing an album assignment inherits again', (await dataManager.resolveAnalysisTemplate('album1', HIERARCHY)).templateId === swim.id);
+
+        // Test 4: Deleted templates
+        await dataManager.deleteImageAnalysisTemplate(swim.id);
+        const assignments = await dataManager.getTemplateAssignments();
+        check('Deleting a template removes its assignments', Object.keys(assignments.folders).join(',') === '2025');
+        check('Albums fall back to the next folder up', (await dataManager.resolveAnalysisTemplate('album1', HIERARCHY)).templateId === 'sports-photography');
+
+        await dataManager.saveTemplateAssignment({ folderPath: '2025' }, null);
+        check('Clearing every assignment falls back to the global config', (await dataManager.resolveAnalysisTemplate('album1', HIERARCHY)).source === 'global');
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    finish();
+}
+
+runTest(testTemplateAssignments);
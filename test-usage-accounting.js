@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+// Test script for token usage accounting: the usage ledger, cost estimates and per-batch rollups (no API calls)
+
+const fs = require('fs').promises;
+const path = require('path');
+const UsageLedger = require('./lib/usageLedger');
+const BatchManager = require('./lib/batchManager');
+const { createHarness, quietly, makeTempDir, createTestDataManager, runTest } = require('./test-helpers');
+
+async function testUsageAccounting() {
+    console.log('🧪 Testing Usage Accounting\n');
+
+    const { check, finish } = createHarness();
+
+    const tempDir = await makeTempDir('usage');
+
+    try {
+        const dataManager = await createTestDataManager(tempDir);
+
+        // Test 1: Recording
+        await dataManager.recordUsage('batch_analysis', { input_tokens: 1200, output_tokens: 300 }, { model: 'claude-3-haiku-20240307', batchId: 'batch_1', jobId: 'job_1' });
+        await dataManager.recordUsage('batch_analysis', { input_tokens: 1000, output_tokens: 200 }, { model: 'claude-3-haiku-20240307', batchId: 'batch_1', jobId: 'job_2' });
+        await dataManager.recordUsage('chat', { input_tokens: 4000, output_tokens: 500 }, { model: 'claude-3-5-sonnet-20241022', sessionId: 'session_1' });
+        await dataManager.recordUsage('vision_verification', { input_tokens: 8000, output_tokens: 50 }, { model: 'llava:13b' });
+        const skipped = await dataManager.recordUsage('chat', null, { model: 'claude-3-5-sonnet-20241022' });
+
+        const lines = (await fs.readFile(dataManager.usageLedgerFile, 'utf8')).trim().split('\n');
+        check('Each call is appended as one ledger line', lines.length === 4 && JSON.parse(lines[0]).feature === 'batch_analysis');
+        check('Calls without usage are not recorded', skipped === null);
+
+        // Test 2: Rollups and cost
+        const summary = await dataManager.getUsageSummary();
+        check('Totals add up every call', summary.totals.calls === 4 && summary.totals.inputTokens === 14200 && summary.totals.outputTokens === 1050);
+        check('Usage is rolled up per feature', summary.byFeature.batch_analysis.calls === 2 && summary.byFeature.chat.inputTokens === 4000);
+        check('Usage is rolled up per batch', summary.byBatch.batch_1.inputTokens === 2200 && Object.keys(summary.byBatch).length === 1);
+        check('Usage is rolled up per day', summary.byDay.length === 1 && summary.byDay[0].date === new Date().toISOString().slice(0, 10));
+
+        // Haiku: 2200 * 0.25 + 500 * 1.25; Sonnet: 4000 * 3 + 500 * 15 (USD per million tokens)
+        const expectedCost = (2200 * 0.25 + 500 * 1.25 + 4000 * 3 + 500 * 15) / 1000000;
+        check('Costs come from the default price table', Math.abs(summary.totals.estimatedCost - expectedCost) < 1e-9);
+        check('Models without a price are reported', summary.unpricedModels.join() === 'llava:13b' && summary.byModel['llava:13b'].estimatedCost === 0);
+
+        const saved = await dataManager.saveModelPricing({ 'llava:13b': { input: 0, output: 0 }, 'claude-3-haiku-20240307': { input: 1, output: 5 } });
+        const repriced = await dataManager.getUsageSummary({ batchId: 'batch_1' });
+        check('Configured prices override the defaults', saved.success && Math.abs(repriced.totals.estimatedCost - (2200 + 500 * 5) / 1000000) < 1e-9 &&
+            repriced.pricing['claude-3-5-sonnet-20241022'].input === 3);
+        check('Summaries can be limited to one batch', repriced.totals.calls === 2);
+
+        const invalid = await dataManager.saveModelPricing({ 'gpt-4o': { input: -1, output: 'ten' } });
+        check('Negative and non-numeric prices are rejected', !invalid.success && invalid.error.includes('gpt-4o'));
+
+        // Test 3: Time windows
+        const oldEntry = { timestamp: '2020-01-01T00:00:00.000Z', feature: 'chat', model: 'claude-3-haiku-20240307', inputTokens: 10, outputTokens: 10 };
+        await fs.appendFile(dataManager.usageLedgerFile, JSON.stringify(oldEntry) + '\nnot json\n');
+        const allTime = await quietly(() => dataManager.getUsageSummary());
+        const lastWeek = await quietly(() => dataManager.getUsageSummary({ days: 7 }));
+        check('Older entries fall outside the window', allTime.totals.calls === 5 && lastWeek.totals.calls === 4 && allTime.byDay[0].date === '2020-01-01');
+
+        // Test 4: Per-batch rollups in BatchManager
+        const batchManager = await quietly(() => new BatchManager({ globalApiRateLimit: 600 }));
+        const batchInfo = await quietly(() => batchManager.createBatch([
+            { type: 'image_analysis', imageName: 'a.jpg', data: { ok: true } },
+            { type: 'image_analysis', imageName: 'b.jpg', data: { ok: false } }
+        ], 'Usage batch'));
+        const jobQueue = batchManager.activeBatches.get(batchInfo.batchId);
+        jobQueue.config.processingDelay = 0;
+        jobQueue.config.retryDelay = 0;
+        jobQueue.config.retryAttempts = 2;
+
+        const processors = {
+            image_analysis: async (data) => {
+                if (!data.ok) {
+                    const error = new Error('Claude did not return a valid JSON analysis');
+                    error.usage = { input_tokens: 100, output_tokens: 10 };
+                    error.model = 'claude-3-haiku-20240307';
+                    throw error;
+                }
+                return { model: 'claude-3-haiku-20240307', usage: { input_tokens: 1000, output_tokens: 200 } };
+            }
+        };
+        await quietly(() => new Promise(resolve => batchManager.startBatch(batchInfo.batchId, processors, null, resolve, resolve)));
+
+        const details = batchManager.getBatchDetails(batchInfo.batchId, await dataManager.getModelPricing());
+        check('Batch details total the tokens of every attempt, including failed ones',
+            details.usage.inputTokens === 1200 && details.usage.outputTokens === 220);
+        check('Batch details carry a cost estimate', Math.abs(details.usage.estimatedCost - (1200 * 1 + 220 * 5) / 1000000) < 1e-9 &&
+            details.usage.byModel['claude-3-haiku-20240307'].calls === 2);
+        check('Jobs report their own usage', details.jobs.find(job => job.imageName === 'b.jpg').usage.inputTokens === 200 &&
+            batchManager.getBatchStatus(batchInfo.batchId).usage.inputTokens === 1200);
+
+        // Test 5: Ledger helpers
+        check('Unpriced entries have no cost', UsageLedger.estimateCost({ model: 'mystery', inputTokens: 1, outputTokens: 1 }, {}) === null);
+        check('An empty ledger summarizes to zero', (await new UsageLedger(path.join(tempDir, 'missing.jsonl')).getEntries()).length === 0 &&
+            UsageLedger.summarize([]).totals.calls === 0);
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // The batch manager's rate limiter keeps a refill timer running, so exit explicitly
+    finish({ exit: true });
+}
+
+runTest(testUsageAccounting);
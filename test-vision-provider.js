@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+// Test script for the vision provider abstraction and the offline mock provider (no API calls)
+
+const VisionProvider = require('./lib/visionProvider');
+const MockVisionProvider = require('./lib/mockVisionProvider');
+const ChatAgent = require('./lib/chatAgent');
+const JobQueue = require('./lib/jobQueue');
+const AnalysisSchema = require('./lib/analysisSchema');
+const { createHarness, runTest } = require('./test-helpers');
+
+const SCHEMA = {
+    type: 'object',
+    properties: {
+        peopleCount: { type: 'integer', minimum: 0, maximum: 20 },
+        shotType: { type: 'string', enum: ['close-up', 'wide', 'action'] },
+        isGroupPhoto: { type: 'boolean' }
+    },
+    required: ['peopleCount']
+};
+
+async function testVisionProvider() {
+    console.log('🧪 Testing Vision Providers\n');
+
+    const { check, finish } = createHarness();
+
+    // Test 1: Choosing a provider
+    const mock = VisionProvider.create('mock');
+    check('The mock provider is created from config', mock instanceof MockVisionProvider && mock.name === 'mock');
+    check('The mock provider needs no API key', mock.isConfigured());
+    try {
+        VisionProvider.create('carrier-pigeon');
+        check('Unknown providers are rejected', false);
+    } catch (error) {
+        check('Unknown providers are rejected', error.message.includes('carrier-pigeon'));
+    }
+
+    // Test 2: Deterministic analyses
+    const image = Buffer.from('pretend jpeg bytes');
+    const first = await mock.analyzeImage(image, 'image/jpeg', null, null, 'claude-3-haiku-20240307', SCHEMA, { fileName: 'IMG_0042_sunset-podium.jpg' });
+    const second = await mock.analyzeImage(image, 'image/jpeg', null, null, 'claude-3-haiku-20240307', SCHEMA, { fileName: 'IMG_0042_sunset-podium.jpg' });
+    check('The same image always gets the same analysis', first.success && first.description === second.description &&
+        JSON.stringify(first.attributes) === JSON.stringify(second.attributes));
+    check('File name words become keywords', first.keywords.includes('sunset') && first.keywords.includes('podium') && !first.keywords.includes('img'));
+    check('Schema fields get valid values', first.schemaErrors.length === 0 && Number.isInteger(first.attributes.peopleCount) &&
+        SCHEMA.properties.shotType.enum.includes(first.attributes.shotType) && typeof first.attributes.isGroupPhoto === 'boolean');
+    check('Results are marked as mock and free', first.model === 'mock:claude-3-haiku-20240307' && first.usage.input_tokens === 0);
+
+    const descriptions = new Set();
+    for (let i = 0; i < 20; i++) {
+        descriptions.add((await mock.analyzeImage(Buffer.from(`image ${i}`), 'image/jpeg')).description);
+    }
+    check('Different images get different canned analyses', descriptions.size > 1);
+
+    // Test 3: Fixtures
+    const withFixtures = new MockVisionProvider({
+        fixtures: {
+            'medal.jpg': { description: 'Gold medal close-up', keywords: ['medal'], peopleCount: 0 },
+            'garbled.jpg': { error: 'Claude did not return a valid JSON analysis', errorCategory: 'malformed_response' }
+        }
+    });
+    const medal = await withFixtures.analyzeImage(image, 'image/jpeg', null, null, 'mock', SCHEMA, { fileName: 'albums/finals/medal.jpg' });
+    check('Fixtures are matched by file name', medal.description === 'Gold medal close-up' && medal.attributes.peopleCount === 0);
+    const garbled = await withFixtures.analyzeImage(image, 'image/jpeg', null, null, 'mock', null, { fileName: 'garbled.jpg' });
+    check('Fixtures can simulate failures', !garbled.success && garbled.errorCategory === 'malformed_response');
+
+    const hash = require('crypto').createHash('sha256').update(image).digest('hex');
+    const byHash = await new MockVisionProvider({ fixtures: { [hash]: { description: 'Matched by hash', keywords: [] } } })
+        .analyzeImage(image, 'image/jpeg');
+    check('Fixtures are matched by image hash', byHash.description === 'Matched by hash');
+
+    // Test 4: Verification
+    const verification = await mock.verifyImagesWithQuery([{ url: 'a' }, { url: 'b' }, { url: 'c' }], 'archers');
+    check('Every image passes mock verification', verification.success && verification.verifiedImages.join() === '0,1,2');
+
+    // Test 5: Chat flows through the agent
+    const searches = [];
+    const searchFunctions = {
+        getFunctionDefinitions: () => [{ name: 'searchImages', parameters: {} }],
+        executeFunction: async (name, params) => {
+            searches.push({ name, params });
+            return [{ id: 'a1', title: 'Sunset shot' }, { id: 'a2', title: 'Another' }];
+        },
+        formatResults: images => images
+    };
+    const streamed = [];
+    const originalLog = console.log;
+    console.log = () => {};
+    let run;
+    try {
+        run = await new ChatAgent(mock, searchFunctions).run('Show me photos of archers at sunset', {
+            onTextDelta: ({ text }) => streamed.push(text)
+        });
+    } finally {
+        console.log = originalLog;
+    }
+    check('Mock chat searches for the question\'s keywords', searches.length === 1 &&
+        searches[0].params.keywords.join() === 'archers,sunset');
+    check('Mock chat answers with the result count', run.finalResponse.includes('2 photos') && run.stepsUsed === 2 &&
+        run.searchResults.length === 2);
+    check('Mock chat streams its text', streamed.length === 2);
+
+    // Test 6: Full batch flow offline
+    const queue = new JobQueue();
+    queue.config.processingDelay = 0;
+    console.log = () => {};
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        queue.addBatch(['a.jpg', 'b.jpg', 'garbled.jpg'].map(name => ({ imageName: name, data: { fileName: name } })));
+        await queue.startProcessing({
+            image_analysis: async (data) => {
+                const result = await withFixtures.analyzeImage(Buffer.from(data.fileName), 'image/jpeg', null, null, 'mock', null, data);
+                if (!result.success) {
+                    const error = new Error(result.error);
+                    error.category = result.errorCategory;
+                    throw error;
+                }
+                return result;
+            }
+        });
+    } finally {
+        console.log = originalLog;
+        console.error = originalError;
+    }
+    const status = queue.getStatus();
+    check('Batches run end to end on the mock provider', status.completedJobs === 2 && status.failureCategories.malformed_response === 1);
+
+    // Test 7: A failed re-ask still reports the malformed reply and the tokens the first request used
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    console.error = () => {};
+    let reaskFailure;
+    try {
+        reaskFailure = await mock.finishAnalysis('Sorry, no JSON here', { input_tokens: 1200, output_tokens: 40 }, 'mock', new AnalysisSchema(null), async () => {
+            throw new Error('API Error 529: Overloaded');
+        });
+    } finally {
+        console.warn = originalWarn;
+        console.error = originalError;
+    }
+    check('A failed re-ask keeps the first usage and the malformed category', !reaskFailure.success &&
+        reaskFailure.errorCategory === 'malformed_response' && reaskFailure.usage.input_tokens === 1200 &&
+        reaskFailure.error.includes('Overloaded'));
+
+    finish();
+}
+
+runTest(testVisionProvider);
@@ -145,6 +145,7 @@ class DataMigration {
                     cleanedImages.push(image);
                     cleanupDetails.push({
                         action: 'kept',
+                        imageId: image.id,
                         smugmugImageKey: image.smugmugImageKey,
                         filename: image.filename,
                         reason: 'Best quality record in duplicate group'
@@ -154,6 +155,8 @@ class DataMigration {
                     duplicatesRemoved++;
                     cleanupDetails.push({
                         action: 'removed',
+                        imageId: image.id,
+                        keptId: duplicateGroup.recommendedKeep.id,
                         smugmugImageKey: image.smugmugImageKey,
                         filename: image.filename,
                         reason: 'Duplicate record with lower quality/completeness'